@@ -1,16 +1,71 @@
 const { ApolloServer } = require('apollo-server-express');
 const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
 const typeDefs = require('./schema');
 const resolvers = require('./resolvers');
 const { verifyToken } = require('../../middleware/authentication');
 const logger = require('../../utils/logger');
 
-const setupGraphQL = async (app) => {
+// The user a graphql-ws connection authenticates as, from the access token in
+// its connection params (`authToken`, or an `authorization` Bearer header).
+// Checked the same way as the Socket.IO middleware.
+const authenticateConnection = async (connectionParams = {}) => {
+  const authHeader = connectionParams.authorization || connectionParams.Authorization;
+  const token = connectionParams.authToken ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+  if (!token) {
+    return null;
+  }
+
+  const user = await verifyToken(token);
+  return user && user.is_active ? user : null;
+};
+
+/**
+ * Serve subscriptions over graphql-ws on the HTTP server's /graphql path.
+ * Socket.IO keeps its own upgrades on /socket.io. Returns the graphql-ws
+ * cleanup handle.
+ */
+const setupSubscriptions = (httpServer, schema) => {
+  const wsServer = new WebSocketServer({ noServer: true });
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/graphql') return;
+
+    wsServer.handleUpgrade(req, socket, head, (ws) => {
+      wsServer.emit('connection', ws, req);
+    });
+  });
+
+  return useServer({
+    schema,
+    onConnect: async (ctx) => {
+      const user = await authenticateConnection(ctx.connectionParams);
+      if (!user) {
+        // Refuses the connection (4403 Forbidden)
+        return false;
+      }
+      ctx.extra.user = user;
+      return true;
+    },
+    context: (ctx) => ({ user: ctx.extra.user }),
+    onError: (ctx, message, errors) => {
+      logger.error('GraphQL subscription error:', errors);
+    }
+  }, wsServer);
+};
+
+const setupGraphQL = async (app, httpServer) => {
   const schema = makeExecutableSchema({
     typeDefs,
     resolvers
   });
 
+  const subscriptionServer = setupSubscriptions(httpServer, schema);
+
   const server = new ApolloServer({
     schema,
     context: async ({ req }) => {
@@ -33,6 +88,16 @@ const setupGraphQL = async (app) => {
       return err;
     },
     plugins: [
+      {
+        // Close subscription sockets when the server stops
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              await subscriptionServer.dispose();
+            }
+          };
+        }
+      },
       {
         requestDidStart() {
           return {
@@ -1,21 +1,26 @@
-const { AuthenticationError, UserInputError, ForbiddenError } = require('apollo-server-express');
+const { ApolloError, AuthenticationError, UserInputError, ForbiddenError } = require('apollo-server-express');
+const { withFilter } = require('graphql-subscriptions');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Op } = require('sequelize');
-const { sequelize } = require('../../config/database');
+const config = require('../../config/environment');
 const { 
   User, World, GameSession, SaveGame, WorldRating, 
   Achievement, UserAchievement, MultiplayerRoom, RoomParticipant, AIContent,
   PrestigeSystem, SeasonalTrack, PrestigeReward
 } = require('../../models');
-const { redis } = require('../../config/redis');
-const OpenAI = require('openai');
 const PrestigeService = require('../../services/PrestigeService');
 const GMEPComplianceMonitor = require('../../services/GMEPComplianceMonitor');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const { validateWorld } = require('../../services/worldValidator');
+const gameEngine = require('../../services/gameEngine');
+const gameSessions = require('../../services/gameSessions');
+const worldRevisions = require('../../services/worldRevisions');
+const achievements = require('../../services/achievements');
+const subscriptions = require('../../services/subscriptions');
+const roomEvents = require('../../services/roomEvents');
+const ai = require('../../services/ai');
+const aiBudgets = require('../../services/aiBudgets');
+const { AIBudgetExceededError } = require('../../middleware/errorHandler');
 
 // Initialize prestige services
 const prestigeService = new PrestigeService();
@@ -36,6 +41,55 @@ const requireAuth = (context) => {
   return context.user;
 };
 
+// Whether a user currently takes part in a room (as a player or spectator)
+const isRoomParticipant = async (roomId, userId) => {
+  const participant = await RoomParticipant.findOne({
+    where: { room_id: roomId, user_id: userId, left_at: null },
+    attributes: ['id']
+  });
+  return Boolean(participant);
+};
+
+// Room subscriptions are open to the room's current participants, as joining
+// its Socket.IO room is
+const requireRoomParticipant = async (roomId, context) => {
+  const user = requireAuth(context);
+  if (!(await isRoomParticipant(roomId, user.id))) {
+    throw new ForbiddenError('Not a participant in this room');
+  }
+  return user;
+};
+
+// Room events that may change whether a user is still in the room: their own
+// joining, leaving or being kicked
+const concernsMembership = ({ event, payload }, userId) => {
+  return (event === 'player_joined' && payload.user?.id === userId) ||
+    (event === 'player_left' && payload.userId === userId) ||
+    (event === 'player_kicked' && payload.targetUserId === userId);
+};
+
+// Subscribe to a room's events, keeping only the named ones the user may see.
+// Membership is remembered for the subscription and looked up again only
+// when an event may have changed it, so a player who leaves, is kicked or
+// sees the room close stops receiving its events with the subscription open.
+const subscribeToRoomEvents = (events) => async (parent, args, context, info) => {
+  const user = await requireRoomParticipant(args.roomId, context);
+  let member = Promise.resolve(true);
+  return withFilter(
+    () => subscriptions.roomIterator(args.roomId),
+    async (message) => {
+      if (message.event === 'room_closed') {
+        member = Promise.resolve(false);
+      } else if (concernsMembership(message, user.id)) {
+        member = isRoomParticipant(args.roomId, user.id);
+      }
+      return events.includes(message.event) &&
+        roomEvents.isVisibleTo(message, user.id) &&
+        member;
+    }
+  )(parent, args, context, info);
+};
+
 const resolvers = {
   Query: {
     // User queries
@@ -232,7 +286,9 @@ const resolvers = {
     },
 
     achievements: async () => {
+      // Author-defined achievements stay hidden until earned
       return Achievement.findAll({
+        where: { world_id: null },
         order: [['category', 'ASC'], ['points', 'ASC']]
       });
     },
@@ -284,34 +340,19 @@ const resolvers = {
       return complianceMonitor.getSystemComplianceMetrics();
     },
 
-    aiUsageStats: async (_, __, context) => {
+    // The player's AI usage this period and their budget, as GET /api/ai/usage
+    aiUsageStats: async (_, { period = 'monthly' }, context) => {
       const user = requireAuth(context);
-      
-      const usage = await AIContent.findAll({
-        attributes: [
-          'content_type',
-          [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
-          [sequelize.fn('SUM', sequelize.col('tokens_used')), 'total_tokens']
-        ],
-        where: {
-          session_id: {
-            [Op.in]: sequelize.literal(
-              `(SELECT id FROM game_sessions WHERE user_id = '${user.id}')`
-            )
-          }
-        },
-        group: ['content_type'],
-        raw: true
-      });
+      if (!aiBudgets.PERIODS.includes(period)) {
+        throw new UserInputError(`Period must be one of ${aiBudgets.PERIODS.join(', ')}`);
+      }
 
-      const totalTokens = usage.reduce((sum, item) => sum + (parseInt(item.total_tokens) || 0), 0);
-      const estimatedCost = (totalTokens / 1000) * 0.03;
+      const [usage, budget] = await Promise.all([
+        aiBudgets.getUsageReport('user', user.id, period),
+        aiBudgets.getBudget('user', user.id, user.plan)
+      ]);
 
-      return {
-        usage,
-        totalTokens,
-        estimatedCost
-      };
+      return { ...usage, budget, warnAt: config.ai.budgets.warnAt };
     }
   },
 
@@ -389,8 +430,12 @@ const resolvers = {
       const user = requireAuth(context);
       const { name, description, worldData, tags, isPublic = true } = args;
 
-      if (!worldData.worldInfo || !worldData.locations || !worldData.startLocation) {
-        throw new UserInputError('Invalid world data structure');
+      const validation = validateWorld(worldData);
+      if (!validation.valid) {
+        throw new UserInputError('Invalid world data', {
+          errors: validation.errors,
+          warnings: validation.warnings
+        });
       }
 
       const world = await World.create({
@@ -402,11 +447,15 @@ const resolvers = {
         is_public: isPublic,
         version: worldData.worldInfo.version || '1.0.0'
       });
+      await worldRevisions.saveWorldData(world, worldData, { authorId: user.id });
+      if (world.is_public) {
+        await achievements.evaluate(world.author_id, 'world_published', { world });
+      }
 
       return world;
     },
 
-    updateWorld: async (_, { id, ...updates }, context) => {
+    updateWorld: async (_, { id, worldData, migration, ...updates }, context) => {
       const user = requireAuth(context);
       const world = await World.findByPk(id);
 
@@ -418,13 +467,38 @@ const resolvers = {
         throw new ForbiddenError('Access denied');
       }
 
-      if (updates.worldData) {
-        if (!updates.worldData.worldInfo || !updates.worldData.locations || !updates.worldData.startLocation) {
-          throw new UserInputError('Invalid world data structure');
+      if (updates.name !== undefined) world.name = updates.name;
+      if (updates.description !== undefined) world.description = updates.description;
+      if (updates.tags !== undefined) world.tags = updates.tags;
+      if (updates.isPublic !== undefined) world.is_public = updates.isPublic;
+
+      if (!worldData) {
+        await world.save();
+        if (world.is_public) {
+          await achievements.evaluate(world.author_id, 'world_published', { world });
+        }
+        return world;
+      }
+
+      const validation = validateWorld(worldData);
+      if (!validation.valid) {
+        throw new UserInputError('Invalid world data', {
+          errors: validation.errors,
+          warnings: validation.warnings
+        });
+      }
+
+      if (migration) {
+        const migrationErrors = worldRevisions.validateMigration(migration, world.world_data, worldData);
+        if (migrationErrors.length > 0) {
+          throw new UserInputError('Invalid migration', { errors: migrationErrors });
         }
       }
 
-      await world.update(updates);
+      await worldRevisions.saveWorldData(world, worldData, { migration: migration || null, authorId: user.id });
+      if (world.is_public) {
+        await achievements.evaluate(world.author_id, 'world_published', { world });
+      }
       return world;
     },
 
@@ -457,35 +531,44 @@ const resolvers = {
         throw new ForbiddenError('Access denied');
       }
 
+      const initialState = gameEngine.createInitialState(world.world_data);
       const session = await GameSession.create({
         user_id: user.id,
         world_id: worldId,
         session_name: sessionName || `${world.name} - ${new Date().toLocaleDateString()}`,
-        current_location: world.world_data.startLocation,
-        game_state: {},
-        inventory: [],
+        world_revision: world.current_revision,
+        current_location: initialState.currentLocation,
+        game_state: initialState.gameState,
+        inventory: initialState.inventory,
         stats: {
-          moves: 0,
+          ...initialState.stats,
           startTime: new Date(),
           achievements: []
         }
       });
 
+      await gameSessions.recordStep(session, { action: 'start' });
+
       // Cache session data
-      await redis.setex(
-        `session:${session.id}`,
-        3600,
-        JSON.stringify({
-          worldData: world.world_data,
-          currentLocation: session.current_location,
-          inventory: session.inventory,
-          gameState: session.game_state
-        })
+      await gameSessions.cacheSession(
+        session.id,
+        gameSessions.buildSessionData(session, world.world_data)
       );
 
       return session;
     },
 
+    performAction: async (_, { sessionId, action, target, on }, context) => {
+      const user = requireAuth(context);
+
+      const result = await gameSessions.performAction(user.id, sessionId, action, target, on);
+      if (!result) {
+        throw new UserInputError('Game session not found');
+      }
+
+      return result;
+    },
+
     // Prestige system mutations
     initializePrestige: async (_, { playerLevel }, context) => {
       const user = requireAuth(context);
@@ -589,17 +672,21 @@ const resolvers = {
         Current location: ${session.current_location}.
         Generate engaging, immersive story content.`;
 
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 500,
-        temperature: 0.8
-      });
-
-      const generatedContent = completion.choices[0].message.content;
+      let story;
+      try {
+        story = await ai.generateText('story', {
+          system: systemPrompt,
+          prompt,
+          maxTokens: 500,
+          temperature: 0.8
+        }, { user, worldId: session.world_id, sessionId });
+      } catch (error) {
+        if (error instanceof AIBudgetExceededError) {
+          throw new ApolloError(error.message, error.code, error.details);
+        }
+        throw error;
+      }
+      const { text: generatedContent, tokensUsed, provider, model } = story;
 
       await AIContent.create({
         world_id: session.world_id,
@@ -607,8 +694,8 @@ const resolvers = {
         content_type: 'story',
         prompt,
         generated_content: generatedContent,
-        metadata: { context: aiContext },
-        tokens_used: completion.usage.total_tokens
+        metadata: { context: aiContext, provider, model },
+        tokens_used: tokensUsed
       });
 
       return generatedContent;
@@ -634,7 +721,8 @@ const resolvers = {
     },
     ratings: async (world) => {
       return WorldRating.findAll({ where: { world_id: world.id } });
-    }
+    },
+    currentRevision: (world) => world.current_revision
   },
 
   GameSession: {
@@ -646,7 +734,8 @@ const resolvers = {
     },
     saves: async (session) => {
       return SaveGame.findAll({ where: { session_id: session.id } });
-    }
+    },
+    worldRevision: (session) => session.world_revision
   },
 
   SaveGame: {
@@ -680,6 +769,18 @@ const resolvers = {
   },
 
   MultiplayerRoom: {
+    roomCode: (room) => room.room_code,
+    roomName: (room) => room.room_name,
+    maxPlayers: (room) => room.max_players,
+    currentPlayers: (room) => room.current_players,
+    maxSpectators: (room) => room.max_spectators,
+    currentSpectators: (room) => room.current_spectators,
+    partyMode: (room) => room.party_mode,
+    status: (room) => room.status,
+    gameState: (room) => room.game_state,
+    isActive: (room) => room.is_active,
+    isPrivate: (room) => room.is_private,
+    createdAt: (room) => room.created_at,
     world: async (room) => {
       return World.findByPk(room.world_id);
     },
@@ -694,6 +795,11 @@ const resolvers = {
   },
 
   RoomParticipant: {
+    playerState: (participant) => participant.player_state,
+    joinedAt: (participant) => participant.joined_at,
+    leftAt: (participant) => participant.left_at,
+    connectionStatus: (participant) => participant.connection_status,
+    disconnectedAt: (participant) => participant.disconnected_at,
     room: async (participant) => {
       return MultiplayerRoom.findByPk(participant.room_id);
     },
@@ -748,6 +854,38 @@ const resolvers = {
     timeRemaining: (track) => {
       return track.getSeasonTimeRemaining();
     }
+  },
+
+  // Fed by the same events the Socket.IO handlers emit (see services/subscriptions)
+  Subscription: {
+    roomUpdates: {
+      subscribe: subscribeToRoomEvents(subscriptions.ROOM_UPDATE_EVENTS),
+      resolve: async (message) => {
+        const room = await MultiplayerRoom.findByPk(message.roomId);
+        if (!room) {
+          throw new UserInputError('Room not found');
+        }
+        return room;
+      }
+    },
+
+    playerAction: {
+      subscribe: subscribeToRoomEvents(['player_action']),
+      resolve: (message) => message.payload
+    },
+
+    chatMessage: {
+      subscribe: subscribeToRoomEvents(['chat_message']),
+      resolve: (message) => message.payload
+    },
+
+    notification: {
+      subscribe: (_, __, context) => {
+        const user = requireAuth(context);
+        return subscriptions.notificationIterator(user.id);
+      },
+      resolve: (message) => message
+    }
   }
 };
 
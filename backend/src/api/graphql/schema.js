@@ -33,6 +33,7 @@ const typeDefs = gql`
     ratingAverage: Float!
     ratingCount: Int!
     version: String!
+    currentRevision: Int
     createdAt: DateTime!
     updatedAt: DateTime!
     ratings: [WorldRating!]
@@ -43,6 +44,7 @@ const typeDefs = gql`
     user: User!
     world: World!
     sessionName: String
+    worldRevision: Int
     currentLocation: String!
     gameState: JSON!
     inventory: JSON!
@@ -98,6 +100,10 @@ const typeDefs = gql`
     roomName: String
     maxPlayers: Int!
     currentPlayers: Int!
+    maxSpectators: Int
+    currentSpectators: Int!
+    partyMode: String!
+    status: String!
     gameState: JSON!
     isActive: Boolean!
     isPrivate: Boolean!
@@ -109,9 +115,12 @@ const typeDefs = gql`
     id: ID!
     room: MultiplayerRoom!
     user: User!
+    role: String!
     playerState: JSON!
     joinedAt: DateTime!
     leftAt: DateTime
+    connectionStatus: String!
+    disconnectedAt: DateTime
   }
 
   type AIContent {
@@ -347,7 +356,19 @@ const typeDefs = gql`
     locationData: JSON
     message: String
     inventoryUpdate: JSON
+    inventory: JSON
     stateUpdate: JSON
+    events: JSON
+    step: Int
+    ending: Ending
+    achievements: [Achievement!]
+  }
+
+  type Ending {
+    id: String!
+    title: String!
+    type: String!
+    description: String
   }
 
   type Query {
@@ -393,7 +414,8 @@ const typeDefs = gql`
     systemComplianceMetrics: SystemComplianceMetrics!
     
     # AI content queries
-    aiUsageStats: JSON!
+    # Usage this period (daily or monthly) with the player's budget, as GET /api/ai/usage
+    aiUsageStats(period: String): JSON!
   }
 
   type Mutation {
@@ -419,6 +441,7 @@ const typeDefs = gql`
       name: String
       description: String
       worldData: JSON
+      migration: JSON
       tags: [String!]
       isPublic: Boolean
     ): World!
@@ -427,7 +450,7 @@ const typeDefs = gql`
     
     # Game session mutations
     startGame(worldId: ID!, sessionName: String): GameSession!
-    performAction(sessionId: ID!, action: String!, target: String!): GameActionResult!
+    performAction(sessionId: ID!, action: String!, target: String!, on: String): GameActionResult!
     saveGame(sessionId: ID!, saveName: String!): SaveGame!
     loadGame(saveId: ID!): GameSession!
     
@@ -457,12 +480,16 @@ const typeDefs = gql`
   }
 
   type Subscription {
-    # Multiplayer subscriptions
+    # Multiplayer subscriptions (room participants only). Payloads match the
+    # Socket.IO events of the same name, including their seq.
     roomUpdates(roomId: ID!): MultiplayerRoom!
     playerAction(roomId: ID!): JSON!
     chatMessage(roomId: ID!): JSON!
     
-    # Notification subscriptions
+    # Notification subscriptions: { type, ... } where type is notification,
+    # system_announcement or the Socket.IO event it mirrors (achievement_unlocked,
+    # match_found, match_timeout, match_cancelled, room_reopened, room_closed,
+    # kicked_from_room, direct_message)
     notification: JSON!
   }
 `;
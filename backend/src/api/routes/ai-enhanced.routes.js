@@ -4,6 +4,7 @@ const n8nService = require('../../services/n8nIntegration');
 const { GameSession, World, AIContent } = require('../../models');
 const logger = require('../../utils/logger');
 const { redis } = require('../../config/redis');
+const worldRevisions = require('../../services/worldRevisions');
 
 const router = express.Router();
 
@@ -36,6 +37,8 @@ router.post('/npc/dialogue',
         return res.status(404).json({ error: 'Game session not found' });
       }
 
+      const worldData = await worldRevisions.getSessionWorldData(session);
+
       // Get player history from Redis
       const historyKey = `session:history:${sessionId}`;
       const playerHistory = JSON.parse(await redis.get(historyKey) || '[]');
@@ -48,8 +51,8 @@ router.post('/npc/dialogue',
         currentLocation: session.current_location,
         gameState: session.game_state,
         emotionalContext,
-        worldContext: session.world.world_data
-      });
+        worldContext: worldData
+      }, { user: req.user, worldId: session.world_id, sessionId });
 
       // Save AI content
       await AIContent.create({
@@ -110,6 +113,8 @@ router.post('/story/generate',
         return res.status(404).json({ error: 'Game session not found' });
       }
 
+      const worldData = await worldRevisions.getSessionWorldData(session);
+
       // Get player choices history
       const choicesKey = `session:choices:${sessionId}`;
       const playerChoices = JSON.parse(await redis.get(choicesKey) || '[]');
@@ -130,12 +135,12 @@ router.post('/story/generate',
       const story = await n8nService.generateStoryContent({
         sessionId,
         storyPoint,
-        worldData: session.world.world_data,
+        worldData,
         playerChoices: playerChoices.slice(-20), // Last 20 choices
         currentLocation: session.current_location,
         inventory: session.inventory,
         characterDevelopment
-      });
+      }, { user: req.user, worldId: session.world_id, sessionId });
 
       // Save AI content
       await AIContent.create({
@@ -196,23 +201,25 @@ router.post('/artwork/generate',
         return res.status(404).json({ error: 'Game session not found' });
       }
 
+      const worldData = await worldRevisions.getSessionWorldData(session);
+
       // Build scene context
-      const locationData = session.world.world_data.locations[session.current_location];
+      const locationData = worldData.locations[session.current_location];
       const sceneContext = {
         location: locationData,
-        worldTheme: session.world.world_data.worldInfo.theme || 'fantasy',
+        worldTheme: worldData.worldInfo.theme || 'fantasy',
         atmosphere: locationData.atmosphere || 'mysterious'
       };
 
       // Generate artwork through n8n
       const artwork = await n8nService.generateArtwork({
         prompt: `${scene}. ${locationData.description}`,
-        style: style || session.world.world_data.worldInfo.artStyle || 'fantasy digital art',
+        style: style || worldData.worldInfo.artStyle || 'fantasy digital art',
         aspectRatio,
         provider: 'midjourney',
         quality: 'high',
         sceneContext
-      });
+      }, { user: req.user, worldId: session.world_id, sessionId });
 
       // Save AI content
       await AIContent.create({
@@ -285,7 +292,7 @@ router.post('/voice/narrate',
           isNarrator: !voiceId,
           characterName: characterVoices[voiceId]?.name
         }
-      });
+      }, { user: req.user, worldId: session.world_id, sessionId });
 
       // Save AI content
       await AIContent.create({
@@ -344,18 +351,20 @@ router.post('/quest/generate',
         return res.status(404).json({ error: 'Game session not found' });
       }
 
+      const worldData = await worldRevisions.getSessionWorldData(session);
+
       // Calculate player level based on stats
       const playerLevel = session.stats?.level || 1;
 
       // Generate quest through n8n
       const quest = await n8nService.generateQuest({
-        worldContext: session.world.world_data,
+        worldContext: worldData,
         playerLevel,
         questType: questType || 'side',
         difficulty: difficulty || 'medium',
         currentLocation: session.current_location,
         inventory: session.inventory
-      });
+      }, { user: req.user, worldId: session.world_id, sessionId });
 
       // Save quest to game state
       const gameState = { ...session.game_state };
@@ -436,7 +445,11 @@ router.post('/batch/process',
       }));
 
       // Process batch through n8n
-      const results = await n8nService.batchProcess(enrichedRequests);
+      const results = await n8nService.batchProcess(enrichedRequests, {
+        user: req.user,
+        worldId: session.world_id,
+        sessionId
+      });
 
       // Track usage
       const totalTokens = results.reduce((sum, result) => 
@@ -1,18 +1,60 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { Op } = require('sequelize');
-const { sequelize } = require('../../config/database');
-const OpenAI = require('openai');
-const axios = require('axios');
-const { AIContent, GameSession, World } = require('../../models');
+const { body, param, query, validationResult } = require('express-validator');
+const { AIContent, AIBudgetOverride, GameSession, World, User } = require('../../models');
+const authentication = require('../../middleware/authentication');
+const ai = require('../../services/ai');
+const aiBudgets = require('../../services/aiBudgets');
+const dungeonMaster = require('../../services/dungeonMaster');
+const narration = require('../../services/narration');
+const worldGeneration = require('../../services/worldGeneration');
+const config = require('../../config/environment');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Tell the client when a call took a budget close to its limit
+const warnBudget = (res, { budgetWarnings }) => {
+  if (budgetWarnings.length > 0) {
+    res.set('X-AI-Budget-Warning', JSON.stringify(budgetWarnings));
+  }
+};
+
+/**
+ * Stream a narration to the client as server-sent events: `start`, then a
+ * `delta` for each piece of text, then `done` (or `error`, or `cancelled`).
+ * Anything that stops it from starting, budget refusals included, is an
+ * ordinary JSON error response. Closing the connection cancels it.
+ */
+const streamNarration = async (req, res, next, request) => {
+  const started = await narration.start({ ...request, user: req.user }, (type, { error, ...payload }) => {
+    if (type === 'error' && !res.headersSent) {
+      return next(error);
+    }
+    if (res.writableEnded) {
+      return;
+    }
+    if (type === 'start') {
+      // no-transform also keeps the compression middleware from buffering the stream
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+    }
+
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    if (['done', 'error', 'cancelled'].includes(type)) {
+      res.end();
+    }
+  });
+
+  if (started.error) {
+    return res.status(started.status).json({ error: started.error });
+  }
+  res.on('close', () => narration.cancel(started.narration.id, req.user.id));
+};
 
 // Generate dynamic story content
 router.post('/generate-story',
@@ -46,26 +88,12 @@ router.post('/generate-story',
         return res.status(404).json({ error: 'Game session not found' });
       }
 
-      // Build AI prompt
-      const systemPrompt = `You are a creative storyteller for a choose-your-own-adventure game. 
-        The game world is: ${session.world.name}. 
-        Current location: ${session.current_location}.
-        Player inventory: ${JSON.stringify(session.inventory)}.
-        Generate engaging, immersive story content that fits the game world's theme and style.
-        Keep responses concise (2-3 paragraphs) and end with choices for the player.`;
-
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 500,
-        temperature: 0.8
-      });
-
-      const generatedContent = completion.choices[0].message.content;
-      const tokensUsed = completion.usage.total_tokens;
+      const story = await ai.generateText('story', narration.storyRequest({
+        worldName: session.world.name,
+        location: session.current_location,
+        inventory: session.inventory
+      }, prompt), { user: req.user, worldId: session.world_id, sessionId });
+      const { text: generatedContent, tokensUsed, provider, model } = story;
 
       // Save AI content
       await AIContent.create({
@@ -74,12 +102,13 @@ router.post('/generate-story',
         content_type: 'story',
         prompt,
         generated_content: generatedContent,
-        metadata: { context },
+        metadata: { context, provider, model },
         tokens_used: tokensUsed
       });
 
       logger.info(`AI story generated for session ${sessionId}, tokens: ${tokensUsed}`);
 
+      warnBudget(res, story);
       res.json({
         content: generatedContent,
         tokensUsed
@@ -91,6 +120,30 @@ router.post('/generate-story',
   }
 );
 
+// Stream story content as it is written, for a session or a room the player is in
+router.post('/generate-story/stream',
+  [
+    body('sessionId').optional().isUUID(),
+    body('roomId').optional().isUUID(),
+    body('prompt').notEmpty().isLength({ max: 1000 }),
+    body('context').optional()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { sessionId, roomId, prompt, context } = req.body;
+      await streamNarration(req, res, next, { kind: 'story', sessionId, roomId, prompt, context });
+    } catch (error) {
+      logger.error('AI story stream error:', error);
+      next(error);
+    }
+  }
+);
+
 // Generate scene artwork
 router.post('/generate-image',
   [
@@ -119,18 +172,14 @@ router.post('/generate-image',
         return res.status(404).json({ error: 'Game session not found' });
       }
 
-      // Generate image with DALL-E
       const imagePrompt = `${style} art style: ${description}. High quality digital art for a choose-your-own-adventure game.`;
 
-      const response = await openai.images.generate({
-        model: 'dall-e-3',
+      const image = await ai.generateImage('image', {
         prompt: imagePrompt,
-        n: 1,
         size: '1024x1024',
         quality: 'standard'
-      });
-
-      const imageUrl = response.data[0].url;
+      }, { user: req.user, worldId: session.world_id, sessionId });
+      const { url: imageUrl, provider, model } = image;
 
       // Save AI content
       await AIContent.create({
@@ -139,12 +188,13 @@ router.post('/generate-image',
         content_type: 'image',
         prompt: description,
         generated_content: imageUrl,
-        metadata: { style },
-        tokens_used: 0 // DALL-E doesn't report tokens
+        metadata: { style, provider, model },
+        tokens_used: 0 // Image models don't report tokens
       });
 
       logger.info(`AI image generated for session ${sessionId}`);
 
+      warnBudget(res, image);
       res.json({
         imageUrl,
         prompt: imagePrompt
@@ -188,30 +238,14 @@ router.post('/dungeon-master',
         return res.status(404).json({ error: 'Game session not found' });
       }
 
-      // AI Dungeon Master prompt
-      const systemPrompt = `You are an AI Dungeon Master for a choose-your-own-adventure game.
-        World: ${session.world.name}
-        Current game state: ${JSON.stringify(gameContext || session.game_state)}
-        Player action: ${action}
-        
-        Generate appropriate consequences, new locations, items, or characters.
-        Maintain consistency with the game world and previous events.
-        Create engaging narrative outcomes and provide new choices.
-        Format response as JSON with: outcome, newChoices, stateChanges, and optionally newItems or newLocations.`;
-
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Process this action: ${action}` }
-        ],
-        max_tokens: 600,
-        temperature: 0.7,
-        response_format: { type: 'json_object' }
-      });
+      const context = await dungeonMaster.sessionContext(session, gameContext);
+      if (!context.permissions.enabled) {
+        return res.status(403).json({ error: narration.DM_DISABLED });
+      }
 
-      const dmResponse = JSON.parse(completion.choices[0].message.content);
-      const tokensUsed = completion.usage.total_tokens;
+      // Checked against the schema and the author's limits, or refused
+      const answer = await dungeonMaster.ask(context, action, { user: req.user, worldId: session.world_id, sessionId });
+      const { response, repairs, tokensUsed, provider, model } = answer;
 
       // Save AI content
       await AIContent.create({
@@ -219,20 +253,17 @@ router.post('/dungeon-master',
         session_id: sessionId,
         content_type: 'story',
         prompt: action,
-        generated_content: JSON.stringify(dmResponse),
-        metadata: { type: 'dungeon_master', gameContext },
+        generated_content: JSON.stringify(response),
+        metadata: { type: 'dungeon_master', gameContext, provider, model, repairs },
         tokens_used: tokensUsed
       });
 
-      // Apply state changes if any
-      if (dmResponse.stateChanges) {
-        session.game_state = { ...session.game_state, ...dmResponse.stateChanges };
-        await session.save();
-      }
+      const { locationData, changes } = await dungeonMaster.applyToSession(session, answer, action);
 
       logger.info(`AI DM response for session ${sessionId}, tokens: ${tokensUsed}`);
 
-      res.json(dmResponse);
+      warnBudget(res, answer);
+      res.json({ ...response, locationData, changes, repairs });
     } catch (error) {
       logger.error('AI Dungeon Master error:', error);
       next(error);
@@ -240,6 +271,106 @@ router.post('/dungeon-master',
   }
 );
 
+// Stream the Dungeon Master's outcome as it is written; `done` carries the full answer
+router.post('/dungeon-master/stream',
+  [
+    body('sessionId').optional().isUUID(),
+    body('roomId').optional().isUUID(),
+    body('action').notEmpty(),
+    body('gameContext').optional()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { sessionId, roomId, action, gameContext } = req.body;
+      await streamNarration(req, res, next, {
+        kind: 'dungeon_master',
+        sessionId,
+        roomId,
+        prompt: action,
+        context: gameContext
+      });
+    } catch (error) {
+      logger.error('AI Dungeon Master stream error:', error);
+      next(error);
+    }
+  }
+);
+
+// Draft a whole world from a premise, for the author to edit in the builder
+router.post('/generate-world',
+  [
+    body('premise').isString().trim().notEmpty().isLength({ max: 2000 }),
+    body('tone').optional().isString().isLength({ max: 200 }),
+    body('size').optional().isIn(Object.keys(worldGeneration.SIZES)),
+    body('constraints').optional().isArray({ max: worldGeneration.LIMITS.constraints }),
+    body('constraints.*').isString().isLength({ max: 300 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { premise, tone, size = 'medium', constraints = [] } = req.body;
+      const draft = await worldGeneration.generateWorld({ premise, tone, size, constraints }, { user: req.user });
+
+      warnBudget(res, draft);
+      res.json({
+        worldData: draft.worldData,
+        repairs: draft.repairs,
+        validation: draft.validation,
+        tokensUsed: draft.tokensUsed
+      });
+    } catch (error) {
+      logger.error('AI world generation error:', error);
+      next(error);
+    }
+  }
+);
+
+// Grow a world outward from one of its locations; returns the whole world
+router.post('/expand-location',
+  [
+    body('worldData').isObject(),
+    body('locationId').isString().notEmpty(),
+    body('prompt').optional().isString().isLength({ max: 1000 }),
+    body('count').optional().isInt({ min: 1, max: worldGeneration.LIMITS.expandLocations }).toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { worldData, locationId, prompt, count } = req.body;
+      if (!worldData.locations?.[locationId]) {
+        return res.status(400).json({ error: `Location "${locationId}" is not in this world` });
+      }
+
+      const expanded = await worldGeneration.expandLocation(worldData, { locationId, prompt, count }, { user: req.user });
+
+      warnBudget(res, expanded);
+      res.json({
+        worldData: expanded.worldData,
+        added: expanded.added,
+        repairs: expanded.repairs,
+        validation: expanded.validation,
+        tokensUsed: expanded.tokensUsed
+      });
+    } catch (error) {
+      logger.error('AI location expansion error:', error);
+      next(error);
+    }
+  }
+);
+
 // Generate voice narration
 router.post('/generate-voice',
   [
@@ -256,39 +387,38 @@ router.post('/generate-voice',
 
       const { text, voice = 'nova', sessionId } = req.body;
 
-      // Generate speech
-      const mp3 = await openai.audio.speech.create({
-        model: 'tts-1',
-        voice: voice,
-        input: text
-      });
-
-      const buffer = Buffer.from(await mp3.arrayBuffer());
-      
-      // Save reference if session provided
-      if (sessionId) {
-        const session = await GameSession.findOne({
+      const session = sessionId
+        ? await GameSession.findOne({
           where: {
             id: sessionId,
             user_id: req.user.id
           }
-        });
+        })
+        : null;
 
-        if (session) {
-          await AIContent.create({
-            world_id: session.world_id,
-            session_id: sessionId,
-            content_type: 'voice',
-            prompt: text,
-            generated_content: `voice_${Date.now()}.mp3`,
-            metadata: { voice },
-            tokens_used: Math.ceil(text.length / 4) // Approximate token count
-          });
-        }
+      const speech = await ai.generateSpeech('voice', { text, voice }, {
+        user: req.user,
+        worldId: session?.world_id,
+        sessionId: session?.id
+      });
+      const { audio: buffer, contentType, tokensUsed, provider, model } = speech;
+
+      // Save reference if session provided
+      if (session) {
+        await AIContent.create({
+          world_id: session.world_id,
+          session_id: sessionId,
+          content_type: 'voice',
+          prompt: text,
+          generated_content: `voice_${Date.now()}.${contentType === 'audio/wav' ? 'wav' : 'mp3'}`,
+          metadata: { voice, provider, model },
+          tokens_used: tokensUsed
+        });
       }
 
+      warnBudget(res, speech);
       res.set({
-        'Content-Type': 'audio/mpeg',
+        'Content-Type': contentType,
         'Content-Length': buffer.length
       });
       res.send(buffer);
@@ -299,40 +429,196 @@ router.post('/generate-voice',
   }
 );
 
-// Get AI usage statistics
-router.get('/usage', async (req, res, next) => {
+const periodQuery = [query('period').optional().isIn(aiBudgets.PERIODS)];
+
+// AI usage this period by model and feature, with the player's budget
+router.get('/usage', periodQuery, async (req, res, next) => {
   try {
-    const usage = await AIContent.findAll({
-      attributes: [
-        'content_type',
-        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
-        [sequelize.fn('SUM', sequelize.col('tokens_used')), 'total_tokens']
-      ],
-      where: {
-        session_id: {
-          [Op.in]: sequelize.literal(
-            `(SELECT id FROM game_sessions WHERE user_id = '${req.user.id}')`
-          )
-        }
-      },
-      group: ['content_type']
-    });
-
-    const totalTokens = usage.reduce((sum, item) => sum + (parseInt(item.dataValues.total_tokens) || 0), 0);
-    const estimatedCost = (totalTokens / 1000) * 0.03; // Rough estimate
-
-    res.json({
-      usage: usage.map(item => ({
-        type: item.content_type,
-        count: parseInt(item.dataValues.count),
-        tokens: parseInt(item.dataValues.total_tokens) || 0
-      })),
-      totalTokens,
-      estimatedCost
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [usage, budget] = await Promise.all([
+      aiBudgets.getUsageReport('user', req.user.id, req.query.period),
+      aiBudgets.getBudget('user', req.user.id, req.user.plan)
+    ]);
+
+    res.json({ ...usage, budget, warnAt: config.ai.budgets.warnAt });
   } catch (error) {
     next(error);
   }
 });
 
+// A world's AI usage and budget, for its author
+router.get('/usage/worlds/:worldId',
+  [param('worldId').isUUID(), ...periodQuery],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const world = await World.findByPk(req.params.worldId, { attributes: ['id', 'author_id'] });
+      if (!world) {
+        return res.status(404).json({ error: 'World not found' });
+      }
+      if (world.author_id !== req.user.id && !req.user.is_admin) {
+        return res.status(403).json({ error: 'Only the world\'s author can see its AI usage' });
+      }
+
+      const [usage, budget] = await Promise.all([
+        aiBudgets.getUsageReport('world', world.id, req.query.period),
+        aiBudgets.getBudget('world', world.id)
+      ]);
+
+      res.json({ ...usage, budget, warnAt: config.ai.budgets.warnAt });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin routes
+
+// Any user's or world's budget and usage
+router.get('/budgets/:scope/:targetId',
+  authentication.admin,
+  [
+    param('scope').isIn(aiBudgets.SCOPES),
+    param('targetId').isUUID(),
+    ...periodQuery
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { scope, targetId } = req.params;
+      const budget = await aiBudgets.getBudget(scope, targetId);
+      if (!budget) {
+        return res.status(404).json({ error: `${scope === 'user' ? 'User' : 'World'} not found` });
+      }
+
+      const usage = await aiBudgets.getUsageReport(scope, targetId, req.query.period);
+      res.json({ ...usage, budget });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/budgets/overrides',
+  authentication.admin,
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const overrides = await AIBudgetOverride.findAndCountAll({
+        include: [{ model: User, as: 'creator', attributes: ['id', 'username'] }],
+        order: [['created_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.json({
+        overrides: overrides.rows,
+        total: overrides.count,
+        page: parseInt(page),
+        totalPages: Math.ceil(overrides.count / limit)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Replace a user's or world's plan limits for one period
+router.put('/budgets/overrides',
+  authentication.admin,
+  [
+    body('scope').isIn(aiBudgets.SCOPES),
+    body('targetId').isUUID(),
+    body('period').isIn(aiBudgets.PERIODS),
+    body('maxTokens').optional({ nullable: true }).isInt({ min: 0 }),
+    body('maxCost').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('reason').optional().isString().isLength({ max: 1000 }),
+    body('expiresAt').optional({ nullable: true }).isISO8601()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { error, status, override } = await aiBudgets.setOverride(req.user, req.body);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ override });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Go back to the plan's limits
+router.delete('/budgets/overrides/:overrideId',
+  authentication.admin,
+  [param('overrideId').isUUID()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const removed = await AIBudgetOverride.destroy({ where: { id: req.params.overrideId } });
+      if (!removed) {
+        return res.status(404).json({ error: 'Override not found' });
+      }
+
+      res.json({ message: 'Override removed' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Move a user to another plan tier
+router.put('/budgets/plans/:userId',
+  authentication.admin,
+  [
+    param('userId').isUUID(),
+    body('plan').isIn(Object.keys(config.ai.budgets.tiers))
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findByPk(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      user.plan = req.body.plan;
+      await user.save();
+
+      logger.info(`User ${user.username} moved to the ${user.plan} plan by ${req.user.username}`);
+      res.json({ userId: user.id, plan: user.plan });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,207 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { ChatReport, ChatMessage, UserBlock, User } = require('../../models');
+const authentication = require('../../middleware/authentication');
+const chat = require('../../services/chat');
+
+const router = express.Router();
+
+const historyQuery = [
+  query('before').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+// Room chat history, newest page first
+router.get('/rooms/:roomId/messages',
+  [param('roomId').isUUID(), ...historyQuery],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const history = await chat.getRoomHistory(req.params.roomId, req.user, req.query);
+      if (history.error) {
+        return res.status(403).json({ error: history.error });
+      }
+
+      res.json(history);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Direct messages with another player
+router.get('/direct/:userId',
+  [param('userId').isUUID(), ...historyQuery],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json(await chat.getConversation(req.user, req.params.userId, req.query));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Report a message
+router.post('/messages/:messageId/report',
+  [
+    param('messageId').isUUID(),
+    body('reason').optional().isString().isLength({ max: 1000 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { error, status, report } = await chat.reportMessage(req.user, req.params.messageId, req.body.reason || null);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({ report });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Players the current user has blocked
+router.get('/blocks', async (req, res, next) => {
+  try {
+    const blocks = await UserBlock.findAll({
+      where: { user_id: req.user.id },
+      include: [{ model: User, as: 'blockedUser', attributes: ['id', 'username', 'display_name'] }],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({ blocks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Block a player
+router.post('/blocks',
+  [body('userId').isUUID()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { error, block } = await chat.blockUser(req.user, req.body.userId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.status(201).json({ block });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Unblock a player
+router.delete('/blocks/:userId',
+  [param('userId').isUUID()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const removed = await chat.unblockUser(req.user, req.params.userId);
+      if (!removed) {
+        return res.status(404).json({ error: 'Block not found' });
+      }
+
+      res.json({ message: 'Player unblocked' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin routes
+router.get('/reports',
+  authentication.admin,
+  [query('status').optional().isIn(['open', 'actioned', 'dismissed'])],
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 50, status = 'open' } = req.query;
+      const offset = (page - 1) * limit;
+
+      const reports = await ChatReport.findAndCountAll({
+        where: { status },
+        include: [
+          {
+            model: ChatMessage,
+            as: 'message',
+            include: [{ model: User, as: 'sender', attributes: ['id', 'username', 'display_name'] }]
+          },
+          {
+            model: User,
+            as: 'reporter',
+            attributes: ['id', 'username', 'display_name']
+          }
+        ],
+        order: [['created_at', 'ASC']],
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.json({
+        reports: reports.rows,
+        total: reports.count,
+        page: parseInt(page),
+        totalPages: Math.ceil(reports.count / limit)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put('/reports/:reportId',
+  authentication.admin,
+  [
+    param('reportId').isUUID(),
+    body('status').isIn(['actioned', 'dismissed'])
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const report = await ChatReport.findByPk(req.params.reportId);
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      report.status = req.body.status;
+      report.reviewed_by = req.user.id;
+      report.reviewed_at = new Date();
+      await report.save();
+
+      res.json({ report });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
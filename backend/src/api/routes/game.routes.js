@@ -1,7 +1,16 @@
 const express = require('express');
+const fs = require('fs-extra');
 const { body, validationResult } = require('express-validator');
-const { GameSession, World, SaveGame } = require('../../models');
-const { redis } = require('../../config/redis');
+const { GameSession, World, SaveGame, SessionAction } = require('../../models');
+const worldRules = require('../../services/worldRules');
+const gameEngine = require('../../services/gameEngine');
+const gameSessions = require('../../services/gameSessions');
+const worldRevisions = require('../../services/worldRevisions');
+const worldCompletions = require('../../services/worldCompletions');
+const worldOverlays = require('../../services/worldOverlays');
+const saveGames = require('../../services/saveGames');
+const rateLimiter = require('../../middleware/rateLimiter');
+const { saveUpload } = require('../../middleware/upload');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
@@ -33,30 +42,28 @@ router.post('/start',
       }
 
       // Create game session
+      const initialState = gameEngine.createInitialState(world.world_data);
       const session = await GameSession.create({
         user_id: req.user.id,
         world_id: worldId,
         session_name: sessionName || `${world.name} - ${new Date().toLocaleDateString()}`,
-        current_location: world.world_data.startLocation,
-        game_state: {},
-        inventory: [],
+        world_revision: world.current_revision,
+        current_location: initialState.currentLocation,
+        game_state: initialState.gameState,
+        inventory: initialState.inventory,
         stats: {
-          moves: 0,
+          ...initialState.stats,
           startTime: new Date(),
           achievements: []
         }
       });
 
+      await gameSessions.recordStep(session, { action: 'start' });
+
       // Cache session data in Redis for fast access
-      await redis.setex(
-        `session:${session.id}`,
-        3600, // 1 hour TTL
-        JSON.stringify({
-          worldData: world.world_data,
-          currentLocation: session.current_location,
-          inventory: session.inventory,
-          gameState: session.game_state
-        })
+      await gameSessions.cacheSession(
+        session.id,
+        gameSessions.buildSessionData(session, world.world_data)
       );
 
       logger.info(`Game session started: ${session.id} for user ${req.user.username}`);
@@ -65,7 +72,13 @@ router.post('/start',
         sessionId: session.id,
         sessionName: session.session_name,
         currentLocation: session.current_location,
-        locationData: world.world_data.locations[session.current_location],
+        locationData: worldRules.presentLocation(
+          world.world_data,
+          session.current_location,
+          session.game_state,
+          session.inventory
+        ),
+        gameState: session.game_state,
         worldInfo: world.world_data.worldInfo
       });
     } catch (error) {
@@ -93,26 +106,8 @@ router.get('/continue/:sessionId', async (req, res, next) => {
       return res.status(404).json({ error: 'Game session not found' });
     }
 
-    // Try to get from cache first
-    let sessionData = await redis.get(`session:${session.id}`);
-    
-    if (!sessionData) {
-      // Rebuild cache
-      sessionData = {
-        worldData: session.world.world_data,
-        currentLocation: session.current_location,
-        inventory: session.inventory,
-        gameState: session.game_state
-      };
-      
-      await redis.setex(
-        `session:${session.id}`,
-        3600,
-        JSON.stringify(sessionData)
-      );
-    } else {
-      sessionData = JSON.parse(sessionData);
-    }
+    // Get from cache, rebuilding it if expired
+    const sessionData = await gameSessions.getSessionData(session);
 
     // Update last played
     session.last_played_at = new Date();
@@ -122,10 +117,19 @@ router.get('/continue/:sessionId', async (req, res, next) => {
       sessionId: session.id,
       sessionName: session.session_name,
       currentLocation: sessionData.currentLocation,
-      locationData: sessionData.worldData.locations[sessionData.currentLocation],
+      locationData: worldRules.presentLocation(
+        sessionData.worldData,
+        sessionData.currentLocation,
+        sessionData.gameState,
+        sessionData.inventory
+      ),
       inventory: sessionData.inventory,
       gameState: sessionData.gameState,
-      stats: session.stats
+      stats: session.stats,
+      ending: worldRules.describeEnding(sessionData.worldData, sessionData.gameState?.ending),
+      completedAt: session.completed_at,
+      worldRevision: session.world_revision,
+      latestRevision: session.world.current_revision
     });
   } catch (error) {
     next(error);
@@ -170,8 +174,9 @@ router.get('/sessions', async (req, res, next) => {
 router.post('/action',
   [
     body('sessionId').isUUID(),
-    body('action').isIn(['move', 'examine', 'use', 'take', 'talk', 'special']),
-    body('target').notEmpty()
+    body('action').isIn(worldRules.ACTIONS),
+    body('target').notEmpty(),
+    body('on').optional({ nullable: true }).isString()
   ],
   async (req, res, next) => {
     try {
@@ -180,121 +185,185 @@ router.post('/action',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { sessionId, action, target } = req.body;
+      const { sessionId, action, target, on } = req.body;
 
-      // Get session from cache
-      let sessionData = await redis.get(`session:${sessionId}`);
-      if (!sessionData) {
-        return res.status(404).json({ error: 'Session expired or not found' });
+      const result = await gameSessions.performAction(req.user.id, sessionId, action, target, on);
+      if (!result) {
+        return res.status(404).json({ error: 'Game session not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the ordered action log of a session
+router.get('/history/:sessionId', async (req, res, next) => {
+  try {
+    const session = await GameSession.findOne({
+      where: {
+        id: req.params.sessionId,
+        user_id: req.user.id
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Game session not found' });
+    }
+
+    const steps = await gameSessions.getHistory(session);
+
+    res.json({
+      sessionId: session.id,
+      parentSessionId: session.parent_session_id,
+      branchedFromStep: session.branched_from_step,
+      steps
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rewind a session to an earlier step, or branch a new session from it
+router.post('/rewind/:sessionId',
+  [
+    body('step').isInt({ min: 0 }),
+    body('branch').optional().isBoolean(),
+    body('sessionName').optional().isLength({ max: 255 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      sessionData = JSON.parse(sessionData);
-      
-      // Get session from DB for validation
       const session = await GameSession.findOne({
         where: {
-          id: sessionId,
+          id: req.params.sessionId,
           user_id: req.user.id,
           is_active: true
-        }
+        },
+        include: [{
+          model: World,
+          as: 'world'
+        }]
       });
 
       if (!session) {
         return res.status(404).json({ error: 'Game session not found' });
       }
 
-      let result = {
-        success: true,
-        currentLocation: sessionData.currentLocation,
-        message: null,
-        inventoryUpdate: null,
-        stateUpdate: null
-      };
-
-      // Process action
-      switch (action) {
-        case 'move':
-          if (sessionData.worldData.locations[target]) {
-            sessionData.currentLocation = target;
-            result.currentLocation = target;
-            result.locationData = sessionData.worldData.locations[target];
-            
-            // Update session stats
-            session.stats.moves = (session.stats.moves || 0) + 1;
-          } else {
-            result.success = false;
-            result.message = 'Invalid location';
-          }
-          break;
-
-        case 'examine':
-        case 'special':
-          const specialAction = sessionData.worldData.specialActions?.[target];
-          if (specialAction) {
-            result.message = specialAction;
-            
-            // Handle item collection
-            if (sessionData.worldData.items?.[target] && !sessionData.inventory.find(item => item.id === target)) {
-              const item = { ...sessionData.worldData.items[target], id: target };
-              sessionData.inventory.push(item);
-              result.inventoryUpdate = item;
-            }
-          } else {
-            result.message = 'You examine it closely...';
-          }
-          break;
-
-        case 'use':
-          // Check if item is in inventory
-          const item = sessionData.inventory.find(i => i.id === target);
-          if (!item) {
-            result.success = false;
-            result.message = 'You don\'t have that item';
-          } else {
-            result.message = `You use the ${item.name}`;
-            // Additional use logic can be implemented here
-          }
-          break;
-
-        case 'take':
-          if (sessionData.worldData.items?.[target] && !sessionData.inventory.find(item => item.id === target)) {
-            const item = { ...sessionData.worldData.items[target], id: target };
-            sessionData.inventory.push(item);
-            result.inventoryUpdate = item;
-            result.message = `You take the ${item.name}`;
-          } else {
-            result.success = false;
-            result.message = 'You can\'t take that';
-          }
-          break;
-      }
+      const step = await SessionAction.findOne({
+        where: {
+          session_id: session.id,
+          step: req.body.step
+        }
+      });
 
-      // Update cache
-      await redis.setex(
-        `session:${sessionId}`,
-        3600,
-        JSON.stringify(sessionData)
-      );
+      if (!step) {
+        return res.status(404).json({ error: 'Step not found' });
+      }
 
-      // Update database
-      session.current_location = sessionData.currentLocation;
-      session.inventory = sessionData.inventory;
-      session.game_state = sessionData.gameState;
-      session.last_played_at = new Date();
-      await session.save();
+      const { session: current, worldData } = await gameSessions.rewindSession(session, step, {
+        branch: req.body.branch === true || req.body.branch === 'true',
+        sessionName: req.body.sessionName
+      });
 
-      res.json(result);
+      res.json({
+        sessionId: current.id,
+        sessionName: current.session_name,
+        parentSessionId: current.parent_session_id,
+        branchedFromStep: current.branched_from_step,
+        currentLocation: current.current_location,
+        locationData: worldRules.presentLocation(
+          worldData,
+          current.current_location,
+          current.game_state,
+          current.inventory
+        ),
+        inventory: current.inventory,
+        gameState: current.game_state,
+        stats: current.stats,
+        ending: worldRules.describeEnding(worldData, current.game_state?.ending)
+      });
     } catch (error) {
       next(error);
     }
   }
 );
 
+// Preview upgrading a session to the latest revision of its world
+router.get('/upgrade/:sessionId', async (req, res, next) => {
+  try {
+    const session = await GameSession.findOne({
+      where: {
+        id: req.params.sessionId,
+        user_id: req.user.id,
+        is_active: true
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Game session not found' });
+    }
+
+    res.json(await gameSessions.upgradeSession(session));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upgrade a session to the latest revision of its world
+router.post('/upgrade/:sessionId', async (req, res, next) => {
+  try {
+    const session = await GameSession.findOne({
+      where: {
+        id: req.params.sessionId,
+        user_id: req.user.id,
+        is_active: true
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Game session not found' });
+    }
+
+    const upgrade = await gameSessions.upgradeSession(session, { apply: true });
+    if (!upgrade.upgradeAvailable) {
+      return res.status(409).json({ error: 'Session is already on the latest revision' });
+    }
+
+    res.json({
+      sessionId: session.id,
+      sessionName: session.session_name,
+      currentLocation: session.current_location,
+      locationData: worldRules.presentLocation(
+        upgrade.worldData,
+        session.current_location,
+        session.game_state,
+        session.inventory
+      ),
+      inventory: session.inventory,
+      gameState: session.game_state,
+      stats: session.stats,
+      worldRevision: session.world_revision,
+      fromRevision: upgrade.fromRevision,
+      notes: upgrade.notes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Save game
 router.post('/save',
   [
     body('sessionId').isUUID(),
-    body('saveName').notEmpty().isLength({ max: 255 })
+    body('saveName').notEmpty().isLength({ max: 255 }),
+    body('overwrite').optional().isBoolean()
   ],
   async (req, res, next) => {
     try {
@@ -303,7 +372,7 @@ router.post('/save',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { sessionId, saveName } = req.body;
+      const { sessionId, saveName, overwrite } = req.body;
 
       const session = await GameSession.findOne({
         where: {
@@ -316,22 +385,42 @@ router.post('/save',
         return res.status(404).json({ error: 'Game session not found' });
       }
 
-      const saveGame = await SaveGame.create({
-        session_id: sessionId,
-        user_id: req.user.id,
-        save_name: saveName,
-        save_data: {
-          current_location: session.current_location,
-          inventory: session.inventory,
-          game_state: session.game_state,
-          stats: session.stats
+      // Saving under an existing name replaces that save only when asked to
+      const existing = await SaveGame.findOne({
+        where: {
+          session_id: sessionId,
+          user_id: req.user.id,
+          save_name: saveName,
+          is_autosave: false
         }
       });
 
-      logger.info(`Game saved: ${saveName} for user ${req.user.username}`);
+      if (existing && !overwrite) {
+        return res.status(409).json({
+          error: 'A save with this name already exists',
+          saveId: existing.id
+        });
+      }
+
+      let saveGame;
+      if (existing) {
+        existing.save_data = saveGames.buildSaveData(session);
+        existing.created_at = new Date();
+        saveGame = await existing.save();
+      } else {
+        saveGame = await SaveGame.create({
+          session_id: sessionId,
+          user_id: req.user.id,
+          save_name: saveName,
+          save_data: saveGames.buildSaveData(session)
+        });
+      }
+
+      logger.info(`Game saved: ${saveName} for user ${req.user.username}${existing ? ' (overwritten)' : ''}`);
 
       res.json({
         saveId: saveGame.id,
+        overwritten: !!existing,
         message: 'Game saved successfully'
       });
     } catch (error) {
@@ -340,6 +429,43 @@ router.post('/save',
   }
 );
 
+// Autosave into the session's rotating slots (throttled server-side)
+router.post('/autosave',
+  [
+    body('sessionId').isUUID()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const session = await GameSession.findOne({
+        where: {
+          id: req.body.sessionId,
+          user_id: req.user.id,
+          is_active: true
+        }
+      });
+
+      if (!session) {
+        return res.status(404).json({ error: 'Game session not found' });
+      }
+
+      const { saved, save, nextAutosaveAt } = await saveGames.autosave(session);
+
+      res.json({
+        saved,
+        saveId: save.id,
+        nextAutosaveAt
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Load saved game
 router.post('/load/:saveId', async (req, res, next) => {
   try {
@@ -368,29 +494,41 @@ router.post('/load/:saveId', async (req, res, next) => {
     session.inventory = saveGame.save_data.inventory;
     session.game_state = saveGame.save_data.game_state;
     session.stats = saveGame.save_data.stats;
+    if (saveGame.save_data.world_revision !== undefined) {
+      session.world_revision = saveGame.save_data.world_revision;
+    }
+    // Saves made before overlays were saved keep the session's current one
+    if (saveGame.save_data.world_overlay !== undefined) {
+      session.world_overlay = saveGame.save_data.world_overlay;
+    }
+    worldCompletions.syncCompletion(session);
     session.last_played_at = new Date();
     await session.save();
+    await gameSessions.recordStep(session, { action: 'load', target: saveGame.id });
 
-    // Update cache
-    await redis.setex(
-      `session:${session.id}`,
-      3600,
-      JSON.stringify({
-        worldData: session.world.world_data,
-        currentLocation: session.current_location,
-        inventory: session.inventory,
-        gameState: session.game_state
-      })
+    // Update cache with the revision the save was made on
+    const { worldData } = await gameSessions.cacheSession(
+      session.id,
+      gameSessions.buildSessionData(session, await worldRevisions.getSessionWorldData(session))
     );
 
     res.json({
       sessionId: session.id,
       sessionName: session.session_name,
       currentLocation: session.current_location,
-      locationData: session.world.world_data.locations[session.current_location],
+      locationData: worldRules.presentLocation(
+        worldData,
+        session.current_location,
+        session.game_state,
+        session.inventory
+      ),
       inventory: session.inventory,
       gameState: session.game_state,
-      stats: session.stats
+      stats: session.stats,
+      ending: worldRules.describeEnding(worldData, session.game_state?.ending),
+      completedAt: session.completed_at,
+      worldRevision: session.world_revision,
+      latestRevision: session.world.current_revision
     });
   } catch (error) {
     next(error);
@@ -420,4 +558,150 @@ router.get('/saves', async (req, res, next) => {
   }
 });
 
+// Delete a saved game
+router.delete('/saves/:saveId', async (req, res, next) => {
+  try {
+    const saveGame = await SaveGame.findOne({
+      where: {
+        id: req.params.saveId,
+        user_id: req.user.id
+      }
+    });
+
+    if (!saveGame) {
+      return res.status(404).json({ error: 'Save game not found' });
+    }
+
+    await saveGame.destroy();
+
+    res.json({ message: 'Save deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a saved game as a signed save file
+router.get('/saves/:saveId/export', async (req, res, next) => {
+  try {
+    const saveGame = await SaveGame.findOne({
+      where: {
+        id: req.params.saveId,
+        user_id: req.user.id
+      },
+      include: [{
+        model: GameSession,
+        as: 'session',
+        include: [{
+          model: World,
+          as: 'world'
+        }]
+      }]
+    });
+
+    if (!saveGame) {
+      return res.status(404).json({ error: 'Save game not found' });
+    }
+
+    const file = saveGames.exportSave(saveGame, saveGame.session.world);
+    const fileName = saveGame.save_name.replace(/[^a-z0-9-_ ]/gi, '').trim() || 'save';
+
+    res.attachment(`${fileName}.json`);
+    res.json(file);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import a save file, into an existing session of the same world or a new one
+router.post('/saves/import',
+  rateLimiter.upload,
+  saveUpload.single('saveFile'),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'Save file required' });
+      }
+
+      const text = await fs.readFile(req.file.path, 'utf8');
+      await fs.remove(req.file.path);
+
+      const { file, error } = saveGames.readSaveFile(text);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const world = await World.findByPk(file.world.id);
+      if (!world) {
+        return res.status(400).json({ error: 'The world this save was made for no longer exists' });
+      }
+
+      if (!world.is_public && world.author_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      let session = null;
+      if (req.body.sessionId) {
+        session = await GameSession.findOne({
+          where: {
+            id: req.body.sessionId,
+            user_id: req.user.id
+          }
+        });
+
+        if (!session) {
+          return res.status(404).json({ error: 'Game session not found' });
+        }
+
+        if (session.world_id !== world.id) {
+          return res.status(400).json({ error: 'Save file belongs to a different world' });
+        }
+      }
+
+      // The location must exist in the revision the save was made on, with its overlay
+      const saveData = file.save.data;
+      const worldData = await worldRevisions.getSessionWorldData({
+        world_id: world.id,
+        world_revision: saveData.world_revision,
+        world
+      });
+      const playedWorld = worldOverlays.applyOverlay(worldData, saveData.world_overlay);
+      if (!playedWorld.locations?.[saveData.current_location]) {
+        return res.status(400).json({ error: 'Save file does not match this world' });
+      }
+
+      if (!session) {
+        session = await GameSession.create({
+          user_id: req.user.id,
+          world_id: world.id,
+          session_name: `${world.name} - ${file.save.name}`,
+          world_revision: saveData.world_revision,
+          current_location: saveData.current_location,
+          game_state: saveData.game_state,
+          inventory: saveData.inventory,
+          stats: saveData.stats || {},
+          world_overlay: saveData.world_overlay || {}
+        });
+        await gameSessions.recordStep(session, { action: 'start' });
+      }
+
+      const saveGame = await SaveGame.create({
+        session_id: session.id,
+        user_id: req.user.id,
+        save_name: `${file.save.name} (imported)`.slice(0, 255),
+        save_data: saveData
+      });
+
+      logger.info(`Save file imported: ${file.save.name} for user ${req.user.username}`);
+
+      res.status(201).json({
+        saveId: saveGame.id,
+        sessionId: session.id,
+        message: 'Save imported successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
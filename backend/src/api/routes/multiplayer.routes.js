@@ -1,8 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { MultiplayerRoom, RoomParticipant, World, User } = require('../../models');
-const { redis } = require('../../config/redis');
+const { MultiplayerRoom, RoomParticipant, RoomSummary, World, User } = require('../../models');
+const multiplayerRooms = require('../../services/multiplayerRooms');
+const roomLifecycle = require('../../services/roomLifecycle');
+const { DECISION_MODES } = require('../../services/roomDecisions');
+const matchmaking = require('../../services/matchmaking');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
@@ -13,7 +16,17 @@ router.post('/rooms',
     body('worldId').isUUID(),
     body('roomName').optional().isLength({ max: 255 }),
     body('maxPlayers').optional().isInt({ min: 2, max: 10 }),
-    body('isPrivate').optional().isBoolean()
+    body('isPrivate').optional().isBoolean(),
+    body('decisionMode').optional().isIn(DECISION_MODES),
+    body('voteDuration').optional().isInt({ min: 5, max: 300 }),
+    body('maxSpectators').optional({ nullable: true }).isInt({ min: 0, max: 100 }),
+    body('partyMode').optional().isIn(multiplayerRooms.PARTY_MODES).custom((partyMode, { req }) => {
+      // A split party can't all be voting on or waiting for one scene
+      if (partyMode === 'split' && !multiplayerRooms.SPLIT_DECISION_MODES.includes(req.body.decisionMode || 'free')) {
+        throw new Error(`Split parties can only use the ${multiplayerRooms.SPLIT_DECISION_MODES.join(' or ')} decision mode`);
+      }
+      return true;
+    })
   ],
   async (req, res, next) => {
     try {
@@ -22,7 +35,16 @@ router.post('/rooms',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { worldId, roomName, maxPlayers = 4, isPrivate = false } = req.body;
+      const {
+        worldId,
+        roomName,
+        maxPlayers = 4,
+        isPrivate = false,
+        decisionMode = 'free',
+        voteDuration = 30,
+        maxSpectators = null,
+        partyMode = 'together'
+      } = req.body;
 
       // Verify world exists
       const world = await World.findByPk(worldId);
@@ -30,58 +52,20 @@ router.post('/rooms',
         return res.status(404).json({ error: 'World not found' });
       }
 
-      // Generate unique room code
-      let roomCode;
-      let attempts = 0;
-      do {
-        roomCode = MultiplayerRoom.generateRoomCode();
-        const existing = await MultiplayerRoom.findOne({ where: { room_code: roomCode } });
-        if (!existing) break;
-        attempts++;
-      } while (attempts < 10);
-
-      if (attempts >= 10) {
+      const room = await multiplayerRooms.openRoom(world, req.user, {
+        roomName,
+        maxPlayers,
+        isPrivate,
+        decisionMode,
+        voteDuration,
+        maxSpectators,
+        partyMode
+      });
+      if (!room) {
         return res.status(500).json({ error: 'Failed to generate room code' });
       }
 
-      // Create room
-      const room = await MultiplayerRoom.create({
-        world_id: worldId,
-        host_id: req.user.id,
-        room_code: roomCode,
-        room_name: roomName || `${req.user.display_name || req.user.username}'s Room`,
-        max_players: maxPlayers,
-        current_players: 1,
-        is_private: isPrivate,
-        game_state: {
-          players: {},
-          currentLocation: world.world_data.startLocation
-        }
-      });
-
-      // Add host as participant
-      await RoomParticipant.create({
-        room_id: room.id,
-        user_id: req.user.id,
-        player_state: {
-          location: world.world_data.startLocation,
-          inventory: [],
-          ready: false
-        }
-      });
-
-      // Cache room data
-      await redis.setex(
-        `room:${room.id}`,
-        3600 * 4, // 4 hours TTL
-        JSON.stringify({
-          worldData: world.world_data,
-          gameState: room.game_state,
-          players: [{ id: req.user.id, username: req.user.username }]
-        })
-      );
-
-      logger.info(`Multiplayer room created: ${roomCode} by user ${req.user.username}`);
+      logger.info(`Multiplayer room created: ${room.room_code} by user ${req.user.username}`);
 
       res.status(201).json({
         room,
@@ -93,10 +77,19 @@ router.post('/rooms',
   }
 );
 
-// Join multiplayer room
+// Join multiplayer room, as a player or (with `spectate`) as a spectator.
+// Rooms are found by code, or by ID for a shared link to a public room.
 router.post('/rooms/join',
   [
-    body('roomCode').notEmpty().isLength({ min: 6, max: 6 })
+    body('roomCode').optional().isLength({ min: 6, max: 6 }),
+    body('roomId').optional().isUUID(),
+    body().custom(value => {
+      if (!value.roomCode && !value.roomId) {
+        throw new Error('roomCode or roomId is required');
+      }
+      return true;
+    }),
+    body('spectate').optional().isBoolean()
   ],
   async (req, res, next) => {
     try {
@@ -105,14 +98,15 @@ router.post('/rooms/join',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { roomCode } = req.body;
+      const { roomCode, roomId, spectate = false } = req.body;
+      const role = spectate ? 'spectator' : 'player';
 
-      // Find room
+      // Find room; private rooms can only be joined with their code
+      const where = roomCode
+        ? { room_code: roomCode.toUpperCase(), is_active: true }
+        : { id: roomId, is_active: true, is_private: false };
       const room = await MultiplayerRoom.findOne({
-        where: {
-          room_code: roomCode.toUpperCase(),
-          is_active: true
-        },
+        where,
         include: [
           {
             model: World,
@@ -134,45 +128,61 @@ router.post('/rooms/join',
         return res.status(404).json({ error: 'Room not found or inactive' });
       }
 
-      // Check if room is full
-      if (room.current_players >= room.max_players) {
-        return res.status(400).json({ error: 'Room is full' });
+      // Add participant; the room's places are checked under its lock
+      const { error } = await multiplayerRooms.addParticipant(room.id, req.user, role, room.world.world_data);
+      if (error) {
+        return res.status(400).json({ error });
       }
+      await room.reload();
 
-      // Check if already in room
-      const existingParticipant = room.participants.find(p => p.user_id === req.user.id && !p.left_at);
-      if (existingParticipant) {
-        return res.status(400).json({ error: 'Already in this room' });
-      }
+      logger.info(`User ${req.user.username} joined room ${room.room_code} as ${role}`);
 
-      // Add participant
-      await RoomParticipant.create({
-        room_id: room.id,
-        user_id: req.user.id,
-        player_state: {
-          location: room.world.world_data.startLocation,
-          inventory: [],
-          ready: false
-        }
+      res.json({
+        room,
+        role,
+        worldData: room.world.world_data
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      // Update player count
-      room.current_players += 1;
-      await room.save();
-
-      // Update cache
-      const cachedData = await redis.get(`room:${room.id}`);
-      if (cachedData) {
-        const data = JSON.parse(cachedData);
-        data.players.push({ id: req.user.id, username: req.user.username });
-        await redis.setex(`room:${room.id}`, 3600 * 4, JSON.stringify(data));
+// Quick match: join an open public room for a world (or tag) and party
+// size, or wait in the queue for enough players to open one. Matches are
+// also announced as 'match_found' on the player's sockets.
+router.post('/queue',
+  [
+    body('worldId').optional().isUUID(),
+    body('tag').optional().isString().isLength({ min: 1, max: 50 }),
+    body().custom(value => {
+      if (!value.worldId === !value.tag) {
+        throw new Error('worldId or tag is required');
+      }
+      return true;
+    }),
+    body('partySize').isInt({ min: matchmaking.MIN_PARTY_SIZE, max: matchmaking.MAX_PARTY_SIZE }).toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      logger.info(`User ${req.user.username} joined room ${roomCode}`);
+      const { worldId, tag, partySize } = req.body;
+      const result = await matchmaking.enqueue(req.user, { worldId, tag, partySize });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
 
-      res.json({
-        room,
-        worldData: room.world.world_data
+      if (result.matched) {
+        return res.json({ matched: true, room: result.room });
+      }
+      res.status(202).json({
+        matched: false,
+        ticket: result.ticket,
+        position: result.position
       });
     } catch (error) {
       next(error);
@@ -180,6 +190,34 @@ router.post('/rooms/join',
   }
 );
 
+// Current quick-match ticket
+router.get('/queue', async (req, res, next) => {
+  try {
+    const queued = await matchmaking.status(req.user.id);
+    if (!queued) {
+      return res.status(404).json({ error: 'Not in the queue' });
+    }
+
+    res.json(queued);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Leave the quick-match queue
+router.delete('/queue', async (req, res, next) => {
+  try {
+    const cancelled = await matchmaking.cancel(req.user.id);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Not in the queue' });
+    }
+
+    res.json({ message: 'Left the queue' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get active rooms
 router.get('/rooms', async (req, res, next) => {
   try {
@@ -203,8 +241,21 @@ router.get('/rooms', async (req, res, next) => {
           model: User,
           as: 'host',
           attributes: ['id', 'username', 'display_name']
+        },
+        {
+          model: RoomParticipant,
+          as: 'participants',
+          where: { left_at: null },
+          required: false,
+          attributes: ['id', 'user_id', 'role', 'connection_status', 'disconnected_at'],
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'username', 'display_name']
+          }]
         }
       ],
+      distinct: true,
       order: [['created_at', 'DESC']],
       limit: parseInt(limit),
       offset: parseInt(offset)
@@ -221,6 +272,39 @@ router.get('/rooms', async (req, res, next) => {
   }
 });
 
+// Paused rooms the current user has a place in, to pick up again
+router.get('/rooms/paused', async (req, res, next) => {
+  try {
+    const rooms = await MultiplayerRoom.findAll({
+      where: { status: 'paused' },
+      include: [
+        {
+          model: RoomParticipant,
+          as: 'participants',
+          where: { user_id: req.user.id, left_at: null },
+          attributes: ['role']
+        },
+        {
+          model: World,
+          as: 'world',
+          attributes: ['id', 'name', 'description']
+        },
+        {
+          model: User,
+          as: 'host',
+          attributes: ['id', 'username', 'display_name']
+        }
+      ],
+      attributes: { exclude: ['paused_state'] },
+      order: [['paused_at', 'DESC']]
+    });
+
+    res.json({ rooms });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get room details
 router.get('/rooms/:roomId', async (req, res, next) => {
   try {
@@ -264,44 +348,44 @@ router.get('/rooms/:roomId', async (req, res, next) => {
   }
 });
 
-// Leave room
+// Leave room. A host leaving hands the room to another player; the last
+// player leaving closes it.
 router.post('/rooms/:roomId/leave', async (req, res, next) => {
   try {
-    const room = await MultiplayerRoom.findByPk(req.params.roomId);
-    
-    if (!room) {
-      return res.status(404).json({ error: 'Room not found' });
+    const { error, status } = await roomLifecycle.leaveRoom(req.params.roomId, req.user);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    const participant = await RoomParticipant.findOne({
-      where: {
-        room_id: room.id,
-        user_id: req.user.id,
-        left_at: null
-      }
-    });
+    res.json({ message: 'Left room successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!participant) {
-      return res.status(400).json({ error: 'Not in this room' });
+// Pause a room (host only); its state is kept until a player resumes it
+router.post('/rooms/:roomId/pause', async (req, res, next) => {
+  try {
+    const { error, room } = await roomLifecycle.pauseRoom(req.params.roomId, 'host', req.user);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Mark participant as left
-    participant.left_at = new Date();
-    await participant.save();
+    res.json({ message: 'Room paused', pausedAt: room.paused_at });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update player count
-    room.current_players = Math.max(0, room.current_players - 1);
-    
-    // If host leaves, close the room
-    if (room.host_id === req.user.id) {
-      room.is_active = false;
+// Resume a paused room the current user plays in
+router.post('/rooms/:roomId/resume', async (req, res, next) => {
+  try {
+    const { error, room } = await roomLifecycle.resumeRoom(req.params.roomId, req.user);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    
-    await room.save();
 
-    logger.info(`User ${req.user.username} left room ${room.room_code}`);
-
-    res.json({ message: 'Left room successfully' });
+    res.json({ room });
   } catch (error) {
     next(error);
   }
@@ -319,21 +403,12 @@ router.put('/rooms/:roomId/state',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const participant = await RoomParticipant.findOne({
-        where: {
-          room_id: req.params.roomId,
-          user_id: req.user.id,
-          left_at: null
-        }
-      });
-
-      if (!participant) {
+      // Location and inventory come from the room's game state, not the client
+      const playerState = await multiplayerRooms.updatePlayerState(req.params.roomId, req.user.id, req.body.playerState);
+      if (!playerState) {
         return res.status(404).json({ error: 'Not in this room' });
       }
 
-      participant.player_state = { ...participant.player_state, ...req.body.playerState };
-      await participant.save();
-
       res.json({ message: 'State updated' });
     } catch (error) {
       next(error);
@@ -341,4 +416,46 @@ router.put('/rooms/:roomId/state',
   }
 );
 
+// Summaries of closed rooms the current user took part in, newest first
+router.get('/summaries', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const summaries = await RoomSummary.findAndCountAll({
+      where: { participant_ids: { [Op.contains]: [req.user.id] } },
+      include: [{ model: World, as: 'world', attributes: ['id', 'name'] }],
+      order: [['closed_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      summaries: summaries.rows,
+      total: summaries.count,
+      page: parseInt(page),
+      totalPages: Math.ceil(summaries.count / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One room's summary, for those who took part
+router.get('/rooms/:roomId/summary', async (req, res, next) => {
+  try {
+    const summary = await RoomSummary.findOne({
+      where: { room_id: req.params.roomId },
+      include: [{ model: World, as: 'world', attributes: ['id', 'name'] }]
+    });
+    if (!summary || (!summary.participant_ids.includes(req.user.id) && !req.user.is_admin)) {
+      return res.status(404).json({ error: 'Summary not found' });
+    }
+
+    res.json({ summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
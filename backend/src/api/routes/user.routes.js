@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
 const { User, World, GameSession, UserAchievement, Achievement } = require('../../models');
 const authentication = require('../../middleware/authentication');
+const worldCompletions = require('../../services/worldCompletions');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
@@ -133,8 +135,9 @@ router.get('/achievements', async (req, res, next) => {
       order: [['earned_at', 'DESC']]
     });
 
-    // Get all available achievements
+    // Get all available achievements; author-defined ones stay hidden until earned
     const allAchievements = await Achievement.findAll({
+      where: { world_id: null },
       order: [['category', 'ASC'], ['points', 'ASC']]
     });
 
@@ -159,7 +162,9 @@ router.get('/stats', async (req, res, next) => {
       gamesPlayed,
       totalPlayTime,
       achievements,
-      worldsPlayed
+      worldsPlayed,
+      gamesCompleted,
+      endings
     ] = await Promise.all([
       World.count({ where: { author_id: req.user.id } }),
       GameSession.count({ where: { user_id: req.user.id } }),
@@ -171,7 +176,11 @@ router.get('/stats', async (req, res, next) => {
         where: { user_id: req.user.id },
         distinct: true,
         col: 'world_id'
-      })
+      }),
+      GameSession.count({
+        where: { user_id: req.user.id, completed_at: { [Op.ne]: null } }
+      }),
+      worldCompletions.getUserEndingStats(req.user.id)
     ]);
 
     res.json({
@@ -179,7 +188,12 @@ router.get('/stats', async (req, res, next) => {
       gamesPlayed,
       totalPlayTimeHours: Math.round(totalPlayTime || 0),
       achievementsEarned: achievements,
-      worldsPlayed
+      worldsPlayed,
+      gamesCompleted,
+      endingsDiscovered: endings.discovered,
+      endingsTotal: endings.total,
+      worldsCompleted: endings.worldsCompleted,
+      endingsByWorld: endings.worlds
     });
   } catch (error) {
     next(error);
@@ -1,39 +1,50 @@
 const express = require('express');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const { body, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { World, User, WorldRating } = require('../../models');
+const { World, User, WorldRating, WorldRevision } = require('../../models');
 const rateLimiter = require('../../middleware/rateLimiter');
 const authentication = require('../../middleware/authentication');
+const { worldUpload } = require('../../middleware/upload');
+const { validateWorld } = require('../../services/worldValidator');
+const worldRevisions = require('../../services/worldRevisions');
+const worldBundles = require('../../services/worldBundles');
+const worldCompletions = require('../../services/worldCompletions');
+const achievements = require('../../services/achievements');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
 
-// Configure multer for world file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../../../uploads/worlds');
-    await fs.ensureDir(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + '.json');
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    if (path.extname(file.originalname) !== '.json') {
-      return cb(new Error('Only JSON files are allowed'));
+const isBundle = (file) => path.extname(file.originalname).toLowerCase() === '.zip';
+
+// Read world JSON from an uploaded file or bundle, or the request body, keeping
+// the raw text when we have it so validation can report line numbers.
+// Returns { payload, assets } or { error } for a bundle that was rejected.
+const readWorldPayload = async (req) => {
+  if (req.file) {
+    const contents = await fs.readFile(req.file.path);
+    await fs.remove(req.file.path);
+    if (isBundle(req.file)) {
+      const bundle = worldBundles.readBundle(contents);
+      return bundle.error ? bundle : { payload: bundle.worldText, assets: bundle.assets };
     }
-    cb(null, true);
+    return { payload: contents.toString('utf8'), assets: [] };
   }
-});
+  if (req.body.worldData !== undefined) {
+    return { payload: req.body.worldData, assets: [] };
+  }
+  return { payload: null, assets: [] };
+};
+
+const parseWorldPayload = (payload) => {
+  return typeof payload === 'string' ? JSON.parse(payload) : payload;
+};
+
+// Private worlds and their revisions are only visible to the author and admins
+const canView = (world, user) => {
+  return world.is_public || (user && (user.id === world.author_id || user.is_admin));
+};
 
 // Get all public worlds
 router.get('/', async (req, res, next) => {
@@ -124,7 +135,7 @@ router.get('/:id', async (req, res, next) => {
 router.post('/',
   authentication.required,
   rateLimiter.upload,
-  upload.single('worldFile'),
+  worldUpload.single('worldFile'),
   [
     body('name').optional().isLength({ min: 1, max: 255 }),
     body('description').optional().isLength({ max: 1000 }),
@@ -138,36 +149,48 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      let worldData;
-      
-      if (req.file) {
-        // Upload from file
-        const fileContent = await fs.readFile(req.file.path, 'utf8');
-        worldData = JSON.parse(fileContent);
-        
-        // Clean up uploaded file
-        await fs.remove(req.file.path);
-      } else if (req.body.worldData) {
-        // Direct JSON submission
-        worldData = req.body.worldData;
-      } else {
+      const { payload, assets, error } = await readWorldPayload(req);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (payload === null) {
         return res.status(400).json({ error: 'World data required' });
       }
 
-      // Validate world structure
-      if (!worldData.worldInfo || !worldData.locations || !worldData.startLocation) {
-        return res.status(400).json({ error: 'Invalid world data structure' });
+      // Validate world structure and references
+      const validation = validateWorld(payload);
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Invalid world data',
+          errors: validation.errors,
+          warnings: validation.warnings
+        });
       }
 
-      const world = await World.create({
-        name: req.body.name || worldData.worldInfo.name,
-        description: req.body.description || worldData.worldInfo.description,
-        author_id: req.user.id,
-        world_data: worldData,
-        tags: req.body.tags || [],
-        is_public: req.body.isPublic !== false,
-        version: worldData.worldInfo.version || '1.0.0'
-      });
+      // Bundled assets are served from /uploads and referenced by URL
+      const { worldData, thumbnailUrl, bundleId } = await worldBundles.extractAssets(
+        parseWorldPayload(payload),
+        assets
+      );
+
+      let world;
+      try {
+        world = await World.create({
+          name: req.body.name || worldData.worldInfo.name,
+          description: req.body.description || worldData.worldInfo.description,
+          author_id: req.user.id,
+          world_data: worldData,
+          thumbnail_url: thumbnailUrl,
+          tags: req.body.tags || [],
+          // Multipart uploads send booleans as strings
+          is_public: req.body.isPublic !== false && req.body.isPublic !== 'false',
+          version: worldData.worldInfo.version || '1.0.0'
+        });
+        await worldRevisions.saveWorldData(world, worldData, { authorId: req.user.id });
+      } catch (error) {
+        await worldBundles.removeBundle(bundleId);
+        throw error;
+      }
 
       await world.reload({
         include: [{
@@ -179,7 +202,36 @@ router.post('/',
 
       logger.info(`New world created: ${world.name} by user ${req.user.username}`);
 
-      res.status(201).json(world);
+      if (world.is_public) {
+        await achievements.evaluate(world.author_id, 'world_published', { world });
+      }
+
+      res.status(201).json({
+        ...world.toJSON(),
+        validation: { warnings: validation.warnings }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Validate world data without saving it
+router.post('/validate',
+  authentication.required,
+  rateLimiter.upload,
+  worldUpload.single('worldFile'),
+  async (req, res, next) => {
+    try {
+      const { payload, error } = await readWorldPayload(req);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (payload === null) {
+        return res.status(400).json({ error: 'World data required' });
+      }
+
+      res.json(validateWorld(payload));
     } catch (error) {
       next(error);
     }
@@ -194,7 +246,8 @@ router.put('/:id',
     body('description').optional().isLength({ max: 1000 }),
     body('tags').optional().isArray(),
     body('isPublic').optional().isBoolean(),
-    body('worldData').optional()
+    body('worldData').optional(),
+    body('migration').optional().isObject()
   ],
   async (req, res, next) => {
     try {
@@ -219,24 +272,196 @@ router.put('/:id',
       if (req.body.description) world.description = req.body.description;
       if (req.body.tags) world.tags = req.body.tags;
       if (req.body.isPublic !== undefined) world.is_public = req.body.isPublic;
+
+      let validation = null;
       if (req.body.worldData) {
-        // Validate world data structure
-        if (!req.body.worldData.worldInfo || !req.body.worldData.locations || !req.body.worldData.startLocation) {
-          return res.status(400).json({ error: 'Invalid world data structure' });
+        // Validate world structure and references
+        validation = validateWorld(req.body.worldData);
+        if (!validation.valid) {
+          return res.status(400).json({
+            error: 'Invalid world data',
+            errors: validation.errors,
+            warnings: validation.warnings
+          });
+        }
+        const worldData = parseWorldPayload(req.body.worldData);
+
+        if (req.body.migration) {
+          const migrationErrors = worldRevisions.validateMigration(req.body.migration, world.world_data, worldData);
+          if (migrationErrors.length > 0) {
+            return res.status(400).json({
+              error: 'Invalid migration',
+              errors: migrationErrors,
+              warnings: []
+            });
+          }
         }
-        world.world_data = req.body.worldData;
-        world.version = req.body.worldData.worldInfo.version || world.version;
+
+        // Stored as a new revision; sessions stay on the one they started with
+        await worldRevisions.saveWorldData(world, worldData, {
+          migration: req.body.migration || null,
+          authorId: req.user.id
+        });
+      } else {
+        await world.save();
       }
 
-      await world.save();
+      if (world.is_public) {
+        await achievements.evaluate(world.author_id, 'world_published', { world });
+      }
 
-      res.json(world);
+      res.json(validation ? { ...world.toJSON(), validation: { warnings: validation.warnings } } : world);
     } catch (error) {
       next(error);
     }
   }
 );
 
+// List a world's revisions
+router.get('/:id/revisions', async (req, res, next) => {
+  try {
+    const world = await World.findByPk(req.params.id);
+
+    if (!world) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+
+    if (!canView(world, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const revisions = await WorldRevision.findAll({
+      where: { world_id: world.id },
+      attributes: ['revision', 'version', 'migration', 'author_id', 'created_at'],
+      order: [['revision', 'DESC']]
+    });
+
+    res.json({
+      currentRevision: world.current_revision,
+      revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Diff two revisions of a world (defaults to the latest against the one before)
+router.get('/:id/diff', async (req, res, next) => {
+  try {
+    const world = await World.findByPk(req.params.id);
+
+    if (!world) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+
+    if (!canView(world, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const to = parseInt(req.query.to) || world.current_revision;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const revisions = await WorldRevision.findAll({
+      where: { world_id: world.id, revision: [from, to] }
+    });
+    const fromRevision = revisions.find(r => r.revision === from);
+    const toRevision = revisions.find(r => r.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from,
+      to,
+      diff: worldRevisions.diffWorlds(fromRevision.world_data, toRevision.world_data),
+      migration: from === to - 1 ? toRevision.migration : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single revision's world data
+router.get('/:id/revisions/:revision', async (req, res, next) => {
+  try {
+    const world = await World.findByPk(req.params.id);
+
+    if (!world) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+
+    if (!canView(world, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const revision = await WorldRevision.findOne({
+      where: {
+        world_id: world.id,
+        revision: parseInt(req.params.revision)
+      }
+    });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Completion stats: which endings players reach and in how many moves
+router.get('/:id/stats', async (req, res, next) => {
+  try {
+    const world = await World.findByPk(req.params.id);
+
+    if (!world) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+
+    if (!canView(world, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const stats = await worldCompletions.getWorldStats(world, {
+      viewerId: req.user?.id,
+      revealAll: !!req.user && (req.user.id === world.author_id || req.user.is_admin)
+    });
+
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export a world as a bundle: world.json plus the assets it references
+router.get('/:id/export', async (req, res, next) => {
+  try {
+    const world = await World.findByPk(req.params.id);
+
+    if (!world) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+
+    if (!canView(world, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const bundle = await worldBundles.exportBundle(world.world_data);
+    const fileName = `${world.name.replace(/[^a-z0-9-_ ]/gi, '').trim() || 'world'}.zip`;
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(bundle);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Delete world
 router.delete('/:id',
   authentication.required,
@@ -253,7 +478,13 @@ router.delete('/:id',
         return res.status(403).json({ error: 'Access denied' });
       }
 
+      const revisions = await WorldRevision.findAll({
+        where: { world_id: world.id },
+        attributes: ['world_data']
+      });
+
       await world.destroy();
+      await worldBundles.removeAssets([world.world_data, ...revisions.map(r => r.world_data)]);
 
       logger.info(`World deleted: ${world.name} by user ${req.user.username}`);
 
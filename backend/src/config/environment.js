@@ -31,6 +31,37 @@ const validateJWTSecret = (secret, name) => {
 validateJWTSecret(process.env.JWT_SECRET, 'JWT_SECRET');
 validateJWTSecret(process.env.JWT_REFRESH_SECRET, 'JWT_REFRESH_SECRET');
 
+// "openai:gpt-4o, anthropic:claude-3-5-sonnet-latest" → [{ provider, model }]
+const parseRoute = (value, fallback) => {
+  return (value || fallback)
+    .split(',')
+    .map(target => target.trim())
+    .filter(Boolean)
+    .map(target => {
+      const [provider, ...model] = target.split(':');
+      return { provider, model: model.join(':') || null };
+    });
+};
+
+// A JSON object from the environment, or `fallback` when unset. Throws when
+// the variable is set to anything but a JSON object.
+const parseJSONEnv = (name, fallback = {}) => {
+  if (!process.env[name]) {
+    return fallback;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${name} must be a JSON object`);
+  }
+  return value;
+};
+
 const config = {
   // Environment
   NODE_ENV: process.env.NODE_ENV || 'development',
@@ -96,6 +127,52 @@ const config = {
     }
   },
   
+  // Save games
+  saves: {
+    signingSecret: process.env.SAVE_SIGNING_SECRET || process.env.JWT_SECRET,
+    autosave: {
+      slots: parseInt(process.env.AUTOSAVE_SLOTS) || 3,
+      intervalMinutes: parseInt(process.env.AUTOSAVE_INTERVAL_MINUTES) || 5
+    }
+  },
+  
+  // Multiplayer rooms
+  multiplayer: {
+    // How long a dropped player's place is held for them to reconnect
+    reconnectGraceSeconds: parseInt(process.env.ROOM_RECONNECT_GRACE_SECONDS) || 60,
+    // Room events kept for replay to clients resuming after a drop
+    replayBufferSize: parseInt(process.env.ROOM_REPLAY_BUFFER_SIZE) || 200,
+    // An open room nobody has been connected to for this long is paused
+    idlePauseMinutes: parseInt(process.env.ROOM_IDLE_PAUSE_MINUTES) || 30,
+    // A paused room nobody resumed within this long is closed
+    pausedRetentionDays: parseInt(process.env.ROOM_PAUSED_RETENTION_DAYS) || 7,
+    // How often the room sweeper runs
+    sweepIntervalSeconds: parseInt(process.env.ROOM_SWEEP_INTERVAL_SECONDS) || 60,
+    // How often each server checks for vote and grace deadlines that fell due
+    deadlineCheckMs: parseInt(process.env.ROOM_DEADLINE_CHECK_MS) || 1000
+  },
+  
+  // Quick-match queue
+  matchmaking: {
+    // How long a player waits in the queue before giving up
+    queueTimeoutSeconds: parseInt(process.env.MATCHMAKING_QUEUE_TIMEOUT_SECONDS) || 120,
+    // How often lapsed tickets are swept out
+    sweepIntervalSeconds: parseInt(process.env.MATCHMAKING_SWEEP_INTERVAL_SECONDS) || 10
+  },
+  
+  // Room chat and direct messages
+  chat: {
+    // Messages one socket may send per window
+    rateLimit: {
+      max: parseInt(process.env.CHAT_RATE_LIMIT_MAX) || 5,
+      windowSeconds: parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_SECONDS) || 10
+    },
+    // How long to wait for n8n moderation before using the word list
+    moderationTimeoutMs: parseInt(process.env.CHAT_MODERATION_TIMEOUT_MS) || 2000,
+    // Extra words for the local fallback list, comma separated
+    blockedWords: (process.env.CHAT_BLOCKED_WORDS || '').split(',').map(word => word.trim()).filter(Boolean)
+  },
+  
   // Rate limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) * 60 * 1000 || 15 * 60 * 1000,
@@ -129,12 +206,77 @@ const config = {
     console: process.env.NODE_ENV === 'development'
   },
   
-  // OpenAI (optional)
-  openai: {
-    apiKey: process.env.OPENAI_API_KEY,
-    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-    maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
-    enabled: process.env.ENABLE_AI_FEATURES === 'true' && !!process.env.OPENAI_API_KEY
+  // AI providers. Each feature is routed to a list of `provider:model`
+  // targets tried in order, so later ones are fallbacks for earlier ones.
+  // AI_PROVIDER=fake sends every feature to the offline fake provider.
+  ai: {
+    provider: process.env.AI_PROVIDER || null,
+    routes: {
+      default: parseRoute(process.env.AI_ROUTE_DEFAULT, `openai:${process.env.OPENAI_MODEL || 'gpt-3.5-turbo'}`),
+      story: parseRoute(process.env.AI_ROUTE_STORY, 'openai:gpt-4'),
+      dungeonMaster: parseRoute(process.env.AI_ROUTE_DUNGEON_MASTER, 'openai:gpt-4'),
+      worldBuilder: parseRoute(process.env.AI_ROUTE_WORLD_BUILDER, 'openai:gpt-4'),
+      image: parseRoute(process.env.AI_ROUTE_IMAGE, 'openai:dall-e-3'),
+      voice: parseRoute(process.env.AI_ROUTE_VOICE, 'openai:tts-1')
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000
+    },
+    anthropic: {
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 1024
+    },
+    fake: {
+      // Same seed and prompt, same answer
+      seed: process.env.AI_FAKE_SEED || 'adventure',
+      // JSON file of canned responses, merged over the built-in ones
+      fixtures: process.env.AI_FAKE_FIXTURES || null,
+      latencyMs: parseInt(process.env.AI_FAKE_LATENCY_MS) || 0,
+      // Pause between the words of a streamed answer
+      chunkDelayMs: parseInt(process.env.AI_FAKE_CHUNK_DELAY_MS) || 30
+    },
+    // How long one provider call may take before moving to the next target
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 60000,
+    // US dollars per 1K input/output tokens, plus `perCall` for images.
+    // Models not listed are priced as `default`.
+    pricing: {
+      default: { input: 0.01, output: 0.03 },
+      fake: { input: 0, output: 0 },
+      'gpt-4': { input: 0.03, output: 0.06 },
+      'gpt-4o': { input: 0.0025, output: 0.01 },
+      'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+      'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+      'claude-3-5-sonnet-latest': { input: 0.003, output: 0.015 },
+      'claude-3-5-haiku-latest': { input: 0.0008, output: 0.004 },
+      'claude-3-opus-20240229': { input: 0.015, output: 0.075 },
+      'dall-e-3': { perCall: 0.04 },
+      // Speech input is counted at four characters a token
+      'tts-1': { input: 0.06 },
+      ...parseJSONEnv('AI_PRICING')
+    },
+    budgets: {
+      // Share of a limit at which responses start carrying a warning
+      warnAt: parseFloat(process.env.AI_BUDGET_WARN_AT) || 0.8,
+      // Limits by plan: `user` for each player on the plan, `world` for each
+      // world whose author is on it. null means no limit.
+      tiers: {
+        free: {
+          user: { daily: { tokens: 20000, cost: 0.25 }, monthly: { tokens: 200000, cost: 2.5 } },
+          world: { daily: { tokens: 100000, cost: 1 }, monthly: { tokens: 1000000, cost: 10 } }
+        },
+        plus: {
+          user: { daily: { tokens: 100000, cost: 1.5 }, monthly: { tokens: 1500000, cost: 15 } },
+          world: { daily: { tokens: 500000, cost: 5 }, monthly: { tokens: 5000000, cost: 50 } }
+        },
+        pro: {
+          user: { daily: { tokens: 400000, cost: 6 }, monthly: { tokens: 6000000, cost: 60 } },
+          world: { daily: { tokens: 2000000, cost: 20 }, monthly: { tokens: 20000000, cost: 200 } }
+        },
+        ...parseJSONEnv('AI_BUDGET_TIERS')
+      }
+    }
   },
   
   // Email (optional)
@@ -196,7 +338,9 @@ const config = {
       credentials: true
     },
     pingTimeout: 60000,
-    pingInterval: 25000
+    pingInterval: 25000,
+    // How often each instance refreshes presence for its own sockets
+    presenceRefreshInterval: 2 * 60 * 1000
   }
 };
 
@@ -140,13 +140,27 @@ const cache = {
   }
 };
 
-// Real-time data utilities for multiplayer
+// Real-time data utilities for multiplayer.
+// Presence is tracked per socket so a user with several tabs or devices, on
+// any number of backend instances, stays online until the last one closes.
+// `online:<userId>` is a sorted set of socket IDs scored by when each entry
+// expires; instances refresh their own sockets, so entries left behind by an
+// instance that died lapse after PRESENCE_TTL.
+const PRESENCE_TTL = 300; // 5 minutes
+
+const presenceKey = (userId) => `online:${userId}`;
+
 const realtime = {
-  // Set user online status
+  // Set user online status for one of their sockets (also refreshes it)
   async setUserOnline(userId, socketId) {
     try {
-      await redis.setex(`online:${userId}`, 300, socketId); // 5 minutes TTL
-      await redis.sadd('online_users', userId);
+      const now = Date.now();
+      await redis.multi()
+        .zadd(presenceKey(userId), now + PRESENCE_TTL * 1000, socketId)
+        .zremrangebyscore(presenceKey(userId), '-inf', now)
+        .expire(presenceKey(userId), PRESENCE_TTL)
+        .sadd('online_users', userId)
+        .exec();
       return true;
     } catch (error) {
       logger.error('Error setting user online:', error);
@@ -154,22 +168,43 @@ const realtime = {
     }
   },
 
-  // Set user offline
-  async setUserOffline(userId) {
+  // Set user offline for one socket, or for all of them when socketId is
+  // left out. Returns whether the user is still online elsewhere.
+  async setUserOffline(userId, socketId = null) {
     try {
-      await redis.del(`online:${userId}`);
-      await redis.srem('online_users', userId);
-      return true;
+      if (socketId) {
+        await redis.zrem(presenceKey(userId), socketId);
+      } else {
+        await redis.del(presenceKey(userId));
+      }
+
+      const stillOnline = await realtime.isUserOnline(userId);
+      if (!stillOnline) {
+        await redis.srem('online_users', userId);
+      }
+      return stillOnline;
     } catch (error) {
       logger.error('Error setting user offline:', error);
       return false;
     }
   },
 
-  // Get online users
+  // Get online users, dropping any whose sockets have all lapsed
   async getOnlineUsers() {
     try {
-      return await redis.smembers('online_users');
+      const userIds = await redis.smembers('online_users');
+      if (userIds.length === 0) return [];
+
+      const now = Date.now();
+      const pipeline = redis.pipeline();
+      userIds.forEach(userId => pipeline.zcount(presenceKey(userId), now, '+inf'));
+      const counts = await pipeline.exec();
+
+      const lapsed = userIds.filter((userId, index) => !counts[index][1]);
+      if (lapsed.length > 0) {
+        await redis.srem('online_users', ...lapsed);
+      }
+      return userIds.filter((userId, index) => counts[index][1] > 0);
     } catch (error) {
       logger.error('Error getting online users:', error);
       return [];
@@ -179,11 +214,21 @@ const realtime = {
   // Check if user is online
   async isUserOnline(userId) {
     try {
-      return await redis.exists(`online:${userId}`);
+      return (await redis.zcount(presenceKey(userId), Date.now(), '+inf')) > 0;
     } catch (error) {
       logger.error('Error checking user online status:', error);
       return false;
     }
+  },
+
+  // IDs of a user's live sockets across every instance
+  async getUserSockets(userId) {
+    try {
+      return await redis.zrangebyscore(presenceKey(userId), Date.now(), '+inf');
+    } catch (error) {
+      logger.error('Error getting user sockets:', error);
+      return [];
+    }
   }
 };
 
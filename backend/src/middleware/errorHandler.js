@@ -50,6 +50,30 @@ class RateLimitError extends AppError {
   }
 }
 
+class AIUnavailableError extends AppError {
+  constructor(message = 'AI generation is unavailable', attempts = []) {
+    super(message, 503, 'AI_UNAVAILABLE', { attempts });
+  }
+}
+
+// An AI call that would take a player or world over its budget. `details`
+// says which limit: { scope, plan, period, metric, spent, limit, resetsAt, retryAfter }
+class AIBudgetExceededError extends AppError {
+  constructor(details) {
+    const owner = details.scope === 'user' ? 'your' : 'this world\'s';
+    const measure = details.metric === 'cost' ? 'spending' : 'token';
+    super(`This would go over ${owner} ${details.period} AI ${measure} budget`, 429, 'AI_BUDGET_EXCEEDED', details);
+  }
+}
+
+// A model answered, but not with anything usable even after repair.
+// `problems` lists what was wrong with the last answer.
+class AIInvalidResponseError extends AppError {
+  constructor(message = 'The AI returned an invalid response', problems = []) {
+    super(message, 502, 'AI_INVALID_RESPONSE', { problems });
+  }
+}
+
 // Error handler middleware
 const errorHandler = (err, req, res, next) => {
   // Generate error ID for tracking
@@ -304,5 +328,8 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
-  RateLimitError
+  RateLimitError,
+  AIUnavailableError,
+  AIBudgetExceededError,
+  AIInvalidResponseError
 };
\ No newline at end of file
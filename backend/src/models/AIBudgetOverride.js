@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// An admin's replacement for the plan limits of one user or world in one
+// budget period. A null limit means no limit on that measure.
+const AIBudgetOverride = sequelize.define('AIBudgetOverride', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  scope: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      isIn: [['user', 'world']]
+    }
+  },
+  // The user or world the override is for
+  target_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  period: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      isIn: [['daily', 'monthly']]
+    }
+  },
+  max_tokens: {
+    type: DataTypes.INTEGER
+  },
+  // US dollars
+  max_cost: {
+    type: DataTypes.DECIMAL(12, 2)
+  },
+  reason: {
+    type: DataTypes.TEXT
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // The plan limits apply again after this; null for never
+  expires_at: {
+    type: DataTypes.DATE
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ai_budget_overrides',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['scope', 'target_id', 'period']
+    }
+  ]
+});
+
+module.exports = AIBudgetOverride;
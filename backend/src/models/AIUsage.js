@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One AI provider call and what it cost, charged to the player who made it
+// and the world they were playing. AI budgets are summed from these rows.
+const AIUsage = sequelize.define('AIUsage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  world_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
+  session_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'game_sessions',
+      key: 'id'
+    }
+  },
+  // story, dungeonMaster, image, voice, ...
+  feature: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // text, json, image or speech
+  capability: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING(100)
+  },
+  input_tokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  output_tokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  tokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // US dollars, from config.ai.pricing
+  cost: {
+    type: DataTypes.DECIMAL(12, 6),
+    defaultValue: 0
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ai_usage',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['world_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = AIUsage;
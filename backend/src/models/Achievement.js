@@ -7,6 +7,20 @@ const Achievement = sequelize.define('Achievement', {
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true
   },
+  // Stable identifier the achievement engine awards by: the rule name for
+  // platform achievements, `world:<world id>:<id>` for author-defined ones
+  key: {
+    type: DataTypes.STRING(150),
+    unique: true
+  },
+  // Set for achievements defined by a world's author
+  world_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
   name: {
     type: DataTypes.STRING(255),
     allowNull: false
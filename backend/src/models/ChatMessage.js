@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A chat line, either said in a multiplayer room (room_id) or sent directly
+// to another player (recipient_id). Exactly one of the two is set.
+const ChatMessage = sequelize.define('ChatMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  room_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'multiplayer_rooms',
+      key: 'id'
+    }
+  },
+  sender_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  recipient_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // How the message was checked: { source: 'n8n' | 'wordlist', categories }
+  moderation: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'chat_messages',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['room_id', 'created_at']
+    },
+    {
+      fields: ['sender_id', 'recipient_id', 'created_at']
+    }
+  ],
+  validate: {
+    roomOrRecipient() {
+      if (!this.room_id === !this.recipient_id) {
+        throw new Error('A chat message belongs to a room or has a recipient, not both');
+      }
+    }
+  }
+});
+
+module.exports = ChatMessage;
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A player flagging a chat message for an admin to look at. Each player can
+// report a given message once.
+const ChatReport = sequelize.define('ChatReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'chat_messages',
+      key: 'id'
+    }
+  },
+  reporter_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'open',
+    validate: {
+      isIn: [['open', 'actioned', 'dismissed']]
+    }
+  },
+  reviewed_by: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewed_at: {
+    type: DataTypes.DATE
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'chat_reports',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['message_id', 'reporter_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = ChatReport;
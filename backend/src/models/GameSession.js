@@ -26,6 +26,9 @@ const GameSession = sequelize.define('GameSession', {
   session_name: {
     type: DataTypes.STRING(255)
   },
+  world_revision: {
+    type: DataTypes.INTEGER
+  },
   current_location: {
     type: DataTypes.STRING(255),
     allowNull: false
@@ -38,6 +41,11 @@ const GameSession = sequelize.define('GameSession', {
     type: DataTypes.JSONB,
     defaultValue: []
   },
+  // Locations, items and choices the AI Dungeon Master added in this session
+  world_overlay: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
   stats: {
     type: DataTypes.JSONB,
     defaultValue: {}
@@ -60,6 +68,16 @@ const GameSession = sequelize.define('GameSession', {
   },
   completed_at: {
     type: DataTypes.DATE
+  },
+  parent_session_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'game_sessions',
+      key: 'id'
+    }
+  },
+  branched_from_step: {
+    type: DataTypes.INTEGER
   }
 }, {
   tableName: 'game_sessions',
@@ -43,14 +43,80 @@ const MultiplayerRoom = sequelize.define('MultiplayerRoom', {
     type: DataTypes.INTEGER,
     defaultValue: 1
   },
+  // Spectators watch without taking a player's place; null means no limit
+  max_spectators: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  current_spectators: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
   game_state: {
     type: DataTypes.JSONB,
     defaultValue: {}
   },
+  // How the party decides what to do next (see services/roomDecisions.js)
+  decision_mode: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'free',
+    validate: {
+      isIn: [['free', 'host', 'round_robin', 'majority', 'unanimous', 'timed']]
+    }
+  },
+  // 'together' moves the whole party as one; in 'split' rooms each player
+  // has their own location and inventory in a shared world
+  party_mode: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'together',
+    validate: {
+      isIn: [['together', 'split']]
+    }
+  },
+  // Seconds a timed vote stays open after its first ballot
+  vote_duration: {
+    type: DataTypes.INTEGER,
+    defaultValue: 30,
+    validate: {
+      min: 5,
+      max: 300
+    }
+  },
+  // open, paused (saved to be picked up later) or closed. is_active is true
+  // exactly while the room is open.
+  status: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'open',
+    validate: {
+      isIn: [['open', 'paused', 'closed']]
+    }
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // Last action, join or resume; the sweeper pauses rooms idle since then
+  last_activity_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  paused_at: {
+    type: DataTypes.DATE
+  },
+  // What only lived in Redis while the room was open (see roomLifecycle)
+  paused_state: {
+    type: DataTypes.JSONB
+  },
+  closed_at: {
+    type: DataTypes.DATE
+  },
+  close_reason: {
+    type: DataTypes.STRING(30)
+  },
   is_private: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -23,6 +23,14 @@ const RoomParticipant = sequelize.define('RoomParticipant', {
       key: 'id'
     }
   },
+  // Players act and vote; spectators only watch
+  role: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'player',
+    validate: {
+      isIn: [['player', 'spectator']]
+    }
+  },
   player_state: {
     type: DataTypes.JSONB,
     defaultValue: {}
@@ -33,6 +41,25 @@ const RoomParticipant = sequelize.define('RoomParticipant', {
   },
   left_at: {
     type: DataTypes.DATE
+  },
+  // connected, reconnecting (dropped, place held) or disconnected
+  connection_status: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'connected',
+    validate: {
+      isIn: [['connected', 'reconnecting', 'disconnected']]
+    }
+  },
+  disconnected_at: {
+    type: DataTypes.DATE
+  },
+  // Muted by the host: no room chat until muted_until (or until unmuted,
+  // when muted_until is null)
+  muted_at: {
+    type: DataTypes.DATE
+  },
+  muted_until: {
+    type: DataTypes.DATE
   }
 }, {
   tableName: 'room_participants',
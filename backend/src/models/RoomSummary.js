@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// What happened in a multiplayer room, written once when it closes so its
+// players can look back on it after the room's state is gone
+const RoomSummary = sequelize.define('RoomSummary', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  room_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'multiplayer_rooms',
+      key: 'id'
+    }
+  },
+  world_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
+  host_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  room_name: {
+    type: DataTypes.STRING(255)
+  },
+  party_mode: {
+    type: DataTypes.STRING(20)
+  },
+  close_reason: {
+    type: DataTypes.STRING(30)
+  },
+  started_at: {
+    type: DataTypes.DATE
+  },
+  closed_at: {
+    type: DataTypes.DATE
+  },
+  duration_seconds: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Changes made to the room's state: actions, decided votes, trades
+  turns: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // The ending the party reached, if any
+  ending: {
+    type: DataTypes.JSONB
+  },
+  // Everyone who took part, for finding a player's summaries
+  participant_ids: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    defaultValue: []
+  },
+  // [{ userId, username, role, joinedAt, leftAt, actions }]
+  participants: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'room_summaries',
+  underscored: true,
+  timestamps: false
+});
+
+module.exports = RoomSummary;
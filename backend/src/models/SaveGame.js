@@ -30,6 +30,14 @@ const SaveGame = sequelize.define('SaveGame', {
   save_data: {
     type: DataTypes.JSONB,
     allowNull: false
+  },
+  is_autosave: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
   }
 }, {
   tableName: 'save_games',
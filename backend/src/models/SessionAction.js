@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One applied step in a game session's ordered action log. `state` is the
+// engine state after the step, so any step can be restored directly.
+const SessionAction = sequelize.define('SessionAction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  session_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'game_sessions',
+      key: 'id'
+    }
+  },
+  step: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  target: {
+    type: DataTypes.STRING(255)
+  },
+  on_target: {
+    type: DataTypes.STRING(255)
+  },
+  message: {
+    type: DataTypes.TEXT
+  },
+  events: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  state: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'session_actions',
+  underscored: true,
+  timestamps: false,
+  createdAt: 'created_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['session_id', 'step']
+    }
+  ]
+});
+
+module.exports = SessionAction;
@@ -48,6 +48,11 @@ const User = sequelize.define('User', {
   is_admin: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  // Plan tier; sets the player's AI budgets (config.ai.budgets.tiers)
+  plan: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'free'
   }
 }, {
   tableName: 'users',
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One player blocking another. Direct messages stop in both directions while
+// the block stands.
+const UserBlock = sequelize.define('UserBlock', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  blocked_user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'user_blocks',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'blocked_user_id']
+    }
+  ]
+});
+
+module.exports = UserBlock;
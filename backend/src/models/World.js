@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { validateWorld } = require('../services/worldValidator');
 
 const World = sequelize.define('World', {
   id: {
@@ -29,8 +30,9 @@ const World = sequelize.define('World', {
     allowNull: false,
     validate: {
       isValidWorldData(value) {
-        if (!value.worldInfo || !value.locations || !value.startLocation) {
-          throw new Error('Invalid world data structure');
+        const { valid, errors } = validateWorld(value);
+        if (!valid) {
+          throw new Error(`Invalid world data: ${errors.map(e => `${e.path || '(root)'}: ${e.message}`).join('; ')}`);
         }
       }
     }
@@ -38,7 +40,8 @@ const World = sequelize.define('World', {
   thumbnail_url: {
     type: DataTypes.STRING(500),
     validate: {
-      isUrl: true
+      // Bundle thumbnails are served from BASE_URL, which is localhost in development
+      isURL: { args: { require_tld: false, require_protocol: true } }
     }
   },
   tags: {
@@ -72,6 +75,9 @@ const World = sequelize.define('World', {
   version: {
     type: DataTypes.STRING(20),
     defaultValue: '1.0.0'
+  },
+  current_revision: {
+    type: DataTypes.INTEGER
   }
 }, {
   tableName: 'worlds',
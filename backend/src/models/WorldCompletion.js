@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A playthrough reaching one of a world's endings. A session can reach
+// several endings over its life by rewinding, so each ending it reaches is its
+// own row, recorded once however often the session comes back to it.
+const WorldCompletion = sequelize.define('WorldCompletion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  world_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  session_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'game_sessions',
+      key: 'id'
+    }
+  },
+  ending_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  ending_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  moves: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  world_revision: {
+    type: DataTypes.INTEGER
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'world_completions',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['session_id', 'ending_id']
+    },
+    {
+      fields: ['world_id', 'ending_id']
+    },
+    {
+      fields: ['user_id', 'world_id']
+    }
+  ]
+});
+
+module.exports = WorldCompletion;
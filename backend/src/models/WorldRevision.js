@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// An immutable snapshot of a world's data. Sessions are pinned to the
+// revision they started on; `migration` maps IDs from the previous revision.
+const WorldRevision = sequelize.define('WorldRevision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  world_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'worlds',
+      key: 'id'
+    }
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.STRING(20)
+  },
+  world_data: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  migration: {
+    type: DataTypes.JSONB
+  },
+  author_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'world_revisions',
+  underscored: true,
+  timestamps: false,
+  createdAt: 'created_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['world_id', 'revision']
+    }
+  ]
+});
+
+module.exports = WorldRevision;
@@ -1,13 +1,22 @@
 const User = require('./User');
 const World = require('./World');
+const WorldRevision = require('./WorldRevision');
 const GameSession = require('./GameSession');
 const SaveGame = require('./SaveGame');
+const SessionAction = require('./SessionAction');
+const WorldCompletion = require('./WorldCompletion');
 const MultiplayerRoom = require('./MultiplayerRoom');
 const RoomParticipant = require('./RoomParticipant');
+const RoomSummary = require('./RoomSummary');
+const ChatMessage = require('./ChatMessage');
+const ChatReport = require('./ChatReport');
+const UserBlock = require('./UserBlock');
 const WorldRating = require('./WorldRating');
 const Achievement = require('./Achievement');
 const UserAchievement = require('./UserAchievement');
 const AIContent = require('./AIContent');
+const AIUsage = require('./AIUsage');
+const AIBudgetOverride = require('./AIBudgetOverride');
 const PrestigeSystem = require('./PrestigeSystem');
 const SeasonalTrack = require('./SeasonalTrack');
 const PrestigeReward = require('./PrestigeReward');
@@ -20,6 +29,8 @@ User.hasMany(SaveGame, { foreignKey: 'user_id', as: 'saveGames' });
 User.hasMany(WorldRating, { foreignKey: 'user_id', as: 'ratings' });
 User.hasMany(UserAchievement, { foreignKey: 'user_id', as: 'achievements' });
 User.hasMany(MultiplayerRoom, { foreignKey: 'host_id', as: 'hostedRooms' });
+User.hasMany(WorldCompletion, { foreignKey: 'user_id', as: 'completions' });
+User.hasMany(UserBlock, { foreignKey: 'user_id', as: 'blocks' });
 
 // World associations
 World.belongsTo(User, { foreignKey: 'author_id', as: 'author' });
@@ -27,12 +38,28 @@ World.hasMany(GameSession, { foreignKey: 'world_id', as: 'gameSessions' });
 World.hasMany(WorldRating, { foreignKey: 'world_id', as: 'ratings' });
 World.hasMany(MultiplayerRoom, { foreignKey: 'world_id', as: 'multiplayerRooms' });
 World.hasMany(AIContent, { foreignKey: 'world_id', as: 'aiContent' });
+World.hasMany(WorldRevision, { foreignKey: 'world_id', as: 'revisions' });
+World.hasMany(WorldCompletion, { foreignKey: 'world_id', as: 'completions' });
+
+// WorldRevision associations
+WorldRevision.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
+WorldRevision.belongsTo(User, { foreignKey: 'author_id', as: 'author' });
+
+// WorldCompletion associations
+WorldCompletion.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
+WorldCompletion.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+WorldCompletion.belongsTo(GameSession, { foreignKey: 'session_id', as: 'session' });
 
 // GameSession associations
 GameSession.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 GameSession.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
 GameSession.hasMany(SaveGame, { foreignKey: 'session_id', as: 'saves' });
 GameSession.hasMany(AIContent, { foreignKey: 'session_id', as: 'aiContent' });
+GameSession.hasMany(SessionAction, { foreignKey: 'session_id', as: 'actions' });
+GameSession.belongsTo(GameSession, { foreignKey: 'parent_session_id', as: 'parentSession' });
+
+// SessionAction associations
+SessionAction.belongsTo(GameSession, { foreignKey: 'session_id', as: 'session' });
 
 // SaveGame associations
 SaveGame.belongsTo(GameSession, { foreignKey: 'session_id', as: 'session' });
@@ -43,16 +70,33 @@ MultiplayerRoom.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
 MultiplayerRoom.belongsTo(User, { foreignKey: 'host_id', as: 'host' });
 MultiplayerRoom.hasMany(RoomParticipant, { foreignKey: 'room_id', as: 'participants' });
 
+MultiplayerRoom.hasOne(RoomSummary, { foreignKey: 'room_id', as: 'summary' });
+RoomSummary.belongsTo(MultiplayerRoom, { foreignKey: 'room_id', as: 'room' });
+RoomSummary.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
+
 // RoomParticipant associations
 RoomParticipant.belongsTo(MultiplayerRoom, { foreignKey: 'room_id', as: 'room' });
 RoomParticipant.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
+// Chat associations
+MultiplayerRoom.hasMany(ChatMessage, { foreignKey: 'room_id', as: 'chatMessages' });
+ChatMessage.belongsTo(MultiplayerRoom, { foreignKey: 'room_id', as: 'room' });
+ChatMessage.belongsTo(User, { foreignKey: 'sender_id', as: 'sender' });
+ChatMessage.belongsTo(User, { foreignKey: 'recipient_id', as: 'recipient' });
+ChatMessage.hasMany(ChatReport, { foreignKey: 'message_id', as: 'reports' });
+ChatReport.belongsTo(ChatMessage, { foreignKey: 'message_id', as: 'message' });
+ChatReport.belongsTo(User, { foreignKey: 'reporter_id', as: 'reporter' });
+ChatReport.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+UserBlock.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+UserBlock.belongsTo(User, { foreignKey: 'blocked_user_id', as: 'blockedUser' });
+
 // WorldRating associations
 WorldRating.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
 WorldRating.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
 // Achievement associations
 Achievement.hasMany(UserAchievement, { foreignKey: 'achievement_id', as: 'userAchievements' });
+Achievement.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
 
 // UserAchievement associations
 UserAchievement.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -63,6 +107,11 @@ UserAchievement.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
 AIContent.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
 AIContent.belongsTo(GameSession, { foreignKey: 'session_id', as: 'session' });
 
+// AI budget associations
+AIUsage.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+AIUsage.belongsTo(World, { foreignKey: 'world_id', as: 'world' });
+AIBudgetOverride.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
 // Prestige System associations
 User.hasOne(PrestigeSystem, { foreignKey: 'user_id', as: 'prestigeSystem' });
 User.hasMany(SeasonalTrack, { foreignKey: 'user_id', as: 'seasonalTracks' });
@@ -74,14 +123,23 @@ SeasonalTrack.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 module.exports = {
   User,
   World,
+  WorldRevision,
   GameSession,
   SaveGame,
+  SessionAction,
+  WorldCompletion,
   MultiplayerRoom,
   RoomParticipant,
+  RoomSummary,
+  ChatMessage,
+  ChatReport,
+  UserBlock,
   WorldRating,
   Achievement,
   UserAchievement,
   AIContent,
+  AIUsage,
+  AIBudgetOverride,
   PrestigeSystem,
   SeasonalTrack,
   PrestigeReward
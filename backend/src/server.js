@@ -5,6 +5,7 @@ const compression = require('compression');
 const morgan = require('morgan');
 const path = require('path');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const http = require('http');
 
 // Import configurations
@@ -25,6 +26,7 @@ const worldRoutes = require('./api/routes/world.routes');
 const gameRoutes = require('./api/routes/game.routes');
 const userRoutes = require('./api/routes/user.routes');
 const multiplayerRoutes = require('./api/routes/multiplayer.routes');
+const chatRoutes = require('./api/routes/chat.routes');
 const aiRoutes = require('./api/routes/ai.routes');
 const aiEnhancedRoutes = require('./api/routes/ai-enhanced.routes');
 
@@ -34,6 +36,9 @@ const { setupGraphQL } = require('./api/graphql');
 // Import WebSocket handlers
 const { setupSocketHandlers } = require('./services/websocket');
 
+// Import services
+const achievements = require('./services/achievements');
+
 const app = express();
 const server = http.createServer(app);
 
@@ -103,7 +108,7 @@ app.use(cors({
   credentials: config.cors.credentials,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-AI-Budget-Warning']
 }));
 
 // Body parsing with enhanced security
@@ -199,6 +204,7 @@ app.get('/api', (req, res) => {
       games: '/api/games',
       users: '/api/users',
       multiplayer: '/api/multiplayer',
+      chat: '/api/chat',
       ai: '/api/ai'
     },
     features: config.features
@@ -211,6 +217,7 @@ app.use('/api/worlds', authentication.optional, worldRoutes);
 app.use('/api/games', authentication.required, rateLimiter.gameAction, gameRoutes);
 app.use('/api/users', authentication.required, userRoutes);
 app.use('/api/multiplayer', authentication.required, rateLimiter.gameAction, multiplayerRoutes);
+app.use('/api/chat', authentication.required, chatRoutes);
 
 // AI routes only if enabled
 if (config.features.aiEnabled) {
@@ -237,6 +244,8 @@ async function initializeApp() {
     logger.info('Connecting to PostgreSQL...');
     await connectDB();
     logger.info('✓ PostgreSQL connected successfully');
+    await achievements.syncPlatformAchievements();
+    logger.info('✓ Platform achievements synced');
 
     logger.info('Connecting to Redis...');
     await connectRedis();
@@ -245,12 +254,15 @@ async function initializeApp() {
     // Setup GraphQL
     if (config.features.aiEnabled || config.isDevelopment()) {
       logger.info('Setting up GraphQL...');
-      await setupGraphQL(app);
-      logger.info('✓ GraphQL endpoint ready at /graphql');
+      await setupGraphQL(app, server);
+      logger.info('✓ GraphQL endpoint ready at /graphql (subscriptions over graphql-ws)');
     }
 
-    // Setup WebSocket
+    // Setup WebSocket. The Redis adapter fans room broadcasts, user messages
+    // and disconnects out to every backend instance.
     logger.info('Initializing WebSocket handlers...');
+    const { redis } = require('./config/redis');
+    io.adapter(createAdapter(redis.duplicate(), redis.duplicate()));
     const socketHandlers = setupSocketHandlers(io);
     logger.info('✓ WebSocket handlers initialized');
 
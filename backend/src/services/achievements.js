@@ -0,0 +1,264 @@
+/**
+ * Achievements
+ * Evaluates achievement rules against game events and awards the ones a
+ * player has newly earned. Two kinds of achievement exist:
+ *
+ *   - platform achievements, defined below and synced into `achievements` by key
+ *   - author-defined achievements, declared in a world's JSON (`achievements`,
+ *     see WORLD_FORMAT.md) and stored under the key `world:<world id>:<id>`
+ *
+ * Triggers and the context they carry:
+ *   world_published  { world }                            a world was saved as public
+ *   action           { session, worldData, state }        an accepted single-player action
+ *   ending_reached   { session, worldData, state }        the action ended the adventure
+ *
+ * Awarding is idempotent (user_achievements is unique per user and
+ * achievement). Each new award feeds its points into the prestige flow and is
+ * announced on `events` as 'achievement:unlocked', which the websocket layer
+ * forwards to the player's `user:` room.
+ */
+
+const EventEmitter = require('events');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Achievement, UserAchievement, GameSession, WorldCompletion, PrestigeSystem } = require('../models');
+const PrestigeService = require('./PrestigeService');
+const { findAchievements } = require('./worldRules');
+const logger = require('../utils/logger');
+
+const prestigeService = new PrestigeService();
+const events = new EventEmitter();
+
+const MOVES_MILESTONE = 100;
+
+// Prestige activity an achievement's points are awarded under, by category
+const PRESTIGE_ACTIVITIES = {
+  creation: 'creative_achievement',
+  exploration: 'world_exploration',
+  completion: 'story_completion',
+  world: 'story_completion'
+};
+
+// Moves made across all of a player's sessions
+const totalMoves = async (userId) => {
+  const [row] = await GameSession.findAll({
+    where: { user_id: userId },
+    attributes: [[sequelize.fn('SUM', sequelize.literal("COALESCE((stats->>'moves')::int, 0)")), 'moves']],
+    raw: true
+  });
+  return Number(row?.moves || 0);
+};
+
+// Whether a player has reached every ending of the world data they are playing
+const hasAllEndings = async (userId, worldId, worldData) => {
+  const endingIds = (worldData?.endings || []).map(ending => ending.id);
+  if (endingIds.length === 0) return false;
+
+  const found = await WorldCompletion.findAll({
+    where: { user_id: userId, world_id: worldId, ending_id: { [Op.in]: endingIds } },
+    attributes: ['ending_id'],
+    group: ['ending_id'],
+    raw: true
+  });
+  return found.length === endingIds.length;
+};
+
+// Platform achievements: the triggers that can earn each one and the check deciding it
+const PLATFORM_ACHIEVEMENTS = [
+  {
+    key: 'first_world_published',
+    name: 'World Builder',
+    description: 'Publish your first world',
+    points: 25,
+    category: 'creation',
+    on: ['world_published'],
+    check: ({ world }) => world.is_public
+  },
+  {
+    key: 'moves_100',
+    name: 'Well Travelled',
+    description: `Make ${MOVES_MILESTONE} moves across your adventures`,
+    points: 10,
+    category: 'exploration',
+    on: ['action'],
+    check: async ({ userId }) => (await totalMoves(userId)) >= MOVES_MILESTONE
+  },
+  {
+    key: 'all_endings_in_world',
+    name: 'Completionist',
+    description: 'Discover every ending in a world',
+    points: 50,
+    category: 'completion',
+    on: ['ending_reached'],
+    check: ({ userId, session, worldData }) => hasAllEndings(userId, session.world_id, worldData)
+  }
+];
+
+let platformRows = null;
+
+/**
+ * Create or update the rows for the platform achievements so they can be
+ * listed before anyone earns them. Returns a Map of key to Achievement.
+ */
+const syncPlatformAchievements = async () => {
+  const rows = new Map();
+  for (const { key, name, description, points, category } of PLATFORM_ACHIEVEMENTS) {
+    const [row] = await Achievement.findOrCreate({
+      where: { key },
+      defaults: { name, description, points, category }
+    });
+    if (row.name !== name || row.description !== description || row.points !== points || row.category !== category) {
+      await row.update({ name, description, points, category });
+    }
+    rows.set(key, row);
+  }
+  platformRows = rows;
+  return rows;
+};
+
+const worldAchievementKey = (worldId, achievementId) => `world:${worldId}:${achievementId}`;
+
+// The row for an author-defined achievement, kept in step with the world's definition
+const ensureWorldAchievement = async (worldId, definition, existing) => {
+  const fields = {
+    name: definition.title,
+    description: definition.description || null,
+    icon_url: definition.icon || null,
+    points: definition.points !== undefined ? definition.points : 10,
+    category: 'world'
+  };
+
+  if (!existing) {
+    const [row] = await Achievement.findOrCreate({
+      where: { key: worldAchievementKey(worldId, definition.id) },
+      defaults: { ...fields, world_id: worldId }
+    });
+    return row;
+  }
+
+  const changed = Object.keys(fields).some(field => existing[field] !== fields[field]);
+  return changed ? existing.update(fields) : existing;
+};
+
+// An achievement as shown to players
+const presentAchievement = (achievement, worldId = null) => {
+  return {
+    id: achievement.id,
+    key: achievement.key,
+    name: achievement.name,
+    description: achievement.description || null,
+    iconUrl: achievement.icon_url || null,
+    points: achievement.points,
+    category: achievement.category,
+    worldId: achievement.world_id || worldId
+  };
+};
+
+// Feed an achievement's points into the prestige flow, for players enrolled in it
+const awardPrestige = async (userId, achievement) => {
+  if (!achievement.points) return null;
+
+  const enrolled = await PrestigeSystem.count({ where: { user_id: userId } });
+  if (!enrolled) return null;
+
+  const activity = PRESTIGE_ACTIVITIES[achievement.category] || 'creative_achievement';
+  const compliance = prestigeService.validateGMEPCompliance(activity, achievement.points, userId);
+  if (!compliance.compliant) return null;
+
+  return prestigeService.awardPrestigePoints(userId, activity, compliance.adjustedPoints, {
+    source: 'achievement',
+    achievementId: achievement.id
+  });
+};
+
+/**
+ * Award an achievement unless the player already has it. Returns the
+ * achievement as shown to players when newly awarded, otherwise null.
+ */
+const award = async (userId, achievement, worldId = null) => {
+  try {
+    const [, created] = await UserAchievement.findOrCreate({
+      where: { user_id: userId, achievement_id: achievement.id },
+      defaults: { world_id: worldId }
+    });
+    if (!created) return null;
+  } catch (error) {
+    // A concurrent evaluation awarded it first
+    if (error instanceof UniqueConstraintError) return null;
+    throw error;
+  }
+
+  const unlocked = presentAchievement(achievement, worldId);
+  logger.info(`User ${userId} earned achievement ${achievement.key}`);
+
+  try {
+    await awardPrestige(userId, achievement);
+  } catch (error) {
+    logger.error(`Failed to award prestige for achievement ${achievement.key}:`, error);
+  }
+
+  events.emit('achievement:unlocked', { userId, achievement: unlocked });
+  return unlocked;
+};
+
+/**
+ * Evaluate what `triggers` (a trigger name or a list of them) can earn and
+ * award whatever is new. Returns the achievements unlocked, as shown to
+ * players. Failures are logged rather than thrown so they never fail the
+ * request that caused the event.
+ */
+const evaluate = async (userId, triggers, context = {}) => {
+  const active = [].concat(triggers);
+  const worldId = context.world?.id || context.session?.world_id || null;
+  const unlocked = [];
+
+  try {
+    const rows = platformRows || await syncPlatformAchievements();
+    const earned = new Set(
+      (await UserAchievement.findAll({
+        where: { user_id: userId },
+        attributes: ['achievement_id'],
+        raw: true
+      })).map(row => row.achievement_id)
+    );
+
+    for (const rule of PLATFORM_ACHIEVEMENTS) {
+      const achievement = rows.get(rule.key);
+      if (!rule.on.some(trigger => active.includes(trigger)) || earned.has(achievement.id)) continue;
+      if (await rule.check({ userId, ...context })) {
+        const awarded = await award(userId, achievement, worldId);
+        if (awarded) unlocked.push(awarded);
+      }
+    }
+
+    if (active.includes('action') && context.worldData && context.state) {
+      const qualifying = findAchievements(context.worldData, context.state.gameState, context.state.inventory);
+      const existing = qualifying.length > 0
+        ? await Achievement.findAll({
+          where: { key: { [Op.in]: qualifying.map(definition => worldAchievementKey(worldId, definition.id)) } }
+        })
+        : [];
+      const byKey = new Map(existing.map(row => [row.key, row]));
+
+      for (const definition of qualifying) {
+        const row = byKey.get(worldAchievementKey(worldId, definition.id));
+        if (row && earned.has(row.id)) continue;
+        const achievement = await ensureWorldAchievement(worldId, definition, row);
+        const awarded = await award(userId, achievement, worldId);
+        if (awarded) unlocked.push(awarded);
+      }
+    }
+  } catch (error) {
+    logger.error(`Achievement evaluation failed for user ${userId} (${active.join(', ')}):`, error);
+  }
+
+  return unlocked;
+};
+
+module.exports = {
+  PLATFORM_ACHIEVEMENTS,
+  events,
+  syncPlatformAchievements,
+  presentAchievement,
+  evaluate
+};
@@ -0,0 +1,172 @@
+/**
+ * AI
+ * One way in for every AI call the platform makes. Callers name a feature
+ * (story, dungeonMaster, image, voice, ...) and what they want back; which
+ * provider and model answer is config (config.ai.routes), not code.
+ *
+ * A feature's route is a list of `provider:model` targets. They are tried in
+ * order and the first to answer wins, so a route such as
+ *   AI_ROUTE_STORY=anthropic:claude-3-5-sonnet-latest,openai:gpt-4o
+ * falls back to OpenAI when Anthropic is down or not configured. Features
+ * without a route of their own use `default`. With AI_PROVIDER=fake every
+ * feature goes to the offline fake provider instead.
+ *
+ * Every result carries { provider, model, feature, usage, tokensUsed, cost,
+ * budgetWarnings } alongside what was asked for. When no target answers, an
+ * AIUnavailableError lists what each one said.
+ *
+ * Calls made for a player pass `chargeTo`, { user, worldId, sessionId }:
+ * the call is checked against their budgets first (services/aiBudgets.js),
+ * and may be refused with an AIBudgetExceededError. Every call is recorded
+ * whether or not it is charged to anyone.
+ *
+ * streamText and streamJSON hand the answer over piece by piece through
+ * `onDelta`. A stream only falls back to the next target while nothing has
+ * been sent yet; once the first piece is out, a failure ends it. Aborting
+ * `signal` stops it with an AbortError, and what was generated up to then is
+ * still recorded.
+ */
+
+const config = require('../config/environment');
+const { providers, estimateTokens, parseJSON, abortError } = require('./aiProviders');
+const aiBudgets = require('./aiBudgets');
+const { AIUnavailableError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const FAKE_ROUTE = [{ provider: 'fake', model: 'fake' }];
+
+// The targets a feature is sent to, in the order they are tried
+const routeFor = (feature) => {
+  if (config.ai.provider === 'fake') {
+    return FAKE_ROUTE;
+  }
+  return config.ai.routes[feature] || config.ai.routes.default;
+};
+
+const run = async (capability, feature, request, chargeTo = null) => {
+  const route = routeFor(feature);
+  const { warnings: budgetWarnings, reservation } = chargeTo?.user
+    ? await aiBudgets.check(chargeTo, aiBudgets.estimateCall(capability, route[0], request))
+    : { warnings: [], reservation: null };
+  const attempts = [];
+
+  for (const { provider: name, model } of route) {
+    const provider = providers[name];
+    if (!provider || !provider[capability]) {
+      attempts.push({ provider: name, model, error: `${name} cannot generate ${capability}` });
+      continue;
+    }
+
+    try {
+      const result = await provider[capability]({ ...request, feature, model });
+      if (attempts.length > 0) {
+        logger.info(`AI ${feature} answered by fallback ${name}:${model}`);
+      }
+      const cost = await aiBudgets.record(chargeTo, { feature, capability, provider: name, model, usage: result.usage }, reservation);
+      return {
+        ...result,
+        provider: name,
+        model,
+        feature,
+        tokensUsed: result.usage.inputTokens + result.usage.outputTokens,
+        cost,
+        budgetWarnings
+      };
+    } catch (error) {
+      logger.warn(`AI ${feature} ${capability} failed on ${name}:${model}: ${error.message}`);
+      attempts.push({ provider: name, model, error: error.message });
+    }
+  }
+
+  await aiBudgets.release(reservation);
+  throw new AIUnavailableError(`No AI provider could handle ${feature}`, attempts);
+};
+
+const runStream = async (feature, request, chargeTo, { onStart, onDelta, signal }) => {
+  const route = routeFor(feature);
+  const { warnings: budgetWarnings, reservation } = chargeTo?.user
+    ? await aiBudgets.check(chargeTo, aiBudgets.estimateCall('text', route[0], request))
+    : { warnings: [], reservation: null };
+  onStart?.({ budgetWarnings });
+  const attempts = [];
+
+  for (const { provider: name, model } of route) {
+    const provider = providers[name];
+    if (!provider || !provider.stream) {
+      attempts.push({ provider: name, model, error: `${name} cannot stream` });
+      continue;
+    }
+
+    let sent = '';
+    try {
+      const result = await provider.stream({ ...request, feature, model }, {
+        signal,
+        onDelta: (delta) => {
+          sent += delta;
+          onDelta(delta);
+        }
+      });
+      const cost = await aiBudgets.record(chargeTo, { feature, capability: 'text', provider: name, model, usage: result.usage }, reservation);
+      return {
+        ...result,
+        provider: name,
+        model,
+        feature,
+        tokensUsed: result.usage.inputTokens + result.usage.outputTokens,
+        cost,
+        budgetWarnings
+      };
+    } catch (error) {
+      if (signal?.aborted || sent) {
+        // Charge for what was generated before it stopped
+        await aiBudgets.record(chargeTo, {
+          feature,
+          capability: 'text',
+          provider: name,
+          model,
+          usage: {
+            inputTokens: estimateTokens(`${request.system || ''}${request.prompt || ''}`),
+            outputTokens: estimateTokens(sent)
+          }
+        }, reservation);
+        throw signal?.aborted ? abortError() : error;
+      }
+      logger.warn(`AI ${feature} stream failed on ${name}:${model}: ${error.message}`);
+      attempts.push({ provider: name, model, error: error.message });
+    }
+  }
+
+  await aiBudgets.release(reservation);
+  throw new AIUnavailableError(`No AI provider could stream ${feature}`, attempts);
+};
+
+// Free text: { system, prompt, maxTokens, temperature } → { text, ... }
+const generateText = (feature, request, chargeTo) => run('text', feature, request, chargeTo);
+
+// A JSON object, parsed: same request as generateText → { data, ... }
+const generateJSON = (feature, request, chargeTo) => run('json', feature, request, chargeTo);
+
+// Free text as it is written: same request as generateText → { text, ... }
+const streamText = (feature, request, chargeTo, handlers) => runStream(feature, request, chargeTo, handlers);
+
+// A JSON object streamed as its raw text, parsed once complete → { text, data, ... }
+const streamJSON = async (feature, request, chargeTo, handlers) => {
+  const result = await runStream(feature, { ...request, json: true }, chargeTo, handlers);
+  return { ...result, data: parseJSON(result.text) };
+};
+
+// { prompt, size, quality } → { url, ... }
+const generateImage = (feature, request, chargeTo) => run('image', feature, request, chargeTo);
+
+// { text, voice } → { audio, contentType, ... }
+const generateSpeech = (feature, request, chargeTo) => run('speech', feature, request, chargeTo);
+
+module.exports = {
+  routeFor,
+  generateText,
+  generateJSON,
+  generateImage,
+  generateSpeech,
+  streamText,
+  streamJSON
+};
@@ -0,0 +1,385 @@
+/**
+ * AI Budgets
+ * Token and cost limits on AI calls, for each player and for each world.
+ * Limits come from the plan tier (config.ai.budgets.tiers): a player's own
+ * plan for their budget, the world author's plan for the world's. An admin
+ * can replace either with an override (AIBudgetOverride).
+ *
+ * Budgets run over two calendar periods in UTC, `daily` and `monthly`, and
+ * measure `tokens` and `cost` (US dollars, priced with config.ai.pricing).
+ * Before a call, its likely size is added to what was already spent:
+ *
+ *   - over any limit: the call is refused with AIBudgetExceededError
+ *   - at or over config.ai.budgets.warnAt of a limit: it goes ahead, and
+ *     the caller gets warnings to pass on
+ *
+ * A call's estimate is reserved before it is checked, so calls running at
+ * the same moment count each other and a burst can't all pass against the
+ * same spend. Reservations live in Redis, per scope and period:
+ *
+ *   ai:reserved:<scope>:<id>:<period>:<date>  hash of tokens and cost (in
+ *                                             millionths of a dollar)
+ *
+ * and are given back once the call is recorded, or fails. One left by a
+ * call that never finished lapses RESERVATION_TTL after the last change.
+ *
+ * Every call is recorded in AIUsage, which is what the spend is summed from
+ * and what the usage reports break down by model and feature.
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { AIUsage, AIBudgetOverride, World, User } = require('../models');
+const config = require('../config/environment');
+const { estimateTokens } = require('./aiProviders');
+const { redis } = require('../config/redis');
+const { AIBudgetExceededError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const PERIODS = ['daily', 'monthly'];
+const METRICS = ['tokens', 'cost'];
+const SCOPES = ['user', 'world'];
+const RESERVATION_TTL = 15 * 60; // seconds
+const MICRODOLLARS = 1000000;
+
+const scopeColumn = (scope) => (scope === 'user' ? 'user_id' : 'world_id');
+
+const priceFor = (provider, model) => {
+  const { pricing } = config.ai;
+  return pricing[model] || pricing[provider] || pricing.default;
+};
+
+// What a call cost, in US dollars
+const costOf = (provider, model, { inputTokens = 0, outputTokens = 0 }) => {
+  const price = priceFor(provider, model);
+  return (price.perCall || 0) +
+    (inputTokens / 1000) * (price.input || 0) +
+    (outputTokens / 1000) * (price.output || 0);
+};
+
+/**
+ * How big a call is likely to be: its prompt and the most it may answer
+ * with. `target` is the first { provider, model } on the feature's route.
+ */
+const estimateCall = (capability, target, request) => {
+  let usage;
+  if (capability === 'image') {
+    usage = { inputTokens: 0, outputTokens: 0 };
+  } else if (capability === 'speech') {
+    usage = { inputTokens: estimateTokens(request.text), outputTokens: 0 };
+  } else {
+    usage = {
+      inputTokens: estimateTokens(`${request.system || ''}${request.prompt || ''}`),
+      outputTokens: request.maxTokens || config.ai.openai.maxTokens
+    };
+  }
+
+  return {
+    tokens: usage.inputTokens + usage.outputTokens,
+    cost: costOf(target.provider, target.model, usage)
+  };
+};
+
+const periodStart = (period, now = new Date()) => {
+  return period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+};
+
+const periodEnd = (period, now = new Date()) => {
+  return period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+};
+
+const toLimit = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Tokens and cost spent by a user or world since `since`
+const spentSince = async (scope, targetId, since) => {
+  const spent = await AIUsage.findOne({
+    attributes: [
+      [fn('COALESCE', fn('SUM', col('tokens')), 0), 'tokens'],
+      [fn('COALESCE', fn('SUM', col('cost')), 0), 'cost']
+    ],
+    where: {
+      [scopeColumn(scope)]: targetId,
+      created_at: { [Op.gte]: since }
+    },
+    raw: true
+  });
+  return { tokens: parseInt(spent.tokens) || 0, cost: parseFloat(spent.cost) || 0 };
+};
+
+// The plan a user or world is budgeted on
+const planFor = async (scope, targetId) => {
+  if (scope === 'user') {
+    const user = await User.findByPk(targetId, { attributes: ['id', 'plan'] });
+    return user ? user.plan || 'free' : null;
+  }
+
+  const world = await World.findByPk(targetId, {
+    attributes: ['id', 'author_id'],
+    include: [{ model: User, as: 'author', attributes: ['id', 'plan'] }]
+  });
+  return world ? world.author?.plan || 'free' : null;
+};
+
+/**
+ * A user's or world's budget: for each period what was spent, the limits,
+ * whether they come from an override, and when the period resets. Returns
+ * null when the user or world doesn't exist. Pass `plan` when already known.
+ */
+const getBudget = async (scope, targetId, plan = null, now = new Date()) => {
+  plan = plan || await planFor(scope, targetId);
+  if (!plan) {
+    return null;
+  }
+
+  const { tiers } = config.ai.budgets;
+  const tier = tiers[plan] || tiers.free;
+  const overrides = await AIBudgetOverride.findAll({
+    where: {
+      scope,
+      target_id: targetId,
+      [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: now } }]
+    }
+  });
+
+  const periods = {};
+  for (const period of PERIODS) {
+    const override = overrides.find(row => row.period === period);
+    const limits = override
+      ? { tokens: toLimit(override.max_tokens), cost: toLimit(override.max_cost) }
+      : { tokens: toLimit(tier[scope]?.[period]?.tokens), cost: toLimit(tier[scope]?.[period]?.cost) };
+
+    periods[period] = {
+      spent: await spentSince(scope, targetId, periodStart(period, now)),
+      limits,
+      overridden: Boolean(override),
+      resetsAt: periodEnd(period, now)
+    };
+  }
+
+  return { scope, targetId, plan, periods };
+};
+
+const reservedKey = (scope, targetId, period, now) => {
+  return `ai:reserved:${scope}:${targetId}:${period}:${periodStart(period, now).toISOString().slice(0, 10)}`;
+};
+
+/**
+ * Add an estimate to (or, with `sign` -1, take it off) the reservations
+ * under `keys`. Returns what each key then holds, as { tokens, cost }.
+ */
+const adjustReserved = async (keys, estimate, sign) => {
+  const multi = redis.multi();
+  keys.forEach(key => {
+    multi
+      .hincrby(key, 'tokens', sign * Math.round(estimate.tokens))
+      .hincrby(key, 'cost', sign * Math.round(estimate.cost * MICRODOLLARS))
+      .expire(key, RESERVATION_TTL);
+  });
+  const results = await multi.exec();
+
+  return keys.map((key, index) => ({
+    tokens: Math.max(0, results[index * 3][1]),
+    cost: Math.max(0, results[index * 3 + 1][1]) / MICRODOLLARS
+  }));
+};
+
+/**
+ * Give back what `check` reserved for a call. A failure is logged rather
+ * than thrown; the reservation then lapses on its own.
+ */
+const release = async (reservation) => {
+  if (!reservation) {
+    return;
+  }
+
+  try {
+    await adjustReserved(reservation.keys, reservation.estimate, -1);
+  } catch (error) {
+    logger.error(`Failed to release AI budget reservation: ${error.message}`);
+  }
+};
+
+/**
+ * Reserve a call's estimate against the budgets of whoever it is charged
+ * to, `chargeTo` being { user, worldId }. Throws AIBudgetExceededError, with
+ * nothing left reserved, when the call would go over a limit counting what
+ * was spent and what other calls hold. Otherwise returns { warnings,
+ * reservation }: the warnings (possibly none) as
+ * [{ scope, period, metric, spent, limit, share }], and the reservation to
+ * pass to `record` (or `release` when no call was made).
+ */
+const check = async (chargeTo, estimate, now = new Date()) => {
+  const targets = [{ scope: 'user', targetId: chargeTo.user.id, plan: chargeTo.user.plan || 'free' }];
+  if (chargeTo.worldId) {
+    targets.push({ scope: 'world', targetId: chargeTo.worldId, plan: null });
+  }
+
+  const keys = targets.flatMap(({ scope, targetId }) => PERIODS.map(period => reservedKey(scope, targetId, period, now)));
+  const reserved = await adjustReserved(keys, estimate, 1);
+  const reservation = { keys, estimate };
+
+  try {
+    const warnings = [];
+    for (const [index, { scope, targetId, plan }] of targets.entries()) {
+      const budget = await getBudget(scope, targetId, plan, now);
+      if (!budget) {
+        continue;
+      }
+
+      for (const [offset, period] of PERIODS.entries()) {
+        const { spent, limits, resetsAt } = budget.periods[period];
+        const held = reserved[index * PERIODS.length + offset];
+        for (const metric of METRICS) {
+          const limit = limits[metric];
+          if (limit === null) {
+            continue;
+          }
+
+          // What is held includes this call's own estimate
+          const projected = spent[metric] + held[metric];
+          if (projected > limit) {
+            throw new AIBudgetExceededError({
+              scope: budget.scope,
+              plan: budget.plan,
+              period,
+              metric,
+              spent: spent[metric],
+              limit,
+              resetsAt,
+              retryAfter: Math.ceil((resetsAt - now) / 1000)
+            });
+          }
+          if (projected >= limit * config.ai.budgets.warnAt) {
+            warnings.push({ scope: budget.scope, period, metric, spent: spent[metric], limit, share: projected / limit });
+          }
+        }
+      }
+    }
+    return { warnings, reservation };
+  } catch (error) {
+    await release(reservation);
+    throw error;
+  }
+};
+
+/**
+ * Record a call that was made, then give back its `reservation` (see
+ * check). A failure to record is logged rather than thrown, so the caller
+ * still gets the answer it paid for. Returns the cost.
+ */
+const record = async (chargeTo, { feature, capability, provider, model, usage }, reservation = null) => {
+  const cost = costOf(provider, model, usage);
+
+  try {
+    await AIUsage.create({
+      user_id: chargeTo?.user?.id || null,
+      world_id: chargeTo?.worldId || null,
+      session_id: chargeTo?.sessionId || null,
+      feature,
+      capability,
+      provider,
+      model,
+      input_tokens: usage.inputTokens,
+      output_tokens: usage.outputTokens,
+      tokens: usage.inputTokens + usage.outputTokens,
+      cost
+    });
+  } catch (error) {
+    logger.error(`Failed to record AI usage for ${feature}: ${error.message}`);
+  }
+  await release(reservation);
+  return cost;
+};
+
+const totalsOf = (rows) => {
+  return rows.map(row => ({
+    ...row,
+    calls: parseInt(row.calls) || 0,
+    tokens: parseInt(row.tokens) || 0,
+    cost: parseFloat(row.cost) || 0
+  }));
+};
+
+/**
+ * Usage by a user or world in the current period, in total and broken down
+ * by provider/model and by feature.
+ */
+const getUsageReport = async (scope, targetId, period = 'monthly', now = new Date()) => {
+  const since = periodStart(period, now);
+  const where = { [scopeColumn(scope)]: targetId, created_at: { [Op.gte]: since } };
+  const sums = [
+    [fn('COUNT', col('id')), 'calls'],
+    [fn('COALESCE', fn('SUM', col('tokens')), 0), 'tokens'],
+    [fn('COALESCE', fn('SUM', col('cost')), 0), 'cost']
+  ];
+
+  const [byModel, byFeature] = await Promise.all([
+    AIUsage.findAll({ attributes: ['provider', 'model', ...sums], where, group: ['provider', 'model'], raw: true }),
+    AIUsage.findAll({ attributes: ['feature', ...sums], where, group: ['feature'], raw: true })
+  ]);
+
+  const models = totalsOf(byModel);
+  return {
+    period,
+    since,
+    totals: models.reduce((totals, row) => ({
+      calls: totals.calls + row.calls,
+      tokens: totals.tokens + row.tokens,
+      cost: totals.cost + row.cost
+    }), { calls: 0, tokens: 0, cost: 0 }),
+    byModel: models,
+    byFeature: totalsOf(byFeature)
+  };
+};
+
+/**
+ * Set an admin override for a user's or world's budget in one period,
+ * replacing any earlier one. Returns { error, status } or { override }.
+ */
+const setOverride = async (admin, { scope, targetId, period, maxTokens = null, maxCost = null, reason = null, expiresAt = null }) => {
+  if (!SCOPES.includes(scope) || !PERIODS.includes(period)) {
+    return { error: 'Invalid budget scope or period', status: 400 };
+  }
+
+  const exists = scope === 'user'
+    ? await User.count({ where: { id: targetId } })
+    : await World.count({ where: { id: targetId } });
+  if (!exists) {
+    return { error: `${scope === 'user' ? 'User' : 'World'} not found`, status: 404 };
+  }
+
+  const fields = {
+    max_tokens: maxTokens,
+    max_cost: maxCost,
+    reason,
+    expires_at: expiresAt,
+    created_by: admin.id,
+    created_at: new Date()
+  };
+  const [override, created] = await AIBudgetOverride.findOrCreate({
+    where: { scope, target_id: targetId, period },
+    defaults: fields
+  });
+  if (!created) {
+    await override.update(fields);
+  }
+
+  logger.info(`AI budget override for ${scope} ${targetId} (${period}) set by ${admin.username}`);
+  return { override };
+};
+
+module.exports = {
+  PERIODS,
+  SCOPES,
+  costOf,
+  estimateCall,
+  check,
+  release,
+  record,
+  getBudget,
+  getUsageReport,
+  setOverride
+};
@@ -0,0 +1,165 @@
+// Reservation hashes, standing in for Redis
+const mockHeld = new Map();
+
+jest.mock('../config/redis', () => ({
+  redis: {
+    multi: () => {
+      const queued = [];
+      const multi = {
+        hincrby: (key, field, by) => {
+          queued.push(() => {
+            const hash = mockHeld.get(key) || {};
+            hash[field] = (hash[field] || 0) + by;
+            mockHeld.set(key, hash);
+            return hash[field];
+          });
+          return multi;
+        },
+        expire: () => {
+          queued.push(() => 1);
+          return multi;
+        },
+        exec: async () => queued.map(run => [null, run()])
+      };
+      return multi;
+    }
+  }
+}));
+jest.mock('../models', () => ({
+  AIUsage: { findOne: jest.fn(), create: jest.fn(async () => ({})) },
+  AIBudgetOverride: { findAll: jest.fn() },
+  World: { findByPk: async () => ({ id: 'w1', author: { plan: 'free' } }) },
+  User: { findByPk: async () => ({ id: 'u1', plan: 'free' }) }
+}));
+jest.mock('../config/environment', () => ({
+  ai: {
+    openai: { maxTokens: 1000 },
+    pricing: {
+      default: { input: 0.01, output: 0.03 },
+      'dall-e-3': { perCall: 0.04 }
+    },
+    budgets: {
+      warnAt: 0.8,
+      tiers: {
+        free: {
+          user: { daily: { tokens: 1000, cost: null }, monthly: { tokens: null, cost: null } },
+          world: { daily: { tokens: 5000, cost: null }, monthly: { tokens: null, cost: null } }
+        }
+      }
+    }
+  }
+}));
+
+const { AIUsage, AIBudgetOverride } = require('../models');
+const aiBudgets = require('./aiBudgets');
+const { AIBudgetExceededError } = require('../middleware/errorHandler');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const DAILY = 'ai:reserved:user:u1:daily:2026-03-10';
+const MONTHLY = 'ai:reserved:user:u1:monthly:2026-03-01';
+
+const player = { user: { id: 'u1', plan: 'free' } };
+const estimate = (tokens) => ({ tokens, cost: tokens / 100000 });
+
+describe('aiBudgets', () => {
+  let spent;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockHeld.clear();
+    spent = { tokens: 0, cost: 0 };
+    AIUsage.findOne.mockImplementation(async () => ({ tokens: String(spent.tokens), cost: String(spent.cost) }));
+    AIBudgetOverride.findAll.mockResolvedValue([]);
+  });
+
+  it('prices a call from its model, or the default', () => {
+    expect(aiBudgets.costOf('openai', 'dall-e-3', { inputTokens: 0, outputTokens: 0 })).toBe(0.04);
+    expect(aiBudgets.costOf('anthropic', 'unknown', { inputTokens: 1000, outputTokens: 2000 })).toBeCloseTo(0.07);
+    expect(aiBudgets.estimateCall('text', { provider: 'openai', model: 'x' }, { prompt: 'abcdefgh' })).toEqual({
+      tokens: 1002,
+      cost: expect.closeTo(0.03002)
+    });
+  });
+
+  it('reserves a call\'s estimate for each period and scope it is charged to', async () => {
+    const { warnings, reservation } = await aiBudgets.check({ ...player, worldId: 'w1' }, estimate(300), NOW);
+
+    expect(warnings).toEqual([]);
+    expect(reservation.keys).toEqual([DAILY, MONTHLY, 'ai:reserved:world:w1:daily:2026-03-10', 'ai:reserved:world:w1:monthly:2026-03-01']);
+    reservation.keys.forEach(key => expect(mockHeld.get(key)).toEqual({ tokens: 300, cost: 3000 }));
+  });
+
+  it('counts other calls still running against the limit', async () => {
+    await aiBudgets.check(player, estimate(600), NOW);
+
+    await expect(aiBudgets.check(player, estimate(600), NOW)).rejects.toThrow(AIBudgetExceededError);
+    // The refused call leaves nothing reserved
+    expect(mockHeld.get(DAILY).tokens).toBe(600);
+  });
+
+  it('refuses a call that would go over what was already spent', async () => {
+    spent = { tokens: 900, cost: 0 };
+
+    const refusal = await aiBudgets.check(player, estimate(200), NOW).catch(error => error);
+
+    expect(refusal).toBeInstanceOf(AIBudgetExceededError);
+    expect(refusal.details).toMatchObject({ scope: 'user', period: 'daily', metric: 'tokens', spent: 900, limit: 1000 });
+    expect(mockHeld.get(DAILY).tokens).toBe(0);
+  });
+
+  it('warns once a call takes a budget past the warning share', async () => {
+    spent = { tokens: 700, cost: 0 };
+
+    const { warnings } = await aiBudgets.check(player, estimate(200), NOW);
+
+    expect(warnings).toEqual([{ scope: 'user', period: 'daily', metric: 'tokens', spent: 700, limit: 1000, share: 0.9 }]);
+  });
+
+  it('uses an override in place of the plan\'s limits', async () => {
+    AIBudgetOverride.findAll.mockResolvedValue([{ period: 'daily', max_tokens: null, max_cost: null }]);
+    spent = { tokens: 5000, cost: 0 };
+
+    await expect(aiBudgets.check(player, estimate(200), NOW)).resolves.toMatchObject({ warnings: [] });
+  });
+
+  it('records a call and gives its reservation back', async () => {
+    const { reservation } = await aiBudgets.check(player, estimate(500), NOW);
+
+    const cost = await aiBudgets.record({ ...player, sessionId: 's1' }, {
+      feature: 'story',
+      capability: 'text',
+      provider: 'openai',
+      model: 'gpt-x',
+      usage: { inputTokens: 100, outputTokens: 200 }
+    }, reservation);
+
+    expect(cost).toBeCloseTo(0.007);
+    expect(AIUsage.create).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'u1',
+      world_id: null,
+      session_id: 's1',
+      feature: 'story',
+      tokens: 300,
+      cost
+    }));
+    expect(mockHeld.get(DAILY)).toEqual({ tokens: 0, cost: 0 });
+  });
+
+  it('still gives the reservation back when recording fails', async () => {
+    const { reservation } = await aiBudgets.check(player, estimate(500), NOW);
+    AIUsage.create.mockRejectedValueOnce(new Error('database is down'));
+
+    await aiBudgets.record(player, { feature: 'story', capability: 'text', provider: 'fake', model: 'fake', usage: { inputTokens: 1, outputTokens: 1 } }, reservation);
+
+    expect(mockHeld.get(DAILY).tokens).toBe(0);
+  });
+
+  it('releases a reservation for a call that was never made', async () => {
+    const { reservation } = await aiBudgets.check(player, estimate(500), NOW);
+
+    await aiBudgets.release(reservation);
+    await aiBudgets.release(null);
+
+    expect(mockHeld.get(MONTHLY)).toEqual({ tokens: 0, cost: 0 });
+  });
+});
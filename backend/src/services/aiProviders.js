@@ -0,0 +1,528 @@
+/**
+ * AI Providers
+ * The backends the AI layer (services/ai.js) can send a request to. Each
+ * provider implements whichever of these it supports:
+ *
+ *   text({ model, system, prompt, maxTokens, temperature })
+ *     → { text, usage }
+ *   json({ model, system, prompt, maxTokens, temperature })
+ *     → { data, usage }
+ *   image({ model, prompt, size, quality })
+ *     → { url, usage }
+ *   speech({ model, text, voice })
+ *     → { audio, contentType, usage }
+ *   stream({ model, system, prompt, maxTokens, temperature, json },
+ *          { onDelta, signal })
+ *     → { text, usage }, calling onDelta(text) for each piece as it arrives
+ *       and stopping with an AbortError once `signal` is aborted. `json`
+ *       asks for a JSON object, still streamed as text.
+ *
+ * where `usage` is { inputTokens, outputTokens }. A provider that isn't
+ * configured throws, so the caller moves on to its next target.
+ *
+ * The fake provider never touches the network. Its answers come from
+ * fixtures and are picked by hashing the seed with the request, so the same
+ * request always gets the same answer.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const OpenAI = require('openai');
+const config = require('../config/environment');
+
+// Rough token count for providers that don't report one
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Models answer JSON requests with the odd code fence or preamble around it
+const parseJSON = (content) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('Model did not return JSON');
+    }
+    return JSON.parse(content.slice(start, end + 1));
+  }
+};
+
+const JSON_INSTRUCTION = 'Respond with a single JSON object and nothing else.';
+
+const abortError = () => {
+  const error = new Error('AI generation cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Usage for a stream that didn't report its own
+const estimateUsage = ({ system, prompt }, text) => ({
+  inputTokens: estimateTokens(`${system || ''}${prompt || ''}`),
+  outputTokens: estimateTokens(text)
+});
+
+/* OpenAI */
+
+let openaiClient = null;
+
+const openaiApi = () => {
+  if (!config.ai.openai.apiKey) {
+    throw new Error('OpenAI is not configured');
+  }
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: config.ai.openai.apiKey, timeout: config.ai.timeoutMs });
+  }
+  return openaiClient;
+};
+
+const openaiParams = ({ model, system, prompt, maxTokens, temperature }) => ({
+  model,
+  messages: [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    { role: 'user', content: prompt }
+  ],
+  max_tokens: maxTokens || config.ai.openai.maxTokens,
+  temperature
+});
+
+const openaiChat = async (request, extra = {}) => {
+  const completion = await openaiApi().chat.completions.create({ ...openaiParams(request), ...extra });
+
+  return {
+    content: completion.choices[0].message.content,
+    usage: {
+      inputTokens: completion.usage?.prompt_tokens || 0,
+      outputTokens: completion.usage?.completion_tokens || 0
+    }
+  };
+};
+
+const openai = {
+  name: 'openai',
+
+  async text(request) {
+    const { content, usage } = await openaiChat(request);
+    return { text: content, usage };
+  },
+
+  async json(request) {
+    const { content, usage } = await openaiChat(request, { response_format: { type: 'json_object' } });
+    return { data: parseJSON(content), usage };
+  },
+
+  async image({ model, prompt, size = '1024x1024', quality = 'standard' }) {
+    const response = await openaiApi().images.generate({ model, prompt, n: 1, size, quality });
+    return { url: response.data[0].url, usage: { inputTokens: 0, outputTokens: 0 } };
+  },
+
+  async speech({ model, text, voice }) {
+    const response = await openaiApi().audio.speech.create({ model, voice, input: text });
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      contentType: 'audio/mpeg',
+      usage: { inputTokens: estimateTokens(text), outputTokens: 0 }
+    };
+  },
+
+  async stream(request, { onDelta, signal }) {
+    const stream = await openaiApi().chat.completions.create({
+      ...openaiParams(request),
+      ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal });
+
+    let text = '';
+    let usage = null;
+    try {
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        if (chunk.usage) {
+          usage = { inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens };
+        }
+      }
+    } catch (error) {
+      throw signal?.aborted ? abortError() : error;
+    }
+    return { text, usage: usage || estimateUsage(request, text) };
+  }
+};
+
+/* Anthropic (Messages API over HTTP) */
+
+const anthropicPost = ({ model, system, prompt, maxTokens, temperature }, extra = {}, options = {}) => {
+  if (!config.ai.anthropic.apiKey) {
+    throw new Error('Anthropic is not configured');
+  }
+
+  return axios.post(`${config.ai.anthropic.baseUrl}/v1/messages`, {
+    model,
+    max_tokens: maxTokens || config.ai.anthropic.maxTokens,
+    temperature,
+    ...(system ? { system } : {}),
+    messages: [{ role: 'user', content: prompt }],
+    ...extra
+  }, {
+    headers: {
+      'x-api-key': config.ai.anthropic.apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json'
+    },
+    timeout: config.ai.timeoutMs,
+    ...options
+  });
+};
+
+const anthropicMessage = async (request) => {
+  const response = await anthropicPost(request);
+
+  return {
+    content: response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(''),
+    usage: {
+      inputTokens: response.data.usage?.input_tokens || 0,
+      outputTokens: response.data.usage?.output_tokens || 0
+    }
+  };
+};
+
+const anthropic = {
+  name: 'anthropic',
+
+  async text(request) {
+    const { content, usage } = await anthropicMessage(request);
+    return { text: content, usage };
+  },
+
+  async json(request) {
+    const system = [request.system, JSON_INSTRUCTION].filter(Boolean).join('\n\n');
+    const { content, usage } = await anthropicMessage({ ...request, system });
+    return { data: parseJSON(content), usage };
+  },
+
+  // The Messages API streams server-sent events, one JSON object per `data:` line
+  async stream(request, { onDelta, signal }) {
+    const system = request.json ? [request.system, JSON_INSTRUCTION].filter(Boolean).join('\n\n') : request.system;
+    const response = await anthropicPost({ ...request, system }, { stream: true }, { responseType: 'stream', signal });
+
+    let text = '';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let pending = '';
+    try {
+      for await (const chunk of response.data) {
+        pending += chunk.toString('utf8');
+        const lines = pending.split('\n');
+        pending = lines.pop();
+
+        for (const line of lines.filter(line => line.startsWith('data:'))) {
+          const event = JSON.parse(line.slice(5));
+          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            onDelta(event.delta.text);
+          } else if (event.type === 'message_start') {
+            usage.inputTokens = event.message?.usage?.input_tokens || 0;
+          } else if (event.type === 'message_delta') {
+            usage.outputTokens = event.usage?.output_tokens || 0;
+          } else if (event.type === 'error') {
+            throw new Error(event.error?.message || 'Anthropic stream failed');
+          }
+        }
+      }
+    } catch (error) {
+      throw signal?.aborted ? abortError() : error;
+    }
+    return { text, usage };
+  }
+};
+
+/* Fake */
+
+// Used when no fixture file is configured, or it has nothing for a feature
+const DEFAULT_FIXTURES = {
+  text: {
+    default: [
+      'The path ahead twists into shadow. Somewhere nearby, water drips onto stone.',
+      'A cold wind carries the smell of smoke. Whatever happened here, it happened recently.',
+      'Lanterns flicker as you pass, and for a moment you are sure someone is watching.'
+    ],
+    story: [
+      'You step forward and the world shifts around you. {{prompt}}\n\nWhat do you do next?\n1. Press on\n2. Look around\n3. Turn back',
+      'The air hums with old magic. {{prompt}}\n\nYour choices:\n1. Follow the sound\n2. Wait and listen\n3. Call out'
+    ]
+  },
+  json: {
+    default: [
+      { result: 'ok' }
+    ],
+    dungeonMaster: [
+      {
+        outcome: 'Your action echoes through the hall, and something stirs in the dark.',
+        effects: [{ setFlag: 'heardStirring' }],
+        newChoices: [
+          { text: 'Listen closely', action: 'examine', target: 'stirring', response: 'A slow scrape, like claws on stone, somewhere below.' }
+        ]
+      },
+      {
+        outcome: 'Nothing happens at first. Then a hidden door grinds open beside you.',
+        effects: [{ setFlag: 'hiddenDoorFound' }],
+        newItems: {
+          tarnished_key: { name: 'Tarnished Key', description: 'A small key, green with age.' }
+        },
+        newLocations: {
+          hidden_passage: {
+            name: 'Hidden Passage',
+            description: 'A narrow passage, thick with dust. Nobody has been here in years.',
+            items: ['tarnished_key'],
+            choices: []
+          }
+        },
+        newChoices: [{ text: 'Step through the door', action: 'move', target: 'hidden_passage' }]
+      }
+    ],
+    worldBuilder: [
+      {
+        worldInfo: {
+          name: 'The Drowned Lighthouse',
+          description: 'A lighthouse on a storm-lashed rock, dark for the first time in a hundred years.'
+        },
+        startLocation: 'jetty',
+        locations: {
+          jetty: {
+            name: 'Rotting Jetty',
+            description: 'Waves slap against the planks. Above you, the lighthouse stands dark against the clouds.',
+            items: ['rope'],
+            choices: [
+              { text: 'Climb the stairs to the lighthouse', action: 'move', target: 'lamp_room' },
+              { text: 'Take the coil of rope', action: 'take', target: 'rope' },
+              { text: 'Examine the moored boat', action: 'examine', target: 'boat' }
+            ]
+          },
+          lamp_room: {
+            name: 'Lamp Room',
+            description: 'The great lens is cracked, and the keeper\'s logbook lies open on the floor.',
+            items: ['logbook'],
+            choices: [
+              { text: 'Take the logbook', action: 'take', target: 'logbook' },
+              { text: 'Descend to the cellar', action: 'move', target: 'cellar' },
+              { text: 'Go back down to the jetty', action: 'move', target: 'jetty' }
+            ]
+          },
+          cellar: {
+            name: 'Flooded Cellar',
+            description: 'Knee-deep seawater, and something glinting beneath it.',
+            choices: [
+              { text: 'Take the brass key', action: 'take', target: 'brass_key' },
+              { text: 'Climb back up', action: 'move', target: 'lamp_room' },
+              { text: 'Swim through the tunnel', action: 'move', target: 'sea_cave' }
+            ]
+          }
+        },
+        items: {
+          rope: { name: 'Coil of Rope', description: 'Salt-stiff, but strong.' },
+          logbook: { name: 'Keeper\'s Logbook', description: 'The last entry is smeared and unfinished.' },
+          brass_key: { name: 'Brass Key', description: 'Green with age, stamped with an anchor.' }
+        },
+        specialActions: {
+          boat: 'The boat has been holed from the inside.'
+        }
+      },
+      {
+        when: 'Expand the location',
+        response: {
+          locations: {
+            watch_gallery: {
+              name: 'Watch Gallery',
+              description: 'A narrow iron walkway circling high above the sea.',
+              items: ['spyglass'],
+              choices: [{ text: 'Take the spyglass', action: 'take', target: 'spyglass' }]
+            }
+          },
+          items: {
+            spyglass: { name: 'Spyglass', description: 'Its lens is scratched, but it still works.' }
+          },
+          choices: [{ text: 'Step out onto the gallery', action: 'move', target: 'watch_gallery' }]
+        }
+      }
+    ],
+    story: [
+      {
+        narrative: 'The trail bends toward an old watchtower, its door hanging open.',
+        choices: ['Climb the tower', 'Circle around it', 'Make camp for the night'],
+        consequences: [],
+        characterUpdates: {},
+        summary: 'Found an abandoned watchtower'
+      }
+    ],
+    npcDialogue: [
+      {
+        text: 'Travellers don\'t come this way often. What brings you here?',
+        emotion: 'neutral',
+        suggestedChoices: ['I\'m looking for work', 'Just passing through', 'Have you seen anything strange?']
+      },
+      {
+        text: 'Keep your voice down. The walls here have ears.',
+        emotion: 'fearful',
+        suggestedChoices: ['Who is listening?', 'I\'m not afraid', 'Then let\'s talk somewhere else']
+      }
+    ],
+    quest: [
+      {
+        title: 'The Missing Lantern',
+        description: 'The lighthouse keeper\'s lantern was stolen in the night. Without it, ships will founder on the rocks.',
+        objectives: ['Speak to the keeper', 'Follow the thief\'s tracks', 'Return the lantern'],
+        rewards: [{ type: 'gold', amount: 50 }],
+        difficulty: 'medium',
+        estimatedTime: '20 minutes',
+        branchingPaths: []
+      }
+    ]
+  }
+};
+
+// Fixtures as last loaded, and the file they came from
+let fixtureCache = null;
+
+const loadFixtures = () => {
+  const file = config.ai.fake.fixtures;
+  if (fixtureCache && fixtureCache.file === file) {
+    return fixtureCache.fixtures;
+  }
+
+  const fromFile = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const fixtures = {
+    text: { ...DEFAULT_FIXTURES.text, ...fromFile.text },
+    json: { ...DEFAULT_FIXTURES.json, ...fromFile.json }
+  };
+  fixtureCache = { file, fixtures };
+  return fixtures;
+};
+
+// A stable number for a request, from the seed and everything it asked
+const seededIndex = (parts, count) => {
+  const hash = crypto.createHash('sha256')
+    .update([config.ai.fake.seed, ...parts].map(String).join('\u0000'))
+    .digest();
+  return hash.readUInt32BE(0) % count;
+};
+
+/**
+ * Pick a fixture for a request. Entries may be plain responses or
+ * { when, response } where `when` is text the prompt must contain; matching
+ * entries win over plain ones.
+ */
+const pickFixture = (kind, { feature, system, prompt }) => {
+  const fixtures = loadFixtures()[kind];
+  const entries = fixtures[feature] || fixtures.default;
+  const text = `${prompt || ''}`.toLowerCase();
+
+  const matching = entries.filter(entry => entry?.when && text.includes(entry.when.toLowerCase()));
+  const plain = entries.filter(entry => !entry?.when);
+  const pool = matching.length > 0 ? matching.map(entry => entry.response) : plain;
+  if (pool.length === 0) {
+    throw new Error(`No ${kind} fixture for ${feature}`);
+  }
+
+  return pool[seededIndex([kind, feature, system, prompt], pool.length)];
+};
+
+const fillTemplate = (template, prompt) => template.replace(/\{\{prompt\}\}/g, prompt || '');
+
+const pause = (ms = config.ai.fake.latencyMs) => {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+};
+
+// A silent 8kHz mono WAV, longer for longer text (up to 5 seconds)
+const silentWav = (text) => {
+  const samples = Math.min(8000 * 5, 800 * Math.ceil(text.length / 20));
+  const buffer = Buffer.alloc(44 + samples, 0x80);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(8000, 24);
+  buffer.writeUInt32LE(8000, 28);
+  buffer.writeUInt16LE(1, 32);
+  buffer.writeUInt16LE(8, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples, 40);
+  return buffer;
+};
+
+const fake = {
+  name: 'fake',
+
+  async text(request) {
+    await pause();
+    const text = fillTemplate(pickFixture('text', request), request.prompt);
+    return {
+      text,
+      usage: { inputTokens: estimateTokens(`${request.system || ''}${request.prompt}`), outputTokens: estimateTokens(text) }
+    };
+  },
+
+  async json(request) {
+    await pause();
+    const data = JSON.parse(JSON.stringify(pickFixture('json', request)));
+    return {
+      data,
+      usage: { inputTokens: estimateTokens(`${request.system || ''}${request.prompt}`), outputTokens: estimateTokens(JSON.stringify(data)) }
+    };
+  },
+
+  // An SVG placeholder whose colours come from the prompt
+  async image({ prompt }) {
+    await pause();
+    const hue = seededIndex(['image', prompt], 360);
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024">' +
+      `<rect width="1024" height="1024" fill="hsl(${hue},45%,30%)"/>` +
+      `<circle cx="512" cy="512" r="320" fill="hsl(${(hue + 180) % 360},45%,55%)"/></svg>`;
+    return {
+      url: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`,
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+  },
+
+  async speech({ text }) {
+    await pause();
+    return {
+      audio: silentWav(text),
+      contentType: 'audio/wav',
+      usage: { inputTokens: estimateTokens(text), outputTokens: 0 }
+    };
+  },
+
+  // The same answer text() or json() would give, a word at a time
+  async stream(request, { onDelta, signal }) {
+    await pause();
+    const text = request.json
+      ? JSON.stringify(pickFixture('json', request))
+      : fillTemplate(pickFixture('text', request), request.prompt);
+
+    for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+      if (signal?.aborted) {
+        throw abortError();
+      }
+      onDelta(piece);
+      await pause(config.ai.fake.chunkDelayMs);
+    }
+    return { text, usage: estimateUsage(request, text) };
+  }
+};
+
+const providers = { openai, anthropic, fake };
+
+module.exports = {
+  providers,
+  estimateTokens,
+  parseJSON,
+  abortError
+};
@@ -0,0 +1,371 @@
+/**
+ * Chat
+ * Stored, moderated chat: room chat between a multiplayer room's
+ * participants and direct messages between two players. Both kinds are rows
+ * in chat_messages and go through the same checks before being stored:
+ *
+ *   - length (MAX_ROOM_MESSAGE / MAX_DIRECT_MESSAGE characters)
+ *   - room chat: the sender is in the room and not muted by the host
+ *   - direct messages: neither player has blocked the other
+ *   - moderation: the n8n content moderation workflow when it is configured,
+ *     with the local word list below when it isn't or doesn't answer within
+ *     config.chat.moderationTimeoutMs
+ *
+ * Senders that fail a check get { error, reason } back, with `reason` one of
+ * invalid, not_in_room, muted, blocked, moderation or rate_limited.
+ *
+ * Messages are presented to clients as
+ *   { id, roomId, userId, username, recipientId, message, timestamp }
+ * and history is paged newest first with a `before` timestamp cursor.
+ */
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const { ChatMessage, ChatReport, UserBlock, RoomParticipant, User } = require('../models');
+const n8nService = require('./n8nIntegration');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const MAX_ROOM_MESSAGE = 500;
+const MAX_DIRECT_MESSAGE = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Fallback for when n8n can't be reached. Kept short on purpose; deployments
+// add their own through CHAT_BLOCKED_WORDS.
+const BLOCKED_WORDS = ['fuck', 'fucking', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'whore', 'slut'];
+
+const blockedWords = new Set([...BLOCKED_WORDS, ...config.chat.blockedWords].map(word => word.toLowerCase()));
+
+// Undo the usual letter swaps so "sh1t" and "$hit" match "shit"
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const blockedWordsIn = (content) => {
+  const words = content
+    .toLowerCase()
+    .replace(/[013457@$]/g, char => LOOKALIKES[char])
+    .split(/[^a-z]+/);
+  return [...new Set(words.filter(word => blockedWords.has(word)))];
+};
+
+// n8n workflows answer in a few shapes; any of these means no
+const isFlagged = (result) => {
+  return Boolean(result) && (result.flagged === true || result.approved === false || result.safe === false);
+};
+
+/**
+ * Check a message. Returns { allowed, source, categories } where `source`
+ * says whether n8n or the word list decided.
+ */
+const moderate = async (content) => {
+  if (n8nService.hasWorkflow('contentModeration')) {
+    try {
+      const result = await n8nService.moderateContent(content, { timeout: config.chat.moderationTimeoutMs });
+      return {
+        allowed: !isFlagged(result),
+        source: 'n8n',
+        categories: Array.isArray(result?.categories) ? result.categories : []
+      };
+    } catch (error) {
+      logger.warn(`Chat moderation unavailable, falling back to the word list: ${error.message}`);
+    }
+  }
+
+  const matches = blockedWordsIn(content);
+  return {
+    allowed: matches.length === 0,
+    source: 'wordlist',
+    categories: matches.length > 0 ? ['blocked_word'] : []
+  };
+};
+
+/**
+ * Sliding-window rate limit over the times a socket sent its recent
+ * messages. `sent` is the socket's own list and is updated in place.
+ * Returns false when the message would go over config.chat.rateLimit.
+ */
+const takeRateLimit = (sent, now = Date.now()) => {
+  const { max, windowSeconds } = config.chat.rateLimit;
+  const windowStart = now - windowSeconds * 1000;
+
+  while (sent.length > 0 && sent[0] <= windowStart) {
+    sent.shift();
+  }
+  if (sent.length >= max) {
+    return false;
+  }
+  sent.push(now);
+  return true;
+};
+
+const presentMessage = (message, sender = message.sender) => {
+  return {
+    id: message.id,
+    roomId: message.room_id || null,
+    userId: message.sender_id,
+    username: sender?.username || null,
+    recipientId: message.recipient_id || null,
+    message: message.content,
+    timestamp: message.created_at
+  };
+};
+
+const isMuted = (participant, now = new Date()) => {
+  return Boolean(participant.muted_at) && (!participant.muted_until || participant.muted_until > now);
+};
+
+const validContent = (content, maxLength) => {
+  return typeof content === 'string' && content.trim().length > 0 && content.length <= maxLength;
+};
+
+// Run a message past moderation and store it
+const store = async (fields, content, sender) => {
+  const moderation = await moderate(content);
+  if (!moderation.allowed) {
+    logger.info(`Chat message from ${sender.id} blocked by ${moderation.source} moderation`);
+    return { error: 'Message blocked by moderation', reason: 'moderation' };
+  }
+
+  const message = await ChatMessage.create({
+    ...fields,
+    sender_id: sender.id,
+    content,
+    moderation: { source: moderation.source, categories: moderation.categories }
+  });
+  return { message: presentMessage(message, sender) };
+};
+
+/**
+ * Say something in a room's chat. Returns { error, reason } or { message }.
+ */
+const sendRoomMessage = async (roomId, user, content) => {
+  if (!validContent(content, MAX_ROOM_MESSAGE)) {
+    return { error: 'Invalid message', reason: 'invalid' };
+  }
+
+  const participant = await RoomParticipant.findOne({
+    where: { room_id: roomId, user_id: user.id, left_at: null }
+  });
+  if (!participant) {
+    return { error: 'Not in this room', reason: 'not_in_room' };
+  }
+  if (isMuted(participant)) {
+    return { error: 'You are muted in this room', reason: 'muted', mutedUntil: participant.muted_until };
+  }
+
+  return store({ room_id: roomId }, content, user);
+};
+
+// Whether either player has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+  const count = await UserBlock.count({
+    where: {
+      [Op.or]: [
+        { user_id: userId, blocked_user_id: otherUserId },
+        { user_id: otherUserId, blocked_user_id: userId }
+      ]
+    }
+  });
+  return count > 0;
+};
+
+/**
+ * Message another player directly. They don't need to be online; the
+ * message waits in their conversation history. Returns { error, reason } or
+ * { message }.
+ */
+const sendDirectMessage = async (user, recipientId, content) => {
+  if (!validContent(content, MAX_DIRECT_MESSAGE) || recipientId === user.id) {
+    return { error: 'Invalid message', reason: 'invalid' };
+  }
+
+  const recipient = await User.findOne({ where: { id: recipientId, is_active: true }, attributes: ['id'] });
+  if (!recipient) {
+    return { error: 'User not found', reason: 'invalid' };
+  }
+  if (await isBlockedBetween(user.id, recipientId)) {
+    return { error: 'You cannot message this player', reason: 'blocked' };
+  }
+
+  return store({ recipient_id: recipientId }, content, user);
+};
+
+// One page of messages matching `where`, oldest first
+const page = async (where, { before, limit } = {}) => {
+  const size = Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const cursor = before ? new Date(before) : null;
+  if (cursor && !isNaN(cursor)) {
+    where = { ...where, created_at: { [Op.lt]: cursor } };
+  }
+
+  const rows = await ChatMessage.findAll({
+    where,
+    include: [{ model: User, as: 'sender', attributes: ['id', 'username'] }],
+    order: [['created_at', 'DESC']],
+    limit: size + 1
+  });
+
+  const hasMore = rows.length > size;
+  const messages = rows.slice(0, size).reverse().map(row => presentMessage(row));
+  return {
+    messages,
+    hasMore,
+    nextBefore: hasMore ? messages[0].timestamp : null
+  };
+};
+
+/**
+ * A page of a room's chat history for one of its participants. Returns
+ * { error } or { messages, hasMore, nextBefore }.
+ */
+const getRoomHistory = async (roomId, user, options) => {
+  const participant = await RoomParticipant.count({
+    where: { room_id: roomId, user_id: user.id, left_at: null }
+  });
+  if (!participant && !user.is_admin) {
+    return { error: 'Not in this room' };
+  }
+
+  return page({ room_id: roomId }, options);
+};
+
+// A page of the direct messages between a player and someone else
+const getConversation = (user, otherUserId, options) => {
+  return page({
+    [Op.or]: [
+      { sender_id: user.id, recipient_id: otherUserId },
+      { sender_id: otherUserId, recipient_id: user.id }
+    ]
+  }, options);
+};
+
+/**
+ * Report a message someone else sent, in a room the reporter is or was in
+ * or in a conversation they are part of. Returns { error, status } or
+ * { report }.
+ */
+const reportMessage = async (user, messageId, reason = null) => {
+  const message = await ChatMessage.findByPk(messageId);
+  if (!message) {
+    return { error: 'Message not found', status: 404 };
+  }
+  if (message.sender_id === user.id) {
+    return { error: 'You cannot report your own message', status: 400 };
+  }
+
+  const canSee = message.room_id
+    ? await RoomParticipant.count({ where: { room_id: message.room_id, user_id: user.id } }) > 0
+    : message.recipient_id === user.id;
+  if (!canSee) {
+    return { error: 'Message not found', status: 404 };
+  }
+
+  try {
+    const report = await ChatReport.create({
+      message_id: messageId,
+      reporter_id: user.id,
+      reason
+    });
+    logger.info(`Chat message ${messageId} reported by ${user.id}`);
+    return { report };
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return { error: 'You already reported this message', status: 409 };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Block another player. Blocking twice is harmless. Returns { error } or
+ * { block }.
+ */
+const blockUser = async (user, blockedUserId) => {
+  if (blockedUserId === user.id) {
+    return { error: 'You cannot block yourself' };
+  }
+
+  const target = await User.findByPk(blockedUserId, { attributes: ['id'] });
+  if (!target) {
+    return { error: 'User not found' };
+  }
+
+  const [block] = await UserBlock.findOrCreate({
+    where: { user_id: user.id, blocked_user_id: blockedUserId }
+  });
+  return { block };
+};
+
+// Lift a block; returns whether there was one
+const unblockUser = async (user, blockedUserId) => {
+  const removed = await UserBlock.destroy({
+    where: { user_id: user.id, blocked_user_id: blockedUserId }
+  });
+  return removed > 0;
+};
+
+/**
+ * Mute a participant in a room's chat (host only), for `minutes` or until
+ * unmuted when `minutes` is null. Returns { error } or { participant }.
+ */
+const muteParticipant = async (room, user, targetUserId, minutes = null) => {
+  if (room.host_id !== user.id) {
+    return { error: 'Only the host can mute players' };
+  }
+  if (targetUserId === user.id) {
+    return { error: 'You cannot mute yourself' };
+  }
+  if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60)) {
+    return { error: 'Mute duration must be from 1 to 1440 minutes, or null until unmuted' };
+  }
+
+  const participant = await RoomParticipant.findOne({
+    where: { room_id: room.id, user_id: targetUserId, left_at: null }
+  });
+  if (!participant) {
+    return { error: 'Not in this room' };
+  }
+
+  const now = new Date();
+  participant.muted_at = now;
+  participant.muted_until = minutes === null ? null : new Date(now.getTime() + minutes * 60 * 1000);
+  await participant.save();
+  return { participant };
+};
+
+// Let a muted participant chat again (host only). Returns { error } or { participant }.
+const unmuteParticipant = async (room, user, targetUserId) => {
+  if (room.host_id !== user.id) {
+    return { error: 'Only the host can unmute players' };
+  }
+
+  const participant = await RoomParticipant.findOne({
+    where: { room_id: room.id, user_id: targetUserId, left_at: null }
+  });
+  if (!participant) {
+    return { error: 'Not in this room' };
+  }
+
+  participant.muted_at = null;
+  participant.muted_until = null;
+  await participant.save();
+  return { participant };
+};
+
+module.exports = {
+  MAX_ROOM_MESSAGE,
+  MAX_DIRECT_MESSAGE,
+  moderate,
+  takeRateLimit,
+  presentMessage,
+  isMuted,
+  sendRoomMessage,
+  sendDirectMessage,
+  isBlockedBetween,
+  getRoomHistory,
+  getConversation,
+  reportMessage,
+  blockUser,
+  unblockUser,
+  muteParticipant,
+  unmuteParticipant
+};
@@ -0,0 +1,146 @@
+jest.mock('../models', () => ({
+  ChatMessage: { create: jest.fn(async (values) => ({ id: 'm1', created_at: new Date(), ...values })) },
+  RoomParticipant: { findOne: jest.fn() },
+  ChatReport: {},
+  UserBlock: {},
+  User: {}
+}));
+jest.mock('./n8nIntegration', () => ({
+  hasWorkflow: jest.fn(() => false),
+  moderateContent: jest.fn()
+}));
+jest.mock('../config/environment', () => ({
+  chat: {
+    rateLimit: { max: 2, windowSeconds: 10 },
+    moderationTimeoutMs: 2000,
+    blockedWords: ['grue']
+  }
+}));
+
+const { ChatMessage, RoomParticipant } = require('../models');
+const n8nService = require('./n8nIntegration');
+const chat = require('./chat');
+
+const user = { id: 'u1', username: 'ada' };
+const host = { id: 'h1', username: 'host' };
+const room = { id: 'r1', host_id: 'h1' };
+
+const participant = (fields = {}) => ({
+  user_id: 'u2',
+  muted_at: null,
+  muted_until: null,
+  save: jest.fn(async () => {}),
+  ...fields
+});
+
+describe('chat moderation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    n8nService.hasWorkflow.mockReturnValue(false);
+  });
+
+  it('blocks listed words, including letter swaps and configured extras', async () => {
+    expect(await chat.moderate('what the sh1t')).toEqual({ allowed: false, source: 'wordlist', categories: ['blocked_word'] });
+    expect((await chat.moderate('Beware the GRUE')).allowed).toBe(false);
+    expect(await chat.moderate('shiitake soup')).toEqual({ allowed: true, source: 'wordlist', categories: [] });
+  });
+
+  it('follows the n8n workflow when it answers', async () => {
+    n8nService.hasWorkflow.mockReturnValue(true);
+    n8nService.moderateContent.mockResolvedValue({ approved: false, categories: ['hate'] });
+
+    expect(await chat.moderate('hello')).toEqual({ allowed: false, source: 'n8n', categories: ['hate'] });
+    expect(n8nService.moderateContent).toHaveBeenCalledWith('hello', { timeout: 2000 });
+  });
+
+  it('falls back to the word list when n8n does not answer', async () => {
+    n8nService.hasWorkflow.mockReturnValue(true);
+    n8nService.moderateContent.mockRejectedValue(new Error('timeout of 2000ms exceeded'));
+
+    expect(await chat.moderate('hello')).toEqual({ allowed: true, source: 'wordlist', categories: [] });
+  });
+
+  it('does not store a message moderation blocks', async () => {
+    RoomParticipant.findOne.mockResolvedValue(participant({ user_id: 'u1' }));
+
+    expect(await chat.sendRoomMessage('r1', user, 'you bastard')).toEqual({ error: 'Message blocked by moderation', reason: 'moderation' });
+    expect(ChatMessage.create).not.toHaveBeenCalled();
+  });
+
+  it('stores an allowed message with how it was moderated', async () => {
+    RoomParticipant.findOne.mockResolvedValue(participant({ user_id: 'u1' }));
+
+    const { message } = await chat.sendRoomMessage('r1', user, 'hello all');
+
+    expect(message).toMatchObject({ roomId: 'r1', userId: 'u1', username: 'ada', message: 'hello all' });
+    expect(ChatMessage.create.mock.calls[0][0].moderation).toEqual({ source: 'wordlist', categories: [] });
+  });
+});
+
+describe('chat mutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('treats a mute as running until it lapses, or for good without an end', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+
+    expect(chat.isMuted(participant(), now)).toBe(false);
+    expect(chat.isMuted(participant({ muted_at: now, muted_until: null }), now)).toBe(true);
+    expect(chat.isMuted(participant({ muted_at: now, muted_until: new Date('2026-01-01T12:05:00Z') }), now)).toBe(true);
+    expect(chat.isMuted(participant({ muted_at: now, muted_until: new Date('2026-01-01T11:55:00Z') }), now)).toBe(false);
+  });
+
+  it('refuses messages from a muted participant', async () => {
+    const mutedUntil = new Date(Date.now() + 60000);
+    RoomParticipant.findOne.mockResolvedValue(participant({ user_id: 'u1', muted_at: new Date(), muted_until: mutedUntil }));
+
+    expect(await chat.sendRoomMessage('r1', user, 'hello')).toEqual({ error: 'You are muted in this room', reason: 'muted', mutedUntil });
+    expect(ChatMessage.create).not.toHaveBeenCalled();
+  });
+
+  it('lets only the host mute, for a bounded time', async () => {
+    const target = participant();
+    RoomParticipant.findOne.mockResolvedValue(target);
+
+    expect((await chat.muteParticipant(room, user, 'u2', 5)).error).toBe('Only the host can mute players');
+    expect((await chat.muteParticipant(room, host, 'h1', 5)).error).toBe('You cannot mute yourself');
+    expect((await chat.muteParticipant(room, host, 'u2', 0)).error).toMatch('Mute duration');
+    expect((await chat.muteParticipant(room, host, 'u2', 1441)).error).toMatch('Mute duration');
+    expect(target.save).not.toHaveBeenCalled();
+
+    const before = Date.now();
+    const { participant: muted } = await chat.muteParticipant(room, host, 'u2', 5);
+    expect(muted.muted_until.getTime() - muted.muted_at.getTime()).toBe(5 * 60 * 1000);
+    expect(muted.muted_at.getTime()).toBeGreaterThanOrEqual(before);
+    expect(chat.isMuted(muted)).toBe(true);
+  });
+
+  it('unmutes for the host only', async () => {
+    const target = participant({ muted_at: new Date(), muted_until: null });
+    RoomParticipant.findOne.mockResolvedValue(target);
+
+    expect((await chat.unmuteParticipant(room, user, 'u2')).error).toBe('Only the host can unmute players');
+    const { participant: unmuted } = await chat.unmuteParticipant(room, host, 'u2');
+    expect(chat.isMuted(unmuted)).toBe(false);
+    expect(target.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('cannot mute someone who has left the room', async () => {
+    RoomParticipant.findOne.mockResolvedValue(null);
+
+    expect(await chat.muteParticipant(room, host, 'u2', null)).toEqual({ error: 'Not in this room' });
+  });
+});
+
+describe('chat rate limit', () => {
+  it('allows a few messages per window and frees up as it slides', () => {
+    const sent = [];
+
+    expect(chat.takeRateLimit(sent, 1000)).toBe(true);
+    expect(chat.takeRateLimit(sent, 2000)).toBe(true);
+    expect(chat.takeRateLimit(sent, 3000)).toBe(false);
+    expect(chat.takeRateLimit(sent, 11000)).toBe(true);
+    expect(sent).toEqual([2000, 11000]);
+  });
+});
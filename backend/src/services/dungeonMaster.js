@@ -0,0 +1,545 @@
+/**
+ * Dungeon Master
+ * The AI Dungeon Master narrates what comes of a player's action and may
+ * extend the world while it does: new locations, new items, new choices
+ * where the player stands, and changes to flags, variables and inventory.
+ * Its answer must be a JSON object of this shape, and nothing else:
+ *
+ *   { outcome: string,
+ *     effects: [effect],                       // worldRules effects
+ *     newItems: { [id]: { name, description, slot } },
+ *     newLocations: { [id]: { name, description, items: [itemId], choices: [choice] } },
+ *     newChoices: [choice] }                   // offered where the player is
+ *
+ * where a choice is { text, action: 'move' | 'examine' | 'take', target,
+ * response } and `response` is what examining shows.
+ *
+ * Answers are checked against that shape and against what the world's
+ * author allows (`dungeonMaster` in the world data, see permissionsFor).
+ * What can be fixed is repaired and reported in `repairs`: unknown fields
+ * and disallowed additions are dropped, IDs normalised, references to
+ * things that don't exist removed, new locations linked to where the player
+ * stands. An answer without an outcome is asked for again once, then refused
+ * with an AIInvalidResponseError.
+ *
+ * In a single-player session the additions go into the session's world
+ * overlay (see worldOverlays), so the normal game actions reach them.
+ */
+
+const { sequelize } = require('../config/database');
+const ai = require('./ai');
+const gameSessions = require('./gameSessions');
+const worldRevisions = require('./worldRevisions');
+const worldOverlays = require('./worldOverlays');
+const worldRules = require('./worldRules');
+const itemRules = require('./itemRules');
+const { validateWorld } = require('./worldValidator');
+const { AIInvalidResponseError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const CHOICE_ACTIONS = ['move', 'examine', 'take'];
+const RESPONSE_KEYS = ['outcome', 'effects', 'newItems', 'newLocations', 'newChoices'];
+const STATE_EFFECTS = ['setFlag', 'clearFlag', 'setVar', 'incrementVar', 'decrementVar'];
+
+// How much one answer may add, and how long its text may run
+const LIMITS = {
+  outcome: 2000,
+  name: 100,
+  description: 2000,
+  text: 200,
+  items: 3,
+  locations: 3,
+  choices: 4,
+  effects: 6
+};
+
+// How many of the world's locations and items the prompt names
+const PROMPT_LISTING = 40;
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Lowercase letters, digits and underscores, as world IDs are written
+const toId = (value) => {
+  return String(value).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+};
+
+/**
+ * What the author lets the Dungeon Master do in a world, from its
+ * `dungeonMaster` section: { enabled, allow: [section], protect: { locations,
+ * items, flags, variables } }. Without one, the Dungeon Master is on and may
+ * do everything; nothing is protected.
+ */
+const permissionsFor = (worldData) => {
+  const settings = isPlainObject(worldData?.dungeonMaster) ? worldData.dungeonMaster : {};
+  const protect = isPlainObject(settings.protect) ? settings.protect : {};
+
+  return {
+    enabled: settings.enabled !== false,
+    allow: Array.isArray(settings.allow)
+      ? settings.allow.filter(section => worldRules.DUNGEON_MASTER_SECTIONS.includes(section))
+      : [...worldRules.DUNGEON_MASTER_SECTIONS],
+    protect: Object.fromEntries(worldRules.DUNGEON_MASTER_PROTECTS.map(kind => {
+      return [kind, Array.isArray(protect[kind]) ? protect[kind] : []];
+    }))
+  };
+};
+
+const listing = (entries) => {
+  const names = Object.entries(entries || {})
+    .slice(0, PROMPT_LISTING)
+    .map(([id, entry]) => `${id} (${entry?.name || id})`);
+  return names.length > 0 ? names.join(', ') : 'none';
+};
+
+/**
+ * What the Dungeon Master is told. `context` is { worldName, worldData,
+ * locationId, gameState, shownState, inventory, permissions }, where
+ * `shownState`, when set, is shown in the prompt in place of the game state.
+ */
+const dungeonMasterRequest = (context, action) => {
+  const { worldName, worldData, locationId, gameState, shownState, permissions } = context;
+  const location = worldData?.locations?.[locationId] || {};
+  const allowed = (section) => permissions.allow.includes(section);
+  const choiceShape = '{"text", "action": "move" | "examine" | "take", "target", "response"}';
+
+  const fields = ['"outcome": what happens, in one to three paragraphs (required)'];
+  if (allowed('state') || allowed('inventory')) {
+    const forms = [
+      ...(allowed('state') ? ['{"setFlag": name}', '{"clearFlag": name}', '{"setVar": name, "value": value}', '{"incrementVar": name, "by": number}', '{"decrementVar": name, "by": number}'] : []),
+      ...(allowed('inventory') ? ['{"addItem": itemId}', '{"removeItem": itemId}'] : [])
+    ];
+    fields.push(`"effects": changes to the player's state, each one of ${forms.join(', ')}`);
+  }
+  if (allowed('items')) {
+    fields.push('"newItems": items that come into being, as {"<id>": {"name", "description", "slot"}} (slot only for wearable things)');
+  }
+  if (allowed('locations')) {
+    fields.push('"newLocations": places that open up, as {"<id>": {"name", "description", "items": [itemId], "choices": [choice]}}');
+  }
+  if (allowed('choices') || allowed('locations')) {
+    fields.push(`"newChoices": ${allowed('choices') ? 'choices' : 'moves into your new locations'} offered where the player is now, as [choice]`);
+  }
+
+  const protectedNames = Object.entries(permissions.protect)
+    .filter(([, ids]) => ids.length > 0)
+    .map(([kind, ids]) => `${kind} ${ids.join(', ')}`);
+
+  return {
+    system: `You are the Dungeon Master for "${worldName}", a choose-your-own-adventure game.
+The player is at ${location.name || locationId} (${locationId}): ${location.description || ''}
+Choices already here: ${(location.choices || []).map(choice => `${choice.text} [${choice.action}:${choice.target}]`).join('; ') || 'none'}
+Game state: ${JSON.stringify(shownState || gameState)}
+Locations: ${listing(worldData?.locations)}
+Items: ${listing(worldData?.items)}
+
+Narrate what comes of the player's action, consistent with the world and what has happened so far.
+${protectedNames.length > 0 ? `Leave these as they are: ${protectedNames.join('; ')}. Do not lead the player into those locations.\n` : ''}Answer with one JSON object with only these fields, leaving out any you don't need:
+${fields.join('\n')}
+A choice is ${choiceShape}: move to a location ID, take an item lying there, or examine something, with "response" what the player reads. IDs are lowercase letters, digits and underscores.`,
+    prompt: `The player's action: ${action}`,
+    maxTokens: 800,
+    temperature: 0.7
+  };
+};
+
+/**
+ * Check a Dungeon Master answer (already parsed) against the schema and the
+ * author's permissions. `context` is as for dungeonMasterRequest, with the
+ * session's world data (overlay included). Returns { response, additions,
+ * repairs, problems }: `response` is the cleaned answer, or null when it
+ * can't be used and `problems` says why; `additions` is what it adds to the
+ * world, in world overlay shape.
+ */
+const checkResponse = (data, context) => {
+  const { worldData, locationId, gameState, permissions } = context;
+  const repairs = [];
+  const problems = [];
+  const allowed = (section) => permissions.allow.includes(section);
+  const isProtected = (kind, id) => permissions.protect[kind].includes(id);
+  const clip = (value, max, label) => {
+    const text = value.trim();
+    if (text.length > max) {
+      repairs.push(`Shortened ${label}`);
+      return text.slice(0, max);
+    }
+    return text;
+  };
+
+  if (!isPlainObject(data)) {
+    return { response: null, additions: null, repairs, problems: ['The answer is not a JSON object'] };
+  }
+
+  const outcomeText = [data.outcome, data.narrative, data.description].find(isText);
+  if (!outcomeText) {
+    problems.push('"outcome" is missing or empty');
+  } else if (outcomeText !== data.outcome) {
+    repairs.push('Used another text field as the outcome');
+  }
+
+  Object.keys(data)
+    .filter(key => !RESPONSE_KEYS.includes(key) && !['stateChanges', 'narrative', 'description'].includes(key))
+    .forEach(key => repairs.push(`Dropped unknown field "${key}"`));
+
+  // A section the author doesn't allow, or that isn't shaped right, is dropped whole
+  const section = (key, permitted, isShaped) => {
+    if (data[key] === undefined) return null;
+    if (!permitted) {
+      repairs.push(`Dropped "${key}"; this world doesn't let the Dungeon Master add them`);
+      return null;
+    }
+    if (!isShaped(data[key])) {
+      repairs.push(`Dropped "${key}"; it isn't shaped as expected`);
+      return null;
+    }
+    return data[key];
+  };
+
+  // Entries keyed by ID, normalising the IDs. An ID the world already has
+  // keeps the world's definition; references to it still work.
+  const renamed = { items: {}, locations: {} };
+  const keyed = (kind, entries, limit) => {
+    const noun = kind === 'items' ? 'item' : 'location';
+    const kept = {};
+    Object.entries(entries || {}).forEach(([rawId, entry]) => {
+      const id = toId(rawId);
+      if (id !== rawId) {
+        repairs.push(`Renamed ${noun} "${rawId}" to "${id}"`);
+        renamed[kind][rawId] = id;
+      }
+      if (!id || kept[id]) {
+        repairs.push(`Dropped ${noun} "${rawId}"; its ID is empty or repeated`);
+      } else if (worldData[kind]?.[id] !== undefined) {
+        repairs.push(`Kept the existing ${noun} "${id}" rather than redefining it`);
+      } else if (!isPlainObject(entry) || !isText(entry.name)) {
+        repairs.push(`Dropped ${noun} "${id}"; it has no name`);
+      } else if (Object.keys(kept).length >= limit) {
+        repairs.push(`Dropped ${noun} "${id}"; at most ${limit} can be added at once`);
+      } else {
+        kept[id] = entry;
+      }
+    });
+    return kept;
+  };
+  const resolve = (kind, id) => (typeof id === 'string' ? renamed[kind][id] || id : null);
+
+  const items = {};
+  Object.entries(keyed('items', section('newItems', allowed('items'), isPlainObject), LIMITS.items)).forEach(([id, item]) => {
+    items[id] = {
+      name: clip(item.name, LIMITS.name, `the name of item "${id}"`),
+      ...(isText(item.description) ? { description: clip(item.description, LIMITS.description, `item "${id}"`) } : {}),
+      ...(isText(item.slot) ? { slot: toId(item.slot) } : {})
+    };
+  });
+  const itemExists = (id) => Boolean(worldData.items?.[id] || items[id]);
+
+  const newLocations = keyed('locations', section('newLocations', allowed('locations'), isPlainObject), LIMITS.locations);
+  const locationExists = (id) => Boolean(worldData.locations?.[id] || newLocations[id]);
+
+  const specialActions = {};
+  const checkChoice = (choice, where, itemsThere) => {
+    if (!isPlainObject(choice) || !isText(choice.text) || !isText(choice.target)) {
+      repairs.push(`Dropped a choice at "${where}" with no text or target`);
+      return null;
+    }
+    if (!CHOICE_ACTIONS.includes(choice.action)) {
+      repairs.push(`Dropped the choice "${choice.text}"; "${choice.action}" isn't an action the Dungeon Master can offer`);
+      return null;
+    }
+
+    const target = choice.action === 'examine' ? toId(choice.target) : resolve(choice.action === 'move' ? 'locations' : 'items', choice.target);
+    if (choice.action === 'move') {
+      if (!locationExists(target)) {
+        repairs.push(`Dropped the choice "${choice.text}"; there is no location "${target}"`);
+        return null;
+      }
+      // Going back to where the player stands is always fine
+      if (target === where || (isProtected('locations', target) && target !== locationId)) {
+        repairs.push(`Dropped the choice "${choice.text}"; it can't lead to "${target}"`);
+        return null;
+      }
+    } else if (choice.action === 'take') {
+      if (!itemsThere.includes(target) || isProtected('items', target)) {
+        repairs.push(`Dropped the choice "${choice.text}"; "${target}" isn't there to take`);
+        return null;
+      }
+    } else if (!target) {
+      repairs.push(`Dropped the choice "${choice.text}"; it has no target`);
+      return null;
+    } else if (isText(choice.response) && worldData.specialActions?.[target] === undefined) {
+      specialActions[target] = clip(choice.response, LIMITS.description, `what examining "${target}" shows`);
+    }
+
+    return { text: clip(choice.text, LIMITS.text, 'a choice'), action: choice.action, target };
+  };
+
+  const locations = {};
+  Object.entries(newLocations).forEach(([id, location]) => {
+    const placed = (Array.isArray(location.items) ? location.items : [])
+      .map(itemId => resolve('items', itemId))
+      .filter(itemId => {
+        const placeable = itemExists(itemId) && !isProtected('items', itemId);
+        if (!placeable) {
+          repairs.push(`Left "${itemId}" out of "${id}"; there is no such item to place`);
+        }
+        return placeable;
+      });
+    const choices = (Array.isArray(location.choices) ? location.choices : [])
+      .slice(0, LIMITS.choices)
+      .map(choice => checkChoice(choice, id, placed))
+      .filter(Boolean);
+
+    // Nobody should get stuck somewhere the Dungeon Master made up
+    if (!choices.some(choice => choice.action === 'move')) {
+      const here = worldData.locations?.[locationId];
+      choices.push({ text: `Go back to ${here?.name || locationId}`, action: 'move', target: locationId });
+      repairs.push(`Added a way back from "${id}"`);
+    }
+
+    locations[id] = {
+      name: clip(location.name, LIMITS.name, `the name of location "${id}"`),
+      description: isText(location.description) ? clip(location.description, LIMITS.description, `location "${id}"`) : '',
+      ...(placed.length > 0 ? { items: placed } : {}),
+      choices
+    };
+  });
+
+  // Choices where the player stands: moves into new locations come with
+  // adding locations; anything else needs `choices`, and an unprotected spot
+  const hereProtected = isProtected('locations', locationId);
+  const itemsHere = itemRules.getLocationItems(worldData, gameState, locationId);
+  const newChoices = [];
+  (section('newChoices', allowed('choices') || allowed('locations'), Array.isArray) || []).forEach(choice => {
+    const intoNew = choice?.action === 'move' && Boolean(locations[resolve('locations', choice.target)]);
+    if (hereProtected || !(allowed('choices') || intoNew)) {
+      repairs.push(`Dropped the choice "${choice?.text}"; the Dungeon Master can't add it here`);
+    } else if (newChoices.length >= LIMITS.choices) {
+      repairs.push(`Dropped the choice "${choice?.text}"; at most ${LIMITS.choices} can be added at once`);
+    } else {
+      const checked = checkChoice(choice, locationId, itemsHere);
+      if (checked) newChoices.push(checked);
+    }
+  });
+
+  // Every new location has to be reachable from here, directly or through another new one
+  const reachable = new Set();
+  const queue = newChoices.filter(choice => choice.action === 'move').map(choice => choice.target);
+  while (queue.length > 0) {
+    const next = queue.shift();
+    if (locations[next] && !reachable.has(next)) {
+      reachable.add(next);
+      locations[next].choices.filter(choice => choice.action === 'move').forEach(choice => queue.push(choice.target));
+    }
+  }
+  Object.keys(locations).filter(id => !reachable.has(id)).forEach(id => {
+    if (!hereProtected && newChoices.length < LIMITS.choices) {
+      newChoices.push({ text: `Go to ${locations[id].name}`, action: 'move', target: id });
+      repairs.push(`Added a way into "${id}"`);
+    } else {
+      delete locations[id];
+      repairs.push(`Dropped location "${id}"; there is no way to reach it`);
+    }
+  });
+
+  // Effects, including the older free-form stateChanges object
+  let rawEffects = data.effects;
+  if (rawEffects === undefined && isPlainObject(data.stateChanges)) {
+    rawEffects = [];
+    const fromValue = (name, value) => {
+      if (typeof value === 'boolean') return value ? { setFlag: name } : { clearFlag: name };
+      if (['number', 'string'].includes(typeof value)) return { setVar: name, value };
+      return null;
+    };
+    Object.entries(data.stateChanges).forEach(([key, value]) => {
+      if ((key === 'flags' || key === 'variables') && isPlainObject(value)) {
+        Object.entries(value).forEach(([name, inner]) => rawEffects.push(fromValue(name, inner)));
+      } else {
+        rawEffects.push(fromValue(key, value));
+      }
+    });
+    repairs.push('Turned "stateChanges" into effects');
+  } else if (data.stateChanges !== undefined) {
+    repairs.push('Dropped "stateChanges"');
+  }
+  if (rawEffects !== undefined && !Array.isArray(rawEffects)) {
+    repairs.push('Dropped "effects"; it isn\'t a list');
+    rawEffects = [];
+  }
+
+  const effects = [];
+  (rawEffects || []).forEach(effect => {
+    const key = isPlainObject(effect) && worldRules.EFFECT_KEYS.find(k => effect[k] !== undefined);
+    const name = key && (key === 'addItem' || key === 'removeItem' ? resolve('items', effect[key]) : effect[key]);
+    let refusal = null;
+
+    if (!key || !isText(name)) {
+      refusal = `Dropped the effect ${JSON.stringify(effect)}; it isn't one the game knows`;
+    } else if (STATE_EFFECTS.includes(key)) {
+      const kind = key.endsWith('Flag') ? 'flags' : 'variables';
+      if (!allowed('state') || isProtected(kind, name)) {
+        refusal = `Dropped the effect on ${kind === 'flags' ? 'flag' : 'variable'} "${name}"; the Dungeon Master can't change it`;
+      } else if (key === 'setVar' && !['number', 'string', 'boolean'].includes(typeof effect.value)) {
+        refusal = `Dropped setting "${name}"; its value isn't a number, text or true/false`;
+      } else if (key !== 'setVar' && effect.by !== undefined && typeof effect.by !== 'number') {
+        refusal = `Dropped changing "${name}"; "by" isn't a number`;
+      }
+    } else if (!allowed('inventory') || isProtected('items', name)) {
+      refusal = `Dropped the effect on item "${name}"; the Dungeon Master can't give or take it`;
+    } else if (!itemExists(name)) {
+      refusal = `Dropped the effect on item "${name}"; there is no such item`;
+    }
+
+    if (refusal) {
+      repairs.push(refusal);
+    } else if (effects.length >= LIMITS.effects) {
+      repairs.push(`Dropped an effect; at most ${LIMITS.effects} apply at once`);
+    } else {
+      const { value, by } = effect;
+      effects.push({
+        [key]: name,
+        ...(key === 'setVar' ? { value } : {}),
+        ...(by !== undefined && key !== 'setVar' ? { by } : {})
+      });
+    }
+  });
+
+  const additions = {
+    locations,
+    items,
+    choices: newChoices.length > 0 ? { [locationId]: newChoices } : {},
+    specialActions
+  };
+
+  // Nothing added may break the world: no error the world didn't have already
+  if (problems.length === 0) {
+    const signature = (diagnostic) => `${diagnostic.code}:${diagnostic.path}`;
+    const before = new Set(validateWorld(worldData).errors.map(signature));
+    validateWorld(worldOverlays.applyOverlay(worldData, additions)).errors
+      .filter(diagnostic => !before.has(signature(diagnostic)))
+      .forEach(diagnostic => problems.push(diagnostic.message));
+  }
+
+  if (problems.length > 0) {
+    return { response: null, additions: null, repairs, problems };
+  }
+
+  return {
+    response: {
+      outcome: clip(outcomeText, LIMITS.outcome, 'the outcome'),
+      effects,
+      newItems: items,
+      newLocations: locations,
+      newChoices
+    },
+    additions,
+    repairs,
+    problems
+  };
+};
+
+/**
+ * Ask the Dungeon Master about an action and check its answer, asking once
+ * more with what was wrong if it can't be used. Returns the AI result with
+ * checkResponse's { response, additions, repairs } added; throws
+ * AIInvalidResponseError when the second answer is no better.
+ */
+const ask = async (context, action, chargeTo) => {
+  const request = dungeonMasterRequest(context, action);
+  let answer = await ai.generateJSON('dungeonMaster', request, chargeTo);
+  let checked = checkResponse(answer.data, context);
+
+  if (!checked.response) {
+    logger.warn(`Dungeon Master answer refused (${checked.problems.join('; ')}), asking again`);
+    answer = await ai.generateJSON('dungeonMaster', {
+      ...request,
+      prompt: `${request.prompt}\n\nYour last answer could not be used: ${checked.problems.join('; ')}. Answer again with a JSON object as described.`
+    }, chargeTo);
+    checked = checkResponse(answer.data, context);
+  }
+
+  if (!checked.response) {
+    throw new AIInvalidResponseError('The Dungeon Master gave an answer that could not be used', checked.problems);
+  }
+  return { ...answer, ...checked };
+};
+
+/**
+ * What the Dungeon Master needs to know about a player's session, with the
+ * world as the session plays it. `shownState` replaces the state the prompt
+ * shows, when given.
+ */
+const sessionContext = async (session, shownState = null) => {
+  const sessionData = await gameSessions.getSessionData(session);
+  return {
+    worldName: session.world?.name || sessionData.worldData.worldInfo?.name,
+    worldData: sessionData.worldData,
+    locationId: sessionData.currentLocation,
+    gameState: sessionData.gameState,
+    shownState,
+    inventory: sessionData.inventory || [],
+    permissions: permissionsFor(sessionData.worldData)
+  };
+};
+
+/**
+ * Put a checked answer into effect for a session: its additions join the
+ * session's world overlay, its effects apply to the game state, and the step
+ * goes into the action log. Returns { locationData, changes } for where the
+ * player now stands.
+ */
+const applyToSession = async (session, { response, additions }, action) => {
+  const overlay = worldOverlays.extendOverlay(session.world_overlay, additions);
+  const baseWorld = await worldRevisions.getSessionWorldData(session);
+  const worldData = worldOverlays.applyOverlay(baseWorld, overlay);
+  const { gameState, inventory, changes } = worldRules.applyEffects(
+    response.effects,
+    session.game_state,
+    session.inventory,
+    worldData
+  );
+
+  session.world_overlay = overlay;
+  session.game_state = gameState;
+  session.inventory = inventory;
+  session.last_played_at = new Date();
+
+  await sequelize.transaction(async (transaction) => {
+    await session.save({ transaction });
+    await gameSessions.recordStep(session, {
+      action: 'dungeon_master',
+      target: null,
+      message: response.outcome,
+      events: [{
+        type: 'dungeon_master',
+        action,
+        changes,
+        added: {
+          locations: Object.keys(additions.locations),
+          items: Object.keys(additions.items),
+          choices: (additions.choices[session.current_location] || []).length
+        }
+      }]
+    }, transaction);
+  });
+  await gameSessions.cacheSession(session.id, gameSessions.buildSessionData(session, baseWorld));
+
+  logger.info(`Dungeon Master extended session ${session.id}: ${Object.keys(additions.locations).length} locations, ${Object.keys(additions.items).length} items`);
+  return {
+    locationData: worldRules.presentLocation(worldData, session.current_location, gameState, inventory),
+    changes
+  };
+};
+
+module.exports = {
+  CHOICE_ACTIONS,
+  LIMITS,
+  permissionsFor,
+  dungeonMasterRequest,
+  checkResponse,
+  ask,
+  sessionContext,
+  applyToSession
+};
@@ -0,0 +1,313 @@
+/**
+ * Game Engine
+ * Pure, deterministic game rules shared by every transport (REST, GraphQL and
+ * multiplayer sockets). `applyAction(worldData, state, action)` never touches
+ * the database, cache or clock: it returns the next state and a list of events
+ * describing what happened, so world logic can be exercised in isolation.
+ *
+ * Engine state shape:
+ *   { currentLocation, inventory: [item], gameState: (see worldRules), stats: { moves } }
+ */
+
+const worldRules = require('./worldRules');
+const itemRules = require('./itemRules');
+
+// Build the engine state for a fresh playthrough of a world
+const createInitialState = (worldData) => {
+  return {
+    currentLocation: worldData.startLocation,
+    inventory: [],
+    gameState: worldRules.createInitialState(worldData),
+    stats: { moves: 0 }
+  };
+};
+
+// Copy a state so the caller's object is never mutated
+const cloneState = (state) => {
+  return {
+    ...state,
+    inventory: [...(state.inventory || [])],
+    gameState: worldRules.normalizeState(state.gameState),
+    stats: { moves: 0, ...(state.stats || {}) }
+  };
+};
+
+const findItem = (inventory, itemId) => inventory.find(item => item.id === itemId);
+
+// Give the player an item defined in the world, if they don't already hold it
+const giveItem = (worldData, state, itemId, events) => {
+  if (!worldData.items?.[itemId] || findItem(state.inventory, itemId)) {
+    return null;
+  }
+  const item = worldRules.createItem(worldData, itemId);
+  state.inventory.push(item);
+  events.push({ type: 'item_added', item });
+  return item;
+};
+
+// Pick up an item lying in the current location
+const collectItem = (worldData, state, itemId, events) => {
+  if (!itemRules.isItemAtLocation(worldData, state.gameState, state.currentLocation, itemId)) {
+    return null;
+  }
+  const item = giveItem(worldData, state, itemId, events);
+  if (item) {
+    state.gameState = itemRules.removeFromLocation(worldData, state.gameState, state.currentLocation, itemId);
+  }
+  return item;
+};
+
+// Spend one use of an inventory item
+const consume = (state, itemId, events) => {
+  const result = itemRules.consumeItem(state.inventory, state.gameState.equipped, itemId);
+  state.inventory = result.inventory;
+  state.gameState.equipped = result.equipped;
+  if (result.removed) {
+    events.push({ type: 'item_removed', itemId });
+  } else {
+    events.push({ type: 'item_charges', itemId, charges: result.charges });
+  }
+};
+
+// Apply a world effects list to the state, recording events for what changed
+const applyEffects = (worldData, state, effects, events) => {
+  const applied = worldRules.applyEffects(effects, state.gameState, state.inventory, worldData);
+  state.gameState = applied.gameState;
+  state.inventory = applied.inventory;
+  applied.changes.itemsAdded.forEach(item => events.push({ type: 'item_added', item }));
+  applied.changes.itemsRemoved.forEach(itemId => events.push({ type: 'item_removed', itemId }));
+  if (Object.keys(applied.changes.flags).length > 0 || Object.keys(applied.changes.variables).length > 0) {
+    events.push({ type: 'state_changed', flags: applied.changes.flags, variables: applied.changes.variables });
+  }
+};
+
+// Use an item on its own or on a target, following the world's interactions
+const useItem = (worldData, state, item, on, events) => {
+  const interaction = itemRules.findInteraction(
+    worldData,
+    state.gameState,
+    state.inventory,
+    state.currentLocation,
+    item.id,
+    on
+  );
+
+  if (interaction) {
+    events.push({
+      type: 'message',
+      text: interaction.message || (on ? `You use the ${item.name} on the ${on}` : `You use the ${item.name}`)
+    });
+    if (interaction.consume) consume(state, interaction.use, events);
+    if (interaction.consumeTarget && interaction.on && findItem(state.inventory, interaction.on)) {
+      consume(state, interaction.on, events);
+    }
+    if (interaction.produces) giveItem(worldData, state, interaction.produces, events);
+    if (interaction.effects) applyEffects(worldData, state, interaction.effects, events);
+    return true;
+  }
+
+  if (on) {
+    return false;
+  }
+
+  events.push({ type: 'message', text: item.useMessage || `You use the ${item.name}` });
+  if (item.consumable || item.charges !== undefined) consume(state, item.id, events);
+  if (item.useEffects) applyEffects(worldData, state, item.useEffects, events);
+  return true;
+};
+
+const reject = (state, events, message) => {
+  events.push({ type: 'action_rejected', message });
+  return { state, events };
+};
+
+/**
+ * Work out an action's outcome (see applyAction). Throws a WorldRuleError
+ * when one of the world's rules it runs into can't be interpreted.
+ */
+const resolveAction = (worldData, state, action) => {
+  const { type, target, on = null } = action;
+  const events = [];
+
+  if (!worldRules.ACTIONS.includes(type)) {
+    return reject(state, events, `Unknown action: ${type}`);
+  }
+
+  if (state.gameState?.ending) {
+    return reject(state, events, 'This adventure has ended');
+  }
+
+  const next = cloneState(state);
+
+  // Gated choices can only be taken when their conditions hold
+  const { choice, allowed } = worldRules.resolveChoice(
+    worldData,
+    next.currentLocation,
+    type,
+    target,
+    next.gameState,
+    next.inventory,
+    on
+  );
+
+  if (!allowed) {
+    return reject(state, events, choice.lockedMessage || 'You can\'t do that right now');
+  }
+
+  // Players only go where the current location offers a way
+  if (type === 'move' && !choice) {
+    return reject(state, events, 'You can\'t go there from here');
+  }
+
+  switch (type) {
+    case 'move': {
+      if (!worldData.locations?.[target]) {
+        return reject(state, events, 'Invalid location');
+      }
+      const from = next.currentLocation;
+      next.currentLocation = target;
+      next.gameState = worldRules.markVisited(next.gameState, target);
+      next.stats.moves += 1;
+      events.push({ type: 'moved', from, to: target });
+      break;
+    }
+
+    case 'examine':
+    case 'special': {
+      const text = worldData.specialActions?.[target];
+      if (text) {
+        events.push({ type: 'message', text });
+        collectItem(worldData, next, target, events);
+      } else {
+        events.push({ type: 'message', text: 'You examine it closely...' });
+      }
+      break;
+    }
+
+    case 'use': {
+      const item = findItem(next.inventory, target);
+      if (!item) {
+        return reject(state, events, 'You don\'t have that item');
+      }
+      if (!useItem(worldData, next, item, on, events)) {
+        return reject(state, [], `You can't use the ${item.name} on that`);
+      }
+      break;
+    }
+
+    case 'equip': {
+      const item = findItem(next.inventory, target);
+      if (!item) {
+        return reject(state, events, 'You don\'t have that item');
+      }
+      if (!item.slot) {
+        return reject(state, events, `You can't equip the ${item.name}`);
+      }
+      const { equipped, replaced } = itemRules.equipItem(next.gameState.equipped, item);
+      next.gameState.equipped = equipped;
+      events.push({ type: 'item_equipped', itemId: item.id, slot: item.slot, replaced });
+      events.push({ type: 'message', text: `You equip the ${item.name}` });
+      break;
+    }
+
+    case 'unequip': {
+      const item = findItem(next.inventory, target);
+      if (!item || !Object.values(next.gameState.equipped).includes(target)) {
+        return reject(state, events, 'You don\'t have that equipped');
+      }
+      next.gameState.equipped = worldRules.unequipItem(next.gameState.equipped, target);
+      events.push({ type: 'item_unequipped', itemId: target });
+      events.push({ type: 'message', text: `You unequip the ${item.name}` });
+      break;
+    }
+
+    case 'take': {
+      const item = collectItem(worldData, next, target, events);
+      if (!item) {
+        return reject(state, events, 'You can\'t take that');
+      }
+      events.push({ type: 'message', text: `You take the ${item.name}` });
+      break;
+    }
+
+    case 'talk':
+      break;
+  }
+
+  // Apply the choice's effects once the action itself went through
+  if (choice?.effects) {
+    applyEffects(worldData, next, choice.effects, events);
+  }
+
+  // Reaching an ending finishes the playthrough
+  const ending = worldRules.findEnding(worldData, next.currentLocation, next.gameState, next.inventory);
+  if (ending) {
+    next.gameState.ending = ending.id;
+    events.push({ type: 'ending_reached', ending });
+  }
+
+  return { state: next, events };
+};
+
+/**
+ * Apply a player action to a state.
+ * @param {Object} worldData - world JSON
+ * @param {Object} state - engine state (see shape above)
+ * @param {{ type: string, target: string, on?: string }} action - `on` is the
+ *   target an item is used on (scenery or another item)
+ * @returns {{ state: Object, events: Array }} the next state and emitted events;
+ *   when the action is refused the original state is returned with an
+ *   `action_rejected` event
+ */
+const applyAction = (worldData, state, action) => {
+  try {
+    return resolveAction(worldData, state, action);
+  } catch (error) {
+    if (!(error instanceof worldRules.WorldRuleError)) throw error;
+    return reject(state, [], `That can't be done here; this world has a broken rule (${error.message})`);
+  }
+};
+
+// Whether an event list describes a refused action
+const isRejected = (events) => events.some(event => event.type === 'action_rejected');
+
+/**
+ * Shape an engine outcome into the response clients already understand
+ * ({ success, currentLocation, locationData, message, inventoryUpdate, ... }).
+ */
+const toActionResult = (worldData, state, events) => {
+  const rejected = events.find(event => event.type === 'action_rejected');
+  const messages = events.filter(event => event.type === 'message').map(event => event.text);
+  const added = events.find(event => event.type === 'item_added');
+  const reached = events.find(event => event.type === 'ending_reached');
+
+  if (rejected) {
+    return {
+      success: false,
+      currentLocation: state.currentLocation,
+      message: rejected.message,
+      inventoryUpdate: null,
+      stateUpdate: null,
+      events
+    };
+  }
+
+  return {
+    success: true,
+    currentLocation: state.currentLocation,
+    locationData: worldRules.presentLocation(worldData, state.currentLocation, state.gameState, state.inventory),
+    message: messages.length > 0 ? messages.join('\n\n') : null,
+    inventoryUpdate: added ? added.item : null,
+    inventory: state.inventory,
+    stateUpdate: state.gameState,
+    ending: reached ? reached.ending : null,
+    events
+  };
+};
+
+module.exports = {
+  createInitialState,
+  applyAction,
+  isRejected,
+  toActionResult
+};
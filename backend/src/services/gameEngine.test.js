@@ -0,0 +1,295 @@
+const gameEngine = require('./gameEngine');
+
+// A small world: a hall with a lantern and a gated door to the cellar
+const world = () => ({
+  worldInfo: { name: 'Test Manor' },
+  startLocation: 'hall',
+  items: {
+    lantern: { name: 'Lantern', description: 'A brass lantern' }
+  },
+  endings: [
+    { id: 'found_cellar', title: 'Down Below', location: 'cellar' }
+  ],
+  specialActions: {
+    portrait: 'The portrait\'s eyes seem to follow you.'
+  },
+  locations: {
+    hall: {
+      name: 'Hall',
+      items: ['lantern'],
+      choices: [
+        { text: 'Go to the library', action: 'move', target: 'library', effects: [{ incrementVar: 'steps' }] },
+        { text: 'Go down to the cellar', action: 'move', target: 'cellar', requires: { hasItem: 'lantern' }, lockedMessage: 'It is too dark' },
+        { text: 'Take the lantern', action: 'take', target: 'lantern' },
+        { text: 'Examine the portrait', action: 'examine', target: 'portrait', effects: [{ setFlag: 'sawPortrait' }] }
+      ]
+    },
+    library: {
+      name: 'Library',
+      choices: [{ text: 'Back to the hall', action: 'move', target: 'hall' }]
+    },
+    cellar: {
+      name: 'Cellar',
+      choices: [{ text: 'Back up', action: 'move', target: 'hall' }]
+    }
+  }
+});
+
+const eventTypes = (events) => events.map(event => event.type);
+
+describe('gameEngine.createInitialState', () => {
+  it('starts at the start location with nothing held', () => {
+    const state = gameEngine.createInitialState(world());
+
+    expect(state.currentLocation).toBe('hall');
+    expect(state.inventory).toEqual([]);
+    expect(state.gameState.visited).toEqual(['hall']);
+    expect(state.stats).toEqual({ moves: 0 });
+  });
+});
+
+describe('gameEngine.applyAction', () => {
+  it('moves along a choice, counting the move and applying its effects', () => {
+    const data = world();
+    const { state, events } = gameEngine.applyAction(data, gameEngine.createInitialState(data), { type: 'move', target: 'library' });
+
+    expect(state.currentLocation).toBe('library');
+    expect(state.stats.moves).toBe(1);
+    expect(state.gameState.visited).toEqual(['hall', 'library']);
+    expect(state.gameState.variables.steps).toBe(1);
+    expect(eventTypes(events)).toEqual(['moved', 'state_changed']);
+  });
+
+  it('never changes the state it was given', () => {
+    const data = world();
+    const initial = gameEngine.createInitialState(data);
+    const before = JSON.parse(JSON.stringify(initial));
+
+    gameEngine.applyAction(data, initial, { type: 'take', target: 'lantern' });
+
+    expect(initial).toEqual(before);
+  });
+
+  it('refuses a gated choice whose conditions do not hold', () => {
+    const data = world();
+    const initial = gameEngine.createInitialState(data);
+    const { state, events } = gameEngine.applyAction(data, initial, { type: 'move', target: 'cellar' });
+
+    expect(state).toBe(initial);
+    expect(events).toEqual([{ type: 'action_rejected', message: 'It is too dark' }]);
+  });
+
+  it('allows a gated choice once its conditions hold', () => {
+    const data = world();
+    const taken = gameEngine.applyAction(data, gameEngine.createInitialState(data), { type: 'take', target: 'lantern' });
+    const { state } = gameEngine.applyAction(data, taken.state, { type: 'move', target: 'cellar' });
+
+    expect(state.currentLocation).toBe('cellar');
+  });
+
+  it('finishes the adventure on reaching an ending', () => {
+    const data = world();
+    const taken = gameEngine.applyAction(data, gameEngine.createInitialState(data), { type: 'take', target: 'lantern' });
+    const { state, events } = gameEngine.applyAction(data, taken.state, { type: 'move', target: 'cellar' });
+
+    expect(state.gameState.ending).toBe('found_cellar');
+    expect(events[events.length - 1]).toEqual({
+      type: 'ending_reached',
+      ending: { id: 'found_cellar', title: 'Down Below', type: 'good', description: null }
+    });
+
+    const after = gameEngine.applyAction(data, state, { type: 'move', target: 'hall' });
+    expect(after.events).toEqual([{ type: 'action_rejected', message: 'This adventure has ended' }]);
+  });
+
+  it('takes an item lying where the player stands, only once', () => {
+    const data = world();
+    const { state, events } = gameEngine.applyAction(data, gameEngine.createInitialState(data), { type: 'take', target: 'lantern' });
+
+    expect(state.inventory.map(item => item.id)).toEqual(['lantern']);
+    expect(state.gameState.locationItems.hall).toEqual([]);
+    expect(eventTypes(events)).toEqual(['item_added', 'message']);
+
+    const again = gameEngine.applyAction(data, state, { type: 'take', target: 'lantern' });
+    expect(eventTypes(again.events)).toEqual(['action_rejected']);
+  });
+
+  it('shows special action text on examine and applies the choice effects', () => {
+    const data = world();
+    const { state, events } = gameEngine.applyAction(data, gameEngine.createInitialState(data), { type: 'examine', target: 'portrait' });
+
+    expect(events[0]).toEqual({ type: 'message', text: data.specialActions.portrait });
+    expect(state.gameState.flags.sawPortrait).toBe(true);
+  });
+
+  it('rejects unknown actions and items the player does not hold', () => {
+    const data = world();
+    const initial = gameEngine.createInitialState(data);
+
+    expect(eventTypes(gameEngine.applyAction(data, initial, { type: 'fly', target: 'hall' }).events)).toEqual(['action_rejected']);
+    expect(eventTypes(gameEngine.applyAction(data, initial, { type: 'use', target: 'lantern' }).events)).toEqual(['action_rejected']);
+  });
+});
+
+describe('gameEngine moves', () => {
+  it('refuses a move to a real location the current one offers no way to', () => {
+    const data = world();
+    const initial = gameEngine.createInitialState(data);
+    const library = gameEngine.applyAction(data, initial, { type: 'move', target: 'library' }).state;
+    const { state, events } = gameEngine.applyAction(data, library, { type: 'move', target: 'cellar' });
+
+    expect(state).toBe(library);
+    expect(events).toEqual([{ type: 'action_rejected', message: 'You can\'t go there from here' }]);
+  });
+
+  it('refuses a move to a location that does not exist', () => {
+    const data = world();
+    const { events } = gameEngine.applyAction(data, gameEngine.createInitialState(data), { type: 'move', target: 'attic' });
+
+    expect(events).toEqual([{ type: 'action_rejected', message: 'You can\'t go there from here' }]);
+  });
+
+  it('opens a gated move only once its condition holds', () => {
+    const data = world();
+    data.locations.library.choices.push({ text: 'Through the bookcase', action: 'move', target: 'cellar', requires: { flag: 'sawPortrait' } });
+    const library = gameEngine.applyAction(data, gameEngine.createInitialState(data), { type: 'move', target: 'library' }).state;
+
+    const locked = gameEngine.applyAction(data, library, { type: 'move', target: 'cellar' });
+    expect(locked.events).toEqual([{ type: 'action_rejected', message: 'You can\'t do that right now' }]);
+
+    const hall = gameEngine.applyAction(data, library, { type: 'move', target: 'hall' }).state;
+    const looked = gameEngine.applyAction(data, hall, { type: 'examine', target: 'portrait' }).state;
+    const back = gameEngine.applyAction(data, looked, { type: 'move', target: 'library' }).state;
+    const { state } = gameEngine.applyAction(data, back, { type: 'move', target: 'cellar' });
+
+    expect(state.currentLocation).toBe('cellar');
+  });
+});
+
+describe('gameEngine broken rules', () => {
+  it('refuses a choice whose effects it cannot interpret', () => {
+    const data = world();
+    data.locations.hall.choices.push({ text: 'Dance', action: 'talk', target: 'ghost', effects: [{ explode: true }] });
+    const initial = gameEngine.createInitialState(data);
+    const { state, events } = gameEngine.applyAction(data, initial, { type: 'talk', target: 'ghost' });
+
+    expect(state).toBe(initial);
+    expect(eventTypes(events)).toEqual(['action_rejected']);
+    expect(events[0].message).toMatch('broken rule');
+  });
+
+  it('keeps a choice with a condition it cannot interpret locked and hidden', () => {
+    const data = world();
+    data.locations.hall.choices.push({ text: 'Wait', action: 'talk', target: 'ghost', requires: { weather: 'rain' } });
+    const initial = gameEngine.createInitialState(data);
+    const { events } = gameEngine.applyAction(data, initial, { type: 'talk', target: 'ghost' });
+
+    expect(eventTypes(events)).toEqual(['action_rejected']);
+    expect(gameEngine.toActionResult(data, initial, []).locationData.choices.map(choice => choice.target))
+      .not.toContain('ghost');
+  });
+});
+
+describe('gameEngine.toActionResult', () => {
+  it('shapes a successful action for clients, hiding gated choices', () => {
+    const data = world();
+    const { state } = gameEngine.applyAction(data, gameEngine.createInitialState(data), { type: 'move', target: 'library' });
+    const back = gameEngine.applyAction(data, state, { type: 'move', target: 'hall' });
+    const result = gameEngine.toActionResult(data, back.state, back.events);
+
+    expect(result.success).toBe(true);
+    expect(result.currentLocation).toBe('hall');
+    expect(result.locationData.choices.map(choice => choice.target)).toEqual(['library', 'lantern', 'portrait']);
+    expect(result.locationData.choices[0].effects).toBeUndefined();
+    expect(gameEngine.isRejected(back.events)).toBe(false);
+  });
+
+  it('reports a refusal with its message', () => {
+    const data = world();
+    const initial = gameEngine.createInitialState(data);
+    const { state, events } = gameEngine.applyAction(data, initial, { type: 'move', target: 'cellar' });
+    const result = gameEngine.toActionResult(data, state, events);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('It is too dark');
+    expect(gameEngine.isRejected(events)).toBe(true);
+  });
+});
+
+describe('gameEngine item actions', () => {
+  const itemWorld = () => ({
+    startLocation: 'camp',
+    items: {
+      flint: { name: 'Flint' },
+      torch: { name: 'Torch', slot: 'hand', charges: 2, useMessage: 'The torch flickers' },
+      sword: { name: 'Sword', slot: 'hand' },
+      lit_torch: { name: 'Lit Torch' },
+      potion: { name: 'Potion', consumable: true, useEffects: [{ incrementVar: 'health', by: 5 }] }
+    },
+    interactions: [
+      { use: 'flint', on: 'torch', produces: 'lit_torch', consume: true, message: 'Sparks catch' }
+    ],
+    locations: {
+      camp: { name: 'Camp', items: ['flint', 'torch', 'sword', 'potion'] }
+    }
+  });
+
+  // Take every item lying at the camp
+  const stocked = (data) => {
+    return ['flint', 'torch', 'sword', 'potion'].reduce((state, target) => {
+      return gameEngine.applyAction(data, state, { type: 'take', target }).state;
+    }, gameEngine.createInitialState(data));
+  };
+
+  it('combines two held items through an interaction', () => {
+    const data = itemWorld();
+    const { state, events } = gameEngine.applyAction(data, stocked(data), { type: 'use', target: 'flint', on: 'torch' });
+
+    expect(state.inventory.map(item => item.id)).toEqual(['torch', 'sword', 'potion', 'lit_torch']);
+    expect(eventTypes(events)).toEqual(['message', 'item_removed', 'item_added']);
+    expect(events[0].text).toBe('Sparks catch');
+  });
+
+  it('refuses to use an item on something it has no interaction with', () => {
+    const data = itemWorld();
+    const initial = stocked(data);
+    const { state, events } = gameEngine.applyAction(data, initial, { type: 'use', target: 'sword', on: 'torch' });
+
+    expect(state).toBe(initial);
+    expect(events).toEqual([{ type: 'action_rejected', message: 'You can\'t use the Sword on that' }]);
+  });
+
+  it('spends charges and single-use items, applying their effects', () => {
+    const data = itemWorld();
+    const once = gameEngine.applyAction(data, stocked(data), { type: 'use', target: 'torch' });
+    expect(once.events).toEqual([
+      { type: 'message', text: 'The torch flickers' },
+      { type: 'item_charges', itemId: 'torch', charges: 1 }
+    ]);
+
+    const drunk = gameEngine.applyAction(data, once.state, { type: 'use', target: 'potion' });
+    expect(drunk.state.inventory.map(item => item.id)).toEqual(['flint', 'torch', 'sword']);
+    expect(drunk.state.gameState.variables.health).toBe(5);
+    expect(eventTypes(drunk.events)).toEqual(['message', 'item_removed', 'state_changed']);
+  });
+
+  it('equips into a slot, replacing what was there, and unequips', () => {
+    const data = itemWorld();
+    const torch = gameEngine.applyAction(data, stocked(data), { type: 'equip', target: 'torch' });
+    const sword = gameEngine.applyAction(data, torch.state, { type: 'equip', target: 'sword' });
+
+    expect(sword.state.gameState.equipped).toEqual({ hand: 'sword' });
+    expect(sword.events[0]).toEqual({ type: 'item_equipped', itemId: 'sword', slot: 'hand', replaced: 'torch' });
+
+    const bare = gameEngine.applyAction(data, sword.state, { type: 'unequip', target: 'sword' });
+    expect(bare.state.gameState.equipped).toEqual({});
+    expect(eventTypes(gameEngine.applyAction(data, bare.state, { type: 'unequip', target: 'sword' }).events)).toEqual(['action_rejected']);
+  });
+
+  it('refuses to equip items without a slot', () => {
+    const data = itemWorld();
+    const { events } = gameEngine.applyAction(data, stocked(data), { type: 'equip', target: 'flint' });
+
+    expect(events).toEqual([{ type: 'action_rejected', message: 'You can\'t equip the Flint' }]);
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * Game Sessions
+ * Loads, caches and persists single-player sessions around the pure game
+ * engine so REST and GraphQL apply actions identically.
+ *
+ * Every change to a session is also appended to its action log
+ * (`session_actions`) together with the resulting state, which is what
+ * rewinding and branching restore from.
+ *
+ * The cached world data includes the session's world overlay (see
+ * worldOverlays), so actions reach whatever the Dungeon Master added.
+ */
+
+const { GameSession, SessionAction } = require('../models');
+const { sequelize } = require('../config/database');
+const { redis } = require('../config/redis');
+const gameEngine = require('./gameEngine');
+const worldRevisions = require('./worldRevisions');
+const worldOverlays = require('./worldOverlays');
+const worldCompletions = require('./worldCompletions');
+const achievements = require('./achievements');
+const logger = require('../utils/logger');
+
+const SESSION_TTL = 3600; // 1 hour
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+
+// Write the fast-path copy of a session to Redis
+const cacheSession = async (sessionId, sessionData) => {
+  await redis.setex(sessionKey(sessionId), SESSION_TTL, JSON.stringify(sessionData));
+  return sessionData;
+};
+
+const buildSessionData = (session, worldData) => {
+  return {
+    worldData: worldOverlays.applyOverlay(worldData, session.world_overlay),
+    currentLocation: session.current_location,
+    inventory: session.inventory,
+    gameState: session.game_state
+  };
+};
+
+/**
+ * Get cached session data, rebuilding the cache from Postgres when it has
+ * expired. `session` must be a GameSession instance. The world data is the
+ * revision the session is pinned to, not necessarily the world's latest.
+ */
+const getSessionData = async (session) => {
+  const cached = await redis.get(sessionKey(session.id));
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const worldData = await worldRevisions.getSessionWorldData(session);
+  return cacheSession(session.id, buildSessionData(session, worldData));
+};
+
+// Engine state as persisted on a GameSession row
+const sessionState = (session) => {
+  return {
+    currentLocation: session.current_location,
+    inventory: session.inventory || [],
+    gameState: session.game_state || {},
+    stats: session.stats || {},
+    worldRevision: session.world_revision
+  };
+};
+
+/**
+ * Append a step to a session's action log, snapshotting the session's
+ * current state and world overlay. `entry` is { action, target, on, message,
+ * events }.
+ * Steps are numbered under a lock on the session row, so concurrent writers
+ * queue up instead of colliding on the same step.
+ */
+const recordStep = async (session, entry, transaction = null) => {
+  if (!transaction) {
+    return sequelize.transaction(t => recordStep(session, entry, t));
+  }
+
+  await GameSession.findByPk(session.id, {
+    attributes: ['id'],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  const last = await SessionAction.max('step', {
+    where: { session_id: session.id },
+    transaction
+  });
+
+  return SessionAction.create({
+    session_id: session.id,
+    step: Number.isInteger(last) ? last + 1 : 0,
+    action: entry.action,
+    target: entry.target || null,
+    on_target: entry.on || null,
+    message: entry.message || null,
+    events: entry.events || [],
+    state: { ...sessionState(session), worldOverlay: session.world_overlay || {} }
+  }, { transaction });
+};
+
+// The ordered log for a session, without the state snapshots
+const getHistory = (session) => {
+  return SessionAction.findAll({
+    where: { session_id: session.id },
+    attributes: { exclude: ['state'] },
+    order: [['step', 'ASC']]
+  });
+};
+
+// Overwrite a session's live state with an engine state snapshot. Snapshots
+// logged before overlays were recorded leave the current overlay in place.
+const applySnapshot = (session, state) => {
+  session.current_location = state.currentLocation;
+  session.inventory = state.inventory;
+  session.game_state = state.gameState;
+  session.stats = state.stats;
+  if (state.worldRevision !== undefined) {
+    session.world_revision = state.worldRevision;
+  }
+  if (state.worldOverlay !== undefined) {
+    session.world_overlay = state.worldOverlay;
+  }
+  worldCompletions.syncCompletion(session);
+  session.last_played_at = new Date();
+};
+
+/**
+ * Return a session to the state it had after `step` (a SessionAction row).
+ * Rewinding in place appends a `rewind` step so later steps stay in the log;
+ * with `branch` the session is left alone and a new session is forked from
+ * that point, carrying the log up to it. Returns the session to continue.
+ */
+const rewindSession = async (session, step, { branch = false, sessionName } = {}) => {
+  const target = await sequelize.transaction(async (transaction) => {
+    if (!branch) {
+      applySnapshot(session, step.state);
+      await session.save({ transaction });
+      await recordStep(session, { action: 'rewind', target: String(step.step) }, transaction);
+      return session;
+    }
+
+    const fork = await GameSession.create({
+      user_id: session.user_id,
+      world_id: session.world_id,
+      session_name: sessionName || `${session.session_name} (branch from step ${step.step})`,
+      world_revision: step.state.worldRevision !== undefined ? step.state.worldRevision : session.world_revision,
+      current_location: step.state.currentLocation,
+      game_state: step.state.gameState,
+      inventory: step.state.inventory,
+      stats: step.state.stats,
+      world_overlay: step.state.worldOverlay !== undefined ? step.state.worldOverlay : session.world_overlay,
+      parent_session_id: session.id,
+      branched_from_step: step.step
+    }, { transaction });
+
+    const history = await SessionAction.findAll({
+      where: { session_id: session.id },
+      order: [['step', 'ASC']],
+      transaction
+    });
+    await SessionAction.bulkCreate(
+      history
+        .filter(entry => entry.step <= step.step)
+        .map(entry => ({
+          session_id: fork.id,
+          step: entry.step,
+          action: entry.action,
+          target: entry.target,
+          on_target: entry.on_target,
+          message: entry.message,
+          events: entry.events,
+          state: entry.state,
+          created_at: entry.created_at
+        })),
+      { transaction }
+    );
+    return fork;
+  });
+
+  const worldData = await worldRevisions.getSessionWorldData(target);
+  await cacheSession(target.id, buildSessionData(target, worldData));
+  logger.info(`Session ${session.id} ${branch ? `branched to ${target.id}` : 'rewound'} at step ${step.step}`);
+
+  return { session: target, worldData };
+};
+
+/**
+ * Check whether a newer revision of the session's world exists and what
+ * moving to it would do. With `apply` the session is migrated through every
+ * newer revision's migration map, re-pinned to the latest one and the
+ * upgrade is recorded in the action log.
+ * Returns { upgradeAvailable, fromRevision, toRevision, diff, notes } plus
+ * `session` and `worldData` once applied.
+ */
+const upgradeSession = async (session, { apply = false } = {}) => {
+  const fromRevision = session.world_revision || 1;
+  const revisions = await worldRevisions.getRevisionsAfter(session.world_id, fromRevision);
+
+  if (revisions.length === 0) {
+    return { upgradeAvailable: false, fromRevision, toRevision: fromRevision, diff: null, notes: [] };
+  }
+
+  const latest = revisions[revisions.length - 1];
+  const currentData = await worldRevisions.getSessionWorldData(session);
+  const { state, notes } = worldRevisions.migrateState(sessionState(session), revisions);
+  const upgrade = {
+    upgradeAvailable: true,
+    fromRevision,
+    toRevision: latest.revision,
+    diff: worldRevisions.diffWorlds(currentData, latest.world_data),
+    notes
+  };
+
+  if (!apply) {
+    return upgrade;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    applySnapshot(session, { ...state, worldRevision: latest.revision });
+    await session.save({ transaction });
+    await recordStep(session, { action: 'upgrade', target: String(latest.revision), message: notes.join('\n') }, transaction);
+  });
+
+  await cacheSession(session.id, buildSessionData(session, latest.world_data));
+  logger.info(`Session ${session.id} upgraded from revision ${fromRevision} to ${latest.revision}`);
+
+  return { ...upgrade, session, worldData: latest.world_data };
+};
+
+/**
+ * Apply a player action to one of the user's active sessions. `on` is the
+ * optional target of a `use` (e.g. using a key on a door).
+ * Returns null when the session does not exist, otherwise the client-facing
+ * action result, including any achievements the action unlocked.
+ *
+ * The session row is locked for the whole action and the engine starts from
+ * the row rather than the cache, so concurrent actions apply one after the
+ * other. The cache is only refreshed once the action has committed.
+ */
+const performAction = async (userId, sessionId, action, target, on = null) => {
+  const outcome = await sequelize.transaction(async (transaction) => {
+    const session = await GameSession.findOne({
+      where: {
+        id: sessionId,
+        user_id: userId,
+        is_active: true
+      },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    const sessionData = await getSessionData(session);
+    const { state, events } = gameEngine.applyAction(
+      sessionData.worldData,
+      sessionState(session),
+      { type: action, target, on }
+    );
+
+    const result = gameEngine.toActionResult(sessionData.worldData, state, events);
+
+    if (!gameEngine.isRejected(events)) {
+      session.current_location = state.currentLocation;
+      session.inventory = state.inventory;
+      session.game_state = state.gameState;
+      session.stats = { ...session.stats, ...state.stats };
+      session.last_played_at = new Date();
+
+      if (result.ending) {
+        await worldCompletions.recordCompletion(session, result.ending, transaction);
+      }
+      await session.save({ transaction });
+      const logged = await recordStep(session, { action, target, on, message: result.message, events }, transaction);
+      result.step = logged.step;
+    }
+
+    return { session, sessionData, state, events, result };
+  });
+
+  if (!outcome) {
+    return null;
+  }
+
+  const { session, sessionData, state, events, result } = outcome;
+
+  if (!gameEngine.isRejected(events)) {
+    await cacheSession(session.id, {
+      ...sessionData,
+      currentLocation: state.currentLocation,
+      inventory: state.inventory,
+      gameState: state.gameState
+    });
+
+    result.achievements = await achievements.evaluate(
+      userId,
+      result.ending ? ['action', 'ending_reached'] : 'action',
+      { session, worldData: sessionData.worldData, state }
+    );
+
+    logger.debug(`Action ${action}:${target}${on ? `:${on}` : ''} applied to session ${session.id}`);
+  }
+
+  return result;
+};
+
+module.exports = {
+  SESSION_TTL,
+  cacheSession,
+  buildSessionData,
+  getSessionData,
+  performAction,
+  recordStep,
+  getHistory,
+  rewindSession,
+  upgradeSession
+};
@@ -0,0 +1,86 @@
+jest.mock('../models', () => ({
+  GameSession: { findByPk: jest.fn(async () => null), create: jest.fn(async (values) => ({ id: 'fork', ...values })) },
+  SessionAction: {
+    max: jest.fn(async () => 4),
+    create: jest.fn(async (values) => values),
+    findAll: jest.fn(async () => []),
+    bulkCreate: jest.fn(async () => [])
+  }
+}));
+jest.mock('../config/database', () => ({
+  sequelize: { transaction: async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }) }
+}));
+jest.mock('../config/redis', () => ({ redis: { setex: async () => 'OK' } }));
+jest.mock('./worldRevisions', () => ({
+  getSessionWorldData: async () => ({ locations: { hall: { name: 'Hall' } } })
+}));
+jest.mock('./worldCompletions', () => ({ syncCompletion: () => {} }));
+jest.mock('./achievements', () => ({}));
+
+const { GameSession, SessionAction } = require('../models');
+const gameSessions = require('./gameSessions');
+
+const grotto = {
+  locations: { grotto: { name: 'Hidden Grotto' } },
+  items: {},
+  choices: { hall: [{ text: 'Into the grotto', action: 'move', target: 'grotto' }] },
+  specialActions: {}
+};
+
+const engineState = {
+  currentLocation: 'hall',
+  inventory: [],
+  gameState: { visited: ['hall'] },
+  stats: { moves: 1 },
+  worldRevision: 1
+};
+
+// A session that has since had a grotto added by the Dungeon Master
+const session = () => ({
+  id: 's1',
+  user_id: 'u1',
+  world_id: 'w1',
+  session_name: 'Run',
+  current_location: 'grotto',
+  inventory: [],
+  game_state: { visited: ['hall', 'grotto'] },
+  stats: { moves: 2 },
+  world_revision: 1,
+  world_overlay: grotto,
+  save: jest.fn(async () => {})
+});
+
+describe('gameSessions overlays in the action log', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('snapshots the world overlay with each step', async () => {
+    await gameSessions.recordStep(session(), { action: 'examine', target: 'mural' });
+
+    expect(SessionAction.create.mock.calls[0][0].state.worldOverlay).toEqual(grotto);
+  });
+
+  it('restores the overlay of the step rewound to', async () => {
+    const current = session();
+
+    const { session: rewound, worldData } = await gameSessions.rewindSession(current, { step: 1, state: { ...engineState, worldOverlay: {} } });
+
+    expect(rewound).toBe(current);
+    expect(rewound.world_overlay).toEqual({});
+    expect(worldData.locations.grotto).toBeUndefined();
+    expect(SessionAction.create.mock.calls[0][0].state.worldOverlay).toEqual({});
+  });
+
+  it('keeps the current overlay when rewinding to a step logged without one', async () => {
+    const { session: rewound } = await gameSessions.rewindSession(session(), { step: 1, state: engineState });
+
+    expect(rewound.world_overlay).toEqual(grotto);
+  });
+
+  it('branches with the overlay of the step branched from', async () => {
+    await gameSessions.rewindSession(session(), { step: 1, state: { ...engineState, worldOverlay: {} } }, { branch: true });
+
+    expect(GameSession.create.mock.calls[0][0]).toMatchObject({ world_overlay: {}, branched_from_step: 1 });
+  });
+});
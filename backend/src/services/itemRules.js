@@ -0,0 +1,100 @@
+/**
+ * Item Rules
+ * Item placement, interactions, consumables and equipment for world JSON.
+ *
+ * Items are placed with a location's `items` list and can only be picked up
+ * where they currently lie. World-level `interactions` describe what happens
+ * when an item is used, optionally on a target (scenery, or another item for
+ * combinations):
+ *
+ *   { "use": "key", "on": "gate", "location": "garden_gate", "requires": {...},
+ *     "message": "...", "consume": true, "consumeTarget": false,
+ *     "produces": "open_lock", "effects": [...] }
+ */
+
+const worldRules = require('./worldRules');
+
+/**
+ * Item IDs currently lying in a location. Until something is picked up the
+ * world's placement is used; afterwards the session tracks its own copy.
+ */
+const getLocationItems = (worldData, gameState, locationId) => {
+  const tracked = gameState.locationItems?.[locationId];
+  if (tracked) return tracked;
+  return [...(worldData.locations?.[locationId]?.items || [])];
+};
+
+// Returns a new game state with the item removed from the location
+const removeFromLocation = (worldData, gameState, locationId, itemId) => {
+  const state = worldRules.normalizeState(gameState);
+  state.locationItems[locationId] = getLocationItems(worldData, gameState, locationId)
+    .filter(id => id !== itemId);
+  return state;
+};
+
+const isItemAtLocation = (worldData, gameState, locationId, itemId) => {
+  return getLocationItems(worldData, gameState, locationId).includes(itemId);
+};
+
+// Find the interaction for using `itemId` (optionally on `on`) here, if any
+const findInteraction = (worldData, gameState, inventory, locationId, itemId, on = null) => {
+  const candidates = (worldData.interactions || []).filter(interaction => {
+    if (interaction.location && interaction.location !== locationId) return false;
+
+    const direct = interaction.use === itemId && (interaction.on || null) === (on || null);
+    // Combinations of two inventory items work in either order
+    const reversed = on && interaction.use === on && interaction.on === itemId &&
+      worldRules.hasItem(inventory, itemId) && worldRules.hasItem(inventory, on);
+    return direct || reversed;
+  });
+
+  return candidates.find(interaction => {
+    return worldRules.conditionHolds(interaction.requires, gameState, inventory);
+  }) || null;
+};
+
+/**
+ * Use up one charge of an item, removing it once it is spent (or immediately
+ * if it has no charges). Returns { inventory, equipped, removed, charges }.
+ */
+const consumeItem = (inventory, equipped, itemId) => {
+  const item = inventory.find(i => i.id === itemId);
+  if (!item) {
+    return { inventory, equipped, removed: false, charges: 0 };
+  }
+
+  if (item.charges !== undefined && item.charges > 1) {
+    const charges = item.charges - 1;
+    return {
+      inventory: inventory.map(i => (i.id === itemId ? { ...i, charges } : i)),
+      equipped,
+      removed: false,
+      charges
+    };
+  }
+
+  return {
+    inventory: inventory.filter(i => i.id !== itemId),
+    equipped: worldRules.unequipItem(equipped, itemId),
+    removed: true,
+    charges: 0
+  };
+};
+
+// Equip an item into its slot; returns the new equipped map and whatever it replaced
+const equipItem = (equipped, item) => {
+  const replaced = equipped[item.slot] || null;
+  return {
+    equipped: { ...equipped, [item.slot]: item.id },
+    replaced: replaced !== item.id ? replaced : null
+  };
+};
+
+module.exports = {
+  getLocationItems,
+  removeFromLocation,
+  isItemAtLocation,
+  findInteraction,
+  consumeItem,
+  equipItem
+};
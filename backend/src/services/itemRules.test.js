@@ -0,0 +1,69 @@
+const itemRules = require('./itemRules');
+
+const worldData = {
+  locations: {
+    hall: { items: ['lantern', 'key'] },
+    garden: {}
+  },
+  interactions: [
+    { use: 'key', on: 'gate', location: 'garden', message: 'The gate swings open' },
+    { use: 'flint', on: 'lantern', produces: 'lit_lantern', requires: { flag: 'dry' } }
+  ]
+};
+
+describe('itemRules placement', () => {
+  it('uses the world placement until the session tracks its own', () => {
+    expect(itemRules.getLocationItems(worldData, {}, 'hall')).toEqual(['lantern', 'key']);
+    expect(itemRules.getLocationItems(worldData, {}, 'garden')).toEqual([]);
+    expect(itemRules.getLocationItems(worldData, { locationItems: { hall: ['key'] } }, 'hall')).toEqual(['key']);
+  });
+
+  it('removes an item from a location without touching the world', () => {
+    const gameState = itemRules.removeFromLocation(worldData, {}, 'hall', 'lantern');
+
+    expect(gameState.locationItems.hall).toEqual(['key']);
+    expect(itemRules.isItemAtLocation(worldData, gameState, 'hall', 'lantern')).toBe(false);
+    expect(worldData.locations.hall.items).toEqual(['lantern', 'key']);
+  });
+});
+
+describe('itemRules.findInteraction', () => {
+  const held = [{ id: 'flint' }, { id: 'lantern' }];
+
+  it('matches an item used on a target where the interaction happens', () => {
+    expect(itemRules.findInteraction(worldData, {}, [{ id: 'key' }], 'garden', 'key', 'gate')).toBe(worldData.interactions[0]);
+    expect(itemRules.findInteraction(worldData, {}, [{ id: 'key' }], 'hall', 'key', 'gate')).toBeNull();
+  });
+
+  it('needs the interaction conditions to hold', () => {
+    expect(itemRules.findInteraction(worldData, {}, held, 'hall', 'flint', 'lantern')).toBeNull();
+    expect(itemRules.findInteraction(worldData, { flags: { dry: true } }, held, 'hall', 'flint', 'lantern')).toBe(worldData.interactions[1]);
+  });
+
+  it('combines two held items in either order', () => {
+    expect(itemRules.findInteraction(worldData, { flags: { dry: true } }, held, 'hall', 'lantern', 'flint')).toBe(worldData.interactions[1]);
+  });
+});
+
+describe('itemRules.consumeItem', () => {
+  it('spends a charge, then removes and unequips the item', () => {
+    const inventory = [{ id: 'torch', charges: 2 }];
+
+    const first = itemRules.consumeItem(inventory, { hand: 'torch' }, 'torch');
+    expect(first).toEqual({ inventory: [{ id: 'torch', charges: 1 }], equipped: { hand: 'torch' }, removed: false, charges: 1 });
+
+    const second = itemRules.consumeItem(first.inventory, first.equipped, 'torch');
+    expect(second).toEqual({ inventory: [], equipped: {}, removed: true, charges: 0 });
+  });
+
+  it('does nothing for an item not held', () => {
+    expect(itemRules.consumeItem([], {}, 'torch').removed).toBe(false);
+  });
+});
+
+describe('itemRules.equipItem', () => {
+  it('puts an item in its slot and reports what it replaced', () => {
+    expect(itemRules.equipItem({ head: 'cap' }, { id: 'helm', slot: 'head' })).toEqual({ equipped: { head: 'helm' }, replaced: 'cap' });
+    expect(itemRules.equipItem({ head: 'helm' }, { id: 'helm', slot: 'head' }).replaced).toBeNull();
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Matchmaking
+ * The quick-match queue for public multiplayer rooms. A player asks for a
+ * world (or any world with a tag) and a party size; they are placed straight
+ * into an open public room that fits, or queued until enough players asking
+ * for the same thing are waiting to fill a new room together.
+ *
+ * Queue state lives in Redis so every backend instance shares it:
+ *   matchmaking:ticket:<userId>  the player's ticket (one per player)
+ *   matchmaking:queue:<queue>    sorted set of waiting user IDs, scored by
+ *                                when they queued
+ *   matchmaking:queues           the queues that may have players waiting
+ *
+ * where <queue> is `world:<worldId>:<partySize>` or `tag:<tag>:<partySize>`.
+ *
+ * Outcomes are announced on `events`, which the websocket layer forwards to
+ * each player's `user:` room:
+ *   match:found    { userId, roomId, roomCode, worldId, partySize, created }
+ *   match:timeout  { userId, ticket }   nobody matched within the queue timeout
+ *   match:cancelled { userId, ticket, reason }
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { MultiplayerRoom, World, User } = require('../models');
+const { redis } = require('../config/redis');
+const config = require('../config/environment');
+const multiplayerRooms = require('./multiplayerRooms');
+const logger = require('../utils/logger');
+
+const events = new EventEmitter();
+
+const MIN_PARTY_SIZE = 2;
+const MAX_PARTY_SIZE = 10;
+const LOCK_TTL = 5000; // ms
+// Tickets outlive the queue timeout so the sweeper can still announce them
+const TICKET_GRACE = 60 * 1000; // ms
+
+const ticketKey = (userId) => `matchmaking:ticket:${userId}`;
+const queueKey = (queue) => `matchmaking:queue:${queue}`;
+const lockKey = (queue) => `matchmaking:lock:${queue}`;
+const QUEUES_KEY = 'matchmaking:queues';
+const SWEEP_LOCK_KEY = 'matchmaking:sweep';
+
+const queueName = ({ worldId, tag, partySize }) => {
+  return worldId ? `world:${worldId}:${partySize}` : `tag:${tag}:${partySize}`;
+};
+
+const timeoutMs = () => config.matchmaking.queueTimeoutSeconds * 1000;
+
+// Public worlds a request can be played on
+const worldWhere = ({ worldId, tag }) => {
+  return worldId
+    ? { id: worldId, is_public: true }
+    : { tags: { [Op.contains]: [tag] }, is_public: true };
+};
+
+const getTicket = async (userId) => {
+  const ticket = await redis.get(ticketKey(userId));
+  return ticket ? JSON.parse(ticket) : null;
+};
+
+// Take a player's ticket out of the queue. Returns the ticket, or null if
+// someone else (a match, the sweeper, another tab) got to it first.
+const removeTicket = async (userId) => {
+  const ticket = await getTicket(userId);
+  if (!ticket) {
+    return null;
+  }
+
+  const [[, removed]] = await redis.multi()
+    .zrem(queueKey(ticket.queue), userId)
+    .del(ticketKey(userId))
+    .exec();
+  return removed ? ticket : null;
+};
+
+/**
+ * Place a player in the fullest open public room that fits the request.
+ * Returns the room, or null when none has a place.
+ */
+const placeInOpenRoom = async (user, request) => {
+  const rooms = await MultiplayerRoom.findAll({
+    where: {
+      is_active: true,
+      is_private: false,
+      max_players: request.partySize,
+      current_players: { [Op.lt]: request.partySize }
+    },
+    include: [{ model: World, as: 'world', where: worldWhere(request) }],
+    order: [['current_players', 'DESC'], ['created_at', 'ASC']],
+    limit: 5
+  });
+
+  for (const room of rooms) {
+    const { error } = await multiplayerRooms.addParticipant(room.id, user, 'player', room.world.world_data);
+    if (!error) {
+      return room;
+    }
+  }
+  return null;
+};
+
+/**
+ * Take a party's tickets out of the queue in one step. Each ticket is only
+ * claimed if it was still queued, so a player who cancelled (or was matched
+ * elsewhere) meanwhile is never seated. Returns the tickets claimed.
+ */
+const claimTickets = async (tickets) => {
+  const multi = redis.multi();
+  tickets.forEach(ticket => {
+    multi.zrem(queueKey(ticket.queue), ticket.userId).del(ticketKey(ticket.userId));
+  });
+  const results = await multi.exec();
+
+  return tickets.filter((ticket, index) => results[index * 2][1] === 1);
+};
+
+// Put claimed tickets back in line, in the place they had
+const requeueTickets = async (tickets) => {
+  if (tickets.length === 0) {
+    return;
+  }
+
+  const multi = redis.multi();
+  tickets.forEach(ticket => {
+    const ttl = Math.max(new Date(ticket.expiresAt).getTime() + TICKET_GRACE - Date.now(), 1000);
+    multi
+      .set(ticketKey(ticket.userId), JSON.stringify(ticket), 'PX', ttl)
+      .zadd(queueKey(ticket.queue), new Date(ticket.queuedAt).getTime(), ticket.userId)
+      .sadd(QUEUES_KEY, ticket.queue);
+  });
+  await multi.exec();
+};
+
+const announceMatch = (room, userIds, request, created) => {
+  userIds.forEach(userId => {
+    events.emit('match:found', {
+      userId,
+      roomId: room.id,
+      roomCode: room.room_code,
+      worldId: room.world_id,
+      partySize: request.partySize,
+      created
+    });
+  });
+};
+
+// Run `fn` holding a queue's lock; returns null without running it when the
+// lock is taken (whoever holds it will look at the queue anyway)
+const withQueueLock = async (queue, fn) => {
+  const token = crypto.randomUUID();
+  const locked = await redis.set(lockKey(queue), token, 'PX', LOCK_TTL, 'NX');
+  if (!locked) {
+    return null;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    if (await redis.get(lockKey(queue)) === token) {
+      await redis.del(lockKey(queue));
+    }
+  }
+};
+
+/**
+ * Open a room for the longest-waiting players in a queue once there are
+ * enough of them. Returns the room, or null when the queue is still short.
+ */
+const formParty = async (queue) => {
+  return withQueueLock(queue, async () => {
+    const waiting = await redis.zrange(queueKey(queue), 0, -1);
+    const found = await Promise.all(waiting.map(getTicket));
+
+    // Entries whose ticket is gone altogether
+    const stale = waiting.filter((userId, index) => !found[index]);
+    if (stale.length > 0) {
+      await redis.zrem(queueKey(queue), ...stale);
+    }
+
+    // Timed-out tickets are left for the sweeper to announce
+    const cutoff = Date.now() - timeoutMs();
+    const tickets = found.filter(ticket => ticket && new Date(ticket.queuedAt).getTime() > cutoff);
+
+    const request = tickets[0];
+    if (!request || tickets.length < request.partySize) {
+      return null;
+    }
+
+    const party = tickets.slice(0, request.partySize);
+    const world = await World.findOne({
+      where: worldWhere(request),
+      order: [['play_count', 'DESC']]
+    });
+    const users = await User.findAll({
+      where: { id: party.map(ticket => ticket.userId), is_active: true }
+    });
+    if (!world || users.length < party.length) {
+      // The world or a player went away; the sweeper clears their tickets
+      logger.warn(`Could not form a party for matchmaking queue ${queue}`);
+      return null;
+    }
+
+    const claimed = await claimTickets(party);
+    if (claimed.length < party.length) {
+      // Someone left the queue meanwhile; the rest keep their place
+      await requeueTickets(claimed);
+      return null;
+    }
+
+    const byId = new Map(users.map(user => [user.id, user]));
+    const [host, ...guests] = party.map(ticket => byId.get(ticket.userId));
+    const room = await multiplayerRooms.openRoom(world, host, {
+      roomName: `Quick match: ${world.name}`,
+      maxPlayers: request.partySize
+    });
+    if (!room) {
+      logger.error(`Failed to open a room for matchmaking queue ${queue}`);
+      party.forEach(ticket => events.emit('match:cancelled', { userId: ticket.userId, ticket, reason: 'failed' }));
+      return null;
+    }
+
+    // Players who can't be seated go back in line rather than being told
+    // about a room they aren't in
+    const seated = [host.id];
+    const unseated = [];
+    for (const guest of guests) {
+      const { error } = await multiplayerRooms.addParticipant(room.id, guest, 'player', world.world_data);
+      if (error) {
+        logger.warn(`Matchmaking could not seat ${guest.username} in room ${room.room_code}: ${error}`);
+        unseated.push(party.find(ticket => ticket.userId === guest.id));
+      } else {
+        seated.push(guest.id);
+      }
+    }
+    await requeueTickets(unseated);
+
+    logger.info(`Matchmaking opened room ${room.room_code} for ${seated.length} players from ${queue}`);
+    announceMatch(room, seated, request, true);
+    return room;
+  });
+};
+
+/**
+ * Look for a game: `{ worldId }` or `{ tag }`, and `partySize`. Asking again
+ * replaces the player's earlier ticket. Returns { error, status },
+ * { matched: true, room } or { matched: false, ticket, position }.
+ */
+const enqueue = async (user, { worldId = null, tag = null, partySize }) => {
+  if (!worldId === !tag) {
+    return { error: 'Ask for a worldId or a tag', status: 400 };
+  }
+  if (!Number.isInteger(partySize) || partySize < MIN_PARTY_SIZE || partySize > MAX_PARTY_SIZE) {
+    return { error: `Party size must be from ${MIN_PARTY_SIZE} to ${MAX_PARTY_SIZE}`, status: 400 };
+  }
+
+  const request = { worldId, tag: tag && tag.trim(), partySize };
+  const playable = await World.count({ where: worldWhere(request) });
+  if (!playable) {
+    return { error: 'No public world matches', status: 404 };
+  }
+
+  const previous = await removeTicket(user.id);
+  if (previous) {
+    events.emit('match:cancelled', { userId: user.id, ticket: previous, reason: 'replaced' });
+  }
+
+  const room = await placeInOpenRoom(user, request);
+  if (room) {
+    logger.info(`Matchmaking placed ${user.username} in room ${room.room_code}`);
+    announceMatch(room, [user.id], request, false);
+    return { matched: true, room };
+  }
+
+  const queuedAt = Date.now();
+  const ticket = {
+    userId: user.id,
+    username: user.username,
+    ...request,
+    queue: queueName(request),
+    queuedAt: new Date(queuedAt),
+    expiresAt: new Date(queuedAt + timeoutMs())
+  };
+
+  await redis.multi()
+    .set(ticketKey(user.id), JSON.stringify(ticket), 'PX', timeoutMs() + TICKET_GRACE)
+    .zadd(queueKey(ticket.queue), queuedAt, user.id)
+    .sadd(QUEUES_KEY, ticket.queue)
+    .exec();
+
+  const formed = await formParty(ticket.queue);
+  if (formed && !(await getTicket(user.id))) {
+    return { matched: true, room: formed };
+  }
+
+  return { matched: false, ticket, position: await redis.zrank(queueKey(ticket.queue), user.id) };
+};
+
+// A player's ticket and place in line (0 is next), or null when not queued
+const status = async (userId) => {
+  const ticket = await getTicket(userId);
+  if (!ticket) {
+    return null;
+  }
+
+  const [position, waiting] = await Promise.all([
+    redis.zrank(queueKey(ticket.queue), userId),
+    redis.zcard(queueKey(ticket.queue))
+  ]);
+  return { ticket, position, waiting };
+};
+
+// Stop looking for a game. Returns whether the player was queued.
+const cancel = async (userId, reason = 'cancelled') => {
+  const ticket = await removeTicket(userId);
+  if (ticket) {
+    events.emit('match:cancelled', { userId, ticket, reason });
+  }
+  return Boolean(ticket);
+};
+
+/**
+ * Drop tickets that waited longer than the queue timeout, announcing each
+ * one, then try again to form parties in queues that still have players (a
+ * player who queued while another held the queue's lock may have been
+ * missed). Every instance runs it, but only one sweeps per interval; a
+ * ticket is still only announced by whichever instance removes it.
+ */
+const sweepQueues = async () => {
+  const intervalMs = config.matchmaking.sweepIntervalSeconds * 1000;
+  const locked = await redis.set(SWEEP_LOCK_KEY, crypto.randomUUID(), 'PX', Math.max(intervalMs - 1000, 1000), 'NX');
+  if (!locked) {
+    return;
+  }
+
+  const cutoff = Date.now() - timeoutMs();
+  const queues = await redis.smembers(QUEUES_KEY);
+
+  for (const queue of queues) {
+    const lapsed = await redis.zrangebyscore(queueKey(queue), '-inf', cutoff);
+    for (const userId of lapsed) {
+      const ticket = await getTicket(userId);
+      const [[, removed]] = await redis.multi()
+        .zrem(queueKey(queue), userId)
+        .del(ticketKey(userId))
+        .exec();
+      if (removed) {
+        events.emit('match:timeout', { userId, ticket });
+      }
+    }
+
+    if (await redis.zcard(queueKey(queue)) === 0) {
+      await redis.srem(QUEUES_KEY, queue);
+    } else {
+      await formParty(queue);
+    }
+  }
+};
+
+module.exports = {
+  MIN_PARTY_SIZE,
+  MAX_PARTY_SIZE,
+  events,
+  enqueue,
+  status,
+  cancel,
+  sweepQueues
+};
@@ -0,0 +1,177 @@
+// Just enough of Redis for the queue: strings, sorted sets, sets and MULTI
+const mockStore = { strings: new Map(), zsets: new Map(), sets: new Map() };
+
+const mockZset = (key) => {
+  if (!mockStore.zsets.has(key)) {
+    mockStore.zsets.set(key, new Map());
+  }
+  return mockStore.zsets.get(key);
+};
+const mockRanked = (key) => [...mockZset(key)].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+
+const mockCommands = {
+  get: async (key) => (mockStore.strings.has(key) ? mockStore.strings.get(key) : null),
+  set: async (key, value, ...options) => {
+    if (options.includes('NX') && mockStore.strings.has(key)) {
+      return null;
+    }
+    mockStore.strings.set(key, value);
+    return 'OK';
+  },
+  del: async (key) => (mockStore.strings.delete(key) ? 1 : 0),
+  zadd: async (key, score, member) => {
+    mockZset(key).set(member, score);
+    return 1;
+  },
+  zrem: async (key, ...members) => members.filter(member => mockZset(key).delete(member)).length,
+  zrange: async (key) => mockRanked(key),
+  zrangebyscore: async (key, min, max) => mockRanked(key).filter(member => mockZset(key).get(member) <= max),
+  zrank: async (key, member) => {
+    const rank = mockRanked(key).indexOf(member);
+    return rank === -1 ? null : rank;
+  },
+  zcard: async (key) => mockZset(key).size,
+  sadd: async (key, member) => {
+    mockStore.sets.set(key, new Set([...(mockStore.sets.get(key) || []), member]));
+    return 1;
+  },
+  srem: async (key, member) => (mockStore.sets.get(key)?.delete(member) ? 1 : 0),
+  smembers: async (key) => [...(mockStore.sets.get(key) || [])]
+};
+
+jest.mock('../config/redis', () => ({
+  redis: {
+    ...mockCommands,
+    multi: () => {
+      const queued = [];
+      const multi = new Proxy({}, {
+        get: (target, name) => {
+          if (name === 'exec') {
+            return async () => {
+              const results = [];
+              for (const [command, args] of queued) {
+                results.push([null, await mockCommands[command](...args)]);
+              }
+              return results;
+            };
+          }
+          return (...args) => {
+            queued.push([name, args]);
+            return multi;
+          };
+        }
+      });
+      return multi;
+    }
+  }
+}));
+jest.mock('../models', () => ({
+  MultiplayerRoom: { findAll: async () => [] },
+  World: {
+    count: async () => 1,
+    findOne: async () => ({ id: 'w1', name: 'Test Manor', world_data: {} })
+  },
+  User: { findAll: jest.fn() }
+}));
+jest.mock('./multiplayerRooms', () => ({
+  openRoom: jest.fn(async () => ({ id: 'room1', room_code: 'ABC123', world_id: 'w1' })),
+  addParticipant: jest.fn(async () => ({}))
+}));
+jest.mock('../config/environment', () => ({
+  matchmaking: { queueTimeoutSeconds: 120, sweepIntervalSeconds: 10 }
+}));
+
+const { User } = require('../models');
+const multiplayerRooms = require('./multiplayerRooms');
+const matchmaking = require('./matchmaking');
+
+const ada = { id: 'u1', username: 'ada' };
+const bo = { id: 'u2', username: 'bo' };
+const cy = { id: 'u3', username: 'cy' };
+const players = [ada, bo, cy];
+
+describe('matchmaking', () => {
+  let announced;
+  const record = (name) => (payload) => announced.push([name, payload.userId, payload.reason]);
+
+  beforeAll(() => {
+    ['match:found', 'match:timeout', 'match:cancelled'].forEach(name => matchmaking.events.on(name, record(name)));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.values(mockStore).forEach(store => store.clear());
+    announced = [];
+    User.findAll.mockImplementation(async ({ where }) => players.filter(user => where.id.includes(user.id)));
+    multiplayerRooms.addParticipant.mockImplementation(async () => ({}));
+  });
+
+  it('opens a room once enough players ask for the same thing', async () => {
+    expect((await matchmaking.enqueue(ada, { worldId: 'w1', partySize: 2 })).matched).toBe(false);
+    const second = await matchmaking.enqueue(bo, { worldId: 'w1', partySize: 2 });
+
+    expect(second.matched).toBe(true);
+    expect(multiplayerRooms.openRoom.mock.calls[0][1]).toBe(ada);
+    expect(multiplayerRooms.addParticipant).toHaveBeenCalledWith('room1', bo, 'player', {});
+    expect(announced).toEqual([['match:found', 'u1', undefined], ['match:found', 'u2', undefined]]);
+    expect(await matchmaking.status('u1')).toBeNull();
+    expect(await matchmaking.status('u2')).toBeNull();
+  });
+
+  it('does not seat a player who left the queue while the party formed, and requeues the rest', async () => {
+    await matchmaking.enqueue(ada, { worldId: 'w1', partySize: 2 });
+    // Ada cancels after her ticket was read but before it was claimed
+    User.findAll.mockImplementationOnce(async ({ where }) => {
+      await matchmaking.cancel('u1');
+      return players.filter(user => where.id.includes(user.id));
+    });
+
+    const result = await matchmaking.enqueue(bo, { worldId: 'w1', partySize: 2 });
+
+    expect(result.matched).toBe(false);
+    expect(multiplayerRooms.openRoom).not.toHaveBeenCalled();
+    expect(await matchmaking.status('u1')).toBeNull();
+    expect(await matchmaking.status('u2')).toMatchObject({ position: 0, waiting: 1 });
+    expect(announced).toEqual([['match:cancelled', 'u1', 'cancelled']]);
+  });
+
+  it('puts players who could not be seated back in line in their old place', async () => {
+    multiplayerRooms.addParticipant.mockImplementation(async (roomId, user) => (user.id === 'u2' ? { error: 'Room is full' } : {}));
+    await matchmaking.enqueue(ada, { worldId: 'w1', partySize: 3 });
+    await matchmaking.enqueue(bo, { worldId: 'w1', partySize: 3 });
+
+    await matchmaking.enqueue(cy, { worldId: 'w1', partySize: 3 });
+
+    expect(announced).toEqual([['match:found', 'u1', undefined], ['match:found', 'u3', undefined]]);
+    const { ticket, position } = await matchmaking.status('u2');
+    expect(position).toBe(0);
+    expect(ticket.username).toBe('bo');
+  });
+
+  it('replaces a player\'s earlier ticket when they ask again', async () => {
+    await matchmaking.enqueue(ada, { worldId: 'w1', partySize: 2 });
+    await matchmaking.enqueue(ada, { tag: 'horror', partySize: 3 });
+
+    expect(announced).toEqual([['match:cancelled', 'u1', 'replaced']]);
+    expect((await matchmaking.status('u1')).ticket.queue).toBe('tag:horror:3');
+    expect(await mockCommands.zcard('matchmaking:queue:world:w1:2')).toBe(0);
+  });
+
+  it('times out lapsed tickets once, with one instance sweeping per interval', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+    try {
+      await matchmaking.enqueue(ada, { worldId: 'w1', partySize: 3 });
+      jest.setSystemTime(new Date('2026-01-01T12:01:30Z'));
+      await matchmaking.enqueue(bo, { worldId: 'w1', partySize: 3 });
+      jest.setSystemTime(new Date('2026-01-01T12:02:01Z'));
+
+      await Promise.all([matchmaking.sweepQueues(), matchmaking.sweepQueues()]);
+
+      expect(announced).toEqual([['match:timeout', 'u1', undefined]]);
+      expect(await matchmaking.status('u1')).toBeNull();
+      expect(await matchmaking.status('u2')).toMatchObject({ position: 0 });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
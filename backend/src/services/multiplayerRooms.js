@@ -0,0 +1,1287 @@
+/**
+ * Multiplayer Rooms
+ * Server-authoritative state for a party's shared playthrough. Room actions
+ * are applied with the same game engine as single-player sessions, against
+ * the world revision the room was created on, and the resulting state is
+ * persisted to `multiplayer_rooms.game_state`. Clients never write game state;
+ * they receive each change as a diff against the previous version.
+ *
+ * How the party decides what to do is the room's `decision_mode` (see
+ * roomDecisions); open votes and whose turn it is live in game_state too.
+ *
+ * Room game_state shape:
+ *   { currentLocation, inventory, worldState: (see worldRules), stats,
+ *     worldRevision, version, players: {}, vote, turn, actionLog: [entry],
+ *     actionCounts: { [userId]: actions taken } }
+ *
+ * Action log entries are { type: 'action', userId, username, action, target,
+ * on, timestamp } or, for a decided vote, { type: 'vote', voteId, mode,
+ * action, target, on, option, reason, ballots, counts, timestamp }.
+ *
+ * Diffs: { baseVersion, version, changes } where `changes` holds the
+ * top-level keys that changed and, for `worldState`, only its changed keys.
+ * A client whose version isn't `baseVersion` has missed an update and should
+ * ask for the full state again.
+ *
+ * Participants carry a connection_status: 'connected', 'reconnecting' while
+ * their place is held after a drop, and 'disconnected' once the grace window
+ * ran out and the place was given up.
+ *
+ * Participants are players or spectators (`role`). Spectators receive every
+ * room event but never act or vote, and are counted in current_spectators
+ * rather than current_players.
+ *
+ * A room's `party_mode` is 'together' (the party shares one location and one
+ * inventory, as above) or 'split'. In a split party the world state (flags,
+ * variables, visited, items lying around, the ending) is still shared, but
+ * each player has their own location, inventory and equipment in
+ * game_state.players:
+ *   { [userId]: { location, inventory, equipped, stats: { moves } } }
+ * Split parties decide 'free' or 'round_robin', since a vote or the host
+ * can't choose for players who are somewhere else. Players in the same place
+ * can trade items; offers wait in Redis (room:<id>:trades) until answered.
+ *
+ * A participant's player_state `location` and `inventory` mirror game_state
+ * and are only ever written here.
+ *
+ * Only open rooms (`status` 'open', is_active) are played in; pausing,
+ * resuming and closing rooms is roomLifecycle's job.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { MultiplayerRoom, RoomParticipant } = require('../models');
+const { sequelize } = require('../config/database');
+const { redis } = require('../config/redis');
+const gameEngine = require('./gameEngine');
+const worldRules = require('./worldRules');
+const worldRevisions = require('./worldRevisions');
+const roomDecisions = require('./roomDecisions');
+const logger = require('../utils/logger');
+
+const ROOM_TTL = 3600 * 4; // 4 hours
+const MAX_ACTION_LOG = 100;
+const TRADE_TTL = 120; // seconds a trade offer stays open
+
+const PARTY_MODES = ['together', 'split'];
+// Decision modes that still make sense when players are in different places
+const SPLIT_DECISION_MODES = ['free', 'round_robin'];
+
+// Parts of a participant's player_state that follow game_state; clients
+// can't write them
+const SERVER_PLAYER_STATE = ['location', 'inventory'];
+
+const roomKey = (roomId) => `room:${roomId}`;
+const tradesKey = (roomId) => `room:${roomId}:trades`;
+
+const isSplit = (room) => room.party_mode === 'split';
+
+// A split-party player who has just arrived in the world
+const createPlayer = (worldData) => ({
+  location: worldData.startLocation,
+  inventory: [],
+  equipped: {},
+  stats: { moves: 0 }
+});
+
+// A player's entry in a split party's game_state, starting fresh if they have none yet
+const playerIn = (gameState, userId, worldData) => {
+  return gameState.players?.[userId] || createPlayer(worldData);
+};
+
+// Write the fast-path copy of a room to Redis
+const cacheRoom = async (roomId, roomData) => {
+  await redis.setex(roomKey(roomId), ROOM_TTL, JSON.stringify(roomData));
+  return roomData;
+};
+
+/**
+ * Set up whatever decides the party's next move under the room's decision
+ * mode: a vote on the choices now presented, or whose turn it is.
+ */
+const withNextDecision = (room, gameState, worldData, turn = null) => {
+  const next = { ...gameState, vote: null, turn: null };
+
+  if (roomDecisions.isVoteMode(room.decision_mode) && !gameState.worldState?.ending) {
+    const locationData = worldRules.presentLocation(
+      worldData,
+      gameState.currentLocation,
+      gameState.worldState || {},
+      gameState.inventory || []
+    );
+    next.vote = roomDecisions.openVote(room.decision_mode, gameState.currentLocation, locationData, {
+      duration: room.vote_duration || roomDecisions.DEFAULT_VOTE_DURATION
+    });
+  }
+  if (room.decision_mode === 'round_robin') {
+    next.turn = turn;
+  }
+
+  return next;
+};
+
+/**
+ * The game_state for a new room playing the world's current revision.
+ * `room` carries the room's decision_mode, vote_duration, party_mode and
+ * host_id.
+ */
+const createRoomState = (world, room = {}) => {
+  const initialState = gameEngine.createInitialState(world.world_data);
+  return withNextDecision(room, {
+    players: isSplit(room) && room.host_id ? { [room.host_id]: createPlayer(world.world_data) } : {},
+    currentLocation: initialState.currentLocation,
+    inventory: initialState.inventory,
+    worldState: initialState.gameState,
+    stats: initialState.stats,
+    worldRevision: world.current_revision || null,
+    version: 0,
+    actionLog: []
+  }, world.world_data, room.host_id || null);
+};
+
+// Give a player joining a split party their place in it, unless they
+// already have one from an earlier stay. Saved with the room by the caller.
+const seatPlayer = (room, userId, worldData) => {
+  const gameState = room.game_state || {};
+  if (!isSplit(room) || gameState.players?.[userId]) {
+    return;
+  }
+
+  room.game_state = {
+    ...gameState,
+    players: { ...(gameState.players || {}), [userId]: createPlayer(worldData) },
+    version: (gameState.version || 0) + 1
+  };
+};
+
+// A participant's own state when they enter a room
+const initialPlayerState = (worldData) => ({
+  location: worldData.startLocation,
+  inventory: [],
+  ready: false
+});
+
+/**
+ * Open a room on `world` with `host` as its first player and cache it.
+ * Returns the room, or null when no unused room code turned up.
+ */
+const openRoom = async (world, host, {
+  roomName,
+  maxPlayers = 4,
+  isPrivate = false,
+  decisionMode = 'free',
+  voteDuration = 30,
+  maxSpectators = null,
+  partyMode = 'together'
+} = {}) => {
+  // Generate unique room code
+  let roomCode = null;
+  for (let attempt = 0; attempt < 10 && !roomCode; attempt++) {
+    const candidate = MultiplayerRoom.generateRoomCode();
+    const existing = await MultiplayerRoom.findOne({ where: { room_code: candidate } });
+    if (!existing) roomCode = candidate;
+  }
+  if (!roomCode) {
+    return null;
+  }
+
+  const room = await MultiplayerRoom.create({
+    world_id: world.id,
+    host_id: host.id,
+    room_code: roomCode,
+    room_name: roomName || `${host.display_name || host.username}'s Room`,
+    max_players: maxPlayers,
+    current_players: 1,
+    is_private: isPrivate,
+    decision_mode: decisionMode,
+    vote_duration: voteDuration,
+    max_spectators: maxSpectators,
+    party_mode: partyMode,
+    game_state: createRoomState(world, {
+      decision_mode: decisionMode,
+      vote_duration: voteDuration,
+      party_mode: partyMode,
+      host_id: host.id
+    })
+  });
+
+  // Add host as participant
+  await RoomParticipant.create({
+    room_id: room.id,
+    user_id: host.id,
+    player_state: initialPlayerState(world.world_data)
+  });
+
+  await cacheRoom(room.id, {
+    worldData: world.world_data,
+    gameState: room.game_state,
+    players: [{ id: host.id, username: host.username }]
+  });
+
+  return room;
+};
+
+/**
+ * Engine state for the party's shared playthrough stored in a room's
+ * game_state. For a split party, pass the acting `player`: they play from
+ * their own location with their own inventory and equipment.
+ */
+const toRoomEngineState = (gameState, player = null) => {
+  if (player) {
+    return {
+      currentLocation: player.location,
+      inventory: player.inventory || [],
+      gameState: { ...(gameState.worldState || {}), equipped: player.equipped || {} },
+      stats: { moves: 0, ...(player.stats || {}) }
+    };
+  }
+
+  return {
+    currentLocation: gameState.currentLocation,
+    inventory: gameState.inventory || [],
+    gameState: gameState.worldState || {},
+    stats: gameState.stats || {}
+  };
+};
+
+/**
+ * Get cached room data ({ worldData, gameState, players }), rebuilding the
+ * cache from Postgres when it has expired. `room` must be a MultiplayerRoom
+ * instance.
+ */
+const getRoomData = async (room) => {
+  const cached = await redis.get(roomKey(room.id));
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const [worldData, participants] = await Promise.all([
+    worldRevisions.getSessionWorldData({
+      world_id: room.world_id,
+      world_revision: room.game_state?.worldRevision
+    }),
+    RoomParticipant.findAll({
+      where: { room_id: room.id, role: 'player', left_at: null },
+      include: ['user']
+    })
+  ]);
+
+  return cacheRoom(room.id, {
+    worldData,
+    gameState: room.game_state,
+    players: participants.map(p => ({ id: p.user_id, username: p.user?.username }))
+  });
+};
+
+/**
+ * Where each player in a split party is and what they see there:
+ * { [userId]: { username, location, locationName, locationData } }, with
+ * usernames from the cached `players` list
+ */
+const presentParty = (gameState, worldData, players = []) => {
+  return Object.fromEntries(Object.entries(gameState.players || {}).map(([userId, player]) => {
+    const worldState = { ...(gameState.worldState || {}), equipped: player.equipped || {} };
+    return [userId, {
+      username: players.find(p => p.id === userId)?.username || null,
+      location: player.location,
+      locationName: worldData?.locations?.[player.location]?.name || player.location,
+      locationData: worldRules.presentLocation(worldData, player.location, worldState, player.inventory || [])
+    }];
+  }));
+};
+
+/**
+ * The shared state as sent to clients: { gameState, locationData, ending },
+ * where gameState leaves out the action log. Split parties have no single
+ * location, so they get `party` (see presentParty) instead of locationData.
+ */
+const presentRoomState = (gameState, worldData, partyMode = 'together', players = []) => {
+  const state = { ...gameState };
+  delete state.actionLog;
+  const ending = worldRules.describeEnding(worldData, state.worldState?.ending);
+
+  if (partyMode === 'split') {
+    return {
+      gameState: { ...state, version: state.version || 0 },
+      locationData: null,
+      party: presentParty(state, worldData, players),
+      ending
+    };
+  }
+
+  return {
+    gameState: { ...state, version: state.version || 0 },
+    locationData: worldRules.presentLocation(worldData, state.currentLocation, state.worldState || {}, state.inventory || []),
+    ending
+  };
+};
+
+/**
+ * The parts of `next` that differ from `previous`. `worldState` is compared
+ * key by key so a single flag change doesn't resend the whole state; keys
+ * that were removed come through as null.
+ */
+const diffRoomState = (previous = {}, next = {}) => {
+  const changes = {};
+
+  ['currentLocation', 'inventory', 'stats', 'players', 'vote', 'turn'].forEach(key => {
+    if (!isDeepStrictEqual(previous[key], next[key])) {
+      changes[key] = next[key] === undefined ? null : next[key];
+    }
+  });
+
+  const before = previous.worldState || {};
+  const after = next.worldState || {};
+  const worldState = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (!isDeepStrictEqual(before[key], after[key])) {
+      worldState[key] = after[key] === undefined ? null : after[key];
+    }
+  });
+  if (Object.keys(worldState).length > 0) {
+    changes.worldState = worldState;
+  }
+
+  return {
+    baseVersion: previous.version || 0,
+    version: next.version || 0,
+    changes
+  };
+};
+
+// Changes in a split party's diff that say nothing about where anyone is or
+// what happened there, so the whole room may see them
+const PARTY_WIDE_CHANGES = ['stats', 'vote', 'turn'];
+
+// A split party's diff cut down to what the whole room may see (see diffRoomState)
+const partyWideDiff = (diff) => {
+  const changes = Object.fromEntries(
+    Object.entries(diff.changes).filter(([key]) => PARTY_WIDE_CHANGES.includes(key))
+  );
+  return { ...diff, changes };
+};
+
+// Lock an active room's row for the rest of the transaction
+const lockRoom = (roomId, transaction) => {
+  return MultiplayerRoom.findOne({
+    where: { id: roomId, is_active: true },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+};
+
+// User IDs of the players in a room, in the order they joined (spectators
+// have no say)
+const getVoterIds = async (roomId, transaction) => {
+  const participants = await RoomParticipant.findAll({
+    where: { room_id: roomId, role: 'player', left_at: null },
+    attributes: ['user_id'],
+    order: [['joined_at', 'ASC']],
+    transaction
+  });
+  return participants.map(p => p.user_id);
+};
+
+/**
+ * Fold a split-party player's engine state back into the room's game_state:
+ * their own position and belongings, plus the shared world state.
+ */
+const foldPlayerState = (gameState, userId, player, state) => {
+  const { equipped, ...worldState } = state.gameState;
+  const moves = (state.stats.moves || 0) - (player.stats?.moves || 0);
+
+  return {
+    worldState,
+    stats: { ...(gameState.stats || {}), moves: (gameState.stats?.moves || 0) + moves },
+    players: {
+      ...(gameState.players || {}),
+      [userId]: {
+        location: state.currentLocation,
+        inventory: state.inventory,
+        equipped: equipped || {},
+        stats: state.stats
+      }
+    }
+  };
+};
+
+/**
+ * Players whose location is one of `locations` (in a split party), in the
+ * order of `voterIds`
+ */
+const playersAt = (gameState, voterIds, locations, worldData) => {
+  return voterIds.filter(userId => locations.includes(playerIn(gameState, userId, worldData).location));
+};
+
+/**
+ * Keep participants' player_state location and inventory in step with the
+ * room's game_state, which is where they are decided
+ */
+const syncPlayerStates = async (room, transaction) => {
+  const gameState = room.game_state || {};
+  const participants = await RoomParticipant.findAll({
+    where: { room_id: room.id, role: 'player', left_at: null },
+    transaction
+  });
+
+  await Promise.all(participants.map(participant => {
+    const player = isSplit(room)
+      ? gameState.players?.[participant.user_id]
+      : { location: gameState.currentLocation, inventory: gameState.inventory };
+    const current = participant.player_state || {};
+    if (!player || (current.location === player.location && isDeepStrictEqual(current.inventory, player.inventory || []))) {
+      return null;
+    }
+
+    participant.player_state = { ...current, location: player.location, inventory: player.inventory || [] };
+    return participant.save({ transaction });
+  }));
+};
+
+// Tally an action for the player who took it (decided votes have nobody)
+const countAction = (actionCounts = {}, userId) => {
+  return userId ? { ...actionCounts, [userId]: (actionCounts[userId] || 0) + 1 } : actionCounts;
+};
+
+/**
+ * Apply an action to a locked room and save the result. `entry` is the
+ * action log entry recording who decided on it. Returns { result } when the
+ * rules refuse the action, otherwise { result, diff, roomData } and, for a
+ * split party, `scene`: { locations, witnesses, party } with the locations
+ * the action touched, the players there to see it and where everyone now is.
+ */
+const applyToRoom = async (room, { action, target, on }, entry, { voterIds, actorId = null }, transaction) => {
+  const roomData = await getRoomData(room);
+  const previous = room.game_state || {};
+  const player = isSplit(room) ? playerIn(previous, actorId, roomData.worldData) : null;
+  const { state, events } = gameEngine.applyAction(
+    roomData.worldData,
+    toRoomEngineState(previous, player),
+    { type: action, target, on }
+  );
+  const result = gameEngine.toActionResult(roomData.worldData, state, events);
+
+  if (!result.success) {
+    return { result };
+  }
+
+  const outcome = player
+    ? foldPlayerState(previous, actorId, player, state)
+    : {
+      currentLocation: state.currentLocation,
+      inventory: state.inventory,
+      worldState: state.gameState,
+      stats: state.stats
+    };
+  const locations = player ? [...new Set([player.location, state.currentLocation])] : null;
+
+  const next = withNextDecision(room, {
+    ...previous,
+    ...outcome,
+    version: (previous.version || 0) + 1,
+    actionLog: [
+      ...(previous.actionLog || []),
+      { ...entry, action, target, on: on || null, ...(player && { location: player.location }), timestamp: new Date() }
+    ].slice(-MAX_ACTION_LOG),
+    actionCounts: countAction(previous.actionCounts, entry.userId)
+  }, roomData.worldData, roomDecisions.nextTurn(voterIds, actorId));
+
+  room.game_state = next;
+  room.last_activity_at = new Date();
+  await room.save({ transaction });
+  await syncPlayerStates(room, transaction);
+
+  return {
+    result,
+    diff: diffRoomState(previous, next),
+    ...(player && {
+      scene: {
+        locations,
+        witnesses: playersAt(next, voterIds, locations, roomData.worldData),
+        party: presentParty(next, roomData.worldData, roomData.players)
+      }
+    }),
+    roomData: { ...roomData, gameState: next }
+  };
+};
+
+// Why the room's decision mode doesn't let this player act directly, if it doesn't
+const directActionRefusal = (room, userId, voterIds) => {
+  const mode = room.decision_mode || 'free';
+
+  if (roomDecisions.isVoteMode(mode)) {
+    return 'This party decides by vote; cast a ballot instead';
+  }
+  if (mode === 'host' && userId !== room.host_id) {
+    return 'Only the host decides in this room';
+  }
+  if (mode === 'round_robin') {
+    const turn = room.game_state?.turn;
+    const current = voterIds.includes(turn) ? turn : voterIds[0];
+    if (userId !== current) {
+      return "It's not your turn";
+    }
+  }
+  return null;
+};
+
+// Refresh the cache after a committed change and drop the internal roomData
+const finishUpdate = async (roomId, applied) => {
+  if (!applied.roomData) {
+    return applied;
+  }
+
+  await cacheRoom(roomId, applied.roomData);
+  logger.debug(`Room ${roomId} updated to v${applied.roomData.gameState.version}`);
+
+  const outcome = { ...applied };
+  delete outcome.roomData;
+  return outcome;
+};
+
+/**
+ * Apply a participant's action to a room's shared playthrough. The room row
+ * is locked for the duration so concurrent actions apply one after another.
+ * Returns { error } when the room or participant is not found, { result } for
+ * an action the rules or the room's decision mode refused, and otherwise
+ * { result, diff }, plus `scene` in a split party (see applyToRoom).
+ */
+const performRoomAction = async (roomId, user, { action, target, on = null }) => {
+  const applied = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    if (!room) {
+      return { error: 'Room expired or not found' };
+    }
+
+    const voterIds = await getVoterIds(roomId, transaction);
+    if (!voterIds.includes(user.id)) {
+      return { error: 'Only players can act in this room' };
+    }
+
+    const refusal = directActionRefusal(room, user.id, voterIds);
+    if (refusal) {
+      return { result: { success: false, message: refusal } };
+    }
+
+    return applyToRoom(
+      room,
+      { action, target, on },
+      { type: 'action', userId: user.id, username: user.username },
+      { voterIds, actorId: user.id },
+      transaction
+    );
+  });
+
+  return finishUpdate(roomId, applied);
+};
+
+/**
+ * Decide the room's open vote if its mode allows and apply the winning
+ * option, otherwise just save the ballots. Returns { tally } plus, once
+ * decided, { decision, result, diff, roomData }.
+ */
+const settleVote = async (room, vote, voterIds, { closing = false } = {}, transaction) => {
+  const tally = roomDecisions.tallyVote(vote, voterIds);
+  const decision = roomDecisions.decideVote(vote, voterIds, room.host_id, { closing });
+
+  if (!decision) {
+    room.game_state = { ...room.game_state, vote };
+    await room.save({ transaction });
+    return { tally };
+  }
+
+  const chosen = vote.options.find(option => option.index === decision.option);
+  const applied = await applyToRoom(room, chosen, {
+    type: 'vote',
+    voteId: vote.id,
+    mode: vote.mode,
+    option: decision.option,
+    reason: decision.reason,
+    ballots: vote.ballots,
+    counts: tally.counts
+  }, { voterIds }, transaction);
+
+  if (!applied.roomData) {
+    // The option stopped being valid under us; start the vote over
+    const previous = room.game_state;
+    const roomData = await getRoomData(room);
+    const next = withNextDecision(room, { ...previous, version: (previous.version || 0) + 1 }, roomData.worldData);
+    room.game_state = next;
+    await room.save({ transaction });
+    return { tally, result: applied.result, diff: diffRoomState(previous, next), roomData: { ...roomData, gameState: next } };
+  }
+
+  return {
+    tally,
+    decision: { voteId: vote.id, ...decision, text: chosen.text, action: chosen.action, target: chosen.target, on: chosen.on },
+    ...applied
+  };
+};
+
+/**
+ * Cast (or change) a player's ballot in the room's open vote. Returns
+ * { error } for a vote that isn't open or an unknown option, otherwise what
+ * settleVote returns.
+ */
+const castVote = async (roomId, user, { voteId, option }) => {
+  const applied = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    if (!room) {
+      return { error: 'Room expired or not found' };
+    }
+
+    const voterIds = await getVoterIds(roomId, transaction);
+    if (!voterIds.includes(user.id)) {
+      return { error: 'Only players can vote in this room' };
+    }
+
+    const vote = room.game_state?.vote;
+    if (!vote || vote.id !== voteId) {
+      return { error: 'That vote is no longer open' };
+    }
+    if (!vote.options.some(o => o.index === option)) {
+      return { error: 'Not an option in this vote' };
+    }
+
+    // A timed vote's clock starts with its first ballot
+    const closesAt = vote.mode === 'timed' && !vote.closesAt
+      ? new Date(Date.now() + vote.duration * 1000)
+      : vote.closesAt;
+    const closing = vote.mode === 'timed' && new Date(closesAt) <= new Date();
+
+    return settleVote(room, { ...vote, ballots: { ...vote.ballots, [user.id]: option }, closesAt }, voterIds, { closing }, transaction);
+  });
+
+  return finishUpdate(roomId, applied);
+};
+
+/**
+ * Close a room's timed vote once its deadline has passed. Returns null when
+ * no vote is open or it isn't due yet, otherwise what settleVote returns.
+ */
+const closeVote = async (roomId) => {
+  const applied = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    const vote = room?.game_state?.vote;
+    if (!vote || !vote.closesAt || new Date(vote.closesAt) > new Date()) {
+      return null;
+    }
+
+    const voterIds = await getVoterIds(roomId, transaction);
+    return settleVote(room, vote, voterIds, { closing: true }, transaction);
+  });
+
+  return applied && finishUpdate(roomId, applied);
+};
+
+/**
+ * Change how a room decides (host only). Any open vote is dropped and the
+ * new mode starts fresh from the party's current location. Returns { error }
+ * or { diff }.
+ */
+const setDecisionMode = async (roomId, user, { decisionMode, voteDuration }) => {
+  if (!roomDecisions.DECISION_MODES.includes(decisionMode)) {
+    return { error: `Unknown decision mode (expected one of ${roomDecisions.DECISION_MODES.join(', ')})` };
+  }
+
+  const applied = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    if (!room) {
+      return { error: 'Room expired or not found' };
+    }
+    if (room.host_id !== user.id) {
+      return { error: 'Only the host can change how the party decides' };
+    }
+    if (isSplit(room) && !SPLIT_DECISION_MODES.includes(decisionMode)) {
+      return { error: `Split parties can only use the ${SPLIT_DECISION_MODES.join(' or ')} decision mode` };
+    }
+
+    room.decision_mode = decisionMode;
+    if (voteDuration !== undefined) {
+      room.vote_duration = voteDuration;
+    }
+
+    const roomData = await getRoomData(room);
+    const voterIds = await getVoterIds(roomId, transaction);
+    const previous = room.game_state || {};
+    const next = withNextDecision(room, { ...previous, version: (previous.version || 0) + 1 }, roomData.worldData, voterIds[0] || null);
+
+    room.game_state = next;
+    await room.save({ transaction });
+
+    return { diff: diffRoomState(previous, next), roomData: { ...roomData, gameState: next } };
+  });
+
+  return finishUpdate(roomId, applied);
+};
+
+/**
+ * Record a participant's connection status. Returns { previous, role } with
+ * the status they had before, or null when they are not (or no longer) in
+ * the room.
+ */
+const setConnectionStatus = async (roomId, userId, status) => {
+  const participant = await RoomParticipant.findOne({
+    where: { room_id: roomId, user_id: userId, left_at: null },
+    include: [{ model: MultiplayerRoom, as: 'room', where: { is_active: true }, attributes: [] }]
+  });
+  if (!participant) {
+    return null;
+  }
+
+  const previous = participant.connection_status;
+  participant.connection_status = status;
+  participant.disconnected_at = status === 'connected' ? null : new Date();
+  await participant.save();
+  return { previous, role: participant.role };
+};
+
+// Take a participant out of the room's player or spectator count
+const releaseCount = (room, role) => {
+  if (role === 'spectator') {
+    room.current_spectators = Math.max(0, room.current_spectators - 1);
+  } else {
+    room.current_players = Math.max(0, room.current_players - 1);
+  }
+};
+
+/**
+ * Add a user to a room as a player or spectator, taking back the row of an
+ * earlier stay if there is one. Places are counted with the room locked, so
+ * two joins can't both take the last one. Returns { error } or
+ * { room, participant }.
+ */
+const addParticipant = async (roomId, user, role, worldData) => {
+  const added = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    if (!room) {
+      return { error: 'Room not found or inactive' };
+    }
+
+    // Spectators have their own, optional, limit
+    if (role === 'player' && room.current_players >= room.max_players) {
+      return { error: 'Room is full' };
+    }
+    if (role === 'spectator' && room.max_spectators !== null && room.current_spectators >= room.max_spectators) {
+      return { error: 'No spectator places left in this room' };
+    }
+
+    const previous = await RoomParticipant.findOne({
+      where: { room_id: roomId, user_id: user.id },
+      transaction
+    });
+    if (previous && !previous.left_at) {
+      return { error: 'Already in this room' };
+    }
+
+    const fields = {
+      role,
+      player_state: initialPlayerState(worldData),
+      joined_at: new Date(),
+      left_at: null,
+      connection_status: 'connected',
+      disconnected_at: null
+    };
+    const participant = previous
+      ? await previous.update(fields, { transaction })
+      : await RoomParticipant.create({ ...fields, room_id: roomId, user_id: user.id }, { transaction });
+
+    if (role === 'spectator') {
+      room.current_spectators += 1;
+    } else {
+      room.current_players += 1;
+      seatPlayer(room, user.id, worldData);
+    }
+    room.last_activity_at = new Date();
+    await room.save({ transaction });
+    await syncPlayerStates(room, transaction);
+
+    return { room, participant };
+  });
+
+  if (added.participant && role === 'player') {
+    const cached = await redis.get(roomKey(roomId));
+    if (cached) {
+      const data = JSON.parse(cached);
+      data.players = [...(data.players || []), { id: user.id, username: user.username }];
+      data.gameState = added.room.game_state;
+      await cacheRoom(roomId, data);
+    }
+  }
+
+  return added;
+};
+
+/**
+ * Give up the place of a participant who dropped and has not come back
+ * within `graceSeconds`. Nothing happens if they reconnected (here or on
+ * another server) or dropped again more recently. Returns true when the
+ * place was released.
+ */
+const releaseSlot = async (roomId, userId, graceSeconds) => {
+  const released = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    const participant = await RoomParticipant.findOne({
+      where: {
+        room_id: roomId,
+        user_id: userId,
+        left_at: null,
+        connection_status: 'reconnecting',
+        disconnected_at: { [Op.lte]: new Date(Date.now() - graceSeconds * 1000) }
+      },
+      transaction
+    });
+    if (!participant) {
+      return false;
+    }
+
+    participant.left_at = new Date();
+    participant.connection_status = 'disconnected';
+    await participant.save({ transaction });
+
+    if (room) {
+      releaseCount(room, participant.role);
+      await room.save({ transaction });
+    }
+    return true;
+  });
+
+  if (released) {
+    await dropCachedPlayer(roomId, userId);
+  }
+
+  return released;
+};
+
+// Take a player who left out of the room's cached player list
+const dropCachedPlayer = async (roomId, userId) => {
+  const cached = await redis.get(roomKey(roomId));
+  if (cached) {
+    const data = JSON.parse(cached);
+    data.players = (data.players || []).filter(player => player.id !== userId);
+    await cacheRoom(roomId, data);
+  }
+};
+
+/**
+ * Hand a room that isn't closed to another player, because its host left
+ * or has been away. The longest-standing connected player takes over, or
+ * failing that the longest-standing player. Returns { room, previousHostId,
+ * host: { id, username } }, or null when nobody else is playing.
+ */
+const migrateHost = async (roomId) => {
+  return sequelize.transaction(async (transaction) => {
+    const room = await MultiplayerRoom.findOne({
+      where: { id: roomId, status: ['open', 'paused'] },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!room) {
+      return null;
+    }
+
+    const players = await RoomParticipant.findAll({
+      where: { room_id: roomId, role: 'player', left_at: null, user_id: { [Op.ne]: room.host_id } },
+      include: ['user'],
+      order: [['joined_at', 'ASC']],
+      transaction
+    });
+    const next = players.find(player => player.connection_status === 'connected') || players[0];
+    if (!next) {
+      return null;
+    }
+
+    const previousHostId = room.host_id;
+    room.host_id = next.user_id;
+    await room.save({ transaction });
+
+    return { room, previousHostId, host: { id: next.user_id, username: next.user?.username } };
+  });
+};
+
+// Drop a room's cache and open trade offers, e.g. once it is paused or closed
+const forgetRoom = async (roomId) => {
+  await redis.del(roomKey(roomId), tradesKey(roomId));
+};
+
+/**
+ * Make a spectator a player (host only), when the room has a free player
+ * slot. They take their turn after everyone already playing. Returns
+ * { error } or { participant, room }.
+ */
+const promoteSpectator = async (roomId, user, targetUserId) => {
+  const promoted = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    if (!room) {
+      return { error: 'Room expired or not found' };
+    }
+    if (room.host_id !== user.id) {
+      return { error: 'Only the host can promote spectators' };
+    }
+    if (room.current_players >= room.max_players) {
+      return { error: 'Room is full' };
+    }
+
+    const participant = await RoomParticipant.findOne({
+      where: { room_id: roomId, user_id: targetUserId, role: 'spectator', left_at: null },
+      include: ['user'],
+      transaction
+    });
+    if (!participant) {
+      return { error: 'Not a spectator in this room' };
+    }
+
+    participant.role = 'player';
+    participant.joined_at = new Date();
+    await participant.save({ transaction });
+
+    releaseCount(room, 'spectator');
+    room.current_players += 1;
+    seatPlayer(room, targetUserId, (await getRoomData(room)).worldData);
+    await room.save({ transaction });
+    await syncPlayerStates(room, transaction);
+
+    return { participant, room };
+  });
+
+  if (promoted.participant) {
+    const cached = await redis.get(roomKey(roomId));
+    if (cached) {
+      const data = JSON.parse(cached);
+      data.players = [...(data.players || []), { id: targetUserId, username: promoted.participant.user?.username }];
+      data.gameState = promoted.room.game_state;
+      await cacheRoom(roomId, data);
+    }
+  }
+
+  return promoted;
+};
+
+/**
+ * Remove a participant from a room (host only). Their place is given back
+ * with the room locked, as when they leave. Returns { error } or
+ * { participant }.
+ */
+const kickParticipant = async (roomId, user, targetUserId) => {
+  if (targetUserId === user.id) {
+    return { error: 'You can\'t kick yourself; leave the room instead' };
+  }
+
+  const kicked = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    if (!room) {
+      return { error: 'Room expired or not found' };
+    }
+    if (room.host_id !== user.id) {
+      return { error: 'Only the host can kick players' };
+    }
+
+    const participant = await RoomParticipant.findOne({
+      where: { room_id: roomId, user_id: targetUserId, left_at: null },
+      transaction
+    });
+    if (!participant) {
+      return { error: 'Not in this room' };
+    }
+
+    participant.left_at = new Date();
+    participant.connection_status = 'disconnected';
+    await participant.save({ transaction });
+
+    releaseCount(room, participant.role);
+    await room.save({ transaction });
+    return { participant };
+  });
+
+  if (kicked.participant) {
+    await dropCachedPlayer(roomId, targetUserId);
+  }
+  return kicked;
+};
+
+/**
+ * Hand the room to another of its players (host only). Spectators and
+ * players who have left can't take it. Returns { error } or
+ * { room, previousHostId, host: { id, username } }.
+ */
+const transferHost = async (roomId, user, targetUserId) => {
+  return sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    if (!room) {
+      return { error: 'Room expired or not found' };
+    }
+    if (room.host_id !== user.id) {
+      return { error: 'Only the host can hand the room over' };
+    }
+
+    const participant = await RoomParticipant.findOne({
+      where: { room_id: roomId, user_id: targetUserId, role: 'player', left_at: null },
+      include: ['user'],
+      transaction
+    });
+    if (!participant || targetUserId === user.id) {
+      return { error: 'Not another player in this room' };
+    }
+
+    const previousHostId = room.host_id;
+    room.host_id = targetUserId;
+    await room.save({ transaction });
+
+    return { room, previousHostId, host: { id: targetUserId, username: participant.user?.username } };
+  });
+};
+
+/**
+ * Set how many spectators a room takes (host only); null for no limit.
+ * Spectators already watching stay. Returns { error } or { room }.
+ */
+const setSpectatorLimit = async (roomId, user, maxSpectators) => {
+  if (maxSpectators !== null && (!Number.isInteger(maxSpectators) || maxSpectators < 0 || maxSpectators > 100)) {
+    return { error: 'Spectator limit must be a whole number from 0 to 100, or null for no limit' };
+  }
+
+  const room = await MultiplayerRoom.findOne({ where: { id: roomId, is_active: true } });
+  if (!room) {
+    return { error: 'Room expired or not found' };
+  }
+  if (room.host_id !== user.id) {
+    return { error: 'Only the host can limit spectators' };
+  }
+
+  room.max_spectators = maxSpectators;
+  await room.save();
+  return { room };
+};
+
+/**
+ * Merge what a client reports about itself (readiness and the like) into its
+ * participant's player_state. The server-owned fields are ignored. Returns
+ * the updated player_state, or null when the user isn't in the room.
+ */
+const updatePlayerState = async (roomId, userId, state) => {
+  const participant = await RoomParticipant.findOne({
+    where: { room_id: roomId, user_id: userId, left_at: null }
+  });
+  if (!participant) {
+    return null;
+  }
+
+  const reported = { ...(state || {}) };
+  SERVER_PLAYER_STATE.forEach(key => delete reported[key]);
+
+  participant.player_state = { ...participant.player_state, ...reported };
+  await participant.save();
+  return participant.player_state;
+};
+
+const isItemList = (items) => Array.isArray(items) && items.every(item => typeof item === 'string');
+
+const holdsAll = (player, itemIds) => itemIds.every(itemId => player.inventory.some(item => item.id === itemId));
+
+// Hand items from one split-party player to another, unequipping them first
+const handOver = (from, to, itemIds) => {
+  const moving = from.inventory.filter(item => itemIds.includes(item.id));
+  return [
+    {
+      ...from,
+      inventory: from.inventory.filter(item => !itemIds.includes(item.id)),
+      equipped: Object.fromEntries(Object.entries(from.equipped || {}).filter(([, itemId]) => !itemIds.includes(itemId)))
+    },
+    { ...to, inventory: [...to.inventory, ...moving] }
+  ];
+};
+
+// Why two split-party players can't swap these items right now, if they can't
+const tradeRefusal = (from, to, offer, request) => {
+  if (from.location !== to.location) {
+    return 'You need to be in the same place to trade';
+  }
+  if (!holdsAll(from, offer)) {
+    return 'Items offered are no longer held';
+  }
+  if (!holdsAll(to, request)) {
+    return 'Items asked for are no longer held';
+  }
+  // Inventories hold one of each item
+  if (offer.some(itemId => to.inventory.some(item => item.id === itemId && !request.includes(itemId))) ||
+      request.some(itemId => from.inventory.some(item => item.id === itemId && !offer.includes(itemId)))) {
+    return 'One of you already has that item';
+  }
+  return null;
+};
+
+/**
+ * Offer another player in a split party items of yours for items of theirs;
+ * either list may be empty, making it a gift or a request. Both players have
+ * to be in the same place. The offer stays open for TRADE_TTL seconds.
+ * Returns { error } or { trade }.
+ */
+const offerTrade = async (roomId, user, { toUserId, offer = [], request = [] }) => {
+  if (!isItemList(offer) || !isItemList(request) || offer.length + request.length === 0) {
+    return { error: 'Offer or ask for at least one item' };
+  }
+  if (toUserId === user.id) {
+    return { error: 'You cannot trade with yourself' };
+  }
+
+  const room = await MultiplayerRoom.findOne({ where: { id: roomId, is_active: true } });
+  if (!room) {
+    return { error: 'Room expired or not found' };
+  }
+  if (!isSplit(room)) {
+    return { error: 'Trading is for split parties; this party shares its inventory' };
+  }
+
+  const voterIds = await getVoterIds(roomId);
+  if (!voterIds.includes(user.id) || !voterIds.includes(toUserId)) {
+    return { error: 'Only players can trade' };
+  }
+
+  const { worldData } = await getRoomData(room);
+  const from = playerIn(room.game_state, user.id, worldData);
+  const to = playerIn(room.game_state, toUserId, worldData);
+  const refusal = tradeRefusal(from, to, offer, request);
+  if (refusal) {
+    return { error: refusal };
+  }
+
+  const trade = {
+    id: uuidv4(),
+    roomId,
+    fromUserId: user.id,
+    fromUsername: user.username,
+    toUserId,
+    offer,
+    request,
+    location: from.location,
+    expiresAt: new Date(Date.now() + TRADE_TTL * 1000)
+  };
+  await redis.multi()
+    .hset(tradesKey(roomId), trade.id, JSON.stringify(trade))
+    .expire(tradesKey(roomId), ROOM_TTL)
+    .exec();
+
+  return { trade };
+};
+
+/**
+ * Answer a trade offer: the player it was made to accepts or declines, and
+ * the player who made it can withdraw it (`accept` false). An accepted trade
+ * is checked again with the room locked, since either player may have moved
+ * or lost the items since. Returns { error } or { trade, accepted } plus,
+ * once items changed hands, { diff, scene } as for an action.
+ */
+const respondToTrade = async (roomId, user, { tradeId, accept }) => {
+  const stored = await redis.hget(tradesKey(roomId), tradeId);
+  const trade = stored && JSON.parse(stored);
+  if (!trade || (user.id !== trade.toUserId && user.id !== trade.fromUserId)) {
+    return { error: 'That trade is no longer open' };
+  }
+
+  // Whoever removes the offer answers it
+  if (!(await redis.hdel(tradesKey(roomId), tradeId))) {
+    return { error: 'That trade is no longer open' };
+  }
+  if (!accept || user.id !== trade.toUserId) {
+    return { trade, accepted: false };
+  }
+  if (new Date(trade.expiresAt) <= new Date()) {
+    return { error: 'That trade offer has expired' };
+  }
+
+  const applied = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoom(roomId, transaction);
+    if (!room) {
+      return { error: 'Room expired or not found' };
+    }
+
+    const voterIds = await getVoterIds(roomId, transaction);
+    if (!voterIds.includes(trade.fromUserId) || !voterIds.includes(trade.toUserId)) {
+      return { error: 'Both players need to be in the party to trade' };
+    }
+
+    const roomData = await getRoomData(room);
+    const previous = room.game_state || {};
+    const from = playerIn(previous, trade.fromUserId, roomData.worldData);
+    const to = playerIn(previous, trade.toUserId, roomData.worldData);
+    const refusal = tradeRefusal(from, to, trade.offer, trade.request);
+    if (refusal) {
+      return { error: refusal };
+    }
+
+    const [fromAfterOffer, toAfterOffer] = handOver(from, to, trade.offer);
+    const [toAfter, fromAfter] = handOver(toAfterOffer, fromAfterOffer, trade.request);
+
+    const next = {
+      ...previous,
+      players: { ...(previous.players || {}), [trade.fromUserId]: fromAfter, [trade.toUserId]: toAfter },
+      version: (previous.version || 0) + 1,
+      actionLog: [
+        ...(previous.actionLog || []),
+        {
+          type: 'trade',
+          tradeId: trade.id,
+          fromUserId: trade.fromUserId,
+          toUserId: trade.toUserId,
+          offer: trade.offer,
+          request: trade.request,
+          location: trade.location,
+          timestamp: new Date()
+        }
+      ].slice(-MAX_ACTION_LOG)
+    };
+
+    room.game_state = next;
+    room.last_activity_at = new Date();
+    await room.save({ transaction });
+    await syncPlayerStates(room, transaction);
+
+    return {
+      trade,
+      accepted: true,
+      diff: diffRoomState(previous, next),
+      scene: {
+        locations: [trade.location],
+        witnesses: playersAt(next, voterIds, [trade.location], roomData.worldData),
+        party: presentParty(next, roomData.worldData, roomData.players)
+      },
+      roomData: { ...roomData, gameState: next }
+    };
+  });
+
+  return finishUpdate(roomId, applied);
+};
+
+module.exports = {
+  ROOM_TTL,
+  PARTY_MODES,
+  SPLIT_DECISION_MODES,
+  roomKey,
+  cacheRoom,
+  createRoomState,
+  openRoom,
+  addParticipant,
+  getRoomData,
+  presentRoomState,
+  presentParty,
+  diffRoomState,
+  partyWideDiff,
+  performRoomAction,
+  castVote,
+  closeVote,
+  setDecisionMode,
+  setConnectionStatus,
+  releaseSlot,
+  releaseCount,
+  dropCachedPlayer,
+  migrateHost,
+  forgetRoom,
+  promoteSpectator,
+  kickParticipant,
+  transferHost,
+  setSpectatorLimit,
+  updatePlayerState,
+  offerTrade,
+  respondToTrade
+};
@@ -0,0 +1,155 @@
+// Redis strings and hashes for the room cache and open trade offers
+const mockStrings = new Map();
+const mockHashes = new Map();
+
+const mockHash = (key) => {
+  if (!mockHashes.has(key)) {
+    mockHashes.set(key, new Map());
+  }
+  return mockHashes.get(key);
+};
+
+jest.mock('../config/redis', () => ({
+  redis: {
+    get: async (key) => (mockStrings.has(key) ? mockStrings.get(key) : null),
+    setex: async (key, ttl, value) => {
+      mockStrings.set(key, value);
+      return 'OK';
+    },
+    hget: async (key, field) => (mockHash(key).has(field) ? mockHash(key).get(field) : null),
+    hdel: async (key, field) => (mockHash(key).delete(field) ? 1 : 0),
+    multi: () => {
+      const multi = {
+        hset: (key, field, value) => {
+          mockHash(key).set(field, value);
+          return multi;
+        },
+        expire: () => multi,
+        exec: async () => []
+      };
+      return multi;
+    }
+  }
+}));
+jest.mock('../models', () => ({
+  MultiplayerRoom: { findOne: jest.fn() },
+  RoomParticipant: { findAll: jest.fn() }
+}));
+jest.mock('../config/database', () => ({
+  sequelize: { transaction: async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }) }
+}));
+jest.mock('./worldRevisions', () => ({}));
+
+const { MultiplayerRoom, RoomParticipant } = require('../models');
+const multiplayerRooms = require('./multiplayerRooms');
+
+const worldData = {
+  startLocation: 'hall',
+  items: { lamp: { name: 'Lamp' }, rope: { name: 'Rope' }, key: { name: 'Key' } },
+  locations: { hall: { name: 'Hall' }, cellar: { name: 'Cellar' } }
+};
+
+const ada = { id: 'u1', username: 'ada' };
+const bo = { id: 'u2', username: 'bo' };
+
+const item = (id) => ({ id, name: worldData.items[id].name });
+
+// A split party with Ada holding a lamp and Bo a rope, both in the hall
+const splitRoom = () => ({
+  id: 'r1',
+  party_mode: 'split',
+  game_state: {
+    players: {
+      u1: { location: 'hall', inventory: [item('lamp')], equipped: { hand: 'lamp' }, stats: { moves: 0 } },
+      u2: { location: 'hall', inventory: [item('rope')], equipped: {}, stats: { moves: 0 } }
+    },
+    version: 3,
+    actionLog: []
+  },
+  save: jest.fn(async () => {})
+});
+
+describe('multiplayerRooms trading', () => {
+  let room;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStrings.clear();
+    mockHashes.clear();
+    room = splitRoom();
+    mockStrings.set('room:r1', JSON.stringify({ worldData, gameState: room.game_state, players: [ada, bo] }));
+    MultiplayerRoom.findOne.mockImplementation(async () => room);
+    RoomParticipant.findAll.mockImplementation(async () => [
+      { user_id: 'u1', player_state: {}, save: async () => {} },
+      { user_id: 'u2', player_state: {}, save: async () => {} }
+    ]);
+  });
+
+  it('swaps the items once the other player accepts', async () => {
+    const { trade } = await multiplayerRooms.offerTrade('r1', ada, { toUserId: 'u2', offer: ['lamp'], request: ['rope'] });
+
+    const result = await multiplayerRooms.respondToTrade('r1', bo, { tradeId: trade.id, accept: true });
+
+    expect(result.accepted).toBe(true);
+    const { players, version, actionLog } = room.game_state;
+    expect(players.u1).toMatchObject({ inventory: [item('rope')], equipped: {} });
+    expect(players.u2.inventory).toEqual([item('lamp')]);
+    expect(version).toBe(4);
+    expect(actionLog).toEqual([expect.objectContaining({ type: 'trade', tradeId: trade.id, offer: ['lamp'], request: ['rope'] })]);
+    expect(result.scene.witnesses).toEqual(['u1', 'u2']);
+    expect(JSON.parse(mockStrings.get('room:r1')).gameState.version).toBe(4);
+  });
+
+  it('answers an offer only once', async () => {
+    const { trade } = await multiplayerRooms.offerTrade('r1', ada, { toUserId: 'u2', offer: ['lamp'] });
+
+    const [accepted, withdrawn] = await Promise.all([
+      multiplayerRooms.respondToTrade('r1', bo, { tradeId: trade.id, accept: true }),
+      multiplayerRooms.respondToTrade('r1', ada, { tradeId: trade.id, accept: false })
+    ]);
+
+    expect(accepted.accepted).toBe(true);
+    expect(withdrawn).toEqual({ error: 'That trade is no longer open' });
+  });
+
+  it('lets the player who offered withdraw, but not accept', async () => {
+    const { trade } = await multiplayerRooms.offerTrade('r1', ada, { toUserId: 'u2', offer: ['lamp'] });
+
+    expect(await multiplayerRooms.respondToTrade('r1', ada, { tradeId: trade.id, accept: true })).toEqual({ trade: expect.objectContaining({ id: trade.id }), accepted: false });
+    expect((await multiplayerRooms.respondToTrade('r1', bo, { tradeId: trade.id, accept: true })).error).toBe('That trade is no longer open');
+    expect(room.save).not.toHaveBeenCalled();
+  });
+
+  it('checks the items again when settling', async () => {
+    const { trade } = await multiplayerRooms.offerTrade('r1', ada, { toUserId: 'u2', offer: ['lamp'], request: ['rope'] });
+    // Bo drops the rope before answering
+    room.game_state = { ...room.game_state, players: { ...room.game_state.players, u2: { ...room.game_state.players.u2, inventory: [] } } };
+
+    const result = await multiplayerRooms.respondToTrade('r1', bo, { tradeId: trade.id, accept: true });
+
+    expect(result).toEqual({ error: 'Items asked for are no longer held' });
+    expect(room.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses an expired offer', async () => {
+    const { trade } = await multiplayerRooms.offerTrade('r1', ada, { toUserId: 'u2', offer: ['lamp'] });
+    mockHash('room:r1:trades').set(trade.id, JSON.stringify({ ...trade, expiresAt: new Date(Date.now() - 1000) }));
+
+    expect(await multiplayerRooms.respondToTrade('r1', bo, { tradeId: trade.id, accept: true })).toEqual({ error: 'That trade offer has expired' });
+  });
+
+  it('only takes offers the players can make', async () => {
+    const offer = (user, request) => multiplayerRooms.offerTrade('r1', user, request);
+
+    expect((await offer(ada, { toUserId: 'u2' })).error).toBe('Offer or ask for at least one item');
+    expect((await offer(ada, { toUserId: 'u1', offer: ['lamp'] })).error).toBe('You cannot trade with yourself');
+    expect((await offer(ada, { toUserId: 'u2', offer: ['key'] })).error).toBe('Items offered are no longer held');
+    expect((await offer(ada, { toUserId: 'u3', offer: ['lamp'] })).error).toBe('Only players can trade');
+
+    room.game_state.players.u2.location = 'cellar';
+    expect((await offer(ada, { toUserId: 'u2', offer: ['lamp'] })).error).toBe('You need to be in the same place to trade');
+
+    room.party_mode = 'together';
+    expect((await offer(ada, { toUserId: 'u2', offer: ['lamp'] })).error).toMatch('Trading is for split parties');
+  });
+});
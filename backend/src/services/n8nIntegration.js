@@ -2,6 +2,27 @@ const axios = require('axios');
 const { redis } = require('../config/redis');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
+const config = require('../config/environment');
+const ai = require('./ai');
+const aiBudgets = require('./aiBudgets');
+const { estimateTokens } = require('./aiProviders');
+
+// What a workflow call used. Workflows that answer with tokensUsed are taken
+// at their word; otherwise the answer is measured like a provider's.
+const workflowUsage = (capability, request, result) => {
+  if (capability === 'image') {
+    return { inputTokens: 0, outputTokens: 0 };
+  }
+  if (capability === 'speech') {
+    return { inputTokens: estimateTokens(request.text), outputTokens: 0 };
+  }
+
+  const inputTokens = estimateTokens(request.prompt);
+  const outputTokens = result?.tokensUsed
+    ? Math.max(result.tokensUsed - inputTokens, 0)
+    : estimateTokens(JSON.stringify(result));
+  return { inputTokens, outputTokens };
+};
 
 class N8nIntegrationService {
   constructor() {
@@ -28,6 +49,15 @@ class N8nIntegrationService {
     };
   }
 
+  /**
+   * Whether a workflow should be used. Workflows that aren't configured, and
+   * all of them when running offline (AI_PROVIDER=fake), are answered by the
+   * AI provider layer instead.
+   */
+  hasWorkflow(name) {
+    return Boolean(this.workflows[name]) && config.ai.provider !== 'fake';
+  }
+
   /**
    * Trigger n8n workflow via webhook
    */
@@ -63,10 +93,41 @@ class N8nIntegrationService {
     }
   }
 
+  /**
+   * Run the workflow `name` for an AI feature, charged to `chargeTo` ({ user,
+   * worldId, sessionId }) the way provider calls are (see services/ai.js):
+   * reserved against their budgets first, so it may be refused with an
+   * AIBudgetExceededError, and recorded as provider `n8n` with the workflow
+   * name as the model.
+   */
+  async runWorkflow(name, feature, capability, data, chargeTo = null) {
+    const target = { provider: 'n8n', model: name };
+    const request = capability === 'speech' ? { text: data.text } : { prompt: JSON.stringify(data) };
+    const { reservation } = chargeTo?.user
+      ? await aiBudgets.check(chargeTo, aiBudgets.estimateCall(capability, target, request))
+      : { reservation: null };
+
+    let result;
+    try {
+      result = await this.triggerWorkflow(this.workflows[name], data);
+    } catch (error) {
+      await aiBudgets.release(reservation);
+      throw error;
+    }
+
+    await aiBudgets.record(chargeTo, {
+      feature,
+      capability,
+      ...target,
+      usage: workflowUsage(capability, request, result)
+    }, reservation);
+    return result;
+  }
+
   /**
    * Generate NPC dialogue using xAI Grok
    */
-  async generateNPCDialogue(context) {
+  async generateNPCDialogue(context, chargeTo = null) {
     const cacheKey = `npc:dialogue:${crypto.createHash('md5').update(JSON.stringify(context)).digest('hex')}`;
     
     // Check cache
@@ -76,15 +137,25 @@ class N8nIntegrationService {
       return JSON.parse(cached);
     }
 
-    const result = await this.triggerWorkflow(this.workflows.grokNPC, {
-      npcName: context.npcName,
-      npcRole: context.npcRole,
-      playerHistory: context.playerHistory,
-      currentLocation: context.currentLocation,
-      gameState: context.gameState,
-      emotionalContext: context.emotionalContext,
-      memoryPersistence: true
-    });
+    const result = this.hasWorkflow('grokNPC')
+      ? await this.runWorkflow('grokNPC', 'npcDialogue', 'text', {
+        npcName: context.npcName,
+        npcRole: context.npcRole,
+        playerHistory: context.playerHistory,
+        currentLocation: context.currentLocation,
+        gameState: context.gameState,
+        emotionalContext: context.emotionalContext,
+        memoryPersistence: true
+      }, chargeTo)
+      : await this.generateWithProvider('npcDialogue', {
+        system: `You voice ${context.npcName}, a ${context.npcRole} in a choose-your-own-adventure game. ` +
+          'Answer as JSON with: text, emotion, suggestedChoices (an array of short player replies).',
+        prompt: JSON.stringify({
+          currentLocation: context.currentLocation,
+          emotionalContext: context.emotionalContext || 'neutral',
+          playerHistory: context.playerHistory
+        })
+      }, chargeTo);
 
     // Cache result
     await redis.setex(cacheKey, this.cacheConfig.npcDialogue, JSON.stringify(result));
@@ -95,7 +166,7 @@ class N8nIntegrationService {
   /**
    * Generate dynamic story content
    */
-  async generateStoryContent(context) {
+  async generateStoryContent(context, chargeTo = null) {
     const cacheKey = `story:${context.sessionId}:${context.storyPoint}`;
     
     // Check cache
@@ -105,16 +176,28 @@ class N8nIntegrationService {
       return JSON.parse(cached);
     }
 
-    const result = await this.triggerWorkflow(this.workflows.storyGeneration, {
-      sessionId: context.sessionId,
-      worldData: context.worldData,
-      playerChoices: context.playerChoices,
-      currentLocation: context.currentLocation,
-      inventory: context.inventory,
-      characterDevelopment: context.characterDevelopment,
-      providers: ['grok', 'openai', 'claude'], // Multi-provider support
-      contextWindow: 4000
-    });
+    const result = this.hasWorkflow('storyGeneration')
+      ? await this.runWorkflow('storyGeneration', 'story', 'text', {
+        sessionId: context.sessionId,
+        worldData: context.worldData,
+        playerChoices: context.playerChoices,
+        currentLocation: context.currentLocation,
+        inventory: context.inventory,
+        characterDevelopment: context.characterDevelopment,
+        providers: ['grok', 'openai', 'claude'], // Multi-provider support
+        contextWindow: 4000
+      }, chargeTo)
+      : await this.generateWithProvider('story', {
+        system: `You continue the story of a choose-your-own-adventure game set in ${context.worldData?.worldInfo?.name || 'a fantasy world'}. ` +
+          'Answer as JSON with: narrative, choices (an array of strings), consequences, characterUpdates (an object), summary.',
+        prompt: JSON.stringify({
+          storyPoint: context.storyPoint,
+          currentLocation: context.currentLocation,
+          inventory: context.inventory,
+          playerChoices: context.playerChoices,
+          characterDevelopment: context.characterDevelopment
+        })
+      }, chargeTo);
 
     // Cache result
     await redis.setex(cacheKey, this.cacheConfig.story, JSON.stringify(result));
@@ -128,7 +211,7 @@ class N8nIntegrationService {
   /**
    * Generate artwork for scenes
    */
-  async generateArtwork(context) {
+  async generateArtwork(context, chargeTo = null) {
     const cacheKey = `artwork:${crypto.createHash('md5').update(context.prompt).digest('hex')}`;
     
     // Check cache
@@ -138,15 +221,30 @@ class N8nIntegrationService {
       return JSON.parse(cached);
     }
 
-    const result = await this.triggerWorkflow(this.workflows.artworkGeneration, {
-      prompt: context.prompt,
-      style: context.style || 'fantasy digital art',
-      aspectRatio: context.aspectRatio || '16:9',
-      provider: context.provider || 'midjourney', // Primary: Midjourney
-      fallbackProvider: 'grok-image', // Fallback: xAI Grok Image
-      quality: context.quality || 'high',
-      sceneContext: context.sceneContext
-    });
+    let result;
+    if (this.hasWorkflow('artworkGeneration')) {
+      result = await this.runWorkflow('artworkGeneration', 'image', 'image', {
+        prompt: context.prompt,
+        style: context.style || 'fantasy digital art',
+        aspectRatio: context.aspectRatio || '16:9',
+        provider: context.provider || 'midjourney', // Primary: Midjourney
+        fallbackProvider: 'grok-image', // Fallback: xAI Grok Image
+        quality: context.quality || 'high',
+        sceneContext: context.sceneContext
+      }, chargeTo);
+    } else {
+      const startedAt = Date.now();
+      const image = await ai.generateImage('image', {
+        prompt: `${context.style || 'fantasy digital art'}: ${context.prompt}`
+      }, chargeTo);
+      result = {
+        imageUrl: image.url,
+        thumbnailUrl: image.url,
+        provider: image.provider,
+        processingTime: Date.now() - startedAt,
+        metadata: { model: image.model }
+      };
+    }
 
     // Cache result
     await redis.setex(cacheKey, this.cacheConfig.artwork, JSON.stringify(result));
@@ -157,7 +255,7 @@ class N8nIntegrationService {
   /**
    * Generate voice narration
    */
-  async generateVoiceNarration(context) {
+  async generateVoiceNarration(context, chargeTo = null) {
     const cacheKey = `voice:${context.voiceId}:${crypto.createHash('md5').update(context.text).digest('hex')}`;
     
     // Check cache
@@ -167,15 +265,28 @@ class N8nIntegrationService {
       return JSON.parse(cached);
     }
 
-    const result = await this.triggerWorkflow(this.workflows.voiceNarration, {
-      text: context.text,
-      voiceId: context.voiceId,
-      emotion: context.emotion || 'neutral',
-      speed: context.speed || 1.0,
-      provider: 'elevenlabs', // Primary: ElevenLabs
-      fallbackProvider: 'google-tts', // Fallback: Google TTS
-      characterContext: context.characterContext
-    });
+    let result;
+    if (this.hasWorkflow('voiceNarration')) {
+      result = await this.runWorkflow('voiceNarration', 'voice', 'speech', {
+        text: context.text,
+        voiceId: context.voiceId,
+        emotion: context.emotion || 'neutral',
+        speed: context.speed || 1.0,
+        provider: 'elevenlabs', // Primary: ElevenLabs
+        fallbackProvider: 'google-tts', // Fallback: Google TTS
+        characterContext: context.characterContext
+      }, chargeTo);
+    } else {
+      // Provider voices have their own names; the n8n voice IDs don't carry over
+      const speech = await ai.generateSpeech('voice', { text: context.text, voice: 'nova' }, chargeTo);
+      result = {
+        audioUrl: `data:${speech.contentType};base64,${speech.audio.toString('base64')}`,
+        duration: null,
+        voiceId: 'nova',
+        provider: speech.provider,
+        metadata: { model: speech.model }
+      };
+    }
 
     // Cache result
     await redis.setex(cacheKey, this.cacheConfig.voice, JSON.stringify(result));
@@ -184,15 +295,16 @@ class N8nIntegrationService {
   }
 
   /**
-   * Moderate content using AI
+   * Moderate content using AI. `options` go to triggerWorkflow, e.g. a short
+   * timeout for chat.
    */
-  async moderateContent(content) {
+  async moderateContent(content, options = {}) {
     const result = await this.triggerWorkflow(this.workflows.contentModeration, {
       content,
       moderationType: 'comprehensive',
       structuredReasoning: true,
       categories: ['violence', 'adult', 'hate', 'self-harm', 'illegal']
-    });
+    }, options);
 
     return result;
   }
@@ -200,17 +312,46 @@ class N8nIntegrationService {
   /**
    * Generate procedural quests
    */
-  async generateQuest(context) {
-    const result = await this.triggerWorkflow(this.workflows.questGeneration, {
-      worldContext: context.worldContext,
-      playerLevel: context.playerLevel,
-      questType: context.questType || 'main',
-      difficulty: context.difficulty || 'medium',
-      branchingLogic: true,
-      rewardTiers: context.rewardTiers || 3
-    });
+  async generateQuest(context, chargeTo = null) {
+    if (this.hasWorkflow('questGeneration')) {
+      return this.runWorkflow('questGeneration', 'quest', 'text', {
+        worldContext: context.worldContext,
+        playerLevel: context.playerLevel,
+        questType: context.questType || 'main',
+        difficulty: context.difficulty || 'medium',
+        branchingLogic: true,
+        rewardTiers: context.rewardTiers || 3
+      }, chargeTo);
+    }
 
-    return result;
+    const quest = await this.generateWithProvider('quest', {
+      system: `You design ${context.questType || 'main'} quests of ${context.difficulty || 'medium'} difficulty for a choose-your-own-adventure game. ` +
+        'Answer as JSON with: title, description, objectives (an array of strings), rewards (an array), ' +
+        'difficulty, estimatedTime, branchingPaths (an array).',
+      prompt: JSON.stringify({
+        world: context.worldContext?.worldInfo,
+        playerLevel: context.playerLevel,
+        currentLocation: context.currentLocation
+      })
+    }, chargeTo);
+    return { id: crypto.randomUUID(), ...quest };
+  }
+
+  /**
+   * Answer a workflow's request through the AI provider layer, charged to
+   * `chargeTo` ({ user, worldId, sessionId }, see services/ai.js). Returns
+   * the generated object with tokensUsed and provider metadata added, in the
+   * shape the workflows answer with.
+   */
+  async generateWithProvider(feature, request, chargeTo = null) {
+    const { data, tokensUsed, provider, model } = await ai.generateJSON(feature, request, chargeTo);
+    return {
+      ...data,
+      tokensUsed,
+      totalTokens: tokensUsed,
+      providers: [provider],
+      metadata: { ...data.metadata, provider, model }
+    };
   }
 
   /**
@@ -283,20 +424,20 @@ class N8nIntegrationService {
   /**
    * Batch process multiple AI requests
    */
-  async batchProcess(requests) {
+  async batchProcess(requests, chargeTo = null) {
     const results = await Promise.allSettled(
       requests.map(req => {
         switch (req.type) {
           case 'npc':
-            return this.generateNPCDialogue(req.context);
+            return this.generateNPCDialogue(req.context, chargeTo);
           case 'story':
-            return this.generateStoryContent(req.context);
+            return this.generateStoryContent(req.context, chargeTo);
           case 'artwork':
-            return this.generateArtwork(req.context);
+            return this.generateArtwork(req.context, chargeTo);
           case 'voice':
-            return this.generateVoiceNarration(req.context);
+            return this.generateVoiceNarration(req.context, chargeTo);
           case 'quest':
-            return this.generateQuest(req.context);
+            return this.generateQuest(req.context, chargeTo);
           default:
             return Promise.reject(new Error(`Unknown request type: ${req.type}`));
         }
@@ -0,0 +1,72 @@
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('../config/redis', () => ({
+  redis: { get: async () => null, setex: async () => 'OK' }
+}));
+jest.mock('../config/environment', () => ({ ai: { provider: null } }));
+jest.mock('./ai', () => ({}));
+jest.mock('./aiBudgets', () => ({
+  estimateCall: jest.fn(() => ({ tokens: 100, cost: 0.01 })),
+  check: jest.fn(async () => ({ warnings: [], reservation: { keys: ['held'] } })),
+  record: jest.fn(async () => 0.01),
+  release: jest.fn(async () => {})
+}));
+jest.mock('./aiProviders', () => ({
+  estimateTokens: (text) => Math.ceil((text || '').length / 4)
+}));
+
+process.env.N8N_QUEST_GEN_WORKFLOW = 'quest-flow';
+
+const axios = require('axios');
+const aiBudgets = require('./aiBudgets');
+const n8n = require('./n8nIntegration');
+const { AIBudgetExceededError } = require('../middleware/errorHandler');
+
+const chargeTo = { user: { id: 'u1', plan: 'free' }, worldId: 'w1', sessionId: 's1' };
+const context = { worldContext: { worldInfo: { name: 'Test' } }, playerLevel: 2 };
+
+describe('n8nIntegration workflows', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reserves against the player before triggering a workflow and records it after', async () => {
+    axios.post.mockResolvedValue({ data: { title: 'Lost Lantern', tokensUsed: 300 } });
+
+    const quest = await n8n.generateQuest(context, chargeTo);
+
+    expect(quest.title).toBe('Lost Lantern');
+    expect(aiBudgets.estimateCall).toHaveBeenCalledWith('text', { provider: 'n8n', model: 'questGeneration' }, expect.any(Object));
+    expect(aiBudgets.check).toHaveBeenCalledWith(chargeTo, { tokens: 100, cost: 0.01 });
+    expect(aiBudgets.check.mock.invocationCallOrder[0]).toBeLessThan(axios.post.mock.invocationCallOrder[0]);
+    const [charged, call, reservation] = aiBudgets.record.mock.calls[0];
+    expect(charged).toBe(chargeTo);
+    expect(call).toMatchObject({ feature: 'quest', capability: 'text', provider: 'n8n', model: 'questGeneration' });
+    expect(call.usage.inputTokens + call.usage.outputTokens).toBe(300);
+    expect(reservation).toEqual({ keys: ['held'] });
+  });
+
+  it('does not trigger the workflow when the budget refuses it', async () => {
+    aiBudgets.check.mockRejectedValueOnce(new AIBudgetExceededError({ scope: 'user', period: 'daily', metric: 'tokens' }));
+
+    await expect(n8n.generateQuest(context, chargeTo)).rejects.toThrow(AIBudgetExceededError);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(aiBudgets.record).not.toHaveBeenCalled();
+  });
+
+  it('gives the reservation back when the workflow fails', async () => {
+    axios.post.mockRejectedValue(new Error('n8n is down'));
+
+    await expect(n8n.generateQuest(context, chargeTo)).rejects.toThrow('n8n is down');
+    expect(aiBudgets.release).toHaveBeenCalledWith({ keys: ['held'] });
+    expect(aiBudgets.record).not.toHaveBeenCalled();
+  });
+
+  it('records calls charged to nobody without checking a budget', async () => {
+    axios.post.mockResolvedValue({ data: { title: 'Lost Lantern' } });
+
+    await n8n.generateQuest(context);
+
+    expect(aiBudgets.check).not.toHaveBeenCalled();
+    expect(aiBudgets.record).toHaveBeenCalledWith(null, expect.objectContaining({ provider: 'n8n' }), null);
+  });
+});
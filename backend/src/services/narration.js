@@ -0,0 +1,356 @@
+/**
+ * Narration
+ * Story and Dungeon Master narration streamed as it is written, rather than
+ * handed over once the whole completion is in. A narration is started for a
+ * player's own game session or for a multiplayer room they play in, and runs
+ * in the background; whoever started it follows it through `onEvent`:
+ *
+ *   start     { narrationId, kind, sessionId, roomId, userId, username, budgetWarnings }
+ *   delta     { narrationId, text }
+ *   done      { narrationId, content, data, contentId, tokensUsed, provider, model }
+ *   error     { narrationId, message, error }
+ *   cancelled { narrationId, content }
+ *
+ * For a Dungeon Master narration the deltas are the `outcome` of its JSON
+ * answer as it arrives, and `data` on done is the whole answer once checked
+ * (see dungeonMaster), with `locationData` and `repairs`. In a session the
+ * answer is applied as by the Dungeon Master endpoint; in a room, whose
+ * world is shared, the Dungeon Master only narrates. Room
+ * narrations are also emitted on `events` as 'narration:<type>' with the
+ * roomId once it has started, so every member of the room can follow along.
+ * Failing to start at all (a budget refusal, say) is only the starter's
+ * business, and so is `error`'s Error object.
+ *
+ * A finished narration is saved to AIContent. Cancelling one (the player
+ * left the page, closed the connection, or asked) stops the provider; what
+ * was generated so far still counts toward their budget but is not saved.
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { AIContent, GameSession, World, MultiplayerRoom, RoomParticipant } = require('../models');
+const ai = require('./ai');
+const dungeonMaster = require('./dungeonMaster');
+const multiplayerRooms = require('./multiplayerRooms');
+const { AIInvalidResponseError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const KINDS = ['story', 'dungeon_master'];
+
+const DM_DISABLED = 'The author has turned off the AI Dungeon Master for this world';
+
+const events = new EventEmitter();
+
+// narrationId → { controller, userId, socketId, roomId }
+const active = new Map();
+
+// What the story teller is told: { worldName, location, inventory }
+const storyRequest = ({ worldName, location, inventory }, prompt) => ({
+  system: `You are a creative storyteller for a choose-your-own-adventure game.
+        The game world is: ${worldName}.
+        Current location: ${location}.
+        Player inventory: ${JSON.stringify(inventory)}.
+        Generate engaging, immersive story content that fits the game world's theme and style.
+        Keep responses concise (2-3 paragraphs) and end with choices for the player.`,
+  prompt,
+  maxTokens: 500,
+  temperature: 0.8
+});
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+/**
+ * Follows a JSON object as it streams in and hands on the value of one of its
+ * string fields, decoded, as far as it has arrived. Returns a function taking
+ * each delta of the raw JSON and returning the new part of the field (or '').
+ */
+const fieldStreamer = (field) => {
+  const opening = new RegExp(`"${field}"\\s*:\\s*"`);
+  let raw = '';
+  let pos = -1;
+  let closed = false;
+
+  return (delta) => {
+    raw += delta;
+    if (closed) {
+      return '';
+    }
+    if (pos === -1) {
+      const match = opening.exec(raw);
+      if (!match) {
+        return '';
+      }
+      pos = match.index + match[0].length;
+    }
+
+    let out = '';
+    while (pos < raw.length) {
+      const char = raw[pos];
+      if (char === '"') {
+        closed = true;
+        break;
+      }
+      if (char !== '\\') {
+        out += char;
+        pos += 1;
+        continue;
+      }
+
+      // Wait for the rest of an escape that was cut off between deltas
+      const code = raw[pos + 1];
+      if (code === undefined || (code === 'u' && pos + 6 > raw.length)) {
+        break;
+      }
+      if (code === 'u') {
+        out += String.fromCharCode(parseInt(raw.slice(pos + 2, pos + 6), 16));
+        pos += 6;
+      } else {
+        out += ESCAPES[code] || code;
+        pos += 2;
+      }
+    }
+    return out;
+  };
+};
+
+// The player's own session, with what the prompts need to know about it
+const sessionTarget = async (user, sessionId) => {
+  const session = await GameSession.findOne({
+    where: { id: sessionId, user_id: user.id },
+    include: [{ model: World, as: 'world' }]
+  });
+  if (!session) {
+    return { error: 'Game session not found', status: 404 };
+  }
+
+  const dm = await dungeonMaster.sessionContext(session);
+  return {
+    target: {
+      session,
+      worldId: session.world_id,
+      worldName: session.world.name,
+      location: dm.worldData.locations?.[dm.locationId]?.name || dm.locationId,
+      inventory: dm.inventory,
+      dm
+    }
+  };
+};
+
+// A room the player plays in, seen from where they stand in it
+const roomTarget = async (user, roomId) => {
+  const room = await MultiplayerRoom.findByPk(roomId, {
+    include: [{ model: World, as: 'world', attributes: ['id', 'name'] }]
+  });
+  if (!room || room.status !== 'open') {
+    return { error: 'Room expired or not found', status: 404 };
+  }
+
+  const participant = await RoomParticipant.findOne({
+    where: { room_id: roomId, user_id: user.id, role: 'player', left_at: null }
+  });
+  if (!participant) {
+    return { error: 'Only players can ask for narration in this room', status: 403 };
+  }
+
+  const { worldData, gameState } = await multiplayerRooms.getRoomData(room);
+  const player = gameState.players?.[user.id];
+  const locationId = player?.location || gameState.currentLocation;
+  const inventory = player?.inventory || gameState.inventory || [];
+
+  const permissions = dungeonMaster.permissionsFor(worldData);
+  return {
+    target: {
+      room,
+      worldId: room.world_id,
+      worldName: room.world?.name,
+      location: worldData?.locations?.[locationId]?.name || locationId,
+      inventory,
+      dm: {
+        worldName: room.world?.name,
+        worldData,
+        locationId,
+        gameState: gameState.worldState || {},
+        inventory,
+        // The party's world is shared and only the game engine changes it
+        permissions: { ...permissions, allow: [] }
+      }
+    }
+  };
+};
+
+// Save a finished narration. A Dungeon Master's answer has been checked by now.
+const finish = async (narration, target, result, checked = null) => {
+  const { prompt, context, roomId } = narration;
+  return AIContent.create({
+    world_id: target.worldId,
+    session_id: target.session?.id || null,
+    content_type: 'story',
+    prompt,
+    generated_content: checked ? JSON.stringify(checked.response) : result.text,
+    metadata: {
+      ...(checked ? { type: 'dungeon_master', gameContext: context, repairs: checked.repairs } : { context }),
+      roomId,
+      streamed: true,
+      provider: result.provider,
+      model: result.model
+    },
+    tokens_used: result.tokensUsed
+  });
+};
+
+// Check the Dungeon Master's answer and, in a session, put it into effect
+const settleDungeonMaster = async (narration, target, dmContext, result) => {
+  const checked = dungeonMaster.checkResponse(result.data, dmContext);
+  if (!checked.response) {
+    throw new AIInvalidResponseError('The Dungeon Master gave an answer that could not be used', checked.problems);
+  }
+
+  const applied = target.session
+    ? await dungeonMaster.applyToSession(target.session, checked, narration.prompt)
+    : { locationData: null, changes: null };
+  return { checked, data: { ...checked.response, ...applied, repairs: checked.repairs } };
+};
+
+const run = async (narration, target, emit) => {
+  const { id: narrationId, kind, user, prompt, context } = narration;
+  const { controller } = active.get(narrationId);
+  const chargeTo = { user, worldId: target.worldId, sessionId: target.session?.id };
+  let content = '';
+
+  const handlers = {
+    signal: controller.signal,
+    onStart: ({ budgetWarnings }) => emit('start', {
+      kind,
+      sessionId: target.session?.id || null,
+      roomId: narration.roomId,
+      userId: user.id,
+      username: user.username,
+      budgetWarnings
+    }),
+    onDelta: (text) => {
+      content += text;
+      emit('delta', { text });
+    }
+  };
+
+  try {
+    let result;
+    let settled = null;
+    if (kind === 'dungeon_master') {
+      const outcome = fieldStreamer('outcome');
+      const dmContext = { ...target.dm, shownState: context };
+      const request = dungeonMaster.dungeonMasterRequest(dmContext, prompt);
+      result = await ai.streamJSON('dungeonMaster', request, chargeTo, {
+        ...handlers,
+        onDelta: (delta) => {
+          const text = outcome(delta);
+          if (text) {
+            handlers.onDelta(text);
+          }
+        }
+      });
+      settled = await settleDungeonMaster(narration, target, dmContext, result);
+    } else {
+      result = await ai.streamText('story', storyRequest(target, prompt), chargeTo, handlers);
+    }
+
+    const saved = await finish(narration, target, result, settled?.checked);
+    logger.info(`AI ${kind} narration ${narrationId} streamed, tokens: ${result.tokensUsed}`);
+    emit('done', {
+      content: settled ? settled.data.outcome : result.text,
+      data: settled ? settled.data : null,
+      contentId: saved.id,
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      logger.info(`AI ${kind} narration ${narrationId} cancelled`);
+      emit('cancelled', { content });
+    } else {
+      logger.error(`AI ${kind} narration ${narrationId} failed:`, error);
+      emit('error', { message: error.message, error });
+    }
+  } finally {
+    active.delete(narrationId);
+  }
+};
+
+/**
+ * Start narrating for `user`, in their session (`sessionId`) or a room they
+ * play in (`roomId`). `prompt` is what they asked for, or the action taken
+ * for a Dungeon Master narration; `context` optionally replaces the game
+ * state the DM is shown. `socketId` ties it to a socket that going away
+ * cancels it. Returns { error, status } or { narration: { id, kind } } once
+ * started; everything after that comes through `onEvent(type, payload)`.
+ */
+const start = async ({ kind, user, sessionId = null, roomId = null, prompt, context = null, socketId = null }, onEvent = () => {}) => {
+  if (!KINDS.includes(kind)) {
+    return { error: 'Unknown kind of narration', status: 400 };
+  }
+  if (!sessionId === !roomId) {
+    return { error: 'Narrate either a session or a room', status: 400 };
+  }
+
+  const { error, status, target } = roomId ? await roomTarget(user, roomId) : await sessionTarget(user, sessionId);
+  if (error) {
+    return { error, status };
+  }
+  if (kind === 'dungeon_master' && !target.dm.permissions.enabled) {
+    return { error: DM_DISABLED, status: 403 };
+  }
+
+  const narration = { id: uuidv4(), kind, user, roomId, prompt, context };
+  active.set(narration.id, { controller: new AbortController(), userId: user.id, socketId, roomId });
+
+  let underway = false;
+  const emit = (type, payload) => {
+    underway = underway || type === 'start';
+    const event = { narrationId: narration.id, ...payload, timestamp: new Date() };
+    try {
+      onEvent(type, event);
+    } catch (error) {
+      logger.error(`Error delivering narration ${type}:`, error);
+    }
+    if (roomId && underway) {
+      const shared = { roomId, ...event };
+      delete shared.error;
+      events.emit(`narration:${type}`, shared);
+    }
+  };
+
+  run(narration, target, emit);
+  return { narration: { id: narration.id, kind } };
+};
+
+// Stop a narration running on this instance; only the player who started it
+// may. Returns whether it was running here (see websocket.js for the others).
+const cancel = (narrationId, userId) => {
+  const entry = active.get(narrationId);
+  if (!entry || entry.userId !== userId) {
+    return false;
+  }
+  entry.controller.abort();
+  return true;
+};
+
+// Stop everything a socket started, once it has gone
+const cancelForSocket = (socketId) => {
+  for (const entry of active.values()) {
+    if (entry.socketId === socketId) {
+      entry.controller.abort();
+    }
+  }
+};
+
+module.exports = {
+  KINDS,
+  DM_DISABLED,
+  events,
+  storyRequest,
+  fieldStreamer,
+  start,
+  cancel,
+  cancelForSocket
+};
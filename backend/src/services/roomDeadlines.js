@@ -0,0 +1,95 @@
+/**
+ * Room Deadlines
+ * Deadlines in multiplayer rooms that have to fire whichever server set
+ * them: a timed vote closing, and a dropped player's reconnect grace window
+ * running out. They live in one Redis sorted set scored by when they fall due:
+ *
+ *   rooms:deadlines   members `vote:<roomId>` and `grace:<roomId>:<userId>`
+ *
+ * Every instance checks the set (see fireDue) and takes a due deadline by
+ * removing it, so each fires exactly once, and clearing one (a player
+ * resuming, on any server) stops it everywhere. Due deadlines are announced
+ * on `events`, which the websocket layer acts on:
+ *   deadline:vote    { roomId }
+ *   deadline:grace   { roomId, userId }
+ */
+
+const EventEmitter = require('events');
+const { redis } = require('../config/redis');
+
+const events = new EventEmitter();
+
+const DEADLINES_KEY = 'rooms:deadlines';
+
+const voteMember = (roomId) => `vote:${roomId}`;
+const graceMember = (roomId, userId) => `grace:${roomId}:${userId}`;
+
+// Close a room's timed vote at `closesAt`; a room has one open vote at a time
+const setVoteDeadline = (roomId, closesAt) => {
+  return redis.zadd(DEADLINES_KEY, new Date(closesAt).getTime(), voteMember(roomId));
+};
+
+const clearVoteDeadline = (roomId) => {
+  return redis.zrem(DEADLINES_KEY, voteMember(roomId));
+};
+
+// Give up a dropped player's place at `dueAt` unless they resume first
+const setGraceDeadline = (roomId, userId, dueAt) => {
+  return redis.zadd(DEADLINES_KEY, new Date(dueAt).getTime(), graceMember(roomId, userId));
+};
+
+const clearGraceDeadline = (roomId, userId) => {
+  return redis.zrem(DEADLINES_KEY, graceMember(roomId, userId));
+};
+
+// Drop every deadline of a room that was paused or closed
+const clearRoom = async (roomId) => {
+  const members = [voteMember(roomId)];
+  let cursor = '0';
+  do {
+    const [next, found] = await redis.zscan(DEADLINES_KEY, cursor, 'MATCH', `${graceMember(roomId, '')}*`);
+    cursor = next;
+    // ZSCAN answers with member, score pairs
+    found.forEach((value, i) => {
+      if (i % 2 === 0) members.push(value);
+    });
+  } while (cursor !== '0');
+
+  await redis.zrem(DEADLINES_KEY, ...members);
+};
+
+/**
+ * Fire the deadlines that have fallen due. Each one is taken by removing it
+ * from the set, so when several instances check at once only one fires it.
+ * Returns how many fired here.
+ */
+const fireDue = async () => {
+  const due = await redis.zrangebyscore(DEADLINES_KEY, '-inf', Date.now());
+  let fired = 0;
+
+  for (const member of due) {
+    if (await redis.zrem(DEADLINES_KEY, member) !== 1) {
+      continue;
+    }
+
+    const [kind, roomId, userId] = member.split(':');
+    if (kind === 'vote') {
+      events.emit('deadline:vote', { roomId });
+    } else {
+      events.emit('deadline:grace', { roomId, userId });
+    }
+    fired++;
+  }
+
+  return fired;
+};
+
+module.exports = {
+  events,
+  setVoteDeadline,
+  clearVoteDeadline,
+  setGraceDeadline,
+  clearGraceDeadline,
+  clearRoom,
+  fireDue
+};
@@ -0,0 +1,79 @@
+// One shared sorted set, standing in for Redis
+const mockScores = new Map();
+jest.mock('../config/redis', () => ({
+  redis: {
+    zadd: async (key, score, member) => {
+      mockScores.set(member, score);
+      return 1;
+    },
+    zrem: async (key, ...members) => members.filter(member => mockScores.delete(member)).length,
+    zrangebyscore: async (key, min, max) => {
+      return [...mockScores].filter(([, score]) => score <= max).sort((a, b) => a[1] - b[1]).map(([member]) => member);
+    },
+    zscan: async (key, cursor, match, pattern) => {
+      const prefix = pattern.replace(/\*$/, '');
+      return ['0', [...mockScores].filter(([member]) => member.startsWith(prefix)).flat()];
+    }
+  }
+}));
+
+const roomDeadlines = require('./roomDeadlines');
+
+const past = () => new Date(Date.now() - 1000);
+const future = () => new Date(Date.now() + 60000);
+
+describe('roomDeadlines', () => {
+  let fired;
+  const record = (name) => (payload) => fired.push([name, payload]);
+
+  beforeAll(() => {
+    roomDeadlines.events.on('deadline:vote', record('vote'));
+    roomDeadlines.events.on('deadline:grace', record('grace'));
+  });
+
+  beforeEach(() => {
+    mockScores.clear();
+    fired = [];
+  });
+
+  it('fires due deadlines once, leaving the rest', async () => {
+    await roomDeadlines.setVoteDeadline('r1', past());
+    await roomDeadlines.setGraceDeadline('r1', 'u1', past());
+    await roomDeadlines.setGraceDeadline('r2', 'u2', future());
+
+    expect(await roomDeadlines.fireDue()).toBe(2);
+    expect(await roomDeadlines.fireDue()).toBe(0);
+    expect(fired).toEqual([
+      ['vote', { roomId: 'r1' }],
+      ['grace', { roomId: 'r1', userId: 'u1' }]
+    ]);
+  });
+
+  it('fires a deadline on only one of the instances checking at once', async () => {
+    await roomDeadlines.setVoteDeadline('r1', past());
+
+    const counts = await Promise.all([roomDeadlines.fireDue(), roomDeadlines.fireDue()]);
+
+    expect(counts.sort()).toEqual([0, 1]);
+    expect(fired).toHaveLength(1);
+  });
+
+  it('never fires a cleared deadline', async () => {
+    await roomDeadlines.setGraceDeadline('r1', 'u1', past());
+    await roomDeadlines.clearGraceDeadline('r1', 'u1');
+
+    expect(await roomDeadlines.fireDue()).toBe(0);
+  });
+
+  it('clears every deadline of a room', async () => {
+    await roomDeadlines.setVoteDeadline('r1', past());
+    await roomDeadlines.setGraceDeadline('r1', 'u1', past());
+    await roomDeadlines.setGraceDeadline('r1', 'u2', past());
+    await roomDeadlines.setGraceDeadline('r2', 'u1', past());
+
+    await roomDeadlines.clearRoom('r1');
+    await roomDeadlines.fireDue();
+
+    expect(fired).toEqual([['grace', { roomId: 'r2', userId: 'u1' }]]);
+  });
+});
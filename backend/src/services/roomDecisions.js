@@ -0,0 +1,158 @@
+/**
+ * Room Decisions
+ * How a multiplayer party decides what to do next. Pure functions over a
+ * room's game_state; multiplayerRooms applies them under the room lock.
+ *
+ * Decision modes:
+ *   free         anyone can act at any time
+ *   host         only the host acts
+ *   round_robin  players take turns in the order they joined, one action each
+ *   majority     a vote; an option wins once more than half the party picks
+ *                it, or with the most ballots once everyone has voted
+ *   unanimous    a vote; everyone has to pick the same option
+ *   timed        a vote that closes `voteDuration` seconds after the first
+ *                ballot (or once everyone has voted); most ballots wins
+ *
+ * A vote is opened on the choices presented at the party's location and
+ * stored in game_state.vote:
+ *   { id, mode, location, options: [{ index, text, action, target, on }],
+ *     ballots: { [userId]: optionIndex }, openedAt, closesAt, duration }
+ *
+ * Ties go to the option the host voted for, when the host is among the tied
+ * options, and otherwise to the option listed first.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DECISION_MODES = ['free', 'host', 'round_robin', 'majority', 'unanimous', 'timed'];
+const VOTE_MODES = ['majority', 'unanimous', 'timed'];
+
+const DEFAULT_VOTE_DURATION = 30; // seconds
+
+const isVoteMode = (mode) => VOTE_MODES.includes(mode);
+
+/**
+ * Open a vote on the choices in `locationData` (as presented to players).
+ * Returns null when there is nothing to choose between.
+ */
+const openVote = (mode, locationId, locationData, { duration = DEFAULT_VOTE_DURATION, now = new Date() } = {}) => {
+  const options = (locationData?.choices || []).map((choice, index) => ({
+    index,
+    text: choice.text,
+    action: choice.action,
+    target: choice.target,
+    on: choice.on || null
+  }));
+
+  if (options.length === 0) {
+    return null;
+  }
+
+  return {
+    id: uuidv4(),
+    mode,
+    location: locationId,
+    options,
+    ballots: {},
+    openedAt: now,
+    closesAt: null,
+    duration
+  };
+};
+
+// Ballots cast by players still in the party, as [userId, optionIndex]
+const countedBallots = (vote, voterIds) => {
+  return voterIds
+    .filter(userId => vote.ballots[userId] !== undefined)
+    .map(userId => [userId, vote.ballots[userId]]);
+};
+
+// Live tally of a vote: { voteId, counts: [{ option, text, votes }], voted, eligible, closesAt }
+const tallyVote = (vote, voterIds) => {
+  const ballots = countedBallots(vote, voterIds);
+  return {
+    voteId: vote.id,
+    counts: vote.options.map(option => ({
+      option: option.index,
+      text: option.text,
+      votes: ballots.filter(([, choice]) => choice === option.index).length
+    })),
+    voted: ballots.length,
+    eligible: voterIds.length,
+    closesAt: vote.closesAt
+  };
+};
+
+// The option with the most ballots, with ties broken as described above
+const pickPlurality = (vote, ballots, hostId) => {
+  const counts = new Map();
+  ballots.forEach(([, choice]) => counts.set(choice, (counts.get(choice) || 0) + 1));
+
+  const most = Math.max(...counts.values());
+  const tied = vote.options.map(option => option.index).filter(index => counts.get(index) === most);
+
+  if (tied.length === 1) {
+    return { option: tied[0], reason: 'most_votes' };
+  }
+  const hostBallot = ballots.find(([userId]) => userId === hostId);
+  if (hostBallot && tied.includes(hostBallot[1])) {
+    return { option: hostBallot[1], reason: 'tie_break_host' };
+  }
+  return { option: tied[0], reason: 'tie_break_first' };
+};
+
+/**
+ * Decide a vote given who is in the party. `closing` is set when a timed
+ * vote's deadline has passed. Returns { option, reason } once the vote is
+ * decided, otherwise null.
+ */
+const decideVote = (vote, voterIds, hostId, { closing = false } = {}) => {
+  const ballots = countedBallots(vote, voterIds);
+  const everyoneVoted = voterIds.length > 0 && ballots.length === voterIds.length;
+
+  if (ballots.length === 0) {
+    return null;
+  }
+
+  switch (vote.mode) {
+    case 'majority': {
+      const leader = pickPlurality(vote, ballots, hostId);
+      const leaderVotes = ballots.filter(([, choice]) => choice === leader.option).length;
+      if (leaderVotes > voterIds.length / 2) {
+        return { option: leader.option, reason: 'majority' };
+      }
+      return everyoneVoted ? leader : null;
+    }
+
+    case 'unanimous': {
+      const choices = new Set(ballots.map(([, choice]) => choice));
+      return everyoneVoted && choices.size === 1
+        ? { option: ballots[0][1], reason: 'unanimous' }
+        : null;
+    }
+
+    case 'timed':
+      return everyoneVoted || closing ? pickPlurality(vote, ballots, hostId) : null;
+
+    default:
+      return null;
+  }
+};
+
+// Whose turn follows `current` in a round_robin room (voterIds in join order)
+const nextTurn = (voterIds, current) => {
+  if (voterIds.length === 0) return null;
+  const index = voterIds.indexOf(current);
+  return voterIds[(index + 1) % voterIds.length];
+};
+
+module.exports = {
+  DECISION_MODES,
+  VOTE_MODES,
+  DEFAULT_VOTE_DURATION,
+  isVoteMode,
+  openVote,
+  tallyVote,
+  decideVote,
+  nextTurn
+};
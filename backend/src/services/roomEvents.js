@@ -0,0 +1,111 @@
+/**
+ * Room Events
+ * Sequence numbers and a replay buffer for the events broadcast to a
+ * multiplayer room. Every room event gets the next number in the room's
+ * sequence (`seq` on its payload) and is kept in a short buffer in Redis, so
+ * a client that drops and comes back can ask for everything after the last
+ * `seq` it saw instead of refetching the whole room.
+ *
+ * Keys, both expiring with the room cache:
+ *   room:<id>:seq     the last sequence number handed out
+ *   room:<id>:events  sorted set of { seq, event, payload, visibleTo }, scored
+ *                     by seq and capped at config.multiplayer.replayBufferSize
+ *
+ * `visibleTo` is null for events the whole room sees. Events only some of
+ * the room may see (what happens at one location in a split party) list the
+ * user IDs who can, and are only replayed to them.
+ */
+
+const { redis } = require('../config/redis');
+const config = require('../config/environment');
+const { ROOM_TTL } = require('./multiplayerRooms');
+
+const seqKey = (roomId) => `room:${roomId}:seq`;
+const eventsKey = (roomId) => `room:${roomId}:events`;
+
+/**
+ * Number and buffer a room event, optionally seen only by the users in
+ * `visibleTo`. Returns the payload with its `seq`, ready to emit.
+ */
+const record = async (roomId, event, payload, visibleTo = null) => {
+  const seq = await redis.incr(seqKey(roomId));
+  const sequenced = { ...payload, seq };
+
+  await redis.multi()
+    .zadd(eventsKey(roomId), seq, JSON.stringify({ seq, event, payload: sequenced, visibleTo }))
+    .zremrangebyrank(eventsKey(roomId), 0, -(config.multiplayer.replayBufferSize + 1))
+    .expire(eventsKey(roomId), ROOM_TTL)
+    .expire(seqKey(roomId), ROOM_TTL)
+    .exec();
+
+  return sequenced;
+};
+
+// The last sequence number used in a room (0 before its first event)
+const currentSeq = async (roomId) => {
+  return Number(await redis.get(seqKey(roomId))) || 0;
+};
+
+// Whether a user may see a buffered event
+const isVisibleTo = (entry, userId) => !entry.visibleTo || entry.visibleTo.includes(userId);
+
+/**
+ * The events a client missed since `lastSeq`, oldest first, as
+ * { seq, events: [{ seq, event, payload, visibleTo }] }. `events` is null when the
+ * buffer no longer reaches back that far (or the client's number is from a
+ * sequence the server no longer has), in which case the client needs a full
+ * snapshot instead.
+ */
+const eventsSince = async (roomId, lastSeq) => {
+  const seq = await currentSeq(roomId);
+  if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > seq) {
+    return { seq, events: null };
+  }
+  if (lastSeq === seq) {
+    return { seq, events: [] };
+  }
+
+  const events = (await redis.zrangebyscore(eventsKey(roomId), `(${lastSeq}`, '+inf'))
+    .map(entry => JSON.parse(entry));
+
+  // Anything trimmed from the buffer leaves a gap right after lastSeq
+  if (events.length === 0 || events[0].seq !== lastSeq + 1) {
+    return { seq, events: null };
+  }
+
+  return { seq, events };
+};
+
+// Keep an open room's sequence and buffer from lapsing while it is in use
+const keepAlive = async (roomId) => {
+  await redis.multi()
+    .expire(seqKey(roomId), ROOM_TTL)
+    .expire(eventsKey(roomId), ROOM_TTL)
+    .exec();
+};
+
+// Forget a room's sequence and buffer, e.g. once it is closed
+const clear = async (roomId) => {
+  await redis.del(seqKey(roomId), eventsKey(roomId));
+};
+
+/**
+ * Carry on a paused room's sequence from `seq`, so the numbers clients hold
+ * stay meaningful. The buffer starts empty: anyone behind gets a snapshot.
+ */
+const restore = async (roomId, seq) => {
+  await redis.multi()
+    .del(eventsKey(roomId))
+    .set(seqKey(roomId), seq, 'EX', ROOM_TTL)
+    .exec();
+};
+
+module.exports = {
+  record,
+  isVisibleTo,
+  currentSeq,
+  eventsSince,
+  keepAlive,
+  clear,
+  restore
+};
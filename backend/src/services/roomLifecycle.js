@@ -0,0 +1,455 @@
+/**
+ * Room Lifecycle
+ * What happens to a multiplayer room after it opens (see multiplayerRooms):
+ *
+ *   open ──pause──▶ paused ──resume──▶ open
+ *     │               │
+ *     └────close──────┴──▶ closed (with a RoomSummary for its players)
+ *
+ * A room is paused by its host, or by the sweeper once nobody has been
+ * connected to it for config.multiplayer.idlePauseMinutes. Its game state,
+ * participants and chat are in Postgres already; pausing adds what only
+ * lived in Redis (the event sequence) to `paused_state` and drops the Redis
+ * keys, so a paused room costs nothing until someone resumes it. Participants
+ * keep their places while it is paused.
+ *
+ * A room closes when its last player leaves, when the host closes it, or
+ * when it stayed paused longer than config.multiplayer.pausedRetentionDays.
+ * When the host leaves, or is away past the reconnect grace window while
+ * others play on, the room passes to another player (see
+ * multiplayerRooms.migrateHost) instead of closing.
+ *
+ * Changes are announced on `events`, which the websocket layer forwards:
+ *   room:host_changed          { roomId, previousHostId, host, reason }
+ *   room:paused                { roomId, reason, pausedBy }
+ *   room:resumed               { roomId, resumedBy, participantIds }
+ *   room:closed                { roomId, reason, summaryId, participantIds }
+ *   room:participant_released  { roomId, userId, username }
+ *   room:participant_left      { roomId, userId, username }
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, MultiplayerRoom, RoomParticipant, RoomSummary } = require('../models');
+const { sequelize } = require('../config/database');
+const { redis, realtime } = require('../config/redis');
+const config = require('../config/environment');
+const multiplayerRooms = require('./multiplayerRooms');
+const roomDeadlines = require('./roomDeadlines');
+const roomEvents = require('./roomEvents');
+const worldRevisions = require('./worldRevisions');
+const worldRules = require('./worldRules');
+const logger = require('../utils/logger');
+
+const events = new EventEmitter();
+
+const SWEEP_LOCK_KEY = 'rooms:sweep';
+
+// Lock a room that is in one of `statuses` for the rest of the transaction
+const lockRoomIn = (roomId, statuses, transaction) => {
+  return MultiplayerRoom.findOne({
+    where: { id: roomId, status: statuses },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+};
+
+const announceHostChange = (migrated, reason) => {
+  if (!migrated) {
+    return;
+  }
+  logger.info(`Room ${migrated.room.room_code} passed from ${migrated.previousHostId} to ${migrated.host.username} (${reason})`);
+  events.emit('room:host_changed', {
+    roomId: migrated.room.id,
+    previousHostId: migrated.previousHostId,
+    host: migrated.host,
+    reason
+  });
+};
+
+// The record of a room as it closes
+const summarize = async (room, participants, reason, closedAt) => {
+  const gameState = room.game_state || {};
+  const worldData = await worldRevisions.getSessionWorldData({
+    world_id: room.world_id,
+    world_revision: gameState.worldRevision
+  });
+  const actionCounts = gameState.actionCounts || {};
+
+  return {
+    room_id: room.id,
+    world_id: room.world_id,
+    host_id: room.host_id,
+    room_name: room.room_name,
+    party_mode: room.party_mode,
+    close_reason: reason,
+    started_at: room.created_at,
+    closed_at: closedAt,
+    duration_seconds: Math.round((closedAt - new Date(room.created_at)) / 1000),
+    turns: gameState.version || 0,
+    ending: worldRules.describeEnding(worldData, gameState.worldState?.ending),
+    participant_ids: participants.map(participant => participant.user_id),
+    participants: participants.map(participant => ({
+      userId: participant.user_id,
+      username: participant.user?.username || null,
+      role: participant.role,
+      joinedAt: participant.joined_at,
+      leftAt: participant.left_at || closedAt,
+      actions: actionCounts[participant.user_id] || 0
+    }))
+  };
+};
+
+/**
+ * Close a room that is open or paused: everyone still in it leaves, and a
+ * summary is written for all who took part. `user`, when given, must be the
+ * host. Returns { error } or { room, summary }.
+ */
+const closeRoom = async (roomId, reason, user = null) => {
+  const closed = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoomIn(roomId, ['open', 'paused'], transaction);
+    if (!room) {
+      return { error: 'Room not found or already closed' };
+    }
+    if (user && room.host_id !== user.id) {
+      return { error: 'Only the host can close the room' };
+    }
+
+    const participants = await RoomParticipant.findAll({
+      where: { room_id: roomId },
+      include: ['user'],
+      order: [['joined_at', 'ASC']],
+      transaction
+    });
+    const closedAt = new Date();
+    const present = participants.filter(participant => !participant.left_at).map(participant => participant.user_id);
+
+    const summary = await RoomSummary.create(await summarize(room, participants, reason, closedAt), { transaction });
+
+    await RoomParticipant.update(
+      { left_at: closedAt, connection_status: 'disconnected' },
+      { where: { room_id: roomId, left_at: null }, transaction }
+    );
+
+    room.status = 'closed';
+    room.is_active = false;
+    room.closed_at = closedAt;
+    room.close_reason = reason;
+    room.paused_state = null;
+    room.current_players = 0;
+    room.current_spectators = 0;
+    await room.save({ transaction });
+
+    return { room, summary, present };
+  });
+  if (closed.error) {
+    return closed;
+  }
+
+  await Promise.all([multiplayerRooms.forgetRoom(roomId), roomEvents.clear(roomId)]);
+
+  logger.info(`Room ${closed.room.room_code} closed (${reason})`);
+  events.emit('room:closed', {
+    roomId,
+    reason,
+    summaryId: closed.summary.id,
+    participantIds: closed.present
+  });
+  return { room: closed.room, summary: closed.summary };
+};
+
+/**
+ * After a player's place in a room was given up: close the room if no
+ * players are left, or find it a new host if it was theirs.
+ */
+const handleDeparture = async (roomId, userId, reason = 'host_left') => {
+  const room = await MultiplayerRoom.findOne({ where: { id: roomId, status: ['open', 'paused'] } });
+  if (!room) {
+    return;
+  }
+
+  const players = await RoomParticipant.count({ where: { room_id: roomId, role: 'player', left_at: null } });
+  if (players === 0) {
+    await closeRoom(roomId, 'empty');
+    return;
+  }
+
+  if (room.host_id === userId) {
+    announceHostChange(await multiplayerRooms.migrateHost(roomId), reason);
+  }
+};
+
+/**
+ * Leave a room for good, over REST or a socket alike. The room is told on
+ * `room:participant_left` and the leaver's sockets are taken out of it; the
+ * room passes to another player if this was the host, and closes if nobody
+ * is left playing. Returns { error, status } or { participant }.
+ */
+const leaveRoom = async (roomId, user) => {
+  const left = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoomIn(roomId, ['open', 'paused'], transaction);
+    if (!room) {
+      return { error: 'Room not found', status: 404 };
+    }
+
+    const participant = await RoomParticipant.findOne({
+      where: { room_id: roomId, user_id: user.id, left_at: null },
+      transaction
+    });
+    if (!participant) {
+      return { error: 'Not in this room', status: 400 };
+    }
+
+    participant.left_at = new Date();
+    participant.connection_status = 'disconnected';
+    await participant.save({ transaction });
+
+    multiplayerRooms.releaseCount(room, participant.role);
+    await room.save({ transaction });
+    return { participant };
+  });
+  if (left.error) {
+    return left;
+  }
+
+  await Promise.all([
+    multiplayerRooms.dropCachedPlayer(roomId, user.id),
+    roomDeadlines.clearGraceDeadline(roomId, user.id)
+  ]);
+  logger.info(`User ${user.username} left room ${roomId}`);
+  events.emit('room:participant_left', { roomId, userId: user.id, username: user.username });
+  await handleDeparture(roomId, user.id);
+  return left;
+};
+
+/**
+ * Put an open room aside. Everyone keeps their place, but the room can't be
+ * played (or joined) until a player resumes it. `user`, when given, must be
+ * the host; the sweeper pauses idle rooms without one. Returns { error } or
+ * { room }.
+ */
+const pauseRoom = async (roomId, reason, user = null) => {
+  const paused = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoomIn(roomId, ['open'], transaction);
+    if (!room) {
+      return { error: 'Room not found or not open' };
+    }
+    if (user && room.host_id !== user.id) {
+      return { error: 'Only the host can pause the room' };
+    }
+
+    const now = new Date();
+    room.status = 'paused';
+    room.is_active = false;
+    room.paused_at = now;
+    room.paused_state = {
+      seq: await roomEvents.currentSeq(roomId),
+      reason,
+      pausedBy: user ? user.id : null
+    };
+    await room.save({ transaction });
+
+    await RoomParticipant.update(
+      { connection_status: 'disconnected', disconnected_at: now },
+      { where: { room_id: roomId, left_at: null }, transaction }
+    );
+    return { room };
+  });
+  if (paused.error) {
+    return paused;
+  }
+
+  // Open trade offers lapse with the cache; the sequence is in paused_state
+  await Promise.all([multiplayerRooms.forgetRoom(roomId), roomEvents.clear(roomId)]);
+
+  logger.info(`Room ${paused.room.room_code} paused (${reason})`);
+  events.emit('room:paused', { roomId, reason, pausedBy: user ? user.id : null });
+  return paused;
+};
+
+/**
+ * Open a paused room again; any of its players may. The others get word
+ * and rejoin as usual. Returns { error } or { room }.
+ */
+const resumeRoom = async (roomId, user) => {
+  const resumed = await sequelize.transaction(async (transaction) => {
+    const room = await lockRoomIn(roomId, ['paused'], transaction);
+    if (!room) {
+      return { error: 'Room not found or not paused' };
+    }
+
+    const participants = await RoomParticipant.findAll({
+      where: { room_id: roomId, left_at: null },
+      attributes: ['user_id', 'role'],
+      transaction
+    });
+    if (!participants.some(participant => participant.user_id === user.id && participant.role === 'player')) {
+      return { error: "Only the room's players can resume it" };
+    }
+
+    const seq = room.paused_state?.seq || 0;
+    room.status = 'open';
+    room.is_active = true;
+    room.paused_at = null;
+    room.paused_state = null;
+    room.last_activity_at = new Date();
+    await room.save({ transaction });
+
+    return { room, seq, participantIds: participants.map(participant => participant.user_id) };
+  });
+  if (resumed.error) {
+    return resumed;
+  }
+
+  await roomEvents.restore(roomId, resumed.seq);
+
+  logger.info(`Room ${resumed.room.room_code} resumed by ${user.username}`);
+  events.emit('room:resumed', { roomId, resumedBy: user.id, participantIds: resumed.participantIds });
+  return { room: resumed.room };
+};
+
+// Whether a participant is really here: marked connected, and with a live
+// socket (an instance that died can't have marked its players away)
+const isPresent = async (participant) => {
+  if (participant.connection_status !== 'connected') {
+    return false;
+  }
+  return realtime.isUserOnline(participant.user_id);
+};
+
+// When anyone was last seen in a room nobody is connected to
+const lastSeenIn = (room, participants) => {
+  return Math.max(
+    new Date(room.last_activity_at || room.created_at).getTime(),
+    ...participants.map(participant => new Date(participant.disconnected_at || 0).getTime())
+  );
+};
+
+/**
+ * Give up the place of a participant whose reconnect grace window ran out,
+ * unless they came back in the meantime (on any server), and tell the room
+ * they left. Returns true when the place was released.
+ */
+const releasePlace = async (roomId, userId, username = null) => {
+  if (!await multiplayerRooms.releaseSlot(roomId, userId, config.multiplayer.reconnectGraceSeconds)) {
+    return false;
+  }
+
+  const name = username || (await User.findByPk(userId, { attributes: ['username'] }))?.username || null;
+  logger.info(`User ${name || userId} lost their place in room ${roomId}`);
+  events.emit('room:participant_released', { roomId, userId, username: name });
+  await handleDeparture(roomId, userId, 'host_away');
+  return true;
+};
+
+// Give up places held past the grace window whose deadline was lost (taken
+// by an instance that went away before acting on it)
+const releaseLapsedPlaces = async () => {
+  const graceSeconds = config.multiplayer.reconnectGraceSeconds;
+  const lapsed = await RoomParticipant.findAll({
+    where: {
+      left_at: null,
+      connection_status: 'reconnecting',
+      disconnected_at: { [Op.lte]: new Date(Date.now() - graceSeconds * 1000) }
+    },
+    include: [
+      'user',
+      { model: MultiplayerRoom, as: 'room', where: { status: 'open' }, attributes: [] }
+    ]
+  });
+
+  for (const participant of lapsed) {
+    await releasePlace(participant.room_id, participant.user_id, participant.user?.username);
+  }
+};
+
+// Close, pause or hand over an open room as its participants call for
+const reviewOpenRoom = async (room) => {
+  const participants = room.participants || [];
+  const players = participants.filter(participant => participant.role === 'player');
+  if (players.length === 0) {
+    await closeRoom(room.id, 'empty');
+    return;
+  }
+
+  const present = new Set();
+  for (const participant of participants) {
+    if (await isPresent(participant)) {
+      present.add(participant.user_id);
+    }
+  }
+
+  if (present.size === 0) {
+    const idleSince = Date.now() - config.multiplayer.idlePauseMinutes * 60 * 1000;
+    if (lastSeenIn(room, participants) <= idleSince) {
+      await pauseRoom(room.id, 'idle');
+    }
+    return;
+  }
+
+  // Players are here but the host isn't, and hasn't been for the grace window
+  const host = players.find(player => player.user_id === room.host_id);
+  const graceCutoff = Date.now() - config.multiplayer.reconnectGraceSeconds * 1000;
+  const hostAway = !host || (!present.has(host.user_id) && new Date(host.disconnected_at || 0).getTime() <= graceCutoff);
+  if (hostAway && players.some(player => present.has(player.user_id))) {
+    announceHostChange(await multiplayerRooms.migrateHost(room.id), 'host_away');
+    return;
+  }
+
+  await roomEvents.keepAlive(room.id);
+};
+
+/**
+ * One pass of the room sweeper: release places whose grace window ran out,
+ * then go through the open rooms (closing empty ones, pausing idle ones and
+ * replacing absent hosts) and close rooms paused for too long. Only one
+ * instance sweeps per interval.
+ */
+const sweepRooms = async () => {
+  const intervalMs = config.multiplayer.sweepIntervalSeconds * 1000;
+  const locked = await redis.set(SWEEP_LOCK_KEY, crypto.randomUUID(), 'PX', Math.max(intervalMs - 1000, 1000), 'NX');
+  if (!locked) {
+    return;
+  }
+
+  await releaseLapsedPlaces();
+
+  const openRooms = await MultiplayerRoom.findAll({
+    where: { status: 'open' },
+    include: [{
+      model: RoomParticipant,
+      as: 'participants',
+      where: { left_at: null },
+      required: false,
+      attributes: ['user_id', 'role', 'connection_status', 'disconnected_at']
+    }]
+  });
+  for (const room of openRooms) {
+    try {
+      await reviewOpenRoom(room);
+    } catch (error) {
+      logger.error(`Error sweeping room ${room.id}:`, error);
+    }
+  }
+
+  const retentionCutoff = new Date(Date.now() - config.multiplayer.pausedRetentionDays * 24 * 60 * 60 * 1000);
+  const expired = await MultiplayerRoom.findAll({
+    where: { status: 'paused', paused_at: { [Op.lte]: retentionCutoff } },
+    attributes: ['id']
+  });
+  for (const room of expired) {
+    await closeRoom(room.id, 'expired');
+  }
+};
+
+module.exports = {
+  events,
+  closeRoom,
+  handleDeparture,
+  releasePlace,
+  leaveRoom,
+  pauseRoom,
+  resumeRoom,
+  sweepRooms
+};
@@ -0,0 +1,181 @@
+/**
+ * Save Games
+ * Autosave rotation and portable save files.
+ *
+ * Exported save files are versioned JSON documents signed with an HMAC so an
+ * edited file (say, one with a few extra items in the inventory) is rejected
+ * on import, as is a file made for a different world:
+ *
+ *   { "format": "adventure-save", "formatVersion": 1, "exportedAt": "...",
+ *     "world": { "id", "name", "revision", "version" },
+ *     "save": { "name", "data": { current_location, inventory, game_state, stats,
+ *                                 world_revision, world_overlay } },
+ *     "signature": "<hex hmac-sha256>" }
+ *
+ * The data carries the session's world overlay (see worldOverlays) so a save
+ * made in a location the Dungeon Master added still has that location when
+ * it is loaded or imported.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { SaveGame } = require('../models');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const SAVE_FORMAT = 'adventure-save';
+const SAVE_FORMAT_VERSION = 1;
+
+// The part of a session that a save captures
+const buildSaveData = (session) => {
+  return {
+    current_location: session.current_location,
+    inventory: session.inventory,
+    game_state: session.game_state,
+    stats: session.stats,
+    world_revision: session.world_revision,
+    world_overlay: session.world_overlay || {}
+  };
+};
+
+/**
+ * Autosave a session into its rotating slots. Skips the save when the last
+ * autosave is more recent than the configured interval, and deletes the
+ * oldest autosaves beyond the slot count.
+ * Returns { saved, save, nextAutosaveAt }.
+ */
+const autosave = async (session) => {
+  const { slots, intervalMinutes } = config.saves.autosave;
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  const latest = await SaveGame.findOne({
+    where: { session_id: session.id, is_autosave: true },
+    order: [['created_at', 'DESC']]
+  });
+
+  if (latest && Date.now() - new Date(latest.created_at).getTime() < intervalMs) {
+    return {
+      saved: false,
+      save: latest,
+      nextAutosaveAt: new Date(new Date(latest.created_at).getTime() + intervalMs)
+    };
+  }
+
+  const save = await SaveGame.create({
+    session_id: session.id,
+    user_id: session.user_id,
+    save_name: `Auto Save - ${session.session_name || 'Adventure'}`,
+    save_data: buildSaveData(session),
+    is_autosave: true,
+    created_at: new Date()
+  });
+
+  const autosaves = await SaveGame.findAll({
+    where: { session_id: session.id, is_autosave: true },
+    attributes: ['id'],
+    order: [['created_at', 'DESC']]
+  });
+  const expired = autosaves.slice(slots).map(s => s.id);
+  if (expired.length > 0) {
+    await SaveGame.destroy({ where: { id: { [Op.in]: expired } } });
+  }
+
+  logger.debug(`Autosaved session ${session.id} (${Math.min(autosaves.length, slots)}/${slots} slots)`);
+
+  return {
+    saved: true,
+    save,
+    nextAutosaveAt: new Date(Date.now() + intervalMs)
+  };
+};
+
+// JSON with sorted keys, so signatures survive JSONB reordering keys
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const sign = (payload) => {
+  return crypto
+    .createHmac('sha256', config.saves.signingSecret)
+    .update(canonicalize(payload))
+    .digest('hex');
+};
+
+// Build a signed, downloadable save file
+const exportSave = (saveGame, world) => {
+  const payload = {
+    format: SAVE_FORMAT,
+    formatVersion: SAVE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    world: {
+      id: world.id,
+      name: world.name,
+      revision: saveGame.save_data.world_revision || null,
+      version: world.version
+    },
+    save: {
+      name: saveGame.save_name,
+      data: saveGame.save_data
+    }
+  };
+
+  return { ...payload, signature: sign(payload) };
+};
+
+/**
+ * Parse and verify an uploaded save file. Returns { file } on success or
+ * { error } describing why it was rejected.
+ */
+const readSaveFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { error: 'Save file is not valid JSON' };
+  }
+
+  if (!file || file.format !== SAVE_FORMAT) {
+    return { error: 'Not a save file' };
+  }
+  if (!Number.isInteger(file.formatVersion) || file.formatVersion > SAVE_FORMAT_VERSION) {
+    return { error: `Unsupported save file version: ${file.formatVersion}` };
+  }
+
+  const { signature, ...payload } = file;
+  const expected = Buffer.from(sign(payload), 'hex');
+  const actual = Buffer.from(typeof signature === 'string' ? signature : '', 'hex');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: 'Save file signature is invalid; the file may have been modified' };
+  }
+
+  const data = file.save?.data;
+  if (!file.world?.id || !data || typeof data.current_location !== 'string' ||
+      !Array.isArray(data.inventory) || typeof data.game_state !== 'object') {
+    return { error: 'Save file is missing game data' };
+  }
+  if (data.world_overlay !== undefined &&
+      (data.world_overlay === null || typeof data.world_overlay !== 'object' || Array.isArray(data.world_overlay))) {
+    return { error: 'Save file has an invalid world overlay' };
+  }
+
+  return { file };
+};
+
+module.exports = {
+  SAVE_FORMAT,
+  SAVE_FORMAT_VERSION,
+  buildSaveData,
+  autosave,
+  exportSave,
+  readSaveFile
+};
@@ -0,0 +1,48 @@
+jest.mock('../models', () => ({ SaveGame: {} }));
+jest.mock('../config/environment', () => ({
+  saves: { signingSecret: 'test-secret', autosave: { slots: 3, intervalMinutes: 5 } }
+}));
+
+const saveGames = require('./saveGames');
+
+const overlay = {
+  locations: { grotto: { name: 'Hidden Grotto' } },
+  items: {},
+  choices: { hall: [{ text: 'Into the grotto', action: 'move', target: 'grotto' }] },
+  specialActions: {}
+};
+
+const session = {
+  current_location: 'grotto',
+  inventory: [],
+  game_state: { visited: ['hall', 'grotto'] },
+  stats: { moves: 1 },
+  world_revision: 2,
+  world_overlay: overlay
+};
+
+const world = { id: 'w1', name: 'Test Manor', version: 1 };
+
+describe('saveGames save files', () => {
+  it('carries the world overlay through export and import', () => {
+    const saveGame = { save_name: 'Grotto', save_data: saveGames.buildSaveData(session) };
+    const { file, error } = saveGames.readSaveFile(JSON.stringify(saveGames.exportSave(saveGame, world)));
+
+    expect(error).toBeUndefined();
+    expect(file.save.data.world_overlay).toEqual(overlay);
+  });
+
+  it('rejects a file whose overlay was edited', () => {
+    const saveGame = { save_name: 'Grotto', save_data: saveGames.buildSaveData(session) };
+    const exported = saveGames.exportSave(saveGame, world);
+    exported.save.data.world_overlay.items.crown = { name: 'Crown' };
+
+    expect(saveGames.readSaveFile(JSON.stringify(exported)).error).toMatch('signature is invalid');
+  });
+
+  it('rejects a signed overlay that is not an object', () => {
+    const saveGame = { save_name: 'Grotto', save_data: { ...saveGames.buildSaveData(session), world_overlay: ['grotto'] } };
+
+    expect(saveGames.readSaveFile(JSON.stringify(saveGames.exportSave(saveGame, world))).error).toBe('Save file has an invalid world overlay');
+  });
+});
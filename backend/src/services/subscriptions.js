@@ -0,0 +1,85 @@
+/**
+ * Subscriptions
+ * Feeds GraphQL subscriptions (see api/graphql) from the same events the
+ * Socket.IO handlers emit. Messages go through Redis pub/sub, so a subscriber
+ * hears about an event whichever backend instance it happened on.
+ *
+ * Topics and their messages:
+ *   ROOM_EVENT.<roomId>    { roomId, event, payload, visibleTo }  every
+ *                          sequenced room event, and room_closed; see
+ *                          roomEvents for visibleTo
+ *   NOTIFICATION.<userId>  { type, ...payload }        one player's notifications
+ *   NOTIFICATION.ALL       { type, ...payload }        system announcements
+ *
+ * Publishing is fire-and-forget: a failure is logged and never disturbs the
+ * Socket.IO delivery it mirrors.
+ */
+
+const { RedisPubSub } = require('graphql-redis-subscriptions');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Room events that change what the MultiplayerRoom type shows
+const ROOM_UPDATE_EVENTS = [
+  'room_state',
+  'player_action',
+  'player_joined',
+  'player_left',
+  'player_disconnected',
+  'player_reconnected',
+  'player_kicked',
+  'spectator_promoted',
+  'host_transferred'
+];
+
+const roomTopic = (roomId) => `ROOM_EVENT.${roomId}`;
+const notificationTopic = (userId) => `NOTIFICATION.${userId}`;
+const ANNOUNCEMENT_TOPIC = 'NOTIFICATION.ALL';
+
+// Connections are only opened once something publishes or subscribes
+let pubsub = null;
+
+const getPubSub = () => {
+  if (!pubsub) {
+    pubsub = new RedisPubSub({
+      publisher: redis.duplicate(),
+      subscriber: redis.duplicate()
+    });
+  }
+  return pubsub;
+};
+
+const publish = (topic, message) => {
+  getPubSub().publish(topic, message).catch(error => {
+    logger.error(`Error publishing to ${topic}:`, error);
+  });
+};
+
+// A room event, as broadcast to the room (with its seq)
+const publishRoomEvent = (roomId, event, payload, visibleTo = null) => {
+  publish(roomTopic(roomId), { roomId, event, payload, visibleTo });
+};
+
+// A notification for one player; `type` is the Socket.IO event it mirrors
+const publishNotification = (userId, type, payload) => {
+  publish(notificationTopic(userId), { type, ...payload });
+};
+
+const publishAnnouncement = (payload) => {
+  publish(ANNOUNCEMENT_TOPIC, { type: 'system_announcement', ...payload });
+};
+
+const roomIterator = (roomId) => getPubSub().asyncIterator(roomTopic(roomId));
+
+const notificationIterator = (userId) => {
+  return getPubSub().asyncIterator([notificationTopic(userId), ANNOUNCEMENT_TOPIC]);
+};
+
+module.exports = {
+  ROOM_UPDATE_EVENTS,
+  publishRoomEvent,
+  publishNotification,
+  publishAnnouncement,
+  roomIterator,
+  notificationIterator
+};
@@ -1,8 +1,56 @@
 const { User, MultiplayerRoom, RoomParticipant } = require('../models');
-const { redis, realtime } = require('../config/redis');
+const { realtime } = require('../config/redis');
+const config = require('../config/environment');
 const authentication = require('../middleware/authentication');
+const multiplayerRooms = require('./multiplayerRooms');
+const roomEvents = require('./roomEvents');
+const subscriptions = require('./subscriptions');
+const achievements = require('./achievements');
+const chat = require('./chat');
+const matchmaking = require('./matchmaking');
+const roomLifecycle = require('./roomLifecycle');
+const roomDeadlines = require('./roomDeadlines');
+const narration = require('./narration');
 const logger = require('../utils/logger');
 
+// The authoritative shared state of a room, as sent in 'room_state'
+const buildRoomState = async (roomId) => {
+  const room = await MultiplayerRoom.findByPk(roomId);
+  if (!room) return null;
+
+  const { worldData, players } = await multiplayerRooms.getRoomData(room);
+  return {
+    roomId,
+    hostId: room.host_id,
+    decisionMode: room.decision_mode,
+    partyMode: room.party_mode,
+    voteDuration: room.vote_duration,
+    maxPlayers: room.max_players,
+    currentPlayers: room.current_players,
+    maxSpectators: room.max_spectators,
+    currentSpectators: room.current_spectators,
+    ...multiplayerRooms.presentRoomState(room.game_state, worldData, room.party_mode, players),
+    timestamp: new Date()
+  };
+};
+
+// Send a room's state to one socket, tagged with the room's current sequence
+// number and the user's role in the room. The number is read first so the
+// snapshot is never older than it.
+const sendRoomState = async (socket, roomId) => {
+  const seq = await roomEvents.currentSeq(roomId);
+  const [state, participant] = await Promise.all([
+    buildRoomState(roomId),
+    RoomParticipant.findOne({
+      where: { room_id: roomId, user_id: socket.userId, left_at: null },
+      attributes: ['role']
+    })
+  ]);
+  if (state) {
+    socket.emit('room_state', { ...state, role: participant?.role || null, seq });
+  }
+};
+
 const setupSocketHandlers = (io) => {
   // Authentication middleware
   io.use(async (socket, next) => {
@@ -27,12 +75,310 @@ const setupSocketHandlers = (io) => {
         avatarUrl: user.avatar_url,
         isAdmin: user.is_admin
       };
+      // socket.data is what other instances see through fetchSockets()
+      socket.data.userId = user.id;
+      socket.data.user = socket.user;
+      socket.data.connectedAt = new Date();
       next();
     } catch (error) {
       next(new Error('Invalid token'));
     }
   });
 
+  // Broadcast an event to a room under the room's next sequence number, so
+  // players who drop can have it replayed. `except` leaves out the socket
+  // that caused it. GraphQL subscribers to the room get every event.
+  const emitToRoom = async (roomId, event, payload, except = null) => {
+    const sequenced = await roomEvents.record(roomId, event, payload);
+    (except ? except.to(`room:${roomId}`) : io.to(`room:${roomId}`)).emit(event, sequenced);
+    subscriptions.publishRoomEvent(roomId, event, sequenced);
+  };
+
+  // Like emitToRoom, for an event only the users in `userIds` may see. It
+  // goes to their own rooms, so it reaches them in any tab.
+  const emitToPresent = async (roomId, userIds, event, payload) => {
+    const sequenced = await roomEvents.record(roomId, event, payload, userIds);
+    if (userIds.length > 0) {
+      io.to(userIds.map(userId => `user:${userId}`)).emit(event, sequenced);
+    }
+    subscriptions.publishRoomEvent(roomId, event, sequenced, userIds);
+  };
+
+  // Spectators watch the whole of a split party's game, wherever it happens
+  const getSpectatorIds = async (roomId) => {
+    const spectators = await RoomParticipant.findAll({
+      where: { room_id: roomId, role: 'spectator', left_at: null },
+      attributes: ['user_id']
+    });
+    return spectators.map(spectator => spectator.user_id);
+  };
+
+  // Send the room's state to everyone in it, e.g. after its rules changed
+  const broadcastRoomState = async (roomId) => {
+    const state = await buildRoomState(roomId);
+    if (state) {
+      await emitToRoom(roomId, 'room_state', state);
+    }
+  };
+
+  // Tell a room about an applied action and the state it produced, and about
+  // the next vote if one opened. In a split party the room only learns where
+  // everyone is now; what happened, and the full diff, is told to those who
+  // were there.
+  const broadcastRoomChange = async (roomId, actor, result, diff, scene = null) => {
+    if (scene) {
+      await emitToRoom(roomId, 'player_action', {
+        ...actor,
+        on: actor.on || null,
+        result: {
+          success: true,
+          party: scene.party,
+          ending: result.ending
+        },
+        diff: multiplayerRooms.partyWideDiff(diff),
+        timestamp: new Date()
+      });
+      await emitToPresent(roomId, [...scene.witnesses, ...await getSpectatorIds(roomId)], 'location_event', {
+        roomId,
+        ...actor,
+        on: actor.on || null,
+        locations: scene.locations,
+        message: result.message,
+        diff,
+        timestamp: new Date()
+      });
+      return;
+    }
+
+    await emitToRoom(roomId, 'player_action', {
+      ...actor,
+      on: actor.on || null,
+      result: {
+        success: true,
+        message: result.message,
+        locationData: result.locationData,
+        ending: result.ending
+      },
+      diff,
+      timestamp: new Date()
+    });
+
+    if (diff.changes.vote) {
+      await emitToRoom(roomId, 'vote_opened', {
+        vote: diff.changes.vote,
+        timestamp: new Date()
+      });
+    }
+  };
+
+  // Broadcast a ballot's effect: the live tally and, once decided, the outcome
+  const publishVoteOutcome = async (roomId, outcome) => {
+    await emitToRoom(roomId, 'vote_tally', {
+      ...outcome.tally,
+      timestamp: new Date()
+    });
+
+    if (outcome.decision) {
+      await roomDeadlines.clearVoteDeadline(roomId);
+      await emitToRoom(roomId, 'vote_resolved', {
+        ...outcome.decision,
+        tally: outcome.tally,
+        timestamp: new Date()
+      });
+      const { action, target, on } = outcome.decision;
+      await broadcastRoomChange(roomId, { userId: null, username: null, decidedBy: 'vote', action, target, on }, outcome.result, outcome.diff);
+      return;
+    }
+
+    if (outcome.diff) {
+      // The winning option could not be applied and the vote was reopened
+      await roomDeadlines.clearVoteDeadline(roomId);
+      await broadcastRoomState(roomId);
+      return;
+    }
+
+    // A timed vote starts its clock with the first ballot; the deadline is
+    // kept in Redis so it fires even if this instance goes away
+    if (outcome.tally.closesAt) {
+      await roomDeadlines.setVoteDeadline(roomId, outcome.tally.closesAt);
+    }
+  };
+
+  /**
+   * Put a participant's socket in its room and mark them present, telling the
+   * room when they are back from a drop. Returns { previous, role } with their
+   * previous connection status, or null when they are not (or no longer) a
+   * participant.
+   */
+  const attachToRoom = async (socket, roomId) => {
+    const status = await multiplayerRooms.setConnectionStatus(roomId, socket.userId, 'connected');
+    if (!status) return null;
+
+    await roomDeadlines.clearGraceDeadline(roomId, socket.userId);
+    socket.join(`room:${roomId}`);
+    socket.roomId = roomId;
+
+    if (status.previous === 'reconnecting') {
+      await emitToRoom(roomId, 'player_reconnected', {
+        userId: socket.userId,
+        username: socket.user.username,
+        role: status.role,
+        timestamp: new Date()
+      }, socket);
+    }
+    return status;
+  };
+
+  /**
+   * Hold a dropped player's place in their room for the grace window. If
+   * they haven't resumed by then, on whichever instance, the place is
+   * released and the room is told they left (see roomLifecycle.releasePlace).
+   */
+  const holdPlace = async (socket, reason) => {
+    const { roomId, userId } = socket;
+
+    // Still there in another tab, possibly on another instance
+    const sockets = await io.in(`room:${roomId}`).fetchSockets();
+    if (sockets.some(other => other.data.userId === userId)) return;
+
+    const status = await multiplayerRooms.setConnectionStatus(roomId, userId, 'reconnecting');
+    if (!status) return;
+
+    const reconnectBy = new Date(Date.now() + config.multiplayer.reconnectGraceSeconds * 1000);
+    await roomDeadlines.setGraceDeadline(roomId, userId, reconnectBy);
+    await emitToRoom(roomId, 'player_disconnected', {
+      userId,
+      username: socket.user.username,
+      role: status.role,
+      reason,
+      reconnectBy,
+      timestamp: new Date()
+    });
+  };
+
+  // Tell one player something on every tab they have open, and on their
+  // GraphQL notification subscription
+  const notifyUser = (userId, event, payload) => {
+    io.to(`user:${userId}`).emit(event, payload);
+    subscriptions.publishNotification(userId, event, payload);
+  };
+
+  // Tell players about achievements as they are awarded
+  achievements.events.on('achievement:unlocked', ({ userId, achievement }) => {
+    notifyUser(userId, 'achievement_unlocked', { ...achievement, timestamp: new Date() });
+  });
+
+  // Quick-match outcomes go to the player's own room, wherever they connected
+  matchmaking.events.on('match:found', ({ userId, ...match }) => {
+    notifyUser(userId, 'match_found', { ...match, timestamp: new Date() });
+  });
+  matchmaking.events.on('match:timeout', ({ userId, ticket }) => {
+    notifyUser(userId, 'match_timeout', { ticket, timestamp: new Date() });
+  });
+  matchmaking.events.on('match:cancelled', ({ userId, ticket, reason }) => {
+    notifyUser(userId, 'match_cancelled', { ticket, reason, timestamp: new Date() });
+  });
+
+  setInterval(() => {
+    matchmaking.sweepQueues().catch(error => logger.error('Error sweeping matchmaking queues:', error));
+  }, config.matchmaking.sweepIntervalSeconds * 1000).unref();
+
+  // Vote and grace deadlines fire on whichever instance takes them from
+  // Redis first, whoever set them
+  roomDeadlines.events.on('deadline:vote', ({ roomId }) => {
+    multiplayerRooms.closeVote(roomId)
+      .then(closed => closed && publishVoteOutcome(roomId, closed))
+      .catch(error => logger.error(`Error closing vote in room ${roomId}:`, error));
+  });
+  roomDeadlines.events.on('deadline:grace', ({ roomId, userId }) => {
+    roomLifecycle.releasePlace(roomId, userId)
+      .catch(error => logger.error(`Error releasing place in room ${roomId}:`, error));
+  });
+
+  setInterval(() => {
+    roomDeadlines.fireDue().catch(error => logger.error('Error firing room deadlines:', error));
+  }, config.multiplayer.deadlineCheckMs).unref();
+
+  // Room lifecycle. A paused or closed room's sockets are taken out of it;
+  // its players hear about it on their own rooms, wherever they are.
+  const emptySocketRoom = (roomId) => {
+    io.in(`room:${roomId}`).socketsLeave(`room:${roomId}`);
+    return roomDeadlines.clearRoom(roomId);
+  };
+
+  const forwardRoomEvent = (name, handler) => {
+    roomLifecycle.events.on(name, (payload) => {
+      Promise.resolve(handler(payload)).catch(error => logger.error(`Error forwarding ${name}:`, error));
+    });
+  };
+
+  forwardRoomEvent('room:host_changed', ({ roomId, previousHostId, host, reason }) => {
+    return emitToRoom(roomId, 'host_transferred', {
+      newHostId: host.id,
+      newHostUsername: host.username,
+      previousHostId,
+      reason,
+      timestamp: new Date()
+    });
+  });
+  forwardRoomEvent('room:participant_released', ({ roomId, userId, username }) => {
+    return emitToRoom(roomId, 'player_left', { userId, username, reason: 'timeout', timestamp: new Date() });
+  });
+  // However a player left (socket or REST), their tabs stop getting the room's events
+  forwardRoomEvent('room:participant_left', ({ roomId, userId, username }) => {
+    io.in(`user:${userId}`).socketsLeave(`room:${roomId}`);
+    return emitToRoom(roomId, 'player_left', { userId, username, timestamp: new Date() });
+  });
+  forwardRoomEvent('room:paused', ({ roomId, reason, pausedBy }) => {
+    io.to(`room:${roomId}`).emit('room_paused', { roomId, reason, pausedBy, timestamp: new Date() });
+    return emptySocketRoom(roomId);
+  });
+  forwardRoomEvent('room:resumed', ({ roomId, resumedBy, participantIds }) => {
+    const payload = { roomId, resumedBy, timestamp: new Date() };
+    participantIds.forEach(userId => notifyUser(userId, 'room_reopened', payload));
+  });
+  forwardRoomEvent('room:closed', ({ roomId, reason, summaryId, participantIds }) => {
+    const payload = { roomId, reason, summaryId, timestamp: new Date() };
+    io.to([`room:${roomId}`, ...participantIds.map(userId => `user:${userId}`)]).emit('room_closed', payload);
+    participantIds.forEach(userId => subscriptions.publishNotification(userId, 'room_closed', payload));
+    subscriptions.publishRoomEvent(roomId, 'room_closed', payload);
+    return emptySocketRoom(roomId);
+  });
+
+  // Narration in a room streams to everyone in it. Only the finished text is
+  // replayed to players who drop; a half-streamed one isn't worth catching up on.
+  const forwardNarration = (name, event) => {
+    narration.events.on(name, ({ roomId, ...payload }) => {
+      io.to(`room:${roomId}`).emit(event, { roomId, ...payload });
+    });
+  };
+  forwardNarration('narration:start', 'narration_start');
+  forwardNarration('narration:delta', 'narration_delta');
+  forwardNarration('narration:error', 'narration_error');
+  forwardNarration('narration:cancelled', 'narration_cancelled');
+  narration.events.on('narration:done', ({ roomId, ...payload }) => {
+    emitToRoom(roomId, 'narration_done', { roomId, ...payload })
+      .catch(error => logger.error('Error forwarding narration:done:', error));
+  });
+
+  // A narration runs on the instance whose socket or request started it, so a
+  // cancel that arrives elsewhere is passed on to every other instance
+  io.on('cancel_narration', ({ narrationId, userId }) => {
+    narration.cancel(narrationId, userId);
+  });
+
+  setInterval(() => {
+    roomLifecycle.sweepRooms().catch(error => logger.error('Error sweeping rooms:', error));
+  }, config.multiplayer.sweepIntervalSeconds * 1000).unref();
+
+  // Keep presence fresh for this instance's sockets. Entries for sockets on
+  // an instance that went away are not refreshed and lapse on their own.
+  setInterval(() => {
+    io.local.fetchSockets()
+      .then(sockets => Promise.all(sockets.map(socket => realtime.setUserOnline(socket.data.userId, socket.id))))
+      .catch(error => logger.error('Error refreshing presence:', error));
+  }, config.websocket.presenceRefreshInterval).unref();
+
   io.on('connection', async (socket) => {
     logger.info(`User ${socket.user.username} connected via WebSocket`);
 
@@ -42,6 +388,20 @@ const setupSocketHandlers = (io) => {
     // Join user's personal room
     socket.join(`user:${socket.userId}`);
 
+    // When this socket last sent chat, for its rate limit
+    const chatSent = [];
+
+    // Tell the sender why a chat or direct message didn't go out
+    const rejectMessage = (kind, { error, reason, mutedUntil }) => {
+      socket.emit('message_rejected', {
+        kind,
+        reason,
+        message: error,
+        mutedUntil: mutedUntil || null,
+        timestamp: new Date()
+      });
+    };
+
     // Send initial connection data
     socket.emit('connected', {
       user: socket.user,
@@ -52,29 +412,22 @@ const setupSocketHandlers = (io) => {
     // Handle joining game rooms
     socket.on('join_room', async (roomId) => {
       try {
-        // Verify user is participant
-        const participant = await RoomParticipant.findOne({
-          where: {
-            room_id: roomId,
-            user_id: socket.userId,
-            left_at: null
-          }
-        });
-
-        if (!participant) {
+        // Only participants can join, and coming back from a drop counts as a reconnect
+        const status = await attachToRoom(socket, roomId);
+        if (!status) {
           socket.emit('error', { message: 'Not authorized to join this room' });
           return;
         }
 
-        // Join socket room
-        socket.join(`room:${roomId}`);
-        socket.roomId = roomId;
+        if (status.previous !== 'reconnecting') {
+          await emitToRoom(roomId, 'player_joined', {
+            user: socket.user,
+            role: status.role,
+            timestamp: new Date()
+          }, socket);
+        }
 
-        // Notify other players
-        socket.to(`room:${roomId}`).emit('player_joined', {
-          user: socket.user,
-          timestamp: new Date()
-        });
+        await sendRoomState(socket, roomId);
 
         logger.info(`User ${socket.user.username} joined room ${roomId}`);
       } catch (error) {
@@ -83,79 +436,151 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle game actions in multiplayer
+    // Handle game actions in multiplayer. The server applies the action to the
+    // room's shared state and tells the party what changed.
     socket.on('game_action', async (data) => {
       try {
-        const { action, target, sessionId } = data;
+        const { action, target, on } = data;
 
         if (!socket.roomId) {
           socket.emit('error', { message: 'Not in a room' });
           return;
         }
 
-        // Broadcast action to all players in room
-        io.to(`room:${socket.roomId}`).emit('player_action', {
-          userId: socket.userId,
-          username: socket.user.username,
+        const { error, result, diff, scene } = await multiplayerRooms.performRoomAction(socket.roomId, socket.user, {
           action,
           target,
-          timestamp: new Date()
+          on
         });
 
-        // Update room state in cache
-        const roomData = await redis.get(`room:${socket.roomId}`);
-        if (roomData) {
-          const data = JSON.parse(roomData);
-          
-          // Log action in game state
-          if (!data.gameState.actionLog) {
-            data.gameState.actionLog = [];
-          }
-          
-          data.gameState.actionLog.push({
-            userId: socket.userId,
-            username: socket.user.username,
+        if (error) {
+          socket.emit('error', { message: error });
+          return;
+        }
+
+        if (!result.success) {
+          socket.emit('action_rejected', {
             action,
             target,
+            message: result.message,
             timestamp: new Date()
           });
-
-          // Keep only last 100 actions
-          if (data.gameState.actionLog.length > 100) {
-            data.gameState.actionLog = data.gameState.actionLog.slice(-100);
-          }
-
-          await redis.setex(`room:${socket.roomId}`, 3600 * 4, JSON.stringify(data));
+          return;
         }
+
+        await broadcastRoomChange(socket.roomId, { userId: socket.userId, username: socket.user.username, action, target, on }, result, diff, scene);
       } catch (error) {
         logger.error('Error handling game action:', error);
         socket.emit('error', { message: 'Failed to process action' });
       }
     });
 
-    // Handle chat messages
-    socket.on('chat_message', async (data) => {
+    // Handle ballots in rooms that decide by vote
+    socket.on('cast_vote', async (data) => {
       try {
-        const { message, roomId } = data;
+        const { voteId, option } = data;
+
+        if (!socket.roomId) {
+          socket.emit('error', { message: 'Not in a room' });
+          return;
+        }
+
+        const roomId = socket.roomId;
+        const outcome = await multiplayerRooms.castVote(roomId, socket.user, { voteId, option });
+
+        if (outcome.error) {
+          socket.emit('error', { message: outcome.error });
+          return;
+        }
+
+        await publishVoteOutcome(roomId, outcome);
+      } catch (error) {
+        logger.error('Error casting vote:', error);
+        socket.emit('error', { message: 'Failed to cast vote' });
+      }
+    });
 
-        if (!message || message.length > 500) {
-          socket.emit('error', { message: 'Invalid message' });
+    // Send the full shared state, e.g. after a client notices it missed a diff
+    socket.on('request_room_state', async () => {
+      try {
+        if (!socket.roomId) {
+          socket.emit('error', { message: 'Not in a room' });
           return;
         }
 
+        await sendRoomState(socket, socket.roomId);
+      } catch (error) {
+        logger.error('Error sending room state:', error);
+        socket.emit('error', { message: 'Failed to load room state' });
+      }
+    });
+
+    // Resume a room after a dropped connection: replay the events missed
+    // since `lastSeq`, or send a full snapshot when the replay buffer no
+    // longer reaches back that far. The socket rejoins before the replay is
+    // read, so an event can arrive twice; clients drop any seq they have seen.
+    socket.on('resume_room', async (data) => {
+      try {
+        const { roomId, lastSeq } = data || {};
+
+        const status = await attachToRoom(socket, roomId);
+        if (!status) {
+          socket.emit('resume_failed', {
+            roomId,
+            message: 'Your place in this room is no longer held',
+            timestamp: new Date()
+          });
+          return;
+        }
+
+        const { seq, events } = await roomEvents.eventsSince(roomId, lastSeq);
+        if (events) {
+          events
+            .filter(entry => roomEvents.isVisibleTo(entry, socket.userId))
+            .forEach(({ event, payload }) => socket.emit(event, payload));
+        } else {
+          await sendRoomState(socket, roomId);
+        }
+
+        socket.emit('room_resumed', {
+          roomId,
+          seq,
+          replayed: events ? events.length : 0,
+          snapshot: !events,
+          timestamp: new Date()
+        });
+
+        logger.info(`User ${socket.user.username} resumed room ${roomId} from seq ${lastSeq}`);
+      } catch (error) {
+        logger.error('Error resuming room:', error);
+        socket.emit('error', { message: 'Failed to resume room' });
+      }
+    });
+
+    // Handle chat messages: stored and moderated before the room sees them
+    socket.on('chat_message', async (data) => {
+      try {
+        const { message, roomId } = data;
+
         // Verify user is in the room
         if (!socket.rooms.has(`room:${roomId}`)) {
-          socket.emit('error', { message: 'Not in this room' });
+          rejectMessage('room', { error: 'Not in this room', reason: 'not_in_room' });
+          return;
+        }
+
+        if (!chat.takeRateLimit(chatSent)) {
+          rejectMessage('room', { error: 'You are sending messages too quickly', reason: 'rate_limited' });
+          return;
+        }
+
+        const result = await chat.sendRoomMessage(roomId, socket.user, message);
+        if (result.error) {
+          rejectMessage('room', result);
           return;
         }
 
         // Broadcast message to room
-        io.to(`room:${roomId}`).emit('chat_message', {
-          userId: socket.userId,
-          username: socket.user.username,
-          message,
-          timestamp: new Date()
-        });
+        await emitToRoom(roomId, 'chat_message', result.message);
 
         logger.debug(`Chat message in room ${roomId} from ${socket.user.username}`);
       } catch (error) {
@@ -164,6 +589,59 @@ const setupSocketHandlers = (io) => {
       }
     });
 
+    // Stream story or Dungeon Master narration. In the socket's room the whole
+    // room follows it; otherwise it is for the player's own session and only
+    // this socket hears it.
+    socket.on('narrate', async (data) => {
+      try {
+        const { kind = 'story', sessionId, prompt, context } = data || {};
+        const roomId = sessionId ? null : socket.roomId;
+
+        if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > 1000) {
+          socket.emit('error', { message: 'Narration needs a prompt of up to 1000 characters' });
+          return;
+        }
+
+        // Once a room narration is under way, the room hears how it ends
+        let underway = false;
+        const { error, narration: started } = await narration.start({
+          kind,
+          user: socket.user,
+          sessionId: sessionId || null,
+          roomId,
+          prompt,
+          context,
+          socketId: socket.id
+        }, (type, { error: failure, ...payload }) => {
+          underway = underway || type === 'start';
+          if (type === 'error' && !(roomId && underway)) {
+            socket.emit('narration_error', {
+              ...payload,
+              code: failure.code,
+              details: failure.details
+            });
+          } else if (!roomId && type !== 'error') {
+            socket.emit(`narration_${type}`, payload);
+          }
+        });
+
+        if (error) {
+          socket.emit('error', { message: error });
+          return;
+        }
+        socket.emit('narration_accepted', { narrationId: started.id, kind, roomId, sessionId: sessionId || null });
+      } catch (error) {
+        logger.error('Error starting narration:', error);
+        socket.emit('error', { message: 'Failed to start narration' });
+      }
+    });
+
+    socket.on('cancel_narration', (data) => {
+      if (!narration.cancel(data?.narrationId, socket.userId)) {
+        io.serverSideEmit('cancel_narration', { narrationId: data?.narrationId, userId: socket.userId });
+      }
+    });
+
     // Handle player state updates
     socket.on('update_player_state', async (data) => {
       try {
@@ -174,30 +652,97 @@ const setupSocketHandlers = (io) => {
           return;
         }
 
-        // Update participant state in database
-        await RoomParticipant.update(
-          { player_state: state },
-          {
-            where: {
-              room_id: socket.roomId,
-              user_id: socket.userId,
-              left_at: null
-            }
-          }
-        );
+        // Location and inventory are the server's to decide
+        const playerState = await multiplayerRooms.updatePlayerState(socket.roomId, socket.userId, state);
+        if (!playerState) {
+          socket.emit('error', { message: 'Not in this room' });
+          return;
+        }
 
         // Broadcast state update to other players
-        socket.to(`room:${socket.roomId}`).emit('player_state_update', {
+        await emitToRoom(socket.roomId, 'player_state_update', {
           userId: socket.userId,
-          state,
+          state: playerState,
           timestamp: new Date()
-        });
+        }, socket);
       } catch (error) {
         logger.error('Error updating player state:', error);
         socket.emit('error', { message: 'Failed to update state' });
       }
     });
 
+    // Offer items to another player in a split party; both of them see the
+    // offer until it is answered
+    socket.on('offer_trade', async (data) => {
+      try {
+        const { toUserId, offer, request } = data || {};
+
+        if (!socket.roomId) {
+          socket.emit('error', { message: 'Not in a room' });
+          return;
+        }
+
+        const { error, trade } = await multiplayerRooms.offerTrade(socket.roomId, socket.user, { toUserId, offer, request });
+        if (error) {
+          socket.emit('trade_rejected', { message: error, timestamp: new Date() });
+          return;
+        }
+
+        io.to([`user:${trade.fromUserId}`, `user:${trade.toUserId}`]).emit('trade_offered', {
+          ...trade,
+          timestamp: new Date()
+        });
+      } catch (error) {
+        logger.error('Error offering trade:', error);
+        socket.emit('error', { message: 'Failed to offer trade' });
+      }
+    });
+
+    // Accept, decline or withdraw a trade offer. An accepted trade changes the
+    // room's state like an action does.
+    socket.on('respond_trade', async (data) => {
+      try {
+        const { tradeId, accept } = data || {};
+
+        if (!socket.roomId) {
+          socket.emit('error', { message: 'Not in a room' });
+          return;
+        }
+
+        const roomId = socket.roomId;
+        const outcome = await multiplayerRooms.respondToTrade(roomId, socket.user, { tradeId, accept: accept === true });
+        if (outcome.error) {
+          socket.emit('trade_rejected', { tradeId, message: outcome.error, timestamp: new Date() });
+          return;
+        }
+
+        const { trade, accepted, diff, scene } = outcome;
+        io.to([`user:${trade.fromUserId}`, `user:${trade.toUserId}`]).emit('trade_closed', {
+          tradeId: trade.id,
+          roomId,
+          accepted,
+          closedBy: socket.userId,
+          timestamp: new Date()
+        });
+
+        if (accepted) {
+          await broadcastRoomChange(roomId, {
+            userId: socket.userId,
+            username: socket.user.username,
+            action: 'trade',
+            target: trade.fromUserId,
+            on: null
+          }, {
+            message: `${trade.fromUsername} and ${socket.user.username} traded.`,
+            ending: null
+          }, diff, scene);
+        }
+      } catch (error) {
+        logger.error('Error answering trade:', error);
+        socket.emit('error', { message: 'Failed to answer trade' });
+      }
+    });
+
     // Handle voice chat signaling (WebRTC)
     socket.on('voice_signal', async (data) => {
       try {
@@ -220,23 +765,22 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle leaving room
+    // Leave a room for good, as POST /rooms/:roomId/leave does: the place is
+    // given back and the room passes on or closes as needed
     socket.on('leave_room', async (roomId) => {
       try {
-        socket.leave(`room:${roomId}`);
-        
-        // Notify other players
-        socket.to(`room:${roomId}`).emit('player_left', {
-          userId: socket.userId,
-          username: socket.user.username,
-          timestamp: new Date()
-        });
+        const { error } = await roomLifecycle.leaveRoom(roomId, socket.user);
+        if (error) {
+          socket.emit('error', { message: error });
+          return;
+        }
 
-        delete socket.roomId;
-        
-        logger.info(`User ${socket.user.username} left room ${roomId}`);
+        if (socket.roomId === roomId) {
+          delete socket.roomId;
+        }
       } catch (error) {
         logger.error('Error leaving room:', error);
+        socket.emit('error', { message: 'Failed to leave room' });
       }
     });
 
@@ -248,17 +792,20 @@ const setupSocketHandlers = (io) => {
     // Handle disconnect
     socket.on('disconnect', async (reason) => {
       try {
-        // Set user offline
-        await realtime.setUserOffline(socket.userId);
+        // Nobody is left to read what it was narrating
+        narration.cancelForSocket(socket.id);
+
+        // Drop this socket from the user's presence; other tabs keep them online
+        const stillOnline = await realtime.setUserOffline(socket.userId, socket.id);
+
+        // Nobody left to tell about a match
+        if (!stillOnline) {
+          await matchmaking.cancel(socket.userId, 'disconnected');
+        }
 
         if (socket.roomId) {
-          // Notify room members
-          socket.to(`room:${socket.roomId}`).emit('player_disconnected', {
-            userId: socket.userId,
-            username: socket.user.username,
-            reason,
-            timestamp: new Date()
-          });
+          // Hold their place and tell the room they dropped
+          await holdPlace(socket, reason);
         }
 
         logger.info(`User ${socket.user.username} disconnected: ${reason}`);
@@ -273,7 +820,8 @@ const setupSocketHandlers = (io) => {
       socket.emit('notifications_subscribed', { timestamp: new Date() });
     });
 
-    // Handle typing indicators
+    // Handle typing indicators. These are transient, so they skip the room's
+    // event sequence and are never replayed.
     socket.on('typing_start', (data) => {
       if (socket.roomId) {
         socket.to(`room:${socket.roomId}`).emit('user_typing', {
@@ -312,117 +860,177 @@ const setupSocketHandlers = (io) => {
         }
 
         switch (action) {
-          case 'kick_player':
-            // Remove participant from room
-            await RoomParticipant.update(
-              { left_at: new Date() },
-              {
-                where: {
-                  room_id: roomId,
-                  user_id: targetUserId,
-                  left_at: null
-                }
-              }
-            );
+          case 'kick_player': {
+            const { error } = await multiplayerRooms.kickParticipant(roomId, socket.user, targetUserId);
+            if (error) {
+              socket.emit('error', { message: error });
+              return;
+            }
+
+            await roomDeadlines.clearGraceDeadline(roomId, targetUserId);
+            io.in(`user:${targetUserId}`).socketsLeave(`room:${roomId}`);
 
             // Notify player and room
-            io.to(`user:${targetUserId}`).emit('kicked_from_room', {
+            notifyUser(targetUserId, 'kicked_from_room', {
               roomId,
               reason: 'Kicked by host',
               timestamp: new Date()
             });
 
-            io.to(`room:${roomId}`).emit('player_kicked', {
+            await emitToRoom(roomId, 'player_kicked', {
               targetUserId,
               adminUserId: socket.userId,
               timestamp: new Date()
             });
+            await broadcastRoomState(roomId);
             break;
+          }
 
-          case 'transfer_host':
-            // Transfer room ownership
-            await MultiplayerRoom.update(
-              { host_id: targetUserId },
-              { where: { id: roomId } }
-            );
+          case 'transfer_host': {
+            const { error } = await multiplayerRooms.transferHost(roomId, socket.user, targetUserId);
+            if (error) {
+              socket.emit('error', { message: error });
+              return;
+            }
 
-            io.to(`room:${roomId}`).emit('host_transferred', {
+            await emitToRoom(roomId, 'host_transferred', {
               newHostId: targetUserId,
               previousHostId: socket.userId,
               timestamp: new Date()
             });
             break;
+          }
 
-          default:
-            socket.emit('error', { message: 'Unknown admin action' });
-        }
-      } catch (error) {
-        logger.error('Error handling admin action:', error);
-        socket.emit('error', { message: 'Failed to execute admin action' });
-      }
-    });
+          case 'promote_spectator': {
+            const { error, participant } = await multiplayerRooms.promoteSpectator(roomId, socket.user, targetUserId);
+            if (error) {
+              socket.emit('error', { message: error });
+              return;
+            }
 
-    // Handle game state synchronization
-    socket.on('sync_game_state', async (data) => {
-      try {
-        if (!socket.roomId) {
-          socket.emit('error', { message: 'Not in a room' });
-          return;
-        }
+            await emitToRoom(roomId, 'spectator_promoted', {
+              userId: targetUserId,
+              username: participant.user?.username,
+              promotedBy: socket.userId,
+              timestamp: new Date()
+            });
+            await broadcastRoomState(roomId);
+            break;
+          }
 
-        const { gameState } = data;
+          case 'set_spectator_limit': {
+            const { error } = await multiplayerRooms.setSpectatorLimit(roomId, socket.user, data.maxSpectators ?? null);
+            if (error) {
+              socket.emit('error', { message: error });
+              return;
+            }
 
-        // Update room state in cache
-        const roomData = await redis.get(`room:${socket.roomId}`);
-        if (roomData) {
-          const data = JSON.parse(roomData);
-          data.gameState = { ...data.gameState, ...gameState };
-          data.lastUpdated = new Date();
-          
-          await redis.setex(`room:${socket.roomId}`, 3600 * 4, JSON.stringify(data));
+            await broadcastRoomState(roomId);
+            break;
+          }
 
-          // Broadcast updated state to other players
-          socket.to(`room:${socket.roomId}`).emit('game_state_updated', {
-            gameState: data.gameState,
-            updatedBy: socket.userId,
-            timestamp: new Date()
-          });
+          // The room hears about these through roomLifecycle's events
+          case 'pause_room': {
+            const { error } = await roomLifecycle.pauseRoom(roomId, 'host', socket.user);
+            if (error) {
+              socket.emit('error', { message: error });
+            }
+            break;
+          }
+
+          case 'close_room': {
+            const { error } = await roomLifecycle.closeRoom(roomId, 'host_closed', socket.user);
+            if (error) {
+              socket.emit('error', { message: error });
+            }
+            break;
+          }
+
+          case 'mute_player': {
+            const { error, participant } = await chat.muteParticipant(room, socket.user, targetUserId, data.minutes ?? null);
+            if (error) {
+              socket.emit('error', { message: error });
+              return;
+            }
+
+            await emitToRoom(roomId, 'player_muted', {
+              userId: targetUserId,
+              mutedBy: socket.userId,
+              mutedUntil: participant.muted_until,
+              timestamp: new Date()
+            });
+            break;
+          }
+
+          case 'unmute_player': {
+            const { error } = await chat.unmuteParticipant(room, socket.user, targetUserId);
+            if (error) {
+              socket.emit('error', { message: error });
+              return;
+            }
+
+            await emitToRoom(roomId, 'player_unmuted', {
+              userId: targetUserId,
+              unmutedBy: socket.userId,
+              timestamp: new Date()
+            });
+            break;
+          }
+
+          case 'set_decision_mode': {
+            const { error } = await multiplayerRooms.setDecisionMode(roomId, socket.user, {
+              decisionMode: data.decisionMode,
+              voteDuration: data.voteDuration
+            });
+            if (error) {
+              socket.emit('error', { message: error });
+              return;
+            }
+
+            await roomDeadlines.clearVoteDeadline(roomId);
+            await broadcastRoomState(roomId);
+            break;
+          }
+
+          default:
+            socket.emit('error', { message: 'Unknown admin action' });
         }
       } catch (error) {
-        logger.error('Error syncing game state:', error);
-        socket.emit('error', { message: 'Failed to sync game state' });
+        logger.error('Error handling admin action:', error);
+        socket.emit('error', { message: 'Failed to execute admin action' });
       }
     });
 
-    // Handle direct messages
+    // Handle direct messages. They are stored, so players who are offline
+    // find them in their conversation history later.
     socket.on('direct_message', async (data) => {
       try {
         const { targetUserId, message } = data;
 
-        if (!message || message.length > 1000) {
-          socket.emit('error', { message: 'Invalid message' });
+        if (!chat.takeRateLimit(chatSent)) {
+          rejectMessage('direct', { error: 'You are sending messages too quickly', reason: 'rate_limited' });
           return;
         }
 
-        // Check if target user is online
-        const isOnline = await realtime.isUserOnline(targetUserId);
-        if (!isOnline) {
-          socket.emit('error', { message: 'User is not online' });
+        const result = await chat.sendDirectMessage(socket.user, targetUserId, message);
+        if (result.error) {
+          rejectMessage('direct', result);
           return;
         }
 
         // Send message to target user
-        io.to(`user:${targetUserId}`).emit('direct_message', {
+        notifyUser(targetUserId, 'direct_message', {
+          ...result.message,
           fromUserId: socket.userId,
-          fromUsername: socket.user.username,
-          message,
-          timestamp: new Date()
+          fromUsername: socket.user.username
         });
 
         // Confirm delivery
         socket.emit('message_sent', {
+          id: result.message.id,
           targetUserId,
-          timestamp: new Date()
+          delivered: await realtime.isUserOnline(targetUserId),
+          timestamp: result.message.timestamp
         });
       } catch (error) {
         logger.error('Error sending direct message:', error);
@@ -433,16 +1041,18 @@ const setupSocketHandlers = (io) => {
 
   // Helper function to send notifications
   const sendNotification = (userId, notification) => {
-    io.to(`notifications:${userId}`).emit('notification', {
+    const payload = {
       ...notification,
       id: require('uuid').v4(),
       timestamp: new Date()
-    });
+    };
+    io.to(`notifications:${userId}`).emit('notification', payload);
+    subscriptions.publishNotification(userId, 'notification', payload);
   };
 
   // Helper function to broadcast to a room
   const broadcastToRoom = (roomId, event, data) => {
-    io.to(`room:${roomId}`).emit(event, {
+    return emitToRoom(roomId, event, {
       ...data,
       timestamp: new Date()
     });
@@ -477,55 +1087,47 @@ const setupSocketHandlers = (io) => {
     }
   };
 
-  // Helper function to get room participants
-  const getRoomParticipants = (roomId) => {
-    const roomSockets = io.sockets.adapter.rooms.get(`room:${roomId}`);
-    if (!roomSockets) return [];
-
-    const participants = [];
-    for (const socketId of roomSockets) {
-      const socket = io.sockets.sockets.get(socketId);
-      if (socket && socket.user) {
-        participants.push({
-          socketId,
-          user: socket.user,
-          connectedAt: socket.connectedAt || new Date()
-        });
-      }
-    }
-    return participants;
+  // Helper function to get room participants, across every instance
+  const getRoomParticipants = async (roomId) => {
+    const sockets = await io.in(`room:${roomId}`).fetchSockets();
+    return sockets
+      .filter(socket => socket.data.user)
+      .map(socket => ({
+        socketId: socket.id,
+        user: socket.data.user,
+        connectedAt: socket.data.connectedAt
+      }));
   };
 
-  // Helper function to force disconnect user
+  // Helper function to force disconnect user, on whichever instances they are connected
   const forceDisconnectUser = (userId, reason = 'Admin action') => {
-    const userSockets = io.sockets.adapter.rooms.get(`user:${userId}`);
-    if (userSockets) {
-      for (const socketId of userSockets) {
-        const socket = io.sockets.sockets.get(socketId);
-        if (socket) {
-          socket.emit('force_disconnect', { reason });
-          socket.disconnect(true);
-        }
-      }
-    }
+    io.to(`user:${userId}`).emit('force_disconnect', { reason });
+    io.in(`user:${userId}`).disconnectSockets(true);
   };
 
-  // Helper function to broadcast system announcement
-  const broadcastAnnouncement = (announcement) => {
-    io.emit('system_announcement', {
-      ...announcement,
-      timestamp: new Date()
-    });
+  // Helper function to broadcast system announcement to every connected client
+  const broadcastSystemAnnouncement = (announcement) => {
+    const payload = { ...announcement, timestamp: new Date() };
+    io.emit('system_announcement', payload);
+    subscriptions.publishAnnouncement(payload);
   };
 
-  // Helper function to get server stats
-  const getServerStats = () => {
-    const connectedUsers = io.sockets.sockets.size;
-    const rooms = io.sockets.adapter.rooms.size;
-    
+  // Helper function to get server stats. Local counts are this instance's;
+  // the cluster figures come from every instance through the adapter.
+  const getServerStats = async () => {
+    const [sockets, instances] = await Promise.all([
+      io.fetchSockets(),
+      io.of('/').adapter.serverCount()
+    ]);
+
     return {
-      connectedUsers,
-      rooms,
+      connectedUsers: io.sockets.sockets.size,
+      rooms: io.sockets.adapter.rooms.size,
+      cluster: {
+        instances,
+        connectedSockets: sockets.length,
+        connectedUsers: new Set(sockets.map(socket => socket.data.userId)).size
+      },
       timestamp: new Date()
     };
   };
@@ -539,7 +1141,7 @@ const setupSocketHandlers = (io) => {
     isUserOnline,
     getRoomParticipants,
     forceDisconnectUser,
-    broadcastAnnouncement,
+    broadcastSystemAnnouncement,
     getServerStats
   };
 };
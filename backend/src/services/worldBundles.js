@@ -0,0 +1,319 @@
+/**
+ * World Bundles
+ * A bundle is a zip holding a world's JSON together with the images and audio
+ * it uses, so a world can be moved between instances as a single file:
+ *
+ *   world.json
+ *   thumbnail.png
+ *   assets/forest.jpg
+ *   assets/music/theme.ogg
+ *
+ * Inside world.json assets are referenced by their path in the bundle
+ * (`"image": "assets/forest.jpg"`). On import the assets are extracted to
+ * /uploads/worlds/<bundle id>/ and every reference is rewritten to its served
+ * URL; exporting a world reverses this.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const { getWorldUrl } = require('../middleware/upload');
+const logger = require('../utils/logger');
+
+const WORLD_FILE = 'world.json';
+const BUNDLES_DIR = path.join(__dirname, '../../../uploads/worlds');
+
+const MAX_ENTRIES = 200;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024; // 100MB uncompressed
+const MAX_WORLD_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Allowed asset extensions, the content they must start with and their size limit
+const ASSET_TYPES = {
+  '.png': { kind: 'image', maxSize: 5 * 1024 * 1024, sniff: (b) => b.slice(0, 4).toString('hex') === '89504e47' },
+  '.jpg': { kind: 'image', maxSize: 5 * 1024 * 1024, sniff: (b) => b.slice(0, 3).toString('hex') === 'ffd8ff' },
+  '.jpeg': { kind: 'image', maxSize: 5 * 1024 * 1024, sniff: (b) => b.slice(0, 3).toString('hex') === 'ffd8ff' },
+  '.gif': { kind: 'image', maxSize: 5 * 1024 * 1024, sniff: (b) => b.slice(0, 4).toString('latin1') === 'GIF8' },
+  '.webp': { kind: 'image', maxSize: 5 * 1024 * 1024, sniff: (b) => b.slice(0, 4).toString('latin1') === 'RIFF' && b.slice(8, 12).toString('latin1') === 'WEBP' },
+  '.mp3': { kind: 'audio', maxSize: 20 * 1024 * 1024, sniff: (b) => b.slice(0, 3).toString('latin1') === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  '.ogg': { kind: 'audio', maxSize: 20 * 1024 * 1024, sniff: (b) => b.slice(0, 4).toString('latin1') === 'OggS' },
+  '.wav': { kind: 'audio', maxSize: 20 * 1024 * 1024, sniff: (b) => b.slice(0, 4).toString('latin1') === 'RIFF' && b.slice(8, 12).toString('latin1') === 'WAVE' },
+  '.m4a': { kind: 'audio', maxSize: 20 * 1024 * 1024, sniff: (b) => b.slice(4, 8).toString('latin1') === 'ftyp' }
+};
+
+// Served asset URLs look like .../uploads/worlds/<bundle id>/<path in bundle>
+const ASSET_URL_PATTERN = /\/uploads\/worlds\/([0-9a-f-]{36})\/(.+)$/;
+
+// Normalise a zip entry name, or return null if it escapes the bundle
+const safeEntryPath = (entryName) => {
+  if (entryName.includes('\\') || entryName.includes('\0')) return null;
+  const normalized = path.posix.normalize(entryName);
+  if (path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) return null;
+  return normalized;
+};
+
+// Editor and OS clutter that shouldn't fail an import
+const isIgnoredEntry = (entryPath) => {
+  return entryPath.startsWith('__MACOSX/') || entryPath.split('/').some(part => part.startsWith('.'));
+};
+
+// Zip compression methods a bundle may use
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Inflate a zip entry without ever producing more than `limit` bytes, whatever
+ * sizes its headers claim. Returns the data, or null when it would exceed the
+ * limit; throws for encrypted, unsupported or corrupt entries.
+ */
+const inflateEntry = (entry, limit) => {
+  if (entry.header.encrypted) {
+    throw new Error('encrypted entry');
+  }
+
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === STORED) {
+    return compressed.length > limit ? null : compressed;
+  }
+  if (entry.header.method !== DEFLATED) {
+    throw new Error(`unsupported compression method ${entry.header.method}`);
+  }
+
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: limit });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+    throw error;
+  }
+};
+
+// Apply `replace` to every string in a JSON value, keeping strings it returns undefined for
+const rewriteStrings = (value, replace) => {
+  if (Array.isArray(value)) {
+    return value.map(item => rewriteStrings(item, replace));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, rewriteStrings(item, replace)])
+    );
+  }
+  if (typeof value === 'string') {
+    const replaced = replace(value);
+    return replaced === undefined ? value : replaced;
+  }
+  return value;
+};
+
+/**
+ * Read and check an uploaded bundle. Returns { worldText, assets } where
+ * assets are { path, kind, data }, or { error } describing why the bundle
+ * was rejected. Nothing is written to disk.
+ */
+const readBundle = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    return { error: 'World bundle is not a valid zip file' };
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (entries.length > MAX_ENTRIES) {
+    return { error: `World bundle has too many files (at most ${MAX_ENTRIES})` };
+  }
+
+  const totalTooLarge = `World bundle is too large once extracted (at most ${MAX_TOTAL_SIZE / 1024 / 1024}MB)`;
+
+  // Headers only give a first answer; the data itself is held to every limit below
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_TOTAL_SIZE) {
+    return { error: totalTooLarge };
+  }
+
+  let worldText = null;
+  let extracted = 0;
+  const assets = [];
+
+  // Inflate an entry held to its own size limit and to what is left of the
+  // total. `tooLarge` is the error for going over its own limit.
+  const readEntry = (entry, maxSize, tooLarge) => {
+    if (entry.header.size > maxSize) {
+      return { error: tooLarge };
+    }
+
+    const remaining = MAX_TOTAL_SIZE - extracted;
+    let data;
+    try {
+      data = inflateEntry(entry, Math.min(maxSize, remaining));
+    } catch (error) {
+      return { error: `Could not read ${entry.entryName} from the world bundle (${error.message})` };
+    }
+    if (data === null) {
+      return { error: remaining < maxSize ? totalTooLarge : tooLarge };
+    }
+
+    extracted += data.length;
+    return { data };
+  };
+
+  for (const entry of entries) {
+    const entryPath = safeEntryPath(entry.entryName);
+    if (!entryPath) {
+      return { error: `Unsafe path in world bundle: ${entry.entryName}` };
+    }
+    if (isIgnoredEntry(entryPath)) continue;
+
+    if (entryPath === WORLD_FILE) {
+      const { data, error } = readEntry(entry, MAX_WORLD_SIZE, `${WORLD_FILE} is too large (at most ${MAX_WORLD_SIZE / 1024 / 1024}MB)`);
+      if (error) {
+        return { error };
+      }
+      worldText = data.toString('utf8');
+      continue;
+    }
+
+    const type = ASSET_TYPES[path.posix.extname(entryPath).toLowerCase()];
+    if (!type && path.posix.extname(entryPath).toLowerCase() === '.json') {
+      return { error: `Found ${entryPath}; the world data must be in ${WORLD_FILE} at the bundle root` };
+    }
+    if (!type) {
+      return { error: `Unsupported file type in world bundle: ${entryPath}` };
+    }
+
+    const { data, error } = readEntry(entry, type.maxSize, `${entryPath} is too large (${type.kind} files can be at most ${type.maxSize / 1024 / 1024}MB)`);
+    if (error) {
+      return { error };
+    }
+    if (!type.sniff(data)) {
+      return { error: `${entryPath} is not a valid ${path.posix.extname(entryPath).slice(1)} file` };
+    }
+    assets.push({ path: entryPath, kind: type.kind, data });
+  }
+
+  if (worldText === null) {
+    return { error: `World bundle must contain ${WORLD_FILE} at its root` };
+  }
+
+  return { worldText, assets };
+};
+
+/**
+ * Extract a bundle's assets under a new bundle directory and rewrite asset
+ * references in `worldData` to their served URLs. A root-level thumbnail
+ * image becomes `worldInfo.thumbnail` unless the world already names one.
+ * Returns { worldData, thumbnailUrl, bundleId }.
+ */
+const extractAssets = async (worldData, assets) => {
+  const bundleId = uuidv4();
+  const bundleDir = path.join(BUNDLES_DIR, bundleId);
+  const urls = new Map();
+
+  try {
+    for (const asset of assets) {
+      const target = path.join(bundleDir, ...asset.path.split('/'));
+      await fs.outputFile(target, asset.data);
+      urls.set(asset.path, getWorldUrl(`${bundleId}/${asset.path}`));
+    }
+  } catch (error) {
+    await removeBundle(bundleId);
+    throw error;
+  }
+
+  const thumbnail = assets.find(asset => asset.kind === 'image' && /^thumbnail\.[a-z]+$/i.test(asset.path));
+  const withThumbnail = thumbnail && !worldData.worldInfo?.thumbnail
+    ? { ...worldData, worldInfo: { ...worldData.worldInfo, thumbnail: thumbnail.path } }
+    : worldData;
+
+  const rewritten = rewriteStrings(withThumbnail, (value) => urls.get(value));
+  const thumbnailUrl = urls.get(withThumbnail.worldInfo?.thumbnail) || null;
+
+  if (assets.length > 0) {
+    logger.info(`Extracted ${assets.length} world bundle assets to ${bundleDir}`);
+  }
+
+  return { worldData: rewritten, thumbnailUrl, bundleId };
+};
+
+// The file on disk behind a served asset URL, if it is one of ours
+const resolveAssetUrl = (value) => {
+  const match = ASSET_URL_PATTERN.exec(value);
+  if (!match) return null;
+  const assetPath = safeEntryPath(match[2]);
+  if (!assetPath) return null;
+  return {
+    bundleId: match[1],
+    path: assetPath,
+    file: path.join(BUNDLES_DIR, match[1], ...assetPath.split('/'))
+  };
+};
+
+/**
+ * Build a bundle from a world: its data with served asset URLs turned back
+ * into bundle paths, plus the asset files themselves. Returns a zip Buffer.
+ */
+const exportBundle = async (worldData) => {
+  const zip = new AdmZip();
+  const pathsByFile = new Map();
+  const usedPaths = new Set([WORLD_FILE]);
+
+  // Collect the assets first; rewriteStrings is synchronous
+  const references = [];
+  rewriteStrings(worldData, (value) => {
+    const asset = resolveAssetUrl(value);
+    if (asset) references.push(asset);
+  });
+
+  for (const asset of references) {
+    if (pathsByFile.has(asset.file) || !(await fs.pathExists(asset.file))) continue;
+
+    // Assets from different uploads can share a path; keep both
+    let bundlePath = asset.path;
+    for (let n = 2; usedPaths.has(bundlePath); n++) {
+      const ext = path.posix.extname(asset.path);
+      bundlePath = `${asset.path.slice(0, -ext.length || undefined)}-${n}${ext}`;
+    }
+    usedPaths.add(bundlePath);
+    pathsByFile.set(asset.file, bundlePath);
+    zip.addFile(bundlePath, await fs.readFile(asset.file));
+  }
+
+  const bundled = rewriteStrings(worldData, (value) => {
+    const asset = resolveAssetUrl(value);
+    return asset ? pathsByFile.get(asset.file) : undefined;
+  });
+  zip.addFile(WORLD_FILE, Buffer.from(JSON.stringify(bundled, null, 2), 'utf8'));
+
+  return zip.toBuffer();
+};
+
+// Delete the assets extracted from one bundle
+const removeBundle = (bundleId) => {
+  return fs.remove(path.join(BUNDLES_DIR, bundleId));
+};
+
+// Delete the bundle directories referenced by any of the given world data
+const removeAssets = async (worldDataList) => {
+  const bundleIds = new Set();
+  worldDataList.forEach(worldData => {
+    rewriteStrings(worldData, (value) => {
+      const asset = resolveAssetUrl(value);
+      if (asset) bundleIds.add(asset.bundleId);
+    });
+  });
+
+  for (const bundleId of bundleIds) {
+    await removeBundle(bundleId);
+  }
+  return bundleIds.size;
+};
+
+module.exports = {
+  WORLD_FILE,
+  ASSET_TYPES,
+  readBundle,
+  extractAssets,
+  exportBundle,
+  removeBundle,
+  removeAssets
+};
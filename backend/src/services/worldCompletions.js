@@ -0,0 +1,181 @@
+/**
+ * World Completions
+ * Records the endings players reach and summarises them per world and per
+ * player. Endings are declared in world JSON (`endings`, see WORLD_FORMAT.md);
+ * totals are always taken from the world's current data, so an ending an
+ * author has since removed no longer counts towards "discovered".
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { World, GameSession, WorldCompletion } = require('../models');
+
+/**
+ * Record a session reaching an ending and mark the session complete the
+ * first time it finishes. A session coming back to an ending it already
+ * reached (after a rewind or load) keeps its first completion. The session
+ * is saved by the caller.
+ */
+const recordCompletion = async (session, ending, transaction = null) => {
+  if (!session.completed_at) {
+    session.completed_at = new Date();
+  }
+
+  const [completion] = await WorldCompletion.findOrCreate({
+    where: {
+      session_id: session.id,
+      ending_id: ending.id
+    },
+    defaults: {
+      world_id: session.world_id,
+      user_id: session.user_id,
+      ending_type: ending.type,
+      moves: session.stats?.moves || 0,
+      world_revision: session.world_revision
+    },
+    transaction
+  });
+  return completion;
+};
+
+/**
+ * Keep a session's completion in step with its state after it is restored
+ * to an earlier point: a session taken back to before its ending is no
+ * longer complete. The session is saved by the caller.
+ */
+const syncCompletion = (session) => {
+  if (!session.game_state?.ending) {
+    session.completed_at = null;
+  }
+};
+
+const roundMoves = (value) => (value === null || value === undefined ? null : Math.round(Number(value)));
+
+/**
+ * Completion stats for a world. Endings the viewer (`viewerId`, optional)
+ * has reached are marked as discovered; secret endings they haven't found
+ * are listed without their ID or title unless `revealAll` is set (for the
+ * world's author).
+ */
+const getWorldStats = async (world, { viewerId = null, revealAll = false } = {}) => {
+  const endings = world.world_data?.endings || [];
+
+  const [perEnding, [overall], sessionsStarted, sessionsCompleted, viewerRows] = await Promise.all([
+    WorldCompletion.findAll({
+      where: { world_id: world.id },
+      attributes: [
+        'ending_id',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'times_reached'],
+        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('user_id'))), 'players'],
+        [sequelize.fn('AVG', sequelize.col('moves')), 'average_moves'],
+        [sequelize.fn('MIN', sequelize.col('moves')), 'fewest_moves']
+      ],
+      group: ['ending_id'],
+      raw: true
+    }),
+    WorldCompletion.findAll({
+      where: { world_id: world.id },
+      attributes: [
+        [sequelize.fn('COUNT', sequelize.col('id')), 'completions'],
+        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('user_id'))), 'players'],
+        [sequelize.fn('AVG', sequelize.col('moves')), 'average_moves'],
+        [sequelize.fn('MIN', sequelize.col('moves')), 'fewest_moves']
+      ],
+      raw: true
+    }),
+    GameSession.count({ where: { world_id: world.id } }),
+    GameSession.count({ where: { world_id: world.id, completed_at: { [Op.ne]: null } } }),
+    viewerId
+      ? WorldCompletion.findAll({
+        where: { world_id: world.id, user_id: viewerId },
+        attributes: ['ending_id'],
+        group: ['ending_id'],
+        raw: true
+      })
+      : []
+  ]);
+
+  const statsByEnding = Object.fromEntries(perEnding.map(row => [row.ending_id, row]));
+  const discovered = new Set(viewerRows.map(row => row.ending_id));
+
+  return {
+    worldId: world.id,
+    totalEndings: endings.length,
+    discoveredEndings: endings.filter(ending => discovered.has(ending.id)).length,
+    sessions: {
+      started: sessionsStarted,
+      completed: sessionsCompleted
+    },
+    completions: Number(overall?.completions || 0),
+    players: Number(overall?.players || 0),
+    averageMoves: roundMoves(overall?.average_moves),
+    fewestMoves: roundMoves(overall?.fewest_moves),
+    endings: endings.map(ending => {
+      const stats = statsByEnding[ending.id];
+      const hidden = ending.type === 'secret' && !discovered.has(ending.id) && !revealAll;
+      return {
+        id: hidden ? null : ending.id,
+        title: hidden ? null : ending.title,
+        type: ending.type || 'good',
+        discovered: discovered.has(ending.id),
+        timesReached: Number(stats?.times_reached || 0),
+        players: Number(stats?.players || 0),
+        averageMoves: roundMoves(stats?.average_moves),
+        fewestMoves: roundMoves(stats?.fewest_moves)
+      };
+    })
+  };
+};
+
+/**
+ * Endings a player has discovered across every world they have played.
+ * Returns { discovered, total, worldsCompleted, worlds: [{ worldId, name, discovered, total }] }.
+ */
+const getUserEndingStats = async (userId) => {
+  const [played, found] = await Promise.all([
+    GameSession.findAll({
+      where: { user_id: userId },
+      attributes: ['world_id'],
+      group: ['world_id'],
+      raw: true
+    }),
+    WorldCompletion.findAll({
+      where: { user_id: userId },
+      attributes: ['world_id', 'ending_id'],
+      group: ['world_id', 'ending_id'],
+      raw: true
+    })
+  ]);
+
+  const worlds = await World.findAll({
+    where: { id: { [Op.in]: played.map(row => row.world_id) } },
+    attributes: ['id', 'name', 'world_data']
+  });
+
+  const perWorld = worlds
+    .map(world => {
+      const endingIds = (world.world_data?.endings || []).map(ending => ending.id);
+      const discovered = found.filter(row => row.world_id === world.id && endingIds.includes(row.ending_id));
+      return {
+        worldId: world.id,
+        name: world.name,
+        discovered: discovered.length,
+        total: endingIds.length
+      };
+    })
+    .filter(world => world.total > 0);
+
+  return {
+    discovered: perWorld.reduce((sum, world) => sum + world.discovered, 0),
+    total: perWorld.reduce((sum, world) => sum + world.total, 0),
+    worldsCompleted: perWorld.filter(world => world.discovered > 0).length,
+    worlds: perWorld
+  };
+};
+
+module.exports = {
+  recordCompletion,
+  syncCompletion,
+  getWorldStats,
+  getUserEndingStats
+};
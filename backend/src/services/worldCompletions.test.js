@@ -0,0 +1,59 @@
+jest.mock('../config/database', () => ({ sequelize: {} }));
+jest.mock('../models', () => ({
+  World: {},
+  GameSession: {},
+  WorldCompletion: { findOrCreate: jest.fn() }
+}));
+
+const { WorldCompletion } = require('../models');
+const worldCompletions = require('./worldCompletions');
+
+const ending = { id: 'escape', title: 'Escaped', type: 'good' };
+
+describe('worldCompletions.recordCompletion', () => {
+  beforeEach(() => {
+    WorldCompletion.findOrCreate.mockReset();
+    WorldCompletion.findOrCreate.mockResolvedValue([{ id: 'c1' }, true]);
+  });
+
+  it('records each ending once per session', async () => {
+    const session = { id: 's1', world_id: 'w1', user_id: 'u1', stats: { moves: 7 }, world_revision: 2 };
+
+    await worldCompletions.recordCompletion(session, ending, 'tx');
+
+    expect(WorldCompletion.findOrCreate).toHaveBeenCalledWith({
+      where: { session_id: 's1', ending_id: 'escape' },
+      defaults: { world_id: 'w1', user_id: 'u1', ending_type: 'good', moves: 7, world_revision: 2 },
+      transaction: 'tx'
+    });
+  });
+
+  it('marks the session complete the first time it finishes', async () => {
+    const first = new Date('2026-01-01');
+    const fresh = { id: 's1' };
+    const finished = { id: 's2', completed_at: first };
+
+    await worldCompletions.recordCompletion(fresh, ending);
+    await worldCompletions.recordCompletion(finished, ending);
+
+    expect(fresh.completed_at).toBeInstanceOf(Date);
+    expect(finished.completed_at).toBe(first);
+  });
+});
+
+describe('worldCompletions.syncCompletion', () => {
+  it('clears the completion of a session restored to before its ending', () => {
+    const session = { completed_at: new Date(), game_state: { flags: {} } };
+    worldCompletions.syncCompletion(session);
+
+    expect(session.completed_at).toBeNull();
+  });
+
+  it('keeps the completion of a session still at its ending', () => {
+    const completedAt = new Date();
+    const session = { completed_at: completedAt, game_state: { ending: 'escape' } };
+    worldCompletions.syncCompletion(session);
+
+    expect(session.completed_at).toBe(completedAt);
+  });
+});
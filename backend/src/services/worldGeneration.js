@@ -0,0 +1,506 @@
+/**
+ * World Generation
+ * Drafts worlds for authors with the AI world builder, in the same JSON the
+ * builder edits and the validator checks:
+ *
+ *   { worldInfo, startLocation, locations, items, specialActions }
+ *
+ * generateWorld writes a whole world from a brief (premise, tone, size and
+ * constraints); expandLocation grows an existing world outward from one of
+ * its locations. Nothing is saved: the draft goes back to the author, who
+ * edits it and publishes it like any other world.
+ *
+ * The model's answer is repaired before anyone sees it. IDs are normalised,
+ * choices that lead nowhere or take items that aren't there are dropped,
+ * every new location gets a way in and a way out, and each repair is listed
+ * so the author knows what changed. An answer with no usable locations is
+ * asked for again once, then refused with an AIInvalidResponseError.
+ */
+
+const ai = require('./ai');
+const { validateWorld } = require('./worldValidator');
+const { AIInvalidResponseError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Roughly how big a generated world is
+const SIZES = {
+  small: { locations: 5, items: 3 },
+  medium: { locations: 9, items: 6 },
+  large: { locations: 15, items: 10 }
+};
+
+// Generated choices keep to what needs no conditions or effects
+const CHOICE_ACTIONS = ['move', 'take', 'examine'];
+
+const WORLD_KEYS = ['worldInfo', 'startLocation', 'locations', 'items', 'specialActions'];
+const EXPANSION_KEYS = ['locations', 'items', 'specialActions', 'choices'];
+
+// Most a single answer may add, and how long its text may run
+const LIMITS = {
+  worldLocations: 30,
+  worldItems: 30,
+  expandLocations: 5,
+  expandItems: 5,
+  expandChoices: 4,
+  choices: 6,
+  constraints: 10,
+  name: 100,
+  description: 2000,
+  text: 200
+};
+
+// How many of the world's locations and items an expansion prompt names
+const PROMPT_LISTING = 60;
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Lowercase letters, digits and underscores, as world IDs are written
+const toId = (value) => {
+  return String(value).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+};
+
+const listing = (entries) => {
+  const names = Object.entries(entries || {})
+    .slice(0, PROMPT_LISTING)
+    .map(([id, entry]) => `${id} (${entry?.name || id})`);
+  return names.length > 0 ? names.join(', ') : 'none';
+};
+
+const SHAPES = `A location is {"name", "description", "items": [itemId], "choices": [choice]}.
+An item is {"name", "description", "slot"} (slot only for things worn, such as "head" or "neck").
+A choice is {"text", "action": "move" | "take" | "examine", "target"}: move to a location ID, take an item lying in that location, or examine something whose text is in "specialActions" under the same target.
+IDs are lowercase letters, digits and underscores.`;
+
+/**
+ * What the world builder is told for a new world. `brief` is { premise, tone,
+ * size, constraints }.
+ */
+const worldRequest = ({ premise, tone, size = 'medium', constraints = [] }) => {
+  const scale = SIZES[size] || SIZES.medium;
+  return {
+    system: `You are a world builder for a choose-your-own-adventure game. You design small worlds of connected locations that players explore by making choices.
+Answer with one JSON object with only these fields:
+"worldInfo": {"name", "description"}
+"startLocation": the ID of the location play starts in
+"locations": {"<id>": location}
+"items": {"<id>": item}
+"specialActions": {"<target>": what the player reads on examining it}
+${SHAPES}
+Every location should be reachable from the start and have a way onward or back. Every item should lie somewhere it can be taken.`,
+    prompt: `Premise: ${premise}
+Tone: ${tone || 'your choice'}
+Size: about ${scale.locations} locations and ${scale.items} items
+${constraints.length > 0 ? `Keep to these constraints:\n${constraints.map(constraint => `- ${constraint}`).join('\n')}` : ''}`.trim(),
+    maxTokens: 3000,
+    temperature: 0.9
+  };
+};
+
+/**
+ * What the world builder is told to grow a world from one location.
+ * `request` is { locationId, prompt, count }.
+ */
+const expansionRequest = (worldData, { locationId, prompt, count }) => {
+  const location = worldData.locations[locationId];
+  return {
+    system: `You are a world builder extending "${worldData.worldInfo?.name || 'a world'}", a choose-your-own-adventure game: ${worldData.worldInfo?.description || ''}
+Locations already there: ${listing(worldData.locations)}
+Items already there: ${listing(worldData.items)}
+Answer with one JSON object with only these fields:
+"locations": {"<id>": location}, the new locations only
+"items": {"<id>": item}, new items only
+"specialActions": {"<target>": what the player reads on examining it}
+"choices": [choice], new choices to offer at ${locationId}
+${SHAPES}
+Don't reuse the IDs of things already there, but choices may lead to them.`,
+    prompt: `Expand the location "${locationId}": ${location.name || locationId}. ${location.description || ''}
+Add up to ${count} new locations that connect to it.${prompt ? `\nThe author's direction: ${prompt}` : ''}`,
+    maxTokens: 2000,
+    temperature: 0.8
+  };
+};
+
+/**
+ * Repair the model's locations, items, specialActions and anchor choices
+ * against a world they are added to (`base`, empty for a new world). Only the
+ * new parts are touched; the base world is read, never changed. `anchorId` is
+ * where new locations hang from: the start of a new world, or the location
+ * being expanded. Returns { locations, items, specialActions, anchorChoices,
+ * resolve, repairs }.
+ */
+const repairDraft = (data, base, { anchorId = null, limits }) => {
+  const repairs = [];
+  const clip = (value, max, label) => {
+    const text = value.trim();
+    if (text.length > max) {
+      repairs.push(`Shortened ${label}`);
+      return text.slice(0, max);
+    }
+    return text;
+  };
+
+  const section = (key, isShaped) => {
+    if (data[key] === undefined) return null;
+    if (!isShaped(data[key])) {
+      repairs.push(`Dropped "${key}"; it isn't shaped as expected`);
+      return null;
+    }
+    return data[key];
+  };
+
+  // Entries keyed by ID, normalising the IDs. The base world's definitions
+  // are never replaced; references to them still work.
+  const renamed = { items: {}, locations: {} };
+  const keyed = (kind, entries, limit) => {
+    const noun = kind === 'items' ? 'item' : 'location';
+    const kept = {};
+    Object.entries(entries || {}).forEach(([rawId, entry]) => {
+      const id = toId(rawId);
+      if (id !== rawId) {
+        repairs.push(`Renamed ${noun} "${rawId}" to "${id}"`);
+        renamed[kind][rawId] = id;
+      }
+      if (!id || kept[id]) {
+        repairs.push(`Dropped ${noun} "${rawId}"; its ID is empty or repeated`);
+      } else if (base[kind]?.[id] !== undefined) {
+        repairs.push(`Kept the existing ${noun} "${id}" rather than redefining it`);
+      } else if (!isPlainObject(entry) || !isText(entry.name)) {
+        repairs.push(`Dropped ${noun} "${id}"; it has no name`);
+      } else if (Object.keys(kept).length >= limit) {
+        repairs.push(`Dropped ${noun} "${id}"; at most ${limit} can be added at once`);
+      } else {
+        kept[id] = entry;
+      }
+    });
+    return kept;
+  };
+  const resolve = (kind, id) => (typeof id === 'string' ? renamed[kind][id] || toId(id) : null);
+
+  const items = {};
+  Object.entries(keyed('items', section('items', isPlainObject), limits.items)).forEach(([id, item]) => {
+    items[id] = {
+      name: clip(item.name, LIMITS.name, `the name of item "${id}"`),
+      description: isText(item.description) ? clip(item.description, LIMITS.description, `item "${id}"`) : '',
+      ...(isText(item.slot) ? { slot: toId(item.slot) } : {})
+    };
+  });
+  const itemExists = (id) => Boolean(base.items?.[id] || items[id]);
+
+  const newLocations = keyed('locations', section('locations', isPlainObject), limits.locations);
+  const locationExists = (id) => Boolean(base.locations?.[id] || newLocations[id]);
+
+  const specialActions = {};
+  Object.entries(section('specialActions', isPlainObject) || {}).forEach(([target, text]) => {
+    const id = toId(target);
+    if (!id || !isText(text)) {
+      repairs.push(`Dropped specialActions "${target}"; it has no text`);
+    } else if (base.specialActions?.[id] === undefined) {
+      specialActions[id] = clip(text, LIMITS.description, `what examining "${id}" shows`);
+    }
+  });
+
+  // Placed items, checked against every location so none is placed twice
+  const placedAt = {};
+  Object.values(base.locations || {}).forEach(location => {
+    (Array.isArray(location?.items) ? location.items : []).forEach(itemId => { placedAt[itemId] = true; });
+  });
+  const placements = {};
+  Object.entries(newLocations).forEach(([id, location]) => {
+    placements[id] = [];
+    (Array.isArray(location.items) ? location.items : []).forEach(rawItem => {
+      const itemId = resolve('items', rawItem);
+      if (!itemExists(itemId)) {
+        repairs.push(`Left "${rawItem}" out of "${id}"; there is no such item to place`);
+      } else if (placedAt[itemId]) {
+        repairs.push(`Left "${itemId}" out of "${id}"; it already lies somewhere else`);
+      } else {
+        placedAt[itemId] = true;
+        placements[id].push(itemId);
+      }
+    });
+  });
+
+  // `placeHere`, when given, puts an item that lies nowhere yet where it is taken
+  const checkChoice = (choice, where, itemsThere, placeHere) => {
+    if (!isPlainObject(choice) || !isText(choice.text) || !isText(choice.target)) {
+      repairs.push(`Dropped a choice at "${where}" with no text or target`);
+      return null;
+    }
+    if (!CHOICE_ACTIONS.includes(choice.action)) {
+      repairs.push(`Dropped the choice "${choice.text}" at "${where}"; "${choice.action}" isn't one of ${CHOICE_ACTIONS.join(', ')}`);
+      return null;
+    }
+
+    const target = choice.action === 'examine' ? toId(choice.target) : resolve(choice.action === 'move' ? 'locations' : 'items', choice.target);
+    if (choice.action === 'move' && (!locationExists(target) || target === where)) {
+      repairs.push(`Dropped the choice "${choice.text}" at "${where}"; there is no location "${target}" to go to`);
+      return null;
+    }
+    if (choice.action === 'take' && !itemsThere.includes(target)) {
+      if (!itemExists(target) || placedAt[target] || !placeHere) {
+        repairs.push(`Dropped the choice "${choice.text}" at "${where}"; "${target}" isn't there to take`);
+        return null;
+      }
+      placedAt[target] = true;
+      placeHere(target);
+      repairs.push(`Put "${target}" in "${where}" so it can be taken there`);
+    }
+    if (choice.action === 'examine') {
+      if (!target) {
+        repairs.push(`Dropped the choice "${choice.text}" at "${where}"; it has no target`);
+        return null;
+      }
+      if (isText(choice.response) && specialActions[target] === undefined && base.specialActions?.[target] === undefined) {
+        specialActions[target] = clip(choice.response, LIMITS.description, `what examining "${target}" shows`);
+      }
+    }
+
+    return { text: clip(choice.text, LIMITS.text, 'a choice'), action: choice.action, target };
+  };
+
+  const checkChoices = (choices, where, itemsThere, limit, placeHere = null) => {
+    const kept = [];
+    const seen = new Set();
+    (Array.isArray(choices) ? choices : []).forEach(choice => {
+      const checked = checkChoice(choice, where, itemsThere, placeHere);
+      if (!checked) return;
+      const signature = `${checked.action}:${checked.target}`;
+      if (seen.has(signature)) {
+        repairs.push(`Dropped the choice "${checked.text}" at "${where}"; it repeats another`);
+      } else if (kept.length >= limit) {
+        repairs.push(`Dropped the choice "${checked.text}" at "${where}"; at most ${limit} are kept`);
+      } else {
+        seen.add(signature);
+        kept.push(checked);
+      }
+    });
+    return kept;
+  };
+
+  const locations = {};
+  Object.entries(newLocations).forEach(([id, location]) => {
+    const itemsThere = placements[id];
+    const choices = checkChoices(location.choices, id, itemsThere, LIMITS.choices, itemId => itemsThere.push(itemId));
+    locations[id] = {
+      name: clip(location.name, LIMITS.name, `the name of location "${id}"`),
+      description: isText(location.description) ? clip(location.description, LIMITS.description, `location "${id}"`) : '',
+      ...(itemsThere.length > 0 ? { items: itemsThere } : {}),
+      choices
+    };
+  });
+
+  // New choices at a location of the base world (an expansion's anchor)
+  let anchorChoices = [];
+  if (anchorId && base.locations?.[anchorId]) {
+    const itemsThere = Array.isArray(base.locations[anchorId].items) ? base.locations[anchorId].items : [];
+    const existing = new Set((base.locations[anchorId].choices || []).map(choice => `${choice.action}:${choice.target}`));
+    anchorChoices = checkChoices(section('choices', Array.isArray), anchorId, itemsThere, limits.choices)
+      .filter(choice => {
+        if (existing.has(`${choice.action}:${choice.target}`)) {
+          repairs.push(`Dropped the choice "${choice.text}" at "${anchorId}"; it is already offered there`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  return { locations, items, specialActions, anchorChoices, resolve, repairs };
+};
+
+/**
+ * Give every new location a way in from the anchor and a way out, so nobody
+ * is stranded in a generated place. `choicesAtAnchor` is the list the anchor's
+ * new choices go in; it is changed in place, as are the locations.
+ */
+const connect = (locations, anchorId, anchorName, choicesAtAnchor, repairs) => {
+  const movesFrom = (id) => (id === anchorId ? choicesAtAnchor : locations[id]?.choices || [])
+    .filter(choice => choice.action === 'move')
+    .map(choice => choice.target);
+
+  const reachable = new Set([anchorId]);
+  const queue = [anchorId];
+  while (queue.length > 0) {
+    movesFrom(queue.shift()).forEach(next => {
+      if (locations[next] && !reachable.has(next)) {
+        reachable.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  Object.keys(locations).filter(id => !reachable.has(id)).forEach(id => {
+    choicesAtAnchor.push({ text: `Go to ${locations[id].name}`, action: 'move', target: id });
+    repairs.push(`Added a way into "${id}" from "${anchorId}"`);
+  });
+
+  Object.entries(locations)
+    .filter(([id, location]) => id !== anchorId && !location.choices.some(choice => choice.action === 'move'))
+    .forEach(([id, location]) => {
+      const from = Object.keys(locations).find(other => other !== id && movesFrom(other).includes(id)) || anchorId;
+      const name = from === anchorId ? anchorName : locations[from].name;
+      location.choices.push({ text: `Go back to ${name}`, action: 'move', target: from });
+      repairs.push(`Added a way back from "${id}"`);
+    });
+};
+
+// Unknown top-level fields are reported, then ignored
+const dropUnknown = (data, known, repairs) => {
+  Object.keys(data)
+    .filter(key => !known.includes(key))
+    .forEach(key => repairs.push(`Dropped unknown field "${key}"`));
+};
+
+/**
+ * Turn the model's answer into a world draft. Returns { worldData, repairs,
+ * problems }; `worldData` is null when there is nothing usable.
+ */
+const checkWorld = (data, brief) => {
+  if (!isPlainObject(data)) {
+    return { worldData: null, repairs: [], problems: ['The answer is not a JSON object'] };
+  }
+
+  const repairs = [];
+  dropUnknown(data, WORLD_KEYS, repairs);
+
+  const drafted = repairDraft(data, {}, {
+    limits: { locations: LIMITS.worldLocations, items: LIMITS.worldItems }
+  });
+  repairs.push(...drafted.repairs);
+  const { locations, items, specialActions } = drafted;
+
+  const ids = Object.keys(locations);
+  if (ids.length === 0) {
+    return { worldData: null, repairs, problems: ['"locations" has no usable location'] };
+  }
+
+  let startLocation = drafted.resolve('locations', data.startLocation);
+  if (!locations[startLocation]) {
+    startLocation = ids[0];
+    repairs.push(`Started the world at "${startLocation}"; "startLocation" was missing or unknown`);
+  }
+  connect(locations, startLocation, locations[startLocation].name, locations[startLocation].choices, repairs);
+
+  const info = isPlainObject(data.worldInfo) ? data.worldInfo : {};
+  if (!isText(info.name)) {
+    repairs.push('Named the world, which had no name');
+  }
+
+  return {
+    worldData: {
+      worldInfo: {
+        name: isText(info.name) ? info.name.trim().slice(0, LIMITS.name) : `${brief.premise}`.slice(0, 60).trim(),
+        description: isText(info.description) ? info.description.trim().slice(0, LIMITS.description) : brief.premise,
+        author: '',
+        version: '1.0.0'
+      },
+      startLocation,
+      locations,
+      items,
+      specialActions
+    },
+    repairs,
+    problems: []
+  };
+};
+
+/**
+ * Merge the model's expansion into a world. Returns { worldData, added,
+ * repairs, problems }; `added` names the new locations and items.
+ */
+const checkExpansion = (data, worldData, locationId) => {
+  if (!isPlainObject(data)) {
+    return { worldData: null, added: null, repairs: [], problems: ['The answer is not a JSON object'] };
+  }
+
+  const repairs = [];
+  dropUnknown(data, EXPANSION_KEYS, repairs);
+
+  const drafted = repairDraft(data, worldData, {
+    anchorId: locationId,
+    limits: { locations: LIMITS.expandLocations, items: LIMITS.expandItems, choices: LIMITS.expandChoices }
+  });
+  repairs.push(...drafted.repairs);
+  const { locations, items, specialActions, anchorChoices } = drafted;
+
+  if (Object.keys(locations).length === 0) {
+    return { worldData: null, added: null, repairs, problems: ['"locations" has no usable new location'] };
+  }
+
+  const anchor = worldData.locations[locationId];
+  connect(locations, locationId, anchor.name || locationId, anchorChoices, repairs);
+
+  return {
+    worldData: {
+      ...worldData,
+      locations: {
+        ...worldData.locations,
+        [locationId]: { ...anchor, choices: [...(anchor.choices || []), ...anchorChoices] },
+        ...locations
+      },
+      items: { ...worldData.items, ...items },
+      specialActions: { ...worldData.specialActions, ...specialActions }
+    },
+    added: { locations: Object.keys(locations), items: Object.keys(items) },
+    repairs,
+    problems: []
+  };
+};
+
+// Ask, and ask once more with what was wrong when the answer can't be used
+const askBuilder = async (request, check, chargeTo) => {
+  let answer = await ai.generateJSON('worldBuilder', request, chargeTo);
+  let checked = check(answer.data);
+
+  if (!checked.worldData) {
+    logger.warn(`World builder answer refused (${checked.problems.join('; ')}), asking again`);
+    answer = await ai.generateJSON('worldBuilder', {
+      ...request,
+      prompt: `${request.prompt}\n\nYour last answer could not be used: ${checked.problems.join('; ')}. Answer again with a JSON object as described.`
+    }, chargeTo);
+    checked = check(answer.data);
+  }
+
+  if (!checked.worldData) {
+    throw new AIInvalidResponseError('The world builder gave an answer that could not be used', checked.problems);
+  }
+
+  return { ...answer, ...checked, validation: validateWorld(checked.worldData) };
+};
+
+/**
+ * Draft a whole world from `brief`: { premise, tone, size (small, medium or
+ * large), constraints: [text] }. Returns the AI result with { worldData,
+ * repairs, validation }.
+ */
+const generateWorld = async (brief, chargeTo) => {
+  const result = await askBuilder(worldRequest(brief), data => checkWorld(data, brief), chargeTo);
+  logger.info(`World drafted for user ${chargeTo.user.id}: ${Object.keys(result.worldData.locations).length} locations, ${result.repairs.length} repairs`);
+  return result;
+};
+
+/**
+ * Grow `worldData` outward from `locationId` with up to `count` new
+ * locations, steered by the author's `prompt`. Returns the AI result with
+ * { worldData (the whole world, expanded), added, repairs, validation }.
+ */
+const expandLocation = async (worldData, { locationId, prompt = null, count = 3 }, chargeTo) => {
+  const request = expansionRequest(worldData, { locationId, prompt, count: Math.min(count, LIMITS.expandLocations) });
+  const result = await askBuilder(request, data => checkExpansion(data, worldData, locationId), chargeTo);
+  logger.info(`World expanded from "${locationId}" for user ${chargeTo.user.id}: ${result.added.locations.length} locations, ${result.repairs.length} repairs`);
+  return result;
+};
+
+module.exports = {
+  SIZES,
+  CHOICE_ACTIONS,
+  LIMITS,
+  worldRequest,
+  expansionRequest,
+  checkWorld,
+  checkExpansion,
+  generateWorld,
+  expandLocation
+};
@@ -0,0 +1,169 @@
+jest.mock('./ai', () => ({ generateJSON: jest.fn() }));
+jest.mock('../config/environment', () => ({}));
+
+const ai = require('./ai');
+const worldGeneration = require('./worldGeneration');
+const { validateWorld } = require('./worldValidator');
+const { AIInvalidResponseError } = require('../middleware/errorHandler');
+
+const brief = { premise: 'A drowned lighthouse on a storm-lashed rock', size: 'small' };
+
+// An answer with the usual slips: odd IDs, a stray field, a choice to
+// nowhere, a take of an item that isn't there and a location with no way in
+const answer = () => ({
+  worldInfo: { name: 'The Drowned Lighthouse' },
+  startLocation: 'Rotting Jetty',
+  notes: 'Here is your world!',
+  locations: {
+    'Rotting Jetty': {
+      name: 'Rotting Jetty',
+      description: 'Waves slap against the planks.',
+      items: ['rope'],
+      choices: [
+        { text: 'Climb to the lamp room', action: 'move', target: 'lamp_room' },
+        { text: 'Sail to the mainland', action: 'move', target: 'mainland' },
+        { text: 'Take the rope', action: 'take', target: 'rope' },
+        { text: 'Take the rope again', action: 'take', target: 'rope' },
+        { text: 'Look at the boat', action: 'examine', target: 'boat', response: 'It has been holed from the inside.' }
+      ]
+    },
+    lamp_room: {
+      name: 'Lamp Room',
+      description: 'The great lens is cracked.',
+      choices: [
+        { text: 'Take the logbook', action: 'take', target: 'logbook' },
+        { text: 'Take the spyglass', action: 'take', target: 'spyglass' },
+        { text: 'Climb down', action: 'move', target: 'Rotting Jetty' }
+      ]
+    },
+    cellar: { name: 'Flooded Cellar', description: 'Knee-deep seawater.' },
+    nameless: { description: 'No name at all' }
+  },
+  items: {
+    rope: { name: 'Coil of Rope' },
+    logbook: { name: 'Keeper\'s Logbook' }
+  }
+});
+
+describe('worldGeneration.checkWorld', () => {
+  it('repairs a drafted world and lists every repair', () => {
+    const { worldData, repairs, problems } = worldGeneration.checkWorld(answer(), brief);
+
+    expect(problems).toEqual([]);
+    expect(worldData.startLocation).toBe('rotting_jetty');
+    expect(Object.keys(worldData.locations)).toEqual(['rotting_jetty', 'lamp_room', 'cellar']);
+    expect(worldData.locations.rotting_jetty.choices.map(choice => choice.target)).toEqual(['lamp_room', 'rope', 'boat', 'cellar']);
+    expect(worldData.locations.lamp_room).toMatchObject({
+      items: ['logbook'],
+      choices: [
+        { text: 'Take the logbook', action: 'take', target: 'logbook' },
+        { text: 'Climb down', action: 'move', target: 'rotting_jetty' }
+      ]
+    });
+    expect(worldData.locations.cellar.choices).toEqual([{ text: 'Go back to Rotting Jetty', action: 'move', target: 'rotting_jetty' }]);
+    expect(worldData.specialActions).toEqual({ boat: 'It has been holed from the inside.' });
+    expect(repairs).toEqual([
+      'Dropped unknown field "notes"',
+      'Renamed location "Rotting Jetty" to "rotting_jetty"',
+      'Dropped location "nameless"; it has no name',
+      'Dropped the choice "Sail to the mainland" at "rotting_jetty"; there is no location "mainland" to go to',
+      'Dropped the choice "Take the rope again" at "rotting_jetty"; it repeats another',
+      'Put "logbook" in "lamp_room" so it can be taken there',
+      'Dropped the choice "Take the spyglass" at "lamp_room"; "spyglass" isn\'t there to take',
+      'Added a way into "cellar" from "rotting_jetty"',
+      'Added a way back from "cellar"'
+    ]);
+  });
+
+  it('gives a repaired draft the validator accepts', () => {
+    const { worldData } = worldGeneration.checkWorld(answer(), brief);
+
+    expect(validateWorld(worldData).errors).toEqual([]);
+  });
+
+  it('starts at the first location and names the world when the answer does not', () => {
+    const data = answer();
+    delete data.worldInfo;
+    data.startLocation = 'attic';
+
+    const { worldData, repairs } = worldGeneration.checkWorld(data, brief);
+
+    expect(worldData.startLocation).toBe('rotting_jetty');
+    expect(worldData.worldInfo.name).toBe('A drowned lighthouse on a storm-lashed rock');
+    expect(repairs).toEqual(expect.arrayContaining([
+      'Started the world at "rotting_jetty"; "startLocation" was missing or unknown',
+      'Named the world, which had no name'
+    ]));
+  });
+
+  it('refuses an answer with no usable location', () => {
+    expect(worldGeneration.checkWorld({ locations: { x: {} } }, brief)).toMatchObject({
+      worldData: null,
+      problems: ['"locations" has no usable location']
+    });
+    expect(worldGeneration.checkWorld([], brief).problems).toEqual(['The answer is not a JSON object']);
+  });
+});
+
+describe('worldGeneration.checkExpansion', () => {
+  const world = () => worldGeneration.checkWorld(answer(), brief).worldData;
+
+  it('adds new places without touching what the world already defines', () => {
+    const base = world();
+    const { worldData, added, repairs } = worldGeneration.checkExpansion({
+      locations: {
+        lamp_room: { name: 'A different lamp room' },
+        gallery: { name: 'Watch Gallery', items: ['spyglass', 'rope'] }
+      },
+      items: { spyglass: { name: 'Spyglass' }, rope: { name: 'Another rope' } },
+      choices: [
+        { text: 'Climb to the lamp room', action: 'move', target: 'lamp_room' },
+        { text: 'Step onto the gallery', action: 'move', target: 'gallery' }
+      ]
+    }, base, 'lamp_room');
+
+    expect(added).toEqual({ locations: ['gallery'], items: ['spyglass'] });
+    expect(worldData.locations.lamp_room.name).toBe('Lamp Room');
+    expect(worldData.items.rope.name).toBe('Coil of Rope');
+    expect(worldData.locations.gallery).toMatchObject({
+      items: ['spyglass'],
+      choices: [{ text: 'Go back to Lamp Room', action: 'move', target: 'lamp_room' }]
+    });
+    expect(worldData.locations.lamp_room.choices.slice(-1)).toEqual([{ text: 'Step onto the gallery', action: 'move', target: 'gallery' }]);
+    expect(repairs).toEqual([
+      'Kept the existing item "rope" rather than redefining it',
+      'Kept the existing location "lamp_room" rather than redefining it',
+      'Left "rope" out of "gallery"; it already lies somewhere else',
+      'Dropped the choice "Climb to the lamp room" at "lamp_room"; there is no location "lamp_room" to go to',
+      'Added a way back from "gallery"'
+    ]);
+    expect(base.locations.lamp_room.choices).toHaveLength(2);
+  });
+});
+
+describe('worldGeneration.generateWorld', () => {
+  const chargeTo = { user: { id: 'u1' } };
+
+  beforeEach(() => {
+    ai.generateJSON.mockReset();
+  });
+
+  it('asks once more when the first answer is unusable', async () => {
+    ai.generateJSON
+      .mockResolvedValueOnce({ data: { locations: {} } })
+      .mockResolvedValueOnce({ data: answer(), provider: 'fake' });
+
+    const result = await worldGeneration.generateWorld(brief, chargeTo);
+
+    expect(result.provider).toBe('fake');
+    expect(result.validation.valid).toBe(true);
+    expect(ai.generateJSON.mock.calls[1][1].prompt).toMatch('Your last answer could not be used: "locations" has no usable location');
+  });
+
+  it('gives up after a second unusable answer', async () => {
+    ai.generateJSON.mockResolvedValue({ data: 'not a world' });
+
+    await expect(worldGeneration.generateWorld(brief, chargeTo)).rejects.toThrow(AIInvalidResponseError);
+    expect(ai.generateJSON).toHaveBeenCalledTimes(2);
+  });
+});
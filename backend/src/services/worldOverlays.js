@@ -0,0 +1,79 @@
+/**
+ * World Overlays
+ * What the AI Dungeon Master has added to a world for one game session,
+ * kept apart from the author's world data in `game_sessions.world_overlay`:
+ *
+ *   { locations: { [id]: location }, items: { [id]: item },
+ *     choices: { [locationId]: [choice] }, specialActions: { [target]: text } }
+ *
+ * A session plays against its world revision with the overlay laid on top,
+ * so the game engine moves into added locations and picks up added items
+ * like any others. The author's own definitions always win: an overlay entry
+ * whose ID the world (perhaps a later revision of it) also defines is ignored.
+ */
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const emptyOverlay = () => ({ locations: {}, items: {}, choices: {}, specialActions: {} });
+
+// Entries of `added` that `base` doesn't already define
+const addMissing = (base = {}, added = {}) => {
+  return {
+    ...Object.fromEntries(Object.entries(added).filter(([id]) => base[id] === undefined)),
+    ...base
+  };
+};
+
+/**
+ * The world data with an overlay laid on top. Returns `worldData` itself when
+ * there is nothing to add.
+ */
+const applyOverlay = (worldData, overlay) => {
+  if (!isPlainObject(overlay) || Object.values(overlay).every(section => !section || Object.keys(section).length === 0)) {
+    return worldData;
+  }
+
+  const locations = addMissing(worldData.locations, overlay.locations);
+  Object.entries(overlay.choices || {}).forEach(([locationId, choices]) => {
+    if (locations[locationId]) {
+      locations[locationId] = {
+        ...locations[locationId],
+        choices: [...(locations[locationId].choices || []), ...choices]
+      };
+    }
+  });
+
+  return {
+    ...worldData,
+    locations,
+    items: addMissing(worldData.items, overlay.items),
+    specialActions: addMissing(worldData.specialActions, overlay.specialActions)
+  };
+};
+
+/**
+ * Add a Dungeon Master's additions to an overlay, returning a new one.
+ * `additions` has the overlay's shape.
+ */
+const extendOverlay = (overlay, additions) => {
+  const current = { ...emptyOverlay(), ...(isPlainObject(overlay) ? overlay : {}) };
+  const choices = { ...current.choices };
+  Object.entries(additions.choices || {}).forEach(([locationId, added]) => {
+    choices[locationId] = [...(choices[locationId] || []), ...added];
+  });
+
+  return {
+    locations: { ...current.locations, ...additions.locations },
+    items: { ...current.items, ...additions.items },
+    choices,
+    specialActions: { ...current.specialActions, ...additions.specialActions }
+  };
+};
+
+module.exports = {
+  emptyOverlay,
+  applyOverlay,
+  extendOverlay
+};
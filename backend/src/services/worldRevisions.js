@@ -0,0 +1,250 @@
+/**
+ * World Revisions
+ * Every change to a world's data is stored as a numbered revision so game
+ * sessions can stay pinned to the data they started on. Authors can attach a
+ * migration map to a revision describing how IDs from the previous revision
+ * carry over, which lets players upgrade an in-progress session safely:
+ *
+ *   { "locations": { "old_cave": "crystal_cave", "collapsed_mine": null },
+ *     "items": { "rusty_key": "iron_key" },
+ *     "fallbackLocation": "village" }
+ *
+ * A `null` target means the ID was removed. IDs not listed are kept as-is.
+ */
+
+const { Op } = require('sequelize');
+const { World, WorldRevision } = require('../models');
+const { sequelize } = require('../config/database');
+const worldRules = require('./worldRules');
+
+const MIGRATION_KEYS = ['locations', 'items', 'fallbackLocation'];
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Store `worldData` as the world's next revision, make it current and save
+ * the world (along with any other pending changes on it). Worlds created
+ * before revisions existed get their previous data saved as revision 1
+ * first, so sessions already in progress stay on it.
+ */
+const saveWorldData = async (world, worldData, { migration = null, authorId = null } = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    let latest = await WorldRevision.max('revision', {
+      where: { world_id: world.id },
+      transaction
+    });
+
+    if (!Number.isInteger(latest) && JSON.stringify(world.world_data) !== JSON.stringify(worldData)) {
+      await WorldRevision.create({
+        world_id: world.id,
+        revision: 1,
+        version: world.version,
+        world_data: world.world_data,
+        author_id: world.author_id
+      }, { transaction });
+      latest = 1;
+    }
+
+    const revision = await WorldRevision.create({
+      world_id: world.id,
+      revision: Number.isInteger(latest) ? latest + 1 : 1,
+      version: worldData.worldInfo?.version || world.version,
+      world_data: worldData,
+      migration: Number.isInteger(latest) ? migration : null,
+      author_id: authorId
+    }, { transaction });
+
+    world.world_data = worldData;
+    world.version = worldData.worldInfo?.version || world.version;
+    world.current_revision = revision.revision;
+    await world.save({ transaction });
+
+    return revision;
+  });
+};
+
+/**
+ * The world data a session plays against: its pinned revision, or for
+ * sessions started before revisions existed, the world's first revision.
+ */
+const getSessionWorldData = async (session) => {
+  const revision = await WorldRevision.findOne({
+    where: {
+      world_id: session.world_id,
+      ...(session.world_revision ? { revision: session.world_revision } : {})
+    },
+    order: [['revision', 'ASC']]
+  });
+  if (revision) {
+    return revision.world_data;
+  }
+
+  const world = session.world || await World.findByPk(session.world_id);
+  return world.world_data;
+};
+
+// Revisions of a world newer than `revision`, oldest first
+const getRevisionsAfter = (worldId, revision) => {
+  return WorldRevision.findAll({
+    where: {
+      world_id: worldId,
+      revision: { [Op.gt]: revision }
+    },
+    order: [['revision', 'ASC']]
+  });
+};
+
+// Compare two keyed sections (locations, items, ...) of world data
+const diffSection = (from = {}, to = {}) => {
+  const added = Object.keys(to).filter(id => from[id] === undefined);
+  const removed = Object.keys(from).filter(id => to[id] === undefined);
+  const changed = Object.keys(to).filter(id => {
+    return from[id] !== undefined && JSON.stringify(from[id]) !== JSON.stringify(to[id]);
+  });
+  return { added, removed, changed };
+};
+
+// Summarise what changed between two versions of a world's data
+const diffWorlds = (from, to) => {
+  return {
+    worldInfo: JSON.stringify(from.worldInfo) !== JSON.stringify(to.worldInfo),
+    startLocation: from.startLocation !== to.startLocation
+      ? { from: from.startLocation, to: to.startLocation }
+      : null,
+    locations: diffSection(from.locations, to.locations),
+    items: diffSection(from.items, to.items),
+    specialActions: diffSection(from.specialActions, to.specialActions),
+    interactions: JSON.stringify(from.interactions || []) !== JSON.stringify(to.interactions || []),
+    endings: JSON.stringify(from.endings || []) !== JSON.stringify(to.endings || []),
+    variables: diffSection(from.variables, to.variables),
+    flags: diffSection(from.flags, to.flags)
+  };
+};
+
+/**
+ * Check a migration map against the revisions it connects. Returns
+ * diagnostics in the same shape as the world validator.
+ */
+const validateMigration = (migration, from, to) => {
+  const errors = [];
+  const report = (path, message) => {
+    errors.push({ severity: 'error', code: 'INVALID_MIGRATION', path, message });
+  };
+
+  if (!isPlainObject(migration)) {
+    report('migration', 'migration must be an object');
+    return errors;
+  }
+
+  Object.keys(migration)
+    .filter(key => !MIGRATION_KEYS.includes(key))
+    .forEach(key => report(`migration.${key}`, `Unknown migration key "${key}"`));
+
+  [['locations', 'location'], ['items', 'item']].forEach(([section, label]) => {
+    const map = migration[section];
+    if (map === undefined) return;
+    if (!isPlainObject(map)) {
+      report(`migration.${section}`, `migration.${section} must be an object`);
+      return;
+    }
+    Object.entries(map).forEach(([oldId, newId]) => {
+      if (from[section]?.[oldId] === undefined) {
+        report(`migration.${section}.${oldId}`, `"${oldId}" is not a ${label} in the previous revision`);
+      }
+      if (newId !== null && to[section]?.[newId] === undefined) {
+        report(`migration.${section}.${oldId}`, `"${newId}" is not a ${label} in the new revision`);
+      }
+    });
+  });
+
+  if (migration.fallbackLocation !== undefined && !to.locations?.[migration.fallbackLocation]) {
+    report('migration.fallbackLocation', `"${migration.fallbackLocation}" is not a location in the new revision`);
+  }
+
+  return errors;
+};
+
+// Follow one revision's migration map for an ID; null when the ID is gone
+const mapId = (map, section, id) => {
+  const mapped = map?.[section]?.[id];
+  return mapped === undefined ? id : mapped;
+};
+
+// Carry an engine state across a single revision step
+const migrateStep = (state, worldData, migration, notes) => {
+  const locations = worldData.locations || {};
+  const locationName = (id) => locations[id]?.name || id;
+  const mapLocation = (id) => {
+    const mapped = mapId(migration, 'locations', id);
+    return mapped && locations[mapped] ? mapped : null;
+  };
+  const mapItem = (id) => {
+    const mapped = mapId(migration, 'items', id);
+    return mapped && worldData.items?.[mapped] ? mapped : null;
+  };
+
+  const gameState = worldRules.normalizeState(state.gameState);
+
+  let currentLocation = mapLocation(state.currentLocation);
+  if (!currentLocation) {
+    currentLocation = locations[migration?.fallbackLocation] ? migration.fallbackLocation : worldData.startLocation;
+    notes.push(`"${state.currentLocation}" no longer exists; you have been moved to ${locationName(currentLocation)}`);
+  }
+
+  gameState.visited = [...new Set(gameState.visited.map(mapLocation).filter(Boolean))];
+  if (!gameState.visited.includes(currentLocation)) {
+    gameState.visited.push(currentLocation);
+  }
+
+  gameState.locationItems = Object.fromEntries(
+    Object.entries(gameState.locationItems)
+      .map(([locationId, itemIds]) => [mapLocation(locationId), itemIds.map(mapItem).filter(Boolean)])
+      .filter(([locationId]) => locationId)
+  );
+
+  const inventory = [];
+  (state.inventory || []).forEach(item => {
+    const itemId = mapItem(item.id);
+    if (!itemId) {
+      notes.push(`${item.name || item.id} was removed from this world and has left your inventory`);
+      return;
+    }
+    const refreshed = worldRules.createItem(worldData, itemId);
+    if (item.charges !== undefined && refreshed.charges !== undefined) {
+      refreshed.charges = Math.min(item.charges, refreshed.charges);
+    }
+    inventory.push(refreshed);
+  });
+
+  gameState.equipped = Object.fromEntries(
+    Object.entries(gameState.equipped)
+      .map(([slot, itemId]) => [slot, mapItem(itemId)])
+      .filter(([slot, itemId]) => itemId && worldData.items[itemId].slot === slot)
+  );
+
+  return { ...state, currentLocation, inventory, gameState };
+};
+
+/**
+ * Migrate an engine state through a chain of later revisions (ordered, each
+ * with its `world_data` and `migration`). Returns { state, notes } where
+ * notes explain anything the player lost or had moved.
+ */
+const migrateState = (state, revisions) => {
+  const notes = [];
+  const migrated = revisions.reduce((current, revision) => {
+    return migrateStep(current, revision.world_data, revision.migration, notes);
+  }, state);
+  return { state: migrated, notes };
+};
+
+module.exports = {
+  saveWorldData,
+  getSessionWorldData,
+  getRevisionsAfter,
+  diffWorlds,
+  validateMigration,
+  migrateState
+};
@@ -0,0 +1,330 @@
+/**
+ * World Rules
+ * Evaluates choice conditions (`requires`) and applies choice effects (`effects`)
+ * declared in world JSON against a session's game state and inventory.
+ *
+ * Game state shape:
+ *   { flags: { [name]: true }, variables: { [name]: value }, visited: [locationId],
+ *     equipped: { [slot]: itemId }, locationItems: { [locationId]: [itemId] },
+ *     ending: endingId }   // set once the player reaches one of the world's endings
+ */
+
+const ACTIONS = ['move', 'examine', 'use', 'take', 'talk', 'special', 'equip', 'unequip'];
+
+const ENDING_TYPES = ['good', 'bad', 'secret'];
+
+// Most prestige-bearing points an author-defined achievement can be worth
+const MAX_ACHIEVEMENT_POINTS = 50;
+
+const CONDITION_KEYS = [
+  'all', 'any', 'not', 'hasItem', 'lacksItem', 'equipped', 'flag', 'notFlag', 'visited', 'notVisited', 'var'
+];
+
+const EFFECT_KEYS = [
+  'setFlag', 'clearFlag', 'setVar', 'incrementVar', 'decrementVar', 'addItem', 'removeItem'
+];
+
+// What a world's `dungeonMaster.allow` can let the AI Dungeon Master do:
+// add locations, add items, add choices to existing locations, change flags
+// and variables, and give or take inventory items
+const DUNGEON_MASTER_SECTIONS = ['locations', 'items', 'choices', 'state', 'inventory'];
+
+// Parts of a world an author can put beyond the Dungeon Master's reach (`dungeonMaster.protect`)
+const DUNGEON_MASTER_PROTECTS = ['locations', 'items', 'flags', 'variables'];
+
+const COMPARATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+/**
+ * A rule in the world data that can't be interpreted, such as an unknown
+ * condition or effect in a world saved before validation existed or added by
+ * the Dungeon Master. The game engine refuses the action rather than failing.
+ */
+class WorldRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorldRuleError';
+  }
+}
+
+// Build the initial game state for a new session
+const createInitialState = (worldData) => {
+  return {
+    flags: { ...(worldData.flags || {}) },
+    variables: { ...(worldData.variables || {}) },
+    visited: worldData.startLocation ? [worldData.startLocation] : []
+  };
+};
+
+// Fill in any missing keys so sessions created before conditions existed still work
+const normalizeState = (gameState = {}) => {
+  return {
+    ...gameState,
+    flags: { ...(gameState.flags || {}) },
+    variables: { ...(gameState.variables || {}) },
+    visited: [...(gameState.visited || [])],
+    equipped: { ...(gameState.equipped || {}) },
+    locationItems: Object.fromEntries(
+      Object.entries(gameState.locationItems || {}).map(([id, items]) => [id, [...items]])
+    )
+  };
+};
+
+const hasItem = (inventory, itemId) => {
+  return (inventory || []).some(item => item.id === itemId);
+};
+
+// Build an inventory entry from an item definition; charged items track what's left
+const createItem = (worldData, itemId) => {
+  const definition = worldData?.items?.[itemId];
+  if (!definition) return null;
+  const item = { ...definition, id: itemId };
+  if (definition.charges !== undefined) {
+    item.charges = definition.charges;
+  }
+  return item;
+};
+
+// Drop an item from whatever slot holds it
+const unequipItem = (equipped, itemId) => {
+  return Object.fromEntries(
+    Object.entries(equipped || {}).filter(([, equippedId]) => equippedId !== itemId)
+  );
+};
+
+/**
+ * Evaluate a single condition. Supported forms:
+ *   { hasItem }, { lacksItem }, { equipped }, { flag }, { notFlag }, { visited }, { notVisited },
+ *   { var, op, value }, { all: [...] }, { any: [...] }, { not: condition }
+ */
+const evaluateCondition = (condition, gameState, inventory) => {
+  if (!condition) return true;
+  if (Array.isArray(condition)) {
+    return condition.every(c => evaluateCondition(c, gameState, inventory));
+  }
+
+  const state = normalizeState(gameState);
+
+  if (condition.all) {
+    return condition.all.every(c => evaluateCondition(c, state, inventory));
+  }
+  if (condition.any) {
+    return condition.any.some(c => evaluateCondition(c, state, inventory));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, state, inventory);
+  }
+  if (condition.hasItem !== undefined) {
+    return hasItem(inventory, condition.hasItem);
+  }
+  if (condition.lacksItem !== undefined) {
+    return !hasItem(inventory, condition.lacksItem);
+  }
+  if (condition.equipped !== undefined) {
+    return Object.values(state.equipped).includes(condition.equipped);
+  }
+  if (condition.flag !== undefined) {
+    return !!state.flags[condition.flag];
+  }
+  if (condition.notFlag !== undefined) {
+    return !state.flags[condition.notFlag];
+  }
+  if (condition.visited !== undefined) {
+    return state.visited.includes(condition.visited);
+  }
+  if (condition.notVisited !== undefined) {
+    return !state.visited.includes(condition.notVisited);
+  }
+  if (condition.var !== undefined) {
+    const compare = COMPARATORS[condition.op || '=='];
+    if (!compare) {
+      throw new WorldRuleError(`Unknown comparison operator: ${condition.op}`);
+    }
+    const current = state.variables[condition.var] !== undefined ? state.variables[condition.var] : 0;
+    return compare(current, condition.value);
+  }
+
+  throw new WorldRuleError(`Unknown condition: ${JSON.stringify(condition)}`);
+};
+
+// Evaluate a condition, treating one that can't be interpreted as not met
+const conditionHolds = (condition, gameState, inventory) => {
+  try {
+    return evaluateCondition(condition, gameState, inventory);
+  } catch (error) {
+    if (error instanceof WorldRuleError) return false;
+    throw error;
+  }
+};
+
+// Check a choice's `requires` block; a broken one keeps the choice locked
+const isChoiceAvailable = (choice, gameState, inventory) => {
+  return conditionHolds(choice.requires, gameState, inventory);
+};
+
+/**
+ * Apply a list of effects. Supported forms:
+ *   { setFlag }, { clearFlag }, { setVar, value }, { incrementVar, by },
+ *   { decrementVar, by }, { addItem }, { removeItem }
+ * Returns the new state/inventory plus what changed, without mutating the inputs.
+ */
+const applyEffects = (effects, gameState, inventory, worldData) => {
+  const state = normalizeState(gameState);
+  let items = [...(inventory || [])];
+  const changes = { flags: {}, variables: {}, itemsAdded: [], itemsRemoved: [] };
+
+  for (const effect of [].concat(effects || [])) {
+    if (effect.setFlag !== undefined) {
+      state.flags[effect.setFlag] = true;
+      changes.flags[effect.setFlag] = true;
+    } else if (effect.clearFlag !== undefined) {
+      delete state.flags[effect.clearFlag];
+      changes.flags[effect.clearFlag] = false;
+    } else if (effect.setVar !== undefined) {
+      state.variables[effect.setVar] = effect.value;
+      changes.variables[effect.setVar] = effect.value;
+    } else if (effect.incrementVar !== undefined || effect.decrementVar !== undefined) {
+      const name = effect.incrementVar !== undefined ? effect.incrementVar : effect.decrementVar;
+      const by = effect.by !== undefined ? effect.by : 1;
+      const delta = effect.incrementVar !== undefined ? by : -by;
+      state.variables[name] = (state.variables[name] || 0) + delta;
+      changes.variables[name] = state.variables[name];
+    } else if (effect.addItem !== undefined) {
+      const definition = worldData?.items?.[effect.addItem];
+      if (definition && !hasItem(items, effect.addItem)) {
+        const item = createItem(worldData, effect.addItem);
+        items.push(item);
+        changes.itemsAdded.push(item);
+      }
+    } else if (effect.removeItem !== undefined) {
+      if (hasItem(items, effect.removeItem)) {
+        items = items.filter(item => item.id !== effect.removeItem);
+        state.equipped = unequipItem(state.equipped, effect.removeItem);
+        changes.itemsRemoved.push(effect.removeItem);
+      }
+    } else {
+      throw new WorldRuleError(`Unknown effect: ${JSON.stringify(effect)}`);
+    }
+  }
+
+  return { gameState: state, inventory: items, changes };
+};
+
+// Record a location visit
+const markVisited = (gameState, locationId) => {
+  const state = normalizeState(gameState);
+  if (!state.visited.includes(locationId)) {
+    state.visited.push(locationId);
+  }
+  return state;
+};
+
+// Strip authoring-only fields from a choice before sending it to the client
+const presentChoice = ({ requires, effects, ...choice }) => choice;
+
+/**
+ * Location data as the player should see it: only the choices whose
+ * conditions currently hold, without the condition/effect definitions.
+ */
+const presentLocation = (worldData, locationId, gameState, inventory) => {
+  const location = worldData?.locations?.[locationId];
+  if (!location) return null;
+
+  return {
+    ...location,
+    choices: (location.choices || [])
+      .filter(choice => isChoiceAvailable(choice, gameState, inventory))
+      .map(presentChoice)
+  };
+};
+
+// An ending as shown to players: { id, title, type, description }
+const presentEnding = (ending) => {
+  return {
+    id: ending.id,
+    title: ending.title,
+    type: ending.type || 'good',
+    description: ending.description || null
+  };
+};
+
+// Look up one of a world's endings by ID, as shown to players
+const describeEnding = (worldData, endingId) => {
+  const ending = (worldData?.endings || []).find(e => e.id === endingId);
+  return endingId && ending ? presentEnding(ending) : null;
+};
+
+/**
+ * The ending reached by standing in a location, if any. Endings are checked
+ * in the order the world lists them, so put conditional endings before a
+ * catch-all one at the same location.
+ */
+const findEnding = (worldData, locationId, gameState, inventory) => {
+  const ending = (worldData?.endings || []).find(e => {
+    return e.location === locationId && conditionHolds(e.requires, gameState, inventory);
+  });
+  return ending ? presentEnding(ending) : null;
+};
+
+/**
+ * The author-defined achievements a game state qualifies for: their
+ * `requires` conditions hold and, when they name an `ending`, the player has
+ * reached it.
+ */
+const findAchievements = (worldData, gameState, inventory) => {
+  return (worldData?.achievements || []).filter(a => {
+    return (!a.ending || gameState?.ending === a.ending) && conditionHolds(a.requires, gameState, inventory);
+  });
+};
+
+/**
+ * Find the choice in the current location matching an action.
+ * Returns { choice, allowed } where choice is null when the location does not
+ * declare a matching choice, and allowed is false when every matching choice
+ * is gated by conditions that do not hold.
+ */
+const resolveChoice = (worldData, locationId, action, target, gameState, inventory, on = null) => {
+  const location = worldData?.locations?.[locationId];
+  const matches = (location?.choices || []).filter(c => {
+    return c.action === action && c.target === target && (c.on || null) === (on || null);
+  });
+
+  if (matches.length === 0) {
+    return { choice: null, allowed: true };
+  }
+
+  const available = matches.find(c => isChoiceAvailable(c, gameState, inventory));
+  return { choice: available || matches[0], allowed: !!available };
+};
+
+module.exports = {
+  ACTIONS,
+  ENDING_TYPES,
+  MAX_ACHIEVEMENT_POINTS,
+  CONDITION_KEYS,
+  EFFECT_KEYS,
+  DUNGEON_MASTER_SECTIONS,
+  DUNGEON_MASTER_PROTECTS,
+  WorldRuleError,
+  createInitialState,
+  normalizeState,
+  hasItem,
+  createItem,
+  unequipItem,
+  evaluateCondition,
+  conditionHolds,
+  isChoiceAvailable,
+  applyEffects,
+  markVisited,
+  presentLocation,
+  resolveChoice,
+  describeEnding,
+  findEnding,
+  findAchievements
+};
@@ -0,0 +1,191 @@
+const worldRules = require('./worldRules');
+
+const lantern = { id: 'lantern', name: 'Lantern' };
+
+describe('worldRules.evaluateCondition', () => {
+  const gameState = {
+    flags: { doorOpen: true },
+    variables: { gold: 5 },
+    visited: ['hall'],
+    equipped: { hand: 'lantern' }
+  };
+  const check = (condition) => worldRules.evaluateCondition(condition, gameState, [lantern]);
+
+  it('treats a missing condition as met', () => {
+    expect(check(undefined)).toBe(true);
+  });
+
+  it('checks items held and equipped', () => {
+    expect(check({ hasItem: 'lantern' })).toBe(true);
+    expect(check({ hasItem: 'key' })).toBe(false);
+    expect(check({ lacksItem: 'key' })).toBe(true);
+    expect(check({ equipped: 'lantern' })).toBe(true);
+  });
+
+  it('checks flags and visited locations', () => {
+    expect(check({ flag: 'doorOpen' })).toBe(true);
+    expect(check({ notFlag: 'doorOpen' })).toBe(false);
+    expect(check({ visited: 'hall' })).toBe(true);
+    expect(check({ notVisited: 'cellar' })).toBe(true);
+  });
+
+  it('compares variables, treating unset ones as 0', () => {
+    expect(check({ var: 'gold', op: '>=', value: 5 })).toBe(true);
+    expect(check({ var: 'gold', value: 4 })).toBe(false);
+    expect(check({ var: 'silver', op: '<', value: 1 })).toBe(true);
+  });
+
+  it('combines conditions with all, any, not and arrays', () => {
+    expect(check({ all: [{ flag: 'doorOpen' }, { hasItem: 'lantern' }] })).toBe(true);
+    expect(check({ any: [{ flag: 'nope' }, { visited: 'hall' }] })).toBe(true);
+    expect(check({ not: { flag: 'doorOpen' } })).toBe(false);
+    expect(check([{ flag: 'doorOpen' }, { hasItem: 'key' }])).toBe(false);
+  });
+
+  it('throws on conditions it does not know', () => {
+    expect(() => check({ weather: 'rain' })).toThrow(worldRules.WorldRuleError);
+    expect(() => check({ weather: 'rain' })).toThrow('Unknown condition');
+    expect(() => check({ var: 'gold', op: '~', value: 1 })).toThrow('Unknown comparison operator');
+  });
+});
+
+describe('worldRules.conditionHolds', () => {
+  it('treats a condition it cannot interpret as not met', () => {
+    expect(worldRules.conditionHolds({ weather: 'rain' }, {}, [])).toBe(false);
+    expect(worldRules.conditionHolds({ any: [{ weather: 'rain' }] }, {}, [])).toBe(false);
+    expect(worldRules.conditionHolds({ lacksItem: 'key' }, {}, [])).toBe(true);
+  });
+});
+
+describe('worldRules.applyEffects', () => {
+  const worldData = { items: { key: { name: 'Key' }, lantern: { name: 'Lantern' } } };
+
+  it('sets and clears flags and changes variables', () => {
+    const { gameState, changes } = worldRules.applyEffects([
+      { setFlag: 'a' },
+      { setFlag: 'b' },
+      { clearFlag: 'b' },
+      { setVar: 'mood', value: 'calm' },
+      { incrementVar: 'gold', by: 3 },
+      { decrementVar: 'gold' }
+    ], {}, [], worldData);
+
+    expect(gameState.flags).toEqual({ a: true });
+    expect(gameState.variables).toEqual({ mood: 'calm', gold: 2 });
+    expect(changes.flags).toEqual({ a: true, b: false });
+    expect(changes.variables).toEqual({ mood: 'calm', gold: 2 });
+  });
+
+  it('adds world items once and removes held ones, unequipping them', () => {
+    const added = worldRules.applyEffects([{ addItem: 'key' }, { addItem: 'key' }, { addItem: 'ghost' }], {}, [], worldData);
+    expect(added.inventory.map(item => item.id)).toEqual(['key']);
+    expect(added.changes.itemsAdded).toHaveLength(1);
+
+    const removed = worldRules.applyEffects([{ removeItem: 'lantern' }], { equipped: { hand: 'lantern' } }, [lantern], worldData);
+    expect(removed.inventory).toEqual([]);
+    expect(removed.gameState.equipped).toEqual({});
+    expect(removed.changes.itemsRemoved).toEqual(['lantern']);
+  });
+
+  it('leaves its inputs alone', () => {
+    const gameState = { flags: {} };
+    const inventory = [lantern];
+    worldRules.applyEffects([{ setFlag: 'a' }, { removeItem: 'lantern' }], gameState, inventory, worldData);
+
+    expect(gameState).toEqual({ flags: {} });
+    expect(inventory).toEqual([lantern]);
+  });
+
+  it('throws on effects it does not know', () => {
+    expect(() => worldRules.applyEffects([{ explode: true }], {}, [], worldData)).toThrow('Unknown effect');
+  });
+});
+
+describe('worldRules.resolveChoice', () => {
+  const worldData = {
+    locations: {
+      hall: {
+        choices: [
+          { action: 'move', target: 'cellar', requires: { hasItem: 'lantern' }, lockedMessage: 'Too dark' },
+          { action: 'move', target: 'library' }
+        ]
+      }
+    }
+  };
+
+  it('finds the matching choice and whether it may be taken', () => {
+    expect(worldRules.resolveChoice(worldData, 'hall', 'move', 'library', {}, [])).toEqual({
+      choice: { action: 'move', target: 'library' },
+      allowed: true
+    });
+    expect(worldRules.resolveChoice(worldData, 'hall', 'move', 'cellar', {}, []).allowed).toBe(false);
+    expect(worldRules.resolveChoice(worldData, 'hall', 'move', 'cellar', {}, [lantern]).allowed).toBe(true);
+  });
+
+  it('returns no choice when the location offers none', () => {
+    expect(worldRules.resolveChoice(worldData, 'hall', 'move', 'attic', {}, [])).toEqual({ choice: null, allowed: true });
+  });
+});
+
+describe('worldRules.presentLocation', () => {
+  it('shows only available choices, without their rules', () => {
+    const worldData = {
+      locations: {
+        hall: {
+          name: 'Hall',
+          choices: [
+            { text: 'Down', action: 'move', target: 'cellar', requires: { hasItem: 'lantern' } },
+            { text: 'Read', action: 'examine', target: 'book', effects: [{ setFlag: 'read' }] }
+          ]
+        }
+      }
+    };
+
+    expect(worldRules.presentLocation(worldData, 'hall', {}, []).choices).toEqual([
+      { text: 'Read', action: 'examine', target: 'book' }
+    ]);
+    expect(worldRules.presentLocation(worldData, 'nowhere', {}, [])).toBeNull();
+  });
+});
+
+describe('worldRules endings', () => {
+  const worldData = {
+    endings: [
+      { id: 'escape', title: 'Escaped', location: 'gate', requires: { hasItem: 'lantern' } },
+      { id: 'lost', title: 'Lost', type: 'bad', location: 'gate', description: 'The dark takes you' }
+    ]
+  };
+
+  it('finds the first ending whose conditions hold at a location', () => {
+    expect(worldRules.findEnding(worldData, 'gate', {}, [lantern])).toEqual({ id: 'escape', title: 'Escaped', type: 'good', description: null });
+    expect(worldRules.findEnding(worldData, 'gate', {}, []).id).toBe('lost');
+    expect(worldRules.findEnding(worldData, 'hall', {}, [lantern])).toBeNull();
+  });
+
+  it('describes an ending by ID', () => {
+    expect(worldRules.describeEnding(worldData, 'lost')).toEqual({ id: 'lost', title: 'Lost', type: 'bad', description: 'The dark takes you' });
+    expect(worldRules.describeEnding(worldData, 'missing')).toBeNull();
+  });
+});
+
+describe('worldRules.findAchievements', () => {
+  const worldData = {
+    achievements: [
+      { id: 'lit', title: 'Light Bringer', requires: { hasItem: 'lantern' } },
+      { id: 'free', title: 'Free at Last', ending: 'escape' },
+      { id: 'free_and_lit', title: 'Bright Escape', ending: 'escape', requires: { hasItem: 'lantern' } }
+    ]
+  };
+  const ids = (found) => found.map(achievement => achievement.id);
+
+  it('awards achievements whose conditions hold', () => {
+    expect(ids(worldRules.findAchievements(worldData, {}, [lantern]))).toEqual(['lit']);
+    expect(ids(worldRules.findAchievements(worldData, {}, []))).toEqual([]);
+  });
+
+  it('only awards ending achievements once that ending is reached', () => {
+    expect(ids(worldRules.findAchievements(worldData, { ending: 'escape' }, []))).toEqual(['free']);
+    expect(ids(worldRules.findAchievements(worldData, { ending: 'lost' }, [lantern]))).toEqual(['lit']);
+    expect(ids(worldRules.findAchievements(worldData, { ending: 'escape' }, [lantern]))).toEqual(['lit', 'free', 'free_and_lit']);
+  });
+});
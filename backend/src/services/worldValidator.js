@@ -0,0 +1,578 @@
+/**
+ * World Validator
+ * Structural and semantic checks for world JSON. Produces diagnostics with a
+ * path into the document (e.g. `locations.forest_path.choices[1].target`) and,
+ * when the raw JSON text is available, the line and column it appears on.
+ */
+
+const {
+  ACTIONS,
+  CONDITION_KEYS,
+  EFFECT_KEYS,
+  ENDING_TYPES,
+  MAX_ACHIEVEMENT_POINTS,
+  DUNGEON_MASTER_SECTIONS,
+  DUNGEON_MASTER_PROTECTS
+} = require('./worldRules');
+
+const ITEM_ACTIONS = ['take', 'use', 'equip', 'unequip'];
+const TEXT_ACTIONS = ['examine', 'special'];
+
+// Join a key onto a diagnostic path
+const joinPath = (base, key) => {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  if (!/^[A-Za-z0-9_$-]+$/.test(key)) return `${base}[${JSON.stringify(key)}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+/**
+ * Walk raw JSON text and record where every value starts, plus any object keys
+ * that appear more than once (JSON.parse silently keeps the last one).
+ * Assumes the text is syntactically valid JSON.
+ */
+const locateJson = (text) => {
+  const positions = {};
+  const duplicates = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = () => {
+    if (text[index] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    index++;
+  };
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) advance();
+  };
+
+  const readString = () => {
+    const start = index;
+    advance(); // opening quote
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === '\\') advance();
+      advance();
+    }
+    advance(); // closing quote
+    return JSON.parse(text.slice(start, index));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    positions[path] = { line, column };
+    const char = text[index];
+
+    if (char === '{') {
+      advance();
+      const seen = new Set();
+      skipWhitespace();
+      if (text[index] === '}') return advance();
+      while (index < text.length) {
+        skipWhitespace();
+        const keyPosition = { line, column };
+        const key = readString();
+        const keyPath = joinPath(path, key);
+        if (seen.has(key)) duplicates.push({ path: keyPath, ...keyPosition });
+        seen.add(key);
+        skipWhitespace();
+        advance(); // colon
+        readValue(keyPath);
+        skipWhitespace();
+        const next = text[index];
+        advance();
+        if (next === '}') break;
+      }
+    } else if (char === '[') {
+      advance();
+      skipWhitespace();
+      if (text[index] === ']') return advance();
+      let i = 0;
+      while (index < text.length) {
+        readValue(joinPath(path, i++));
+        skipWhitespace();
+        const next = text[index];
+        advance();
+        if (next === ']') break;
+      }
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) advance();
+    }
+  };
+
+  readValue('');
+  return { positions, duplicates };
+};
+
+// Convert a JSON.parse failure into a diagnostic with a line number where possible
+const syntaxDiagnostic = (text, error) => {
+  const diagnostic = {
+    severity: 'error',
+    code: 'INVALID_JSON',
+    path: '',
+    message: error.message
+  };
+
+  const match = /position (\d+)/.exec(error.message);
+  if (match) {
+    const before = text.slice(0, parseInt(match[1]));
+    const lines = before.split('\n');
+    diagnostic.line = lines.length;
+    diagnostic.column = lines[lines.length - 1].length + 1;
+  }
+
+  return diagnostic;
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Validate a world. Pass either the parsed world data or, preferably, the raw
+ * JSON text so diagnostics carry line numbers and duplicate keys are caught.
+ * Returns { valid, errors, warnings }.
+ */
+const validateWorld = (input) => {
+  const diagnostics = [];
+  let worldData = input;
+  let located = null;
+
+  if (typeof input === 'string') {
+    try {
+      worldData = JSON.parse(input);
+    } catch (error) {
+      return { valid: false, errors: [syntaxDiagnostic(input, error)], warnings: [] };
+    }
+    located = locateJson(input);
+  }
+
+  const report = (severity, code, path, message) => {
+    diagnostics.push({ severity, code, path, message });
+  };
+  const error = (code, path, message) => report('error', code, path, message);
+  const warning = (code, path, message) => report('warning', code, path, message);
+
+  if (located) {
+    located.duplicates.forEach(duplicate => {
+      error('DUPLICATE_ID', duplicate.path, `Duplicate key "${duplicate.path}" - only the last definition is kept`);
+    });
+  }
+
+  if (!isPlainObject(worldData)) {
+    error('INVALID_STRUCTURE', '', 'World data must be a JSON object');
+    return finalize(diagnostics, located);
+  }
+
+  // Top-level structure
+  if (!isPlainObject(worldData.worldInfo)) {
+    error('MISSING_FIELD', 'worldInfo', 'worldInfo is required');
+  } else if (!worldData.worldInfo.name) {
+    error('MISSING_FIELD', 'worldInfo.name', 'worldInfo.name is required');
+  }
+
+  if (!isPlainObject(worldData.locations) || Object.keys(worldData.locations).length === 0) {
+    error('MISSING_FIELD', 'locations', 'locations must be an object with at least one location');
+    return finalize(diagnostics, located);
+  }
+
+  const locations = worldData.locations;
+  const items = isPlainObject(worldData.items) ? worldData.items : {};
+  const specialActions = isPlainObject(worldData.specialActions) ? worldData.specialActions : {};
+  const endings = Array.isArray(worldData.endings) ? worldData.endings : [];
+  const achievements = Array.isArray(worldData.achievements) ? worldData.achievements : [];
+
+  if (worldData.items !== undefined && !isPlainObject(worldData.items)) {
+    error('INVALID_STRUCTURE', 'items', 'items must be an object keyed by item ID');
+  }
+  if (worldData.specialActions !== undefined && !isPlainObject(worldData.specialActions)) {
+    error('INVALID_STRUCTURE', 'specialActions', 'specialActions must be an object keyed by target');
+  }
+  if (worldData.endings !== undefined && !Array.isArray(worldData.endings)) {
+    error('INVALID_STRUCTURE', 'endings', 'endings must be an array');
+  }
+  if (worldData.achievements !== undefined && !Array.isArray(worldData.achievements)) {
+    error('INVALID_STRUCTURE', 'achievements', 'achievements must be an array');
+  }
+
+  if (!worldData.startLocation) {
+    error('MISSING_FIELD', 'startLocation', 'startLocation is required');
+  } else if (!locations[worldData.startLocation]) {
+    error('DANGLING_TARGET', 'startLocation', `startLocation "${worldData.startLocation}" is not a defined location`);
+  }
+
+  const flagsSet = new Set(Object.keys(worldData.flags || {}));
+  const flagsRead = [];
+  const textTargets = new Set();
+  const obtainable = new Set();
+
+  // Walk a condition tree, checking references and shape
+  const checkCondition = (condition, path) => {
+    if (!condition) return;
+    if (Array.isArray(condition)) {
+      condition.forEach((c, i) => checkCondition(c, joinPath(path, i)));
+      return;
+    }
+    if (!isPlainObject(condition)) {
+      error('INVALID_CONDITION', path, 'Condition must be an object');
+      return;
+    }
+
+    const key = CONDITION_KEYS.find(k => condition[k] !== undefined);
+    if (!key) {
+      error('INVALID_CONDITION', path, `Unknown condition: ${JSON.stringify(condition)}`);
+      return;
+    }
+
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(condition[key])) {
+        error('INVALID_CONDITION', joinPath(path, key), `"${key}" must be an array of conditions`);
+      } else {
+        condition[key].forEach((c, i) => checkCondition(c, joinPath(joinPath(path, key), i)));
+      }
+    } else if (key === 'not') {
+      checkCondition(condition.not, joinPath(path, 'not'));
+    } else if (['hasItem', 'lacksItem', 'equipped'].includes(key) && !items[condition[key]]) {
+      error('UNDEFINED_ITEM', joinPath(path, key), `Item "${condition[key]}" is not defined in items`);
+    } else if ((key === 'visited' || key === 'notVisited') && !locations[condition[key]]) {
+      error('DANGLING_TARGET', joinPath(path, key), `Location "${condition[key]}" is not defined`);
+    } else if (key === 'flag' || key === 'notFlag') {
+      flagsRead.push({ flag: condition[key], path: joinPath(path, key) });
+    } else if (key === 'var' && condition.op && !['==', '!=', '>', '>=', '<', '<='].includes(condition.op)) {
+      error('INVALID_CONDITION', joinPath(path, 'op'), `Unknown comparison operator "${condition.op}"`);
+    }
+  };
+
+  const checkEffects = (effects, path) => {
+    if (!Array.isArray(effects)) {
+      error('INVALID_EFFECT', path, 'effects must be an array');
+      return;
+    }
+    effects.forEach((effect, i) => {
+      const effectPath = joinPath(path, i);
+      const key = isPlainObject(effect) && EFFECT_KEYS.find(k => effect[k] !== undefined);
+      if (!key) {
+        error('INVALID_EFFECT', effectPath, `Unknown effect: ${JSON.stringify(effect)}`);
+      } else if ((key === 'addItem' || key === 'removeItem') && !items[effect[key]]) {
+        error('UNDEFINED_ITEM', joinPath(effectPath, key), `Item "${effect[key]}" is not defined in items`);
+      } else if (key === 'addItem') {
+        obtainable.add(effect.addItem);
+      } else if (key === 'setFlag') {
+        flagsSet.add(effect.setFlag);
+      }
+    });
+  };
+
+  // Per-location checks
+  const graph = {};
+  Object.entries(locations).forEach(([locationId, location]) => {
+    const locationPath = joinPath('locations', locationId);
+    graph[locationId] = [];
+
+    if (!isPlainObject(location)) {
+      error('INVALID_STRUCTURE', locationPath, 'Location must be an object');
+      return;
+    }
+    if (!location.name) {
+      warning('MISSING_FIELD', joinPath(locationPath, 'name'), `Location "${locationId}" has no name`);
+    }
+    if (!location.description) {
+      warning('MISSING_FIELD', joinPath(locationPath, 'description'), `Location "${locationId}" has no description`);
+    }
+    if (location.items !== undefined) {
+      if (!Array.isArray(location.items)) {
+        error('INVALID_STRUCTURE', joinPath(locationPath, 'items'), 'items must be an array of item IDs');
+      } else {
+        location.items.forEach((itemId, i) => {
+          if (!items[itemId]) {
+            error('UNDEFINED_ITEM', joinPath(joinPath(locationPath, 'items'), i), `Item "${itemId}" is not defined in items`);
+          } else {
+            obtainable.add(itemId);
+          }
+        });
+      }
+    }
+    if (location.choices !== undefined && !Array.isArray(location.choices)) {
+      error('INVALID_STRUCTURE', joinPath(locationPath, 'choices'), 'choices must be an array');
+      return;
+    }
+
+    const seenChoices = new Set();
+    (location.choices || []).forEach((choice, index) => {
+      const choicePath = joinPath(joinPath(locationPath, 'choices'), index);
+
+      if (!isPlainObject(choice)) {
+        error('INVALID_STRUCTURE', choicePath, 'Choice must be an object');
+        return;
+      }
+      if (!choice.text) {
+        warning('MISSING_FIELD', joinPath(choicePath, 'text'), 'Choice has no text');
+      }
+      if (!ACTIONS.includes(choice.action)) {
+        error('INVALID_ACTION', joinPath(choicePath, 'action'), `Unknown action "${choice.action}" (expected one of ${ACTIONS.join(', ')})`);
+      }
+      if (!choice.target) {
+        error('MISSING_FIELD', joinPath(choicePath, 'target'), 'Choice has no target');
+        return;
+      }
+
+      const signature = `${choice.action}:${choice.target}`;
+      if (seenChoices.has(signature) && !choice.requires) {
+        warning('DUPLICATE_CHOICE', choicePath, `Location "${locationId}" offers "${signature}" more than once`);
+      }
+      seenChoices.add(signature);
+
+      if (choice.action === 'move') {
+        if (!locations[choice.target]) {
+          error('DANGLING_TARGET', joinPath(choicePath, 'target'), `Choice moves to "${choice.target}", which is not a defined location`);
+        } else {
+          graph[locationId].push(choice.target);
+        }
+      } else if (ITEM_ACTIONS.includes(choice.action) && !items[choice.target]) {
+        error('UNDEFINED_ITEM', joinPath(choicePath, 'target'), `Item "${choice.target}" is not defined in items`);
+      } else if (choice.action === 'equip' && !items[choice.target].slot) {
+        error('NOT_EQUIPPABLE', joinPath(choicePath, 'target'), `Item "${choice.target}" has no slot and cannot be equipped`);
+      } else if (TEXT_ACTIONS.includes(choice.action)) {
+        textTargets.add(choice.target);
+        if (specialActions[choice.target] === undefined) {
+          warning('MISSING_SPECIAL_ACTION', joinPath(choicePath, 'target'), `No specialActions entry for "${choice.target}"; players will see a generic response`);
+        }
+      }
+
+      if (choice.requires !== undefined) checkCondition(choice.requires, joinPath(choicePath, 'requires'));
+      if (choice.effects !== undefined) checkEffects(choice.effects, joinPath(choicePath, 'effects'));
+    });
+
+    const isEnding = endings.some(ending => ending?.location === locationId);
+    if (graph[locationId].length === 0 && !isEnding) {
+      warning('DEAD_END', locationPath, `Location "${locationId}" has no way out`);
+    }
+  });
+
+  // Item interactions
+  if (worldData.interactions !== undefined && !Array.isArray(worldData.interactions)) {
+    error('INVALID_STRUCTURE', 'interactions', 'interactions must be an array');
+  }
+  (Array.isArray(worldData.interactions) ? worldData.interactions : []).forEach((interaction, index) => {
+    const interactionPath = joinPath('interactions', index);
+
+    if (!isPlainObject(interaction)) {
+      error('INVALID_STRUCTURE', interactionPath, 'Interaction must be an object');
+      return;
+    }
+    if (!interaction.use) {
+      error('MISSING_FIELD', joinPath(interactionPath, 'use'), 'Interaction has no "use" item');
+    } else if (!items[interaction.use]) {
+      error('UNDEFINED_ITEM', joinPath(interactionPath, 'use'), `Item "${interaction.use}" is not defined in items`);
+    }
+    if (interaction.consumeTarget && !items[interaction.on]) {
+      error('UNDEFINED_ITEM', joinPath(interactionPath, 'on'), `consumeTarget needs "on" to be an item, but "${interaction.on}" is not defined in items`);
+    }
+    if (interaction.location !== undefined && !locations[interaction.location]) {
+      error('DANGLING_TARGET', joinPath(interactionPath, 'location'), `Location "${interaction.location}" is not defined`);
+    }
+    if (interaction.produces !== undefined) {
+      if (!items[interaction.produces]) {
+        error('UNDEFINED_ITEM', joinPath(interactionPath, 'produces'), `Item "${interaction.produces}" is not defined in items`);
+      } else {
+        obtainable.add(interaction.produces);
+      }
+    }
+    if (interaction.requires !== undefined) checkCondition(interaction.requires, joinPath(interactionPath, 'requires'));
+    if (interaction.effects !== undefined) checkEffects(interaction.effects, joinPath(interactionPath, 'effects'));
+  });
+
+  // Endings
+  const endingIds = new Set();
+  endings.forEach((ending, index) => {
+    const endingPath = joinPath('endings', index);
+
+    if (!isPlainObject(ending)) {
+      error('INVALID_STRUCTURE', endingPath, 'Ending must be an object');
+      return;
+    }
+    if (!ending.id) {
+      error('MISSING_FIELD', joinPath(endingPath, 'id'), 'Ending has no id');
+    } else if (endingIds.has(ending.id)) {
+      error('DUPLICATE_ID', joinPath(endingPath, 'id'), `Ending "${ending.id}" is defined more than once`);
+    }
+    endingIds.add(ending.id);
+    if (!ending.title) {
+      error('MISSING_FIELD', joinPath(endingPath, 'title'), `Ending "${ending.id}" has no title`);
+    }
+    if (ending.type !== undefined && !ENDING_TYPES.includes(ending.type)) {
+      error('INVALID_ENDING', joinPath(endingPath, 'type'), `Unknown ending type "${ending.type}" (expected one of ${ENDING_TYPES.join(', ')})`);
+    }
+    if (!ending.location) {
+      error('MISSING_FIELD', joinPath(endingPath, 'location'), `Ending "${ending.id}" has no location`);
+    } else if (!locations[ending.location]) {
+      error('DANGLING_TARGET', joinPath(endingPath, 'location'), `Location "${ending.location}" is not defined`);
+    } else if (ending.location === worldData.startLocation && ending.requires === undefined) {
+      error('INVALID_ENDING', joinPath(endingPath, 'location'), `Ending "${ending.id}" is at the start location with no requirements, so every game would end on its first action`);
+    }
+    if (ending.requires !== undefined) checkCondition(ending.requires, joinPath(endingPath, 'requires'));
+  });
+
+  // Endings listed after an unconditional ending at the same location can never be reached
+  endings.forEach((ending, index) => {
+    const shadowedBy = endings.slice(0, index).find(earlier => {
+      return isPlainObject(earlier) && earlier.requires === undefined && earlier.location === ending?.location;
+    });
+    if (shadowedBy && isPlainObject(ending)) {
+      warning('UNREACHABLE_ENDING', joinPath('endings', index), `Ending "${ending.id}" can never be reached; "${shadowedBy.id}" always ends the game at "${ending.location}" first`);
+    }
+  });
+
+  // Achievements
+  const achievementIds = new Set();
+  achievements.forEach((achievement, index) => {
+    const achievementPath = joinPath('achievements', index);
+
+    if (!isPlainObject(achievement)) {
+      error('INVALID_STRUCTURE', achievementPath, 'Achievement must be an object');
+      return;
+    }
+    if (!achievement.id) {
+      error('MISSING_FIELD', joinPath(achievementPath, 'id'), 'Achievement has no id');
+    } else if (achievementIds.has(achievement.id)) {
+      error('DUPLICATE_ID', joinPath(achievementPath, 'id'), `Achievement "${achievement.id}" is defined more than once`);
+    }
+    achievementIds.add(achievement.id);
+    if (!achievement.title) {
+      error('MISSING_FIELD', joinPath(achievementPath, 'title'), `Achievement "${achievement.id}" has no title`);
+    }
+    if (achievement.points !== undefined &&
+        (!Number.isInteger(achievement.points) || achievement.points < 0 || achievement.points > MAX_ACHIEVEMENT_POINTS)) {
+      error('INVALID_ACHIEVEMENT', joinPath(achievementPath, 'points'), `Achievement points must be a whole number from 0 to ${MAX_ACHIEVEMENT_POINTS}`);
+    }
+    if (achievement.ending !== undefined && !endingIds.has(achievement.ending)) {
+      error('DANGLING_TARGET', joinPath(achievementPath, 'ending'), `Ending "${achievement.ending}" is not defined`);
+    }
+    if (achievement.ending === undefined && achievement.requires === undefined) {
+      error('INVALID_ACHIEVEMENT', achievementPath, `Achievement "${achievement.id}" has neither requires nor ending, so it would be awarded on the first action`);
+    }
+    if (achievement.requires !== undefined) checkCondition(achievement.requires, joinPath(achievementPath, 'requires'));
+  });
+
+  // Limits on the AI Dungeon Master
+  const dungeonMaster = worldData.dungeonMaster;
+  if (dungeonMaster !== undefined && !isPlainObject(dungeonMaster)) {
+    error('INVALID_STRUCTURE', 'dungeonMaster', 'dungeonMaster must be an object');
+  } else if (dungeonMaster !== undefined) {
+    if (dungeonMaster.enabled !== undefined && typeof dungeonMaster.enabled !== 'boolean') {
+      error('INVALID_STRUCTURE', 'dungeonMaster.enabled', 'dungeonMaster.enabled must be true or false');
+    }
+    if (dungeonMaster.allow !== undefined && !Array.isArray(dungeonMaster.allow)) {
+      error('INVALID_STRUCTURE', 'dungeonMaster.allow', 'dungeonMaster.allow must be an array');
+    }
+    (Array.isArray(dungeonMaster.allow) ? dungeonMaster.allow : []).forEach((section, i) => {
+      if (!DUNGEON_MASTER_SECTIONS.includes(section)) {
+        error('INVALID_DUNGEON_MASTER', joinPath('dungeonMaster.allow', i), `Unknown section "${section}" (expected one of ${DUNGEON_MASTER_SECTIONS.join(', ')})`);
+      }
+    });
+
+    const protect = dungeonMaster.protect;
+    if (protect !== undefined && !isPlainObject(protect)) {
+      error('INVALID_STRUCTURE', 'dungeonMaster.protect', 'dungeonMaster.protect must be an object');
+    }
+    Object.entries(isPlainObject(protect) ? protect : {}).forEach(([kind, ids]) => {
+      const kindPath = joinPath('dungeonMaster.protect', kind);
+      if (!DUNGEON_MASTER_PROTECTS.includes(kind)) {
+        error('INVALID_DUNGEON_MASTER', kindPath, `Unknown protection "${kind}" (expected one of ${DUNGEON_MASTER_PROTECTS.join(', ')})`);
+      } else if (!Array.isArray(ids)) {
+        error('INVALID_STRUCTURE', kindPath, `dungeonMaster.protect.${kind} must be an array`);
+      } else {
+        ids.forEach((id, i) => {
+          if (kind === 'locations' && !locations[id]) {
+            error('DANGLING_TARGET', joinPath(kindPath, i), `Location "${id}" is not defined`);
+          } else if (kind === 'items' && !items[id]) {
+            error('UNDEFINED_ITEM', joinPath(kindPath, i), `Item "${id}" is not defined in items`);
+          }
+        });
+      }
+    });
+  }
+
+  Object.entries(items).forEach(([itemId, item]) => {
+    if (isPlainObject(item) && item.useEffects !== undefined) {
+      checkEffects(item.useEffects, joinPath(joinPath('items', itemId), 'useEffects'));
+    }
+  });
+
+  // Items that no placement, interaction or effect ever hands out
+  Object.keys(items)
+    .filter(itemId => !obtainable.has(itemId))
+    .forEach(itemId => {
+      warning('UNOBTAINABLE_ITEM', joinPath('items', itemId), `Item "${itemId}" is not placed in any location and nothing produces it`);
+    });
+
+  // Reachability from the start location
+  if (locations[worldData.startLocation]) {
+    const reachable = new Set([worldData.startLocation]);
+    const queue = [worldData.startLocation];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      (graph[current] || []).forEach(next => {
+        if (!reachable.has(next)) {
+          reachable.add(next);
+          queue.push(next);
+        }
+      });
+    }
+    Object.keys(locations)
+      .filter(id => !reachable.has(id))
+      .forEach(id => {
+        warning('UNREACHABLE_LOCATION', joinPath('locations', id), `Location "${id}" cannot be reached from "${worldData.startLocation}"`);
+      });
+  }
+
+  // specialActions that no choice can trigger
+  Object.keys(specialActions)
+    .filter(target => !textTargets.has(target))
+    .forEach(target => {
+      warning('UNUSED_SPECIAL_ACTION', joinPath('specialActions', target), `specialActions "${target}" has no matching examine/special choice`);
+    });
+
+  // Flags that are checked but never set anywhere
+  flagsRead
+    .filter(({ flag }) => !flagsSet.has(flag))
+    .forEach(({ flag, path }) => {
+      warning('UNSET_FLAG', path, `Flag "${flag}" is checked but never set`);
+    });
+
+  return finalize(diagnostics, located);
+};
+
+// Attach line numbers and split diagnostics by severity
+const finalize = (diagnostics, located) => {
+  if (located) {
+    diagnostics.forEach(diagnostic => {
+      if (diagnostic.line) return;
+      const position = located.positions[diagnostic.path];
+      if (position) {
+        diagnostic.line = position.line;
+        diagnostic.column = position.column;
+      }
+    });
+  }
+
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  const warnings = diagnostics.filter(d => d.severity === 'warning');
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+};
+
+module.exports = {
+  validateWorld,
+  locateJson
+};
@@ -0,0 +1,127 @@
+const { validateWorld, locateJson } = require('./worldValidator');
+
+// A small, valid world: a hall with a key that opens the way to a vault
+const world = () => ({
+  worldInfo: { name: 'Test Vault' },
+  startLocation: 'hall',
+  items: {
+    key: { name: 'Key' }
+  },
+  specialActions: {
+    mural: 'A mural of the vault door.'
+  },
+  endings: [
+    { id: 'rich', title: 'Rich', location: 'vault' }
+  ],
+  locations: {
+    hall: {
+      name: 'Hall',
+      description: 'A quiet hall',
+      items: ['key'],
+      choices: [
+        { text: 'Take the key', action: 'take', target: 'key', effects: [{ setFlag: 'hasKey' }] },
+        { text: 'Look at the mural', action: 'examine', target: 'mural' },
+        { text: 'Open the vault', action: 'move', target: 'vault', requires: { flag: 'hasKey' } }
+      ]
+    },
+    vault: {
+      name: 'Vault',
+      description: 'Gold everywhere'
+    }
+  }
+});
+
+const codes = (diagnostics) => diagnostics.map(diagnostic => diagnostic.code);
+
+describe('worldValidator.validateWorld', () => {
+  it('accepts a well-formed world without warnings', () => {
+    expect(validateWorld(world())).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  it('reports invalid JSON with where it went wrong', () => {
+    const result = validateWorld('{\n  "worldInfo": }');
+
+    expect(result.valid).toBe(false);
+    expect(codes(result.errors)).toEqual(['INVALID_JSON']);
+  });
+
+  it('requires the top-level fields', () => {
+    const { errors } = validateWorld({ locations: {} });
+
+    expect(codes(errors)).toEqual(['MISSING_FIELD', 'MISSING_FIELD']);
+    expect(errors.map(error => error.path)).toEqual(['worldInfo', 'locations']);
+  });
+
+  it('finds dangling targets and undefined items with their paths', () => {
+    const data = world();
+    data.locations.hall.choices.push({ text: 'Climb', action: 'move', target: 'attic' });
+    data.locations.hall.choices.push({ text: 'Take the gem', action: 'take', target: 'gem' });
+
+    const { valid, errors } = validateWorld(data);
+
+    expect(valid).toBe(false);
+    expect(errors.map(error => [error.code, error.path])).toEqual([
+      ['DANGLING_TARGET', 'locations.hall.choices[3].target'],
+      ['UNDEFINED_ITEM', 'locations.hall.choices[4].target']
+    ]);
+  });
+
+  it('rejects conditions and effects the rules cannot interpret', () => {
+    const data = world();
+    data.locations.hall.choices[0].effects.push({ explode: true });
+    data.locations.hall.choices[2].requires = { any: [{ weather: 'rain' }, { var: 'gold', op: '~', value: 1 }] };
+
+    expect(codes(validateWorld(data).errors)).toEqual(['INVALID_EFFECT', 'INVALID_CONDITION', 'INVALID_CONDITION']);
+  });
+
+  it('checks endings and achievements', () => {
+    const data = world();
+    data.endings.push({ id: 'rich', title: 'Again', location: 'vault', type: 'weird' });
+    data.achievements = [{ id: 'idle', title: 'Idle' }, { id: 'greedy', title: 'Greedy', ending: 'poor', points: 500 }];
+
+    expect(codes(validateWorld(data).errors)).toEqual([
+      'DUPLICATE_ID',
+      'INVALID_ENDING',
+      'INVALID_ACHIEVEMENT',
+      'INVALID_ACHIEVEMENT',
+      'DANGLING_TARGET'
+    ]);
+  });
+
+  it('warns about unreachable locations, unused text and unset flags', () => {
+    const data = world();
+    data.locations.cellar = { name: 'Cellar', description: 'Damp' };
+    data.specialActions.statue = 'A statue.';
+    data.locations.hall.choices[0].effects = [];
+
+    const { valid, warnings } = validateWorld(data);
+
+    expect(valid).toBe(true);
+    expect(codes(warnings)).toEqual(['DEAD_END', 'UNREACHABLE_LOCATION', 'UNUSED_SPECIAL_ACTION', 'UNSET_FLAG']);
+  });
+
+  it('adds line numbers and catches duplicate keys in raw JSON', () => {
+    const data = world();
+    data.locations.hall.choices[1].target = 'statue';
+    const text = JSON.stringify(data, null, 2).replace('"name": "Key"', '"name": "Key",\n      "name": "Old Key"');
+    const lineOf = (fragment) => text.split('\n').findIndex(line => line.includes(fragment)) + 1;
+
+    const { errors, warnings } = validateWorld(text);
+
+    expect(errors).toEqual([
+      expect.objectContaining({ code: 'DUPLICATE_ID', path: 'items.key.name', line: lineOf('"Old Key"') })
+    ]);
+    const missing = warnings.find(warning => warning.code === 'MISSING_SPECIAL_ACTION');
+    expect(missing.path).toBe('locations.hall.choices[1].target');
+    expect(missing.line).toBe(lineOf('"target": "statue"'));
+  });
+});
+
+describe('worldValidator.locateJson', () => {
+  it('records where each value starts', () => {
+    const { positions, duplicates } = locateJson('{\n  "a": [1, {"b": true}]\n}');
+
+    expect(positions['a[1].b']).toEqual({ line: 2, column: 18 });
+    expect(duplicates).toEqual([]);
+  });
+});
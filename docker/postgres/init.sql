@@ -13,6 +13,7 @@ CREATE TABLE users (
     avatar_url VARCHAR(500),
     is_active BOOLEAN DEFAULT true,
     is_admin BOOLEAN DEFAULT false,
+    plan VARCHAR(20) DEFAULT 'free',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -32,25 +33,72 @@ CREATE TABLE worlds (
     rating_average DECIMAL(3,2) DEFAULT 0,
     rating_count INTEGER DEFAULT 0,
     version VARCHAR(20) DEFAULT '1.0.0',
+    current_revision INTEGER,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- World revisions table
+CREATE TABLE world_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    world_id UUID REFERENCES worlds(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    version VARCHAR(20),
+    world_data JSONB NOT NULL,
+    migration JSONB, -- how IDs from the previous revision map onto this one
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(world_id, revision)
+);
+
 -- Game sessions table
 CREATE TABLE game_sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     world_id UUID REFERENCES worlds(id) ON DELETE CASCADE,
     session_name VARCHAR(255),
+    world_revision INTEGER,
     current_location VARCHAR(255),
     game_state JSONB DEFAULT '{}',
     inventory JSONB DEFAULT '[]',
+    world_overlay JSONB DEFAULT '{}',
     stats JSONB DEFAULT '{}',
     is_active BOOLEAN DEFAULT true,
     is_multiplayer BOOLEAN DEFAULT false,
     started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     last_played_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    completed_at TIMESTAMP WITH TIME ZONE
+    completed_at TIMESTAMP WITH TIME ZONE,
+    parent_session_id UUID REFERENCES game_sessions(id) ON DELETE SET NULL,
+    branched_from_step INTEGER
+);
+
+-- Session action log table
+CREATE TABLE session_actions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID REFERENCES game_sessions(id) ON DELETE CASCADE,
+    step INTEGER NOT NULL,
+    action VARCHAR(50) NOT NULL, -- engine action, or 'start' / 'load'
+    target VARCHAR(255),
+    on_target VARCHAR(255),
+    message TEXT,
+    events JSONB DEFAULT '[]',
+    state JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, step)
+);
+
+-- World completions table (one row per ending reached)
+CREATE TABLE world_completions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    world_id UUID REFERENCES worlds(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES game_sessions(id) ON DELETE SET NULL,
+    ending_id VARCHAR(255) NOT NULL,
+    ending_type VARCHAR(20) NOT NULL, -- good, bad or secret
+    moves INTEGER DEFAULT 0,
+    world_revision INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, ending_id)
 );
 
 -- Save games table
@@ -60,6 +108,7 @@ CREATE TABLE save_games (
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     save_name VARCHAR(255) NOT NULL,
     save_data JSONB NOT NULL,
+    is_autosave BOOLEAN DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -72,9 +121,20 @@ CREATE TABLE multiplayer_rooms (
     room_name VARCHAR(255),
     max_players INTEGER DEFAULT 4,
     current_players INTEGER DEFAULT 1,
+    max_spectators INTEGER, -- NULL for no limit
+    current_spectators INTEGER DEFAULT 0,
     game_state JSONB DEFAULT '{}',
+    decision_mode VARCHAR(20) DEFAULT 'free', -- free, host, round_robin, majority, unanimous, timed
+    vote_duration INTEGER DEFAULT 30,
+    party_mode VARCHAR(20) DEFAULT 'together', -- together, split
+    status VARCHAR(20) DEFAULT 'open', -- open, paused, closed
     is_active BOOLEAN DEFAULT true,
     is_private BOOLEAN DEFAULT false,
+    last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    paused_at TIMESTAMP WITH TIME ZONE,
+    paused_state JSONB,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    close_reason VARCHAR(30), -- host_left, empty, idle, expired, ended, ...
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -84,12 +144,70 @@ CREATE TABLE room_participants (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     room_id UUID REFERENCES multiplayer_rooms(id) ON DELETE CASCADE,
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) DEFAULT 'player', -- player, spectator
     player_state JSONB DEFAULT '{}',
     joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     left_at TIMESTAMP WITH TIME ZONE,
+    connection_status VARCHAR(20) DEFAULT 'connected',
+    disconnected_at TIMESTAMP WITH TIME ZONE,
+    muted_at TIMESTAMP WITH TIME ZONE,
+    muted_until TIMESTAMP WITH TIME ZONE, -- NULL while muted means until unmuted
     UNIQUE(room_id, user_id)
 );
 
+-- Room summaries table (one per closed room)
+CREATE TABLE room_summaries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID UNIQUE REFERENCES multiplayer_rooms(id) ON DELETE CASCADE,
+    world_id UUID REFERENCES worlds(id) ON DELETE SET NULL,
+    host_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    room_name VARCHAR(255),
+    party_mode VARCHAR(20),
+    close_reason VARCHAR(30),
+    started_at TIMESTAMP WITH TIME ZONE,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    duration_seconds INTEGER DEFAULT 0,
+    turns INTEGER DEFAULT 0,
+    ending JSONB,
+    participant_ids UUID[] DEFAULT '{}',
+    participants JSONB DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Chat messages table (room chat and direct messages)
+CREATE TABLE chat_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID REFERENCES multiplayer_rooms(id) ON DELETE CASCADE,
+    sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    recipient_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    moderation JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((room_id IS NULL) <> (recipient_id IS NULL))
+);
+
+-- Chat reports table
+CREATE TABLE chat_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES chat_messages(id) ON DELETE CASCADE,
+    reporter_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'open', -- open, actioned, dismissed
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, reporter_id)
+);
+
+-- User blocks table
+CREATE TABLE user_blocks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    blocked_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, blocked_user_id)
+);
+
 -- World ratings table
 CREATE TABLE world_ratings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -104,6 +222,8 @@ CREATE TABLE world_ratings (
 -- Achievements table
 CREATE TABLE achievements (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key VARCHAR(150) UNIQUE, -- platform rule name, or 'world:<world id>:<id>'
+    world_id UUID REFERENCES worlds(id) ON DELETE CASCADE, -- author-defined achievements
     name VARCHAR(255) NOT NULL,
     description TEXT,
     icon_url VARCHAR(500),
@@ -135,6 +255,38 @@ CREATE TABLE ai_content (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- AI usage table (one row per provider call, for budgets)
+CREATE TABLE ai_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    world_id UUID REFERENCES worlds(id) ON DELETE SET NULL,
+    session_id UUID REFERENCES game_sessions(id) ON DELETE SET NULL,
+    feature VARCHAR(50) NOT NULL,
+    capability VARCHAR(20) NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    model VARCHAR(100),
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    tokens INTEGER DEFAULT 0,
+    cost DECIMAL(12,6) DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- AI budget overrides table (admin limits replacing a plan's)
+CREATE TABLE ai_budget_overrides (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('user', 'world')),
+    target_id UUID NOT NULL,
+    period VARCHAR(10) NOT NULL CHECK (period IN ('daily', 'monthly')),
+    max_tokens INTEGER,
+    max_cost DECIMAL(12,2),
+    reason TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scope, target_id, period)
+);
+
 -- Analytics events table
 CREATE TABLE analytics_events (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -152,7 +304,18 @@ CREATE INDEX idx_worlds_featured ON worlds(is_featured);
 CREATE INDEX idx_game_sessions_user ON game_sessions(user_id);
 CREATE INDEX idx_game_sessions_world ON game_sessions(world_id);
 CREATE INDEX idx_save_games_session ON save_games(session_id);
+CREATE INDEX idx_session_actions_session ON session_actions(session_id);
+CREATE INDEX idx_world_completions_world ON world_completions(world_id, ending_id);
+CREATE INDEX idx_world_completions_user ON world_completions(user_id, world_id);
+CREATE INDEX idx_achievements_world ON achievements(world_id);
 CREATE INDEX idx_multiplayer_rooms_active ON multiplayer_rooms(is_active);
+CREATE INDEX idx_multiplayer_rooms_status ON multiplayer_rooms(status, last_activity_at);
+CREATE INDEX idx_room_summaries_participants ON room_summaries USING GIN(participant_ids);
+CREATE INDEX idx_chat_messages_room ON chat_messages(room_id, created_at);
+CREATE INDEX idx_chat_messages_direct ON chat_messages(sender_id, recipient_id, created_at);
+CREATE INDEX idx_chat_reports_status ON chat_reports(status);
+CREATE INDEX idx_ai_usage_user ON ai_usage(user_id, created_at);
+CREATE INDEX idx_ai_usage_world ON ai_usage(world_id, created_at);
 CREATE INDEX idx_analytics_events_user ON analytics_events(user_id);
 CREATE INDEX idx_analytics_events_type ON analytics_events(event_type);
 CREATE INDEX idx_analytics_events_created ON analytics_events(created_at);
@@ -46,7 +46,8 @@ import {
   Code as CodeIcon,
   Visibility as VisibilityIcon,
   ContentCopy as CopyIcon,
-  Download as DownloadIcon
+  Download as DownloadIcon,
+  AutoAwesome as AIIcon
 } from '@mui/icons-material'
 import { toast } from 'react-toastify'
 import axios from 'axios'
@@ -55,6 +56,21 @@ const API_URL = import.meta.env.VITE_API_URL || '/api'
 
 const steps = ['Basic Info', 'Build World', 'Review & Publish']
 
+// What the AI Dungeon Master may add or change while people play the world
+const DUNGEON_MASTER_SECTIONS = [
+  { key: 'locations', label: 'Add new locations' },
+  { key: 'items', label: 'Add new items' },
+  { key: 'choices', label: 'Add choices to existing locations' },
+  { key: 'state', label: 'Change flags and variables' },
+  { key: 'inventory', label: "Give and take the player's items" }
+]
+
+const DEFAULT_DUNGEON_MASTER = {
+  enabled: true,
+  allow: DUNGEON_MASTER_SECTIONS.map(section => section.key),
+  protect: { locations: [] }
+}
+
 const CreateWorldPage = () => {
   const navigate = useNavigate()
   const [activeStep, setActiveStep] = useState(0)
@@ -70,6 +86,7 @@ const CreateWorldPage = () => {
     locations: {},
     items: {},
     specialActions: {},
+    dungeonMaster: DEFAULT_DUNGEON_MASTER,
     tags: [],
     isPublic: true
   })
@@ -92,11 +109,35 @@ const CreateWorldPage = () => {
   const [jsonEditorOpen, setJsonEditorOpen] = useState(false)
   const [jsonContent, setJsonContent] = useState('')
   const [uploading, setUploading] = useState(false)
+  const [generateOpen, setGenerateOpen] = useState(false)
+  const [brief, setBrief] = useState({ premise: '', tone: '', size: 'medium', constraints: '' })
+  const [expanding, setExpanding] = useState(null)
+  const [aiBusy, setAiBusy] = useState(false)
+  const [aiRepairs, setAiRepairs] = useState([])
 
   const onDrop = useCallback(async (acceptedFiles) => {
     const file = acceptedFiles[0]
     if (!file) return
 
+    // Bundles carry their own assets, so they're published as uploaded
+    if (file.name.toLowerCase().endsWith('.zip')) {
+      const formData = new FormData()
+      formData.append('worldFile', file)
+      formData.append('isPublic', worldData.isPublic)
+
+      setUploading(true)
+      try {
+        const response = await axios.post(`${API_URL}/worlds`, formData)
+        toast.success('World bundle published successfully!')
+        navigate(`/worlds/${response.data.id}`)
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to publish world bundle')
+      } finally {
+        setUploading(false)
+      }
+      return
+    }
+
     try {
       const text = await file.text()
       const data = JSON.parse(text)
@@ -118,12 +159,13 @@ const CreateWorldPage = () => {
     } catch (error) {
       toast.error('Failed to load world file')
     }
-  }, [])
+  }, [navigate, worldData.isPublic])
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'application/json': ['.json']
+      'application/json': ['.json'],
+      'application/zip': ['.zip']
     },
     maxFiles: 1
   })
@@ -139,6 +181,7 @@ const CreateWorldPage = () => {
       locations: {
         ...prev.locations,
         [currentLocation.id]: {
+          ...prev.locations[currentLocation.id],
           name: currentLocation.name,
           description: currentLocation.description,
           choices: currentLocation.choices
@@ -182,10 +225,45 @@ const CreateWorldPage = () => {
     setWorldData(prev => ({
       ...prev,
       locations: newLocations,
-      startLocation: prev.startLocation === locationId ? '' : prev.startLocation
+      startLocation: prev.startLocation === locationId ? '' : prev.startLocation,
+      dungeonMaster: prev.dungeonMaster && {
+        ...prev.dungeonMaster,
+        protect: {
+          ...prev.dungeonMaster.protect,
+          locations: (prev.dungeonMaster.protect?.locations || []).filter(id => id !== locationId)
+        }
+      }
+    }))
+  }
+
+  const dungeonMaster = worldData.dungeonMaster || DEFAULT_DUNGEON_MASTER
+  const protectedLocations = dungeonMaster.protect?.locations || []
+
+  const updateDungeonMaster = (changes) => {
+    setWorldData(prev => ({
+      ...prev,
+      dungeonMaster: { ...DEFAULT_DUNGEON_MASTER, ...prev.dungeonMaster, ...changes }
     }))
   }
 
+  const toggleDungeonMasterSection = (section) => {
+    const allow = dungeonMaster.allow || DEFAULT_DUNGEON_MASTER.allow
+    updateDungeonMaster({
+      allow: allow.includes(section) ? allow.filter(key => key !== section) : [...allow, section]
+    })
+  }
+
+  const toggleProtectedLocation = (locationId) => {
+    updateDungeonMaster({
+      protect: {
+        ...dungeonMaster.protect,
+        locations: protectedLocations.includes(locationId)
+          ? protectedLocations.filter(id => id !== locationId)
+          : [...protectedLocations, locationId]
+      }
+    })
+  }
+
   const handleEditLocation = (locationId) => {
     const location = worldData.locations[locationId]
     setCurrentLocation({
@@ -233,7 +311,8 @@ const CreateWorldPage = () => {
           locations: worldData.locations,
           items: worldData.items,
           specialActions: worldData.specialActions,
-          startLocation: worldData.startLocation
+          startLocation: worldData.startLocation,
+          dungeonMaster: worldData.dungeonMaster
         },
         tags: worldData.tags,
         isPublic: worldData.isPublic
@@ -254,7 +333,8 @@ const CreateWorldPage = () => {
       locations: worldData.locations,
       items: worldData.items,
       specialActions: worldData.specialActions,
-      startLocation: worldData.startLocation
+      startLocation: worldData.startLocation,
+      dungeonMaster: worldData.dungeonMaster
     }, null, 2)
     
     const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr)
@@ -273,11 +353,90 @@ const CreateWorldPage = () => {
       locations: worldData.locations,
       items: worldData.items,
       specialActions: worldData.specialActions,
-      startLocation: worldData.startLocation
+      startLocation: worldData.startLocation,
+      dungeonMaster: worldData.dungeonMaster
     }, null, 2))
     setJsonEditorOpen(true)
   }
 
+  // Draft a whole world from the brief, then carry on in the builder
+  const handleGenerateWorld = async () => {
+    if (!brief.premise.trim()) {
+      toast.error('Describe the premise of your world')
+      return
+    }
+
+    setAiBusy(true)
+    try {
+      const response = await axios.post(`${API_URL}/ai/generate-world`, {
+        premise: brief.premise,
+        tone: brief.tone || undefined,
+        size: brief.size,
+        constraints: brief.constraints.split('\n').map(line => line.trim()).filter(Boolean)
+      })
+      const draft = response.data.worldData
+
+      // Keep the name and description the author may have typed already
+      setWorldData(prev => ({
+        ...prev,
+        ...draft,
+        worldInfo: {
+          ...draft.worldInfo,
+          name: prev.worldInfo.name || draft.worldInfo.name,
+          description: prev.worldInfo.description || draft.worldInfo.description,
+          author: prev.worldInfo.author
+        },
+        dungeonMaster: prev.dungeonMaster && {
+          ...prev.dungeonMaster,
+          protect: { ...prev.dungeonMaster.protect, locations: [] }
+        }
+      }))
+      setAiRepairs(response.data.repairs)
+      setGenerateOpen(false)
+      setActiveStep(1)
+      setTabValue(1)
+      toast.success(`Drafted ${Object.keys(draft.locations).length} locations. Change anything you like before publishing.`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to generate a world')
+    } finally {
+      setAiBusy(false)
+    }
+  }
+
+  // Grow the world outward from one location
+  const handleExpandLocation = async () => {
+    setAiBusy(true)
+    try {
+      const response = await axios.post(`${API_URL}/ai/expand-location`, {
+        worldData: {
+          worldInfo: worldData.worldInfo,
+          locations: worldData.locations,
+          items: worldData.items,
+          specialActions: worldData.specialActions,
+          startLocation: worldData.startLocation
+        },
+        locationId: expanding.locationId,
+        prompt: expanding.prompt || undefined,
+        count: expanding.count
+      })
+      const { worldData: expanded, added, repairs } = response.data
+
+      setWorldData(prev => ({
+        ...prev,
+        locations: expanded.locations,
+        items: expanded.items,
+        specialActions: expanded.specialActions
+      }))
+      setAiRepairs(repairs)
+      setExpanding(null)
+      toast.success(`Added ${added.locations.length} locations`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to expand the location')
+    } finally {
+      setAiBusy(false)
+    }
+  }
+
   const handleJsonSave = () => {
     try {
       const data = JSON.parse(jsonContent)
@@ -401,6 +560,23 @@ const CreateWorldPage = () => {
               />
             </Grid>
             
+            <Grid item xs={12}>
+              <Divider sx={{ my: 2 }} />
+              <Typography variant="h6" gutterBottom>
+                Or Start From an AI Draft
+              </Typography>
+              <Typography variant="body2" color="text.secondary" paragraph>
+                Describe your world and get a first draft of its locations and items to edit.
+              </Typography>
+              <Button
+                variant="outlined"
+                startIcon={<AIIcon />}
+                onClick={() => setGenerateOpen(true)}
+              >
+                Generate a Draft
+              </Button>
+            </Grid>
+
             <Grid item xs={12}>
               <Divider sx={{ my: 2 }} />
               <Typography variant="h6" gutterBottom>
@@ -428,7 +604,7 @@ const CreateWorldPage = () => {
                   {isDragActive ? 'Drop the file here' : 'Drag & drop a world file here'}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
-                  or click to select a JSON file
+                  or click to select a JSON file or a .zip world bundle
                 </Typography>
               </Box>
             </Grid>
@@ -438,6 +614,18 @@ const CreateWorldPage = () => {
       case 1: // Build World
         return (
           <Box>
+            {aiRepairs.length > 0 && (
+              <Alert severity="info" onClose={() => setAiRepairs([])} sx={{ mb: 3 }}>
+                The AI draft was tidied up so it plays:
+                <Box component="ul" sx={{ m: 0, pl: 2 }}>
+                  {aiRepairs.slice(0, 8).map((repair, index) => (
+                    <li key={index}>{repair}</li>
+                  ))}
+                </Box>
+                {aiRepairs.length > 8 && `...and ${aiRepairs.length - 8} more`}
+              </Alert>
+            )}
+
             <Tabs value={tabValue} onChange={(e, newValue) => setTabValue(newValue)} sx={{ mb: 3 }}>
               <Tab label="Add Location" />
               <Tab label="Manage Locations" />
@@ -635,6 +823,13 @@ const CreateWorldPage = () => {
                               >
                                 Edit
                               </Button>
+                              <Button
+                                size="small"
+                                startIcon={<AIIcon />}
+                                onClick={() => setExpanding({ locationId, prompt: '', count: 3 })}
+                              >
+                                Expand
+                              </Button>
                               <Button
                                 size="small"
                                 color="error"
@@ -722,6 +917,67 @@ const CreateWorldPage = () => {
                   </Grid>
                 </Paper>
               </Grid>
+
+              <Grid item xs={12}>
+                <Paper sx={{ p: 3 }}>
+                  <Typography variant="h6" gutterBottom>
+                    AI Dungeon Master
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    Players can ask the AI Dungeon Master what comes of their actions. What it adds stays in their own game and never changes your world.
+                  </Typography>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={dungeonMaster.enabled !== false}
+                        onChange={(e) => updateDungeonMaster({ enabled: e.target.checked })}
+                      />
+                    }
+                    label="Let players use the AI Dungeon Master"
+                  />
+
+                  {dungeonMaster.enabled !== false && (
+                    <Box sx={{ mt: 2 }}>
+                      <Grid container>
+                        {DUNGEON_MASTER_SECTIONS.map(section => (
+                          <Grid item xs={12} sm={6} key={section.key}>
+                            <FormControlLabel
+                              control={
+                                <Switch
+                                  size="small"
+                                  checked={(dungeonMaster.allow || DEFAULT_DUNGEON_MASTER.allow).includes(section.key)}
+                                  onChange={() => toggleDungeonMasterSection(section.key)}
+                                />
+                              }
+                              label={section.label}
+                            />
+                          </Grid>
+                        ))}
+                      </Grid>
+
+                      {Object.keys(worldData.locations).length > 0 && (
+                        <Box sx={{ mt: 2 }}>
+                          <Typography variant="body2" color="text.secondary" gutterBottom>
+                            Protected locations (the Dungeon Master won't change them or lead players into them)
+                          </Typography>
+                          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                            {Object.entries(worldData.locations).map(([locationId, location]) => (
+                              <Chip
+                                key={locationId}
+                                label={location.name}
+                                size="small"
+                                color={protectedLocations.includes(locationId) ? 'primary' : 'default'}
+                                variant={protectedLocations.includes(locationId) ? 'filled' : 'outlined'}
+                                onClick={() => toggleProtectedLocation(locationId)}
+                              />
+                            ))}
+                          </Box>
+                        </Box>
+                      )}
+                    </Box>
+                  )}
+                </Paper>
+              </Grid>
               
               <Grid item xs={12}>
                 <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
@@ -822,7 +1078,8 @@ const CreateWorldPage = () => {
               locations: worldData.locations,
               items: worldData.items,
               specialActions: worldData.specialActions,
-              startLocation: worldData.startLocation
+              startLocation: worldData.startLocation,
+              dungeonMaster: worldData.dungeonMaster
             }, null, 2)}
           </pre>
         </DialogContent>
@@ -854,6 +1111,107 @@ const CreateWorldPage = () => {
           <Button onClick={handleJsonSave} variant="contained">Save Changes</Button>
         </DialogActions>
       </Dialog>
+
+      {/* AI World Draft Dialog */}
+      <Dialog
+        open={generateOpen}
+        onClose={() => !aiBusy && setGenerateOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Generate a World Draft</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            label="Premise"
+            value={brief.premise}
+            onChange={(e) => setBrief(prev => ({ ...prev, premise: e.target.value }))}
+            placeholder="A lighthouse keeper vanished during the storm, and the light has gone dark"
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            label="Tone"
+            value={brief.tone}
+            onChange={(e) => setBrief(prev => ({ ...prev, tone: e.target.value }))}
+            placeholder="Eerie, slow-burning mystery"
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            select
+            label="Size"
+            value={brief.size}
+            onChange={(e) => setBrief(prev => ({ ...prev, size: e.target.value }))}
+            SelectProps={{ native: true }}
+            sx={{ mb: 2 }}
+          >
+            <option value="small">Small (about 5 locations)</option>
+            <option value="medium">Medium (about 9 locations)</option>
+            <option value="large">Large (about 15 locations)</option>
+          </TextField>
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            label="Constraints (one per line)"
+            value={brief.constraints}
+            onChange={(e) => setBrief(prev => ({ ...prev, constraints: e.target.value }))}
+            placeholder="No combat"
+          />
+          {Object.keys(worldData.locations).length > 0 && (
+            <Alert severity="warning" sx={{ mt: 2 }}>
+              The draft replaces the locations and items you have so far.
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setGenerateOpen(false)} disabled={aiBusy}>Cancel</Button>
+          <Button onClick={handleGenerateWorld} variant="contained" startIcon={<AIIcon />} disabled={aiBusy}>
+            {aiBusy ? 'Generating...' : 'Generate'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* AI Location Expansion Dialog */}
+      <Dialog
+        open={Boolean(expanding)}
+        onClose={() => !aiBusy && setExpanding(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          Expand {expanding && (worldData.locations[expanding.locationId]?.name || expanding.locationId)}
+        </DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            multiline
+            rows={2}
+            label="Direction (optional)"
+            value={expanding?.prompt || ''}
+            onChange={(e) => setExpanding(prev => ({ ...prev, prompt: e.target.value }))}
+            placeholder="A hidden way down to the sea caves"
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            type="number"
+            label="New locations"
+            value={expanding?.count || 3}
+            onChange={(e) => setExpanding(prev => ({ ...prev, count: Math.min(5, Math.max(1, parseInt(e.target.value) || 1)) }))}
+            inputProps={{ min: 1, max: 5 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setExpanding(null)} disabled={aiBusy}>Cancel</Button>
+          <Button onClick={handleExpandLocation} variant="contained" startIcon={<AIIcon />} disabled={aiBusy}>
+            {aiBusy ? 'Expanding...' : 'Expand'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   )
 }
@@ -35,7 +35,10 @@ import {
   EmojiEvents as TrophyIcon,
   TrendingUp as TrendingIcon,
   Explore as ExploreIcon,
-  Groups as GroupsIcon
+  Groups as GroupsIcon,
+  Download as DownloadIcon,
+  Upload as UploadIcon,
+  Flag as FlagIcon
 } from '@mui/icons-material'
 import { format } from 'date-fns'
 import { toast } from 'react-toastify'
@@ -90,6 +93,55 @@ const DashboardPage = () => {
     }
   }
 
+  const handleExportSave = async (save) => {
+    try {
+      const response = await axios.get(`${API_URL}/games/saves/${save.id}/export`, {
+        responseType: 'blob'
+      })
+      const url = window.URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${save.save_name}.json`
+      link.click()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error('Failed to export save')
+    }
+  }
+
+  const handleImportSave = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    const formData = new FormData()
+    formData.append('saveFile', file)
+
+    try {
+      await axios.post(`${API_URL}/games/saves/import`, formData)
+      toast.success('Save imported')
+      fetchDashboardData()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to import save')
+    }
+  }
+
+  const handleExportWorld = async (world) => {
+    try {
+      const response = await axios.get(`${API_URL}/worlds/${world.id}/export`, {
+        responseType: 'blob'
+      })
+      const url = window.URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${world.name}.zip`
+      link.click()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error('Failed to export world')
+    }
+  }
+
   const handleDeleteWorld = async (worldId) => {
     if (!window.confirm('Are you sure you want to delete this world? This cannot be undone.')) return
 
@@ -206,6 +258,14 @@ const DashboardPage = () => {
       case 1: // Saved Games
         return (
           <Grid container spacing={3}>
+            <Grid item xs={12}>
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+                <Button component="label" variant="outlined" startIcon={<UploadIcon />}>
+                  Import Save
+                  <input type="file" accept=".json,application/json" hidden onChange={handleImportSave} />
+                </Button>
+              </Box>
+            </Grid>
             {loading ? (
               [...Array(3)].map((_, i) => (
                 <Grid item xs={12} md={6} key={i}>
@@ -234,6 +294,9 @@ const DashboardPage = () => {
                       <Typography variant="caption" color="text.secondary">
                         Saved {format(new Date(save.created_at), 'MMM d, yyyy h:mm a')}
                       </Typography>
+                      {save.is_autosave && (
+                        <Chip label="Autosave" size="small" sx={{ ml: 1 }} />
+                      )}
                     </CardContent>
                     <CardActions>
                       <Button
@@ -243,6 +306,13 @@ const DashboardPage = () => {
                       >
                         Load
                       </Button>
+                      <IconButton
+                        size="small"
+                        onClick={() => handleExportSave(save)}
+                        title="Export save file"
+                      >
+                        <DownloadIcon />
+                      </IconButton>
                       <IconButton
                         size="small"
                         onClick={() => handleDeleteSave(save.id)}
@@ -329,6 +399,13 @@ const DashboardPage = () => {
                       <Button size="small" startIcon={<TrendingIcon />}>
                         Stats
                       </Button>
+                      <IconButton
+                        size="small"
+                        onClick={() => handleExportWorld(world)}
+                        title="Export world bundle"
+                      >
+                        <DownloadIcon />
+                      </IconButton>
                       <IconButton
                         size="small"
                         onClick={() => handleDeleteWorld(world.id)}
@@ -363,7 +440,7 @@ const DashboardPage = () => {
 
       {/* Stats Cards */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
-        <Grid item xs={12} sm={6} md={3}>
+        <Grid item xs={12} sm={6} md>
           <StatCard
             icon={<PlayIcon />}
             title="Games Played"
@@ -371,7 +448,7 @@ const DashboardPage = () => {
             color="primary"
           />
         </Grid>
-        <Grid item xs={12} sm={6} md={3}>
+        <Grid item xs={12} sm={6} md>
           <StatCard
             icon={<ExploreIcon />}
             title="Worlds Created"
@@ -379,7 +456,7 @@ const DashboardPage = () => {
             color="secondary"
           />
         </Grid>
-        <Grid item xs={12} sm={6} md={3}>
+        <Grid item xs={12} sm={6} md>
           <StatCard
             icon={<TrophyIcon />}
             title="Achievements"
@@ -387,7 +464,7 @@ const DashboardPage = () => {
             color="warning"
           />
         </Grid>
-        <Grid item xs={12} sm={6} md={3}>
+        <Grid item xs={12} sm={6} md>
           <StatCard
             icon={<ScheduleIcon />}
             title="Hours Played"
@@ -395,6 +472,14 @@ const DashboardPage = () => {
             color="success"
           />
         </Grid>
+        <Grid item xs={12} sm={6} md>
+          <StatCard
+            icon={<FlagIcon />}
+            title="Endings Discovered"
+            value={`${stats?.endingsDiscovered || 0} / ${stats?.endingsTotal || 0}`}
+            color="info"
+          />
+        </Grid>
       </Grid>
 
       {/* Main Content */}
@@ -43,12 +43,23 @@ import {
   VolumeOff as VolumeOffIcon,
   Fullscreen as FullscreenIcon,
   FullscreenExit as FullscreenExitIcon,
-  AutoAwesome as AutoAwesomeIcon
+  AutoAwesome as AutoAwesomeIcon,
+  Undo as UndoIcon,
+  CallSplit as CallSplitIcon,
+  Place as PlaceIcon
 } from '@mui/icons-material'
 import ReactMarkdown from 'react-markdown'
 import { toast } from 'react-toastify'
-import { continueGame, performAction, saveGame, clearGame, toggleAutoSave } from '../store/gameSlice'
-import { sendGameAction, sendChatMessage } from '../services/socket'
+import { continueGame, performAction, fetchHistory, rewindGame, upgradeGame, saveGame, autosaveGame, clearGame, toggleAutoSave } from '../store/gameSlice'
+import { roomStateReceived, roomActionReceived, locationEventReceived, voteTallyReceived, roleChanged, addChatMessage, fetchChatHistory } from '../store/multiplayerSlice'
+import { getSocket, joinRoom, requestRoomState, castVote, sendGameAction, sendChatMessage, respondToTrade, narrate, cancelNarration } from '../services/socket'
+import { streamNarration } from '../services/narration'
+
+const ENDING_COLORS = {
+  good: 'success',
+  bad: 'error',
+  secret: 'secondary'
+}
 
 const GamePage = ({ multiplayer = false }) => {
   const { sessionId, roomId } = useParams()
@@ -67,6 +78,11 @@ const GamePage = ({ multiplayer = false }) => {
   const [fullscreen, setFullscreen] = useState(false)
   const [typewriterText, setTypewriterText] = useState('')
   const [isTyping, setIsTyping] = useState(false)
+  // Narration streamed from the AI narrator: { id, username, text, streaming, own }
+  const [narration, setNarration] = useState(null)
+  const [narratorPrompt, setNarratorPrompt] = useState('')
+  const narrationStream = useRef(null)
+  const ownNarrationId = useRef(null)
   
   const chatInputRef = useRef(null)
   const gameContainerRef = useRef(null)
@@ -83,6 +99,213 @@ const GamePage = ({ multiplayer = false }) => {
     }
   }, [sessionId, multiplayer, dispatch])
 
+  // Multiplayer: follow the room's state as the server applies actions
+  useEffect(() => {
+    const socket = getSocket()
+    if (!multiplayer || !socket) return
+
+    const handleRoomState = (payload) => {
+      dispatch(roomStateReceived(payload, user?.id))
+    }
+    const handlePlayerAction = (payload) => {
+      dispatch(roomActionReceived(payload, user?.id))
+      if (payload.result?.message) {
+        toast.info(`${payload.username}: ${payload.result.message}`)
+      }
+    }
+    // Split parties: what happened where this player is
+    const handleLocationEvent = (payload) => {
+      if (payload.roomId === roomId) {
+        dispatch(locationEventReceived(payload, user?.id))
+        toast.info(`${payload.username}: ${payload.message}`)
+      }
+    }
+    const handleTradeOffered = (payload) => {
+      if (payload.toUserId !== user?.id) return
+      const items = (list) => list.length > 0 ? list.join(', ') : 'nothing'
+      toast.info(({ closeToast }) => (
+        <Box>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            {`${payload.fromUsername} offers ${items(payload.offer)} for ${items(payload.request)}`}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button size="small" variant="contained" onClick={() => { respondToTrade(payload.id, true); closeToast() }}>
+              Accept
+            </Button>
+            <Button size="small" onClick={() => { respondToTrade(payload.id, false); closeToast() }}>
+              Decline
+            </Button>
+          </Box>
+        </Box>
+      ), { autoClose: false })
+    }
+    const handleTradeClosed = (payload) => {
+      if (!payload.accepted && payload.closedBy !== user?.id) {
+        toast.info('Your trade offer was declined')
+      }
+    }
+    const handleTradeRejected = (payload) => {
+      toast.warning(payload.message)
+    }
+    const handleRoomPaused = (payload) => {
+      if (payload.roomId !== roomId) return
+      toast.info(payload.reason === 'idle' ? 'The room was paused while nobody was here' : 'The host paused the room')
+      navigate('/dashboard')
+    }
+    const handleRoomClosed = (payload) => {
+      if (payload.roomId !== roomId) return
+      toast.info('This room has closed')
+      navigate('/dashboard')
+    }
+    const handleActionRejected = (payload) => {
+      toast.warning(payload.message)
+    }
+    const handleVoteTally = (payload) => {
+      dispatch(voteTallyReceived(payload))
+    }
+    const handleVoteResolved = (payload) => {
+      toast.info(`The party chose: ${payload.text}`)
+    }
+    const handlePlayerDisconnected = (payload) => {
+      toast.info(`${payload.username} lost connection; holding their place`)
+    }
+    const handlePlayerReconnected = (payload) => {
+      toast.info(`${payload.username} is back`)
+    }
+    const handleChatMessage = (payload) => {
+      dispatch(addChatMessage(payload))
+    }
+    const handleMessageRejected = (payload) => {
+      toast.warning(payload.message)
+    }
+    const handlePlayerMuted = (payload) => {
+      if (payload.userId === user?.id) {
+        toast.warning(payload.mutedUntil
+          ? `The host muted you until ${new Date(payload.mutedUntil).toLocaleTimeString()}`
+          : 'The host muted you')
+      }
+    }
+    const handlePlayerUnmuted = (payload) => {
+      if (payload.userId === user?.id) {
+        toast.info('The host unmuted you')
+      }
+    }
+    const handleSpectatorPromoted = (payload) => {
+      if (payload.userId === user?.id) {
+        dispatch(roleChanged('player'))
+        toast.success('You are now playing')
+      } else {
+        toast.info(`${payload.username} joined the party`)
+      }
+    }
+
+    socket.on('room_state', handleRoomState)
+    socket.on('player_action', handlePlayerAction)
+    socket.on('action_rejected', handleActionRejected)
+    socket.on('vote_tally', handleVoteTally)
+    socket.on('vote_resolved', handleVoteResolved)
+    socket.on('player_disconnected', handlePlayerDisconnected)
+    socket.on('player_reconnected', handlePlayerReconnected)
+    socket.on('spectator_promoted', handleSpectatorPromoted)
+    socket.on('chat_message', handleChatMessage)
+    socket.on('message_rejected', handleMessageRejected)
+    socket.on('player_muted', handlePlayerMuted)
+    socket.on('player_unmuted', handlePlayerUnmuted)
+    socket.on('location_event', handleLocationEvent)
+    socket.on('trade_offered', handleTradeOffered)
+    socket.on('trade_closed', handleTradeClosed)
+    socket.on('trade_rejected', handleTradeRejected)
+    socket.on('room_paused', handleRoomPaused)
+    socket.on('room_closed', handleRoomClosed)
+    joinRoom(roomId)
+    dispatch(fetchChatHistory({ roomId }))
+
+    return () => {
+      socket.off('room_state', handleRoomState)
+      socket.off('player_action', handlePlayerAction)
+      socket.off('action_rejected', handleActionRejected)
+      socket.off('vote_tally', handleVoteTally)
+      socket.off('vote_resolved', handleVoteResolved)
+      socket.off('player_disconnected', handlePlayerDisconnected)
+      socket.off('player_reconnected', handlePlayerReconnected)
+      socket.off('spectator_promoted', handleSpectatorPromoted)
+      socket.off('chat_message', handleChatMessage)
+      socket.off('message_rejected', handleMessageRejected)
+      socket.off('player_muted', handlePlayerMuted)
+      socket.off('player_unmuted', handlePlayerUnmuted)
+      socket.off('location_event', handleLocationEvent)
+      socket.off('trade_offered', handleTradeOffered)
+      socket.off('trade_closed', handleTradeClosed)
+      socket.off('trade_rejected', handleTradeRejected)
+      socket.off('room_paused', handleRoomPaused)
+      socket.off('room_closed', handleRoomClosed)
+    }
+  }, [multiplayer, roomId, user?.id, dispatch, navigate])
+
+  // Multiplayer: narration anyone in the room asked for streams to everyone
+  useEffect(() => {
+    const socket = getSocket()
+    if (!multiplayer || !socket) return
+
+    const handleAccepted = (payload) => {
+      ownNarrationId.current = payload.narrationId
+    }
+    const handleStart = (payload) => {
+      setNarration({
+        id: payload.narrationId,
+        username: payload.username,
+        text: '',
+        streaming: true,
+        own: payload.userId === user?.id
+      })
+    }
+    const handleDelta = (payload) => {
+      setNarration(prev => prev?.id === payload.narrationId ? { ...prev, text: prev.text + payload.text } : prev)
+    }
+    const handleDone = (payload) => {
+      setNarration(prev => prev?.id === payload.narrationId ? { ...prev, text: payload.content, streaming: false } : prev)
+    }
+    const handleStopped = (payload) => {
+      setNarration(prev => prev?.id === payload.narrationId ? { ...prev, streaming: false } : prev)
+    }
+    const handleError = (payload) => {
+      handleStopped(payload)
+      toast.warning(payload.message || 'The narrator fell silent')
+    }
+
+    socket.on('narration_accepted', handleAccepted)
+    socket.on('narration_start', handleStart)
+    socket.on('narration_delta', handleDelta)
+    socket.on('narration_done', handleDone)
+    socket.on('narration_cancelled', handleStopped)
+    socket.on('narration_error', handleError)
+
+    return () => {
+      socket.off('narration_accepted', handleAccepted)
+      socket.off('narration_start', handleStart)
+      socket.off('narration_delta', handleDelta)
+      socket.off('narration_done', handleDone)
+      socket.off('narration_cancelled', handleStopped)
+      socket.off('narration_error', handleError)
+    }
+  }, [multiplayer, roomId, user?.id])
+
+  // Leaving the page stops any narration this player asked for
+  useEffect(() => {
+    return () => {
+      narrationStream.current?.cancel()
+      if (ownNarrationId.current) {
+        cancelNarration(ownNarrationId.current)
+      }
+    }
+  }, [sessionId, roomId])
+
+  useEffect(() => {
+    if (multiplayer && multiplayerState.roomStateStale) {
+      requestRoomState()
+    }
+  }, [multiplayer, multiplayerState.roomStateStale])
+
   // Typewriter effect for location description
   useEffect(() => {
     if (gameState.locationData?.description) {
@@ -104,27 +327,82 @@ const GamePage = ({ multiplayer = false }) => {
       
       return () => clearInterval(timer)
     }
-  }, [gameState.locationData])
+  }, [gameState.currentLocation, gameState.locationData?.description])
 
-  // Auto-save functionality
+  // Load the server-side action log when the history drawer opens
+  useEffect(() => {
+    if (historyOpen && gameState.sessionId && !multiplayer) {
+      dispatch(fetchHistory(gameState.sessionId))
+    }
+  }, [historyOpen, gameState.sessionId, multiplayer, dispatch])
+
+  // Auto-save functionality: the server keeps a few rotating autosave slots
+  // and decides the cadence, we just check in once it is due
   useEffect(() => {
     if (!multiplayer && gameState.autoSaveEnabled && gameState.sessionId) {
       const autoSaveTimer = setInterval(() => {
-        handleAutoSave()
-      }, 5 * 60 * 1000) // Auto-save every 5 minutes
+        if (!gameState.nextAutosaveAt || new Date(gameState.nextAutosaveAt) <= new Date()) {
+          handleAutoSave()
+        }
+      }, 60 * 1000) // Check every minute
       
       return () => clearInterval(autoSaveTimer)
     }
-  }, [gameState.autoSaveEnabled, gameState.sessionId, multiplayer])
+  }, [gameState.autoSaveEnabled, gameState.sessionId, gameState.nextAutosaveAt, multiplayer])
+
+  const handleRewind = async (step, branch) => {
+    const result = await dispatch(rewindGame({ sessionId: gameState.sessionId, step, branch }))
+
+    if (rewindGame.fulfilled.match(result)) {
+      setHistoryOpen(false)
+      if (branch) {
+        toast.success('Started a new branch from this point')
+        navigate(`/game/${result.payload.sessionId}`)
+      } else {
+        toast.info(`Rewound to step ${step}`)
+      }
+    } else {
+      toast.error('Failed to rewind')
+    }
+  }
+
+  const handleUpgrade = async () => {
+    const result = await dispatch(upgradeGame(gameState.sessionId))
+
+    if (upgradeGame.fulfilled.match(result)) {
+      toast.success('Your adventure now uses the latest version of this world')
+      result.payload.notes.forEach(note => toast.info(note))
+    } else {
+      toast.error('Failed to upgrade')
+    }
+  }
+
+  // Spectators follow along but can't act or vote
+  const spectating = multiplayer && multiplayerState.role === 'spectator'
 
-  const handleAction = async (action, target) => {
+  // In rooms that decide by vote, picking a choice casts a ballot for it
+  const openVote = multiplayer ? multiplayerState.roomState?.vote : null
+  const voteCounts = multiplayerState.voteTally?.voteId === openVote?.id
+    ? multiplayerState.voteTally.counts
+    : []
+
+  const handleChoice = (choice, index) => {
+    if (openVote) {
+      castVote(openVote.id, index)
+      return
+    }
+    handleAction(choice.action, choice.target, choice.on)
+  }
+
+  const handleAction = async (action, target, on) => {
     if (multiplayer) {
-      sendGameAction(action, target, roomId)
+      sendGameAction(action, target, roomId, on)
     } else {
       const result = await dispatch(performAction({
         sessionId: gameState.sessionId,
         action,
-        target
+        target,
+        on
       }))
       
       if (performAction.fulfilled.match(result) && result.payload.message) {
@@ -138,7 +416,49 @@ const GamePage = ({ multiplayer = false }) => {
     }
   }
 
-  const handleSaveGame = async () => {
+  const handleAskNarrator = () => {
+    const prompt = narratorPrompt.trim()
+    if (!prompt || narration?.streaming) return
+    setNarratorPrompt('')
+
+    if (multiplayer) {
+      narrate('story', prompt)
+      return
+    }
+
+    narrationStream.current = streamNarration('story', { sessionId: gameState.sessionId, prompt }, {
+      onStart: (payload) => {
+        if (payload.budgetWarnings?.length > 0) {
+          toast.info('You are close to your AI budget for this period')
+        }
+        setNarration({ id: payload.narrationId, username: user?.username, text: '', streaming: true, own: true })
+      },
+      onDelta: (payload) => {
+        setNarration(prev => prev && { ...prev, text: prev.text + payload.text })
+      },
+      onDone: (payload) => {
+        setNarration(prev => prev && { ...prev, text: payload.content, streaming: false })
+      },
+      onCancelled: () => {
+        setNarration(prev => prev && { ...prev, streaming: false })
+      },
+      onError: (error) => {
+        setNarration(prev => prev && { ...prev, streaming: false })
+        toast.warning(error.message)
+      }
+    })
+  }
+
+  const handleStopNarration = () => {
+    if (multiplayer) {
+      cancelNarration(narration.id)
+    } else {
+      narrationStream.current?.cancel()
+      setNarration(prev => prev && { ...prev, streaming: false })
+    }
+  }
+
+  const handleSaveGame = async (overwrite = false) => {
     if (!saveName.trim()) {
       toast.error('Please enter a save name')
       return
@@ -146,23 +466,27 @@ const GamePage = ({ multiplayer = false }) => {
     
     const result = await dispatch(saveGame({
       sessionId: gameState.sessionId,
-      saveName: saveName.trim()
+      saveName: saveName.trim(),
+      overwrite
     }))
     
     if (saveGame.fulfilled.match(result)) {
       toast.success('Game saved successfully!')
       setSaveDialogOpen(false)
       setSaveName('')
+    } else if (result.payload?.status === 409) {
+      if (window.confirm(`A save named "${saveName.trim()}" already exists. Overwrite it?`)) {
+        handleSaveGame(true)
+      }
+    } else {
+      toast.error('Failed to save game')
     }
   }
 
   const handleAutoSave = async () => {
-    const result = await dispatch(saveGame({
-      sessionId: gameState.sessionId,
-      saveName: `Auto Save - ${new Date().toLocaleString()}`
-    }))
+    const result = await dispatch(autosaveGame(gameState.sessionId))
     
-    if (saveGame.fulfilled.match(result)) {
+    if (autosaveGame.fulfilled.match(result) && result.payload.saved) {
       toast.info('Game auto-saved', { autoClose: 2000 })
     }
   }
@@ -210,8 +534,8 @@ const GamePage = ({ multiplayer = false }) => {
         variant="outlined"
         size="large"
         fullWidth
-        onClick={() => handleAction(choice.action, choice.target)}
-        disabled={gameState.loading || isTyping}
+        onClick={() => handleChoice(choice, index)}
+        disabled={gameState.loading || isTyping || spectating}
         sx={{
           py: 2,
           px: 3,
@@ -227,9 +551,16 @@ const GamePage = ({ multiplayer = false }) => {
           }
         }}
       >
-        <Typography variant="body1">
+        <Typography variant="body1" sx={{ flexGrow: 1 }}>
           {choice.text}
         </Typography>
+        {openVote && (
+          <Chip
+            label={`${voteCounts.find(count => count.option === index)?.votes || 0} votes`}
+            size="small"
+            variant="outlined"
+          />
+        )}
       </Button>
     </Slide>
   )
@@ -269,6 +600,21 @@ const GamePage = ({ multiplayer = false }) => {
             </Grid>
             <Grid item xs={12} md={6}>
               <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end', flexWrap: 'wrap' }}>
+                {spectating && (
+                  <Chip label="Spectating" variant="outlined" sx={{ alignSelf: 'center' }} />
+                )}
+
+                {!multiplayer && gameState.latestRevision > gameState.worldRevision && (
+                  <Tooltip title="The author has updated this world">
+                    <Chip
+                      label="Update available"
+                      color="secondary"
+                      onClick={handleUpgrade}
+                      sx={{ alignSelf: 'center' }}
+                    />
+                  </Tooltip>
+                )}
+
                 <Tooltip title="Inventory">
                   <IconButton onClick={() => setInventoryOpen(true)}>
                     <Badge badgeContent={gameState.inventory.length} color="primary">
@@ -336,6 +682,22 @@ const GamePage = ({ multiplayer = false }) => {
                 border: '1px solid rgba(255, 255, 255, 0.1)'
               }}
             >
+              {/* Split party: where everyone is */}
+              {multiplayer && multiplayerState.party && (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+                  {Object.entries(multiplayerState.party).map(([memberId, member]) => (
+                    <Chip
+                      key={memberId}
+                      icon={<PlaceIcon />}
+                      size="small"
+                      variant={memberId === user?.id ? 'filled' : 'outlined'}
+                      color={member.location === gameState.currentLocation ? 'primary' : 'default'}
+                      label={`${memberId === user?.id ? 'You' : member.username || 'Player'} · ${member.locationName}`}
+                    />
+                  ))}
+                </Box>
+              )}
+
               {/* Location */}
               <Fade in timeout={500}>
                 <Box sx={{ mb: 4 }}>
@@ -373,19 +735,107 @@ const GamePage = ({ multiplayer = false }) => {
                 </Box>
               </Fade>
 
-              {/* Choices */}
-              <Box sx={{ mt: 4 }}>
-                <Typography variant="h6" gutterBottom color="text.secondary">
-                  What do you do?
-                </Typography>
-                <Grid container spacing={2}>
-                  {gameState.locationData?.choices?.map((choice, index) => (
-                    <Grid item xs={12} key={index}>
-                      {renderChoice(choice, index)}
-                    </Grid>
-                  ))}
-                </Grid>
-              </Box>
+              {/* The AI narrator, streaming as it writes */}
+              {!spectating && !gameState.ending && (
+                <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+                  <TextField
+                    size="small"
+                    fullWidth
+                    placeholder="Ask the narrator: look closer, recall a legend..."
+                    value={narratorPrompt}
+                    onChange={(e) => setNarratorPrompt(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAskNarrator()}
+                    inputProps={{ maxLength: 1000 }}
+                  />
+                  <Tooltip title="Ask the narrator">
+                    <span>
+                      <IconButton onClick={handleAskNarrator} disabled={!narratorPrompt.trim() || narration?.streaming}>
+                        <AutoAwesomeIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </Box>
+              )}
+              {narration && (
+                <Card variant="outlined" sx={{ mb: 4 }}>
+                  <CardContent>
+                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                      <Typography variant="overline" color="text.secondary">
+                        {narration.own ? 'The narrator' : `The narrator, for ${narration.username}`}
+                      </Typography>
+                      {narration.streaming && narration.own && (
+                        <Button size="small" onClick={handleStopNarration}>
+                          Stop
+                        </Button>
+                      )}
+                    </Box>
+                    <Typography variant="body1" component="div" sx={{ lineHeight: 1.8 }}>
+                      <ReactMarkdown>{narration.text}</ReactMarkdown>
+                    </Typography>
+                    {narration.streaming && (
+                      <Box
+                        sx={{
+                          display: 'inline-block',
+                          width: '2px',
+                          height: '1.2em',
+                          backgroundColor: 'primary.main',
+                          animation: 'blink 1s infinite'
+                        }}
+                      />
+                    )}
+                  </CardContent>
+                </Card>
+              )}
+
+              {/* Ending, or the choices while the adventure goes on */}
+              {gameState.ending ? (
+                <Card sx={{ mt: 4, border: '1px solid', borderColor: ENDING_COLORS[gameState.ending.type] + '.main' }}>
+                  <CardContent>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                      <Typography variant="overline" color="text.secondary">
+                        The End
+                      </Typography>
+                      <Chip label={gameState.ending.type} color={ENDING_COLORS[gameState.ending.type]} size="small" />
+                    </Box>
+                    <Typography variant="h5" gutterBottom fontWeight="bold">
+                      {gameState.ending.title}
+                    </Typography>
+                    {gameState.ending.description && (
+                      <Typography variant="body1" color="text.secondary" paragraph>
+                        {gameState.ending.description}
+                      </Typography>
+                    )}
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      {!multiplayer && (
+                        <Button variant="outlined" startIcon={<UndoIcon />} onClick={() => setHistoryOpen(true)}>
+                          Rewind
+                        </Button>
+                      )}
+                      <Button variant="contained" onClick={() => navigate('/dashboard')}>
+                        Back to Dashboard
+                      </Button>
+                    </Box>
+                  </CardContent>
+                </Card>
+              ) : (
+                <Box sx={{ mt: 4 }}>
+                  <Typography variant="h6" gutterBottom color="text.secondary">
+                    {openVote ? 'What should the party do?' : 'What do you do?'}
+                  </Typography>
+                  {openVote && (
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                      {`Vote (${openVote.mode}) · ${multiplayerState.voteTally?.voteId === openVote.id ? multiplayerState.voteTally.voted : 0} of ${multiplayerState.voteTally?.eligible || multiplayerState.roomParticipants.length || '?'} voted`}
+                    </Typography>
+                  )}
+                  <Grid container spacing={2}>
+                    {gameState.locationData?.choices?.map((choice, index) => (
+                      <Grid item xs={12} key={index}>
+                        {renderChoice(choice, index)}
+                      </Grid>
+                    ))}
+                  </Grid>
+                </Box>
+              )}
 
               {/* Loading indicator */}
               {gameState.loading && (
@@ -417,6 +867,16 @@ const GamePage = ({ multiplayer = false }) => {
                 <Divider sx={{ mb: 2 }} />
                 
                 <Box sx={{ flexGrow: 1, overflowY: 'auto', mb: 2 }}>
+                  {multiplayerState.chatHasMore && (
+                    <Button
+                      size="small"
+                      fullWidth
+                      sx={{ mb: 1 }}
+                      onClick={() => dispatch(fetchChatHistory({ roomId, before: multiplayerState.chatMessages[0]?.timestamp }))}
+                    >
+                      Load earlier messages
+                    </Button>
+                  )}
                   {multiplayerState.chatMessages.map((msg) => (
                     <Box key={msg.id} sx={{ mb: 1 }}>
                       <Typography variant="caption" color="text.secondary">
@@ -483,9 +943,25 @@ const GamePage = ({ multiplayer = false }) => {
             
             <List>
               {gameState.actionHistory.slice().reverse().map((action, index) => (
-                <ListItem key={index}>
+                <ListItem
+                  key={index}
+                  secondaryAction={!multiplayer && action.step !== undefined && (
+                    <>
+                      <Tooltip title="Rewind to here">
+                        <IconButton edge="end" onClick={() => handleRewind(action.step, false)}>
+                          <UndoIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Branch from here">
+                        <IconButton edge="end" onClick={() => handleRewind(action.step, true)}>
+                          <CallSplitIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </>
+                  )}
+                >
                   <ListItemText
-                    primary={`${action.action}: ${action.target}`}
+                    primary={action.target ? `${action.action}: ${action.target}` : action.action}
                     secondary={
                       <>
                         {action.result}
@@ -531,7 +1007,7 @@ const GamePage = ({ multiplayer = false }) => {
           </DialogContent>
           <DialogActions>
             <Button onClick={() => setSaveDialogOpen(false)}>Cancel</Button>
-            <Button onClick={handleSaveGame} variant="contained" disabled={gameState.saving}>
+            <Button onClick={() => handleSaveGame()} variant="contained" disabled={gameState.saving}>
               {gameState.saving ? 'Saving...' : 'Save'}
             </Button>
           </DialogActions>
@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { useDispatch, useSelector } from 'react-redux'
+import {
+  Container,
+  Grid,
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Rating,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Skeleton,
+  Alert,
+  Divider
+} from '@mui/material'
+import {
+  PlayArrow as PlayIcon,
+  Person as PersonIcon,
+  Flag as FlagIcon,
+  CheckCircle as CheckIcon,
+  HelpOutline as UnknownIcon,
+  Lock as LockIcon
+} from '@mui/icons-material'
+import { toast } from 'react-toastify'
+import axios from 'axios'
+import { startGame } from '../store/gameSlice'
+
+const API_URL = import.meta.env.VITE_API_URL || '/api'
+
+const ENDING_COLORS = {
+  good: 'success',
+  bad: 'error',
+  secret: 'secondary'
+}
+
+const WorldDetailPage = () => {
+  const { worldId } = useParams()
+  const navigate = useNavigate()
+  const dispatch = useDispatch()
+  const { isAuthenticated } = useSelector(state => state.auth)
+  const [world, setWorld] = useState(null)
+  const [stats, setStats] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [starting, setStarting] = useState(false)
+
+  useEffect(() => {
+    const fetchWorld = async () => {
+      setLoading(true)
+      try {
+        const [worldRes, statsRes] = await Promise.all([
+          axios.get(`${API_URL}/worlds/${worldId}`),
+          axios.get(`${API_URL}/worlds/${worldId}/stats`)
+        ])
+        setWorld(worldRes.data)
+        setStats(statsRes.data)
+        setError(null)
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load world')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchWorld()
+  }, [worldId])
+
+  const handlePlay = async () => {
+    if (!isAuthenticated) {
+      navigate('/login')
+      return
+    }
+
+    setStarting(true)
+    const result = await dispatch(startGame({ worldId, sessionName: world.name }))
+    setStarting(false)
+
+    if (startGame.fulfilled.match(result)) {
+      navigate(`/game/${result.payload.sessionId}`)
+    } else {
+      toast.error('Failed to start game')
+    }
+  }
+
+  if (loading) {
+    return (
+      <Container maxWidth="lg" sx={{ py: 4 }}>
+        <Skeleton variant="rectangular" height={240} sx={{ mb: 2 }} />
+        <Skeleton variant="text" height={60} />
+        <Skeleton variant="text" />
+      </Container>
+    )
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="lg" sx={{ py: 4 }}>
+        <Alert severity="error">{error}</Alert>
+      </Container>
+    )
+  }
+
+  const discoveredPercent = stats?.totalEndings
+    ? (stats.discoveredEndings / stats.totalEndings) * 100
+    : 0
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Grid container spacing={4}>
+        <Grid item xs={12} md={8}>
+          {world.thumbnail_url && (
+            <Box
+              component="img"
+              src={world.thumbnail_url}
+              alt={world.name}
+              sx={{ width: '100%', maxHeight: 320, objectFit: 'cover', borderRadius: 2, mb: 3 }}
+            />
+          )}
+
+          <Typography variant="h3" fontWeight="bold" gutterBottom>
+            {world.name}
+          </Typography>
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <PersonIcon sx={{ fontSize: 18, color: 'text.secondary' }} />
+              <Typography variant="body2" color="text.secondary">
+                {world.author?.display_name || world.author?.username}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <Rating value={world.rating_average} precision={0.5} size="small" readOnly />
+              <Typography variant="body2" color="text.secondary">
+                ({world.rating_count})
+              </Typography>
+            </Box>
+            <Typography variant="body2" color="text.secondary">
+              {world.play_count} plays
+            </Typography>
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 0.5, mb: 3, flexWrap: 'wrap' }}>
+            {(world.tags || []).map(tag => (
+              <Chip key={tag} label={tag} size="small" />
+            ))}
+          </Box>
+
+          <Typography variant="body1" paragraph>
+            {world.description || 'No description available'}
+          </Typography>
+
+          <Button
+            variant="contained"
+            size="large"
+            startIcon={<PlayIcon />}
+            onClick={handlePlay}
+            disabled={starting}
+          >
+            {starting ? 'Starting...' : 'Play'}
+          </Button>
+        </Grid>
+
+        <Grid item xs={12} md={4}>
+          <Paper sx={{ p: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+              <FlagIcon color="primary" />
+              <Typography variant="h6">Endings</Typography>
+            </Box>
+
+            {stats?.totalEndings ? (
+              <>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  {isAuthenticated
+                    ? `You have discovered ${stats.discoveredEndings} of ${stats.totalEndings} endings`
+                    : `${stats.totalEndings} endings to discover`}
+                </Typography>
+                {isAuthenticated && (
+                  <LinearProgress variant="determinate" value={discoveredPercent} sx={{ mb: 2 }} />
+                )}
+
+                <List dense>
+                  {stats.endings.map((ending, index) => (
+                    <ListItem key={ending.id || `hidden-${index}`} disableGutters>
+                      <ListItemIcon sx={{ minWidth: 36 }}>
+                        {ending.discovered ? (
+                          <CheckIcon color="success" />
+                        ) : ending.id ? (
+                          <UnknownIcon color="disabled" />
+                        ) : (
+                          <LockIcon color="disabled" />
+                        )}
+                      </ListItemIcon>
+                      <ListItemText
+                        primary={ending.title || 'Secret ending'}
+                        secondary={`Reached ${ending.timesReached} times${ending.fewestMoves !== null ? ` · fewest moves ${ending.fewestMoves}` : ''}`}
+                      />
+                      <Chip label={ending.type} color={ENDING_COLORS[ending.type]} size="small" variant="outlined" />
+                    </ListItem>
+                  ))}
+                </List>
+
+                <Divider sx={{ my: 2 }} />
+                <Typography variant="body2" color="text.secondary">
+                  {stats.sessions.completed} of {stats.sessions.started} adventures completed
+                  {stats.averageMoves !== null && ` · ${stats.averageMoves} moves on average`}
+                </Typography>
+              </>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                This world has no endings defined.
+              </Typography>
+            )}
+          </Paper>
+        </Grid>
+      </Grid>
+    </Container>
+  )
+}
+
+export default WorldDetailPage
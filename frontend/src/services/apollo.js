@@ -1,7 +1,8 @@
 import { ApolloClient, InMemoryCache, createHttpLink, split } from '@apollo/client'
 import { setContext } from '@apollo/client/link/context'
-import { WebSocketLink } from '@apollo/client/link/ws'
+import { GraphQLWsLink } from '@apollo/client/link/subscriptions'
 import { getMainDefinition } from '@apollo/client/utilities'
+import { createClient } from 'graphql-ws'
 
 const httpLink = createHttpLink({
   uri: import.meta.env.VITE_GRAPHQL_URL || '/graphql',
@@ -17,15 +18,17 @@ const authLink = setContext((_, { headers }) => {
   }
 })
 
-const wsLink = new WebSocketLink({
-  uri: import.meta.env.VITE_WS_URL || 'ws://localhost:3000/graphql',
-  options: {
-    reconnect: true,
-    connectionParams: {
-      authToken: localStorage.getItem('token'),
-    },
-  }
-})
+// Subscriptions (room updates, player actions, chat, notifications) run over
+// graphql-ws. The token is read on every (re)connect so a login after page
+// load is picked up.
+const wsLink = new GraphQLWsLink(createClient({
+  url: import.meta.env.VITE_WS_URL || 'ws://localhost:3000/graphql',
+  lazy: true,
+  retryAttempts: Infinity,
+  connectionParams: () => ({
+    authToken: localStorage.getItem('token'),
+  }),
+}))
 
 const splitLink = split(
   ({ query }) => {
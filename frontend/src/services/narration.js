@@ -0,0 +1,81 @@
+const API_URL = import.meta.env.VITE_API_URL || '/api'
+
+const STREAM_PATHS = {
+  story: '/ai/generate-story/stream',
+  dungeon_master: '/ai/dungeon-master/stream'
+}
+
+const HANDLERS = {
+  start: 'onStart',
+  delta: 'onDelta',
+  done: 'onDone',
+  error: 'onError',
+  cancelled: 'onCancelled'
+}
+
+// One server-sent event: `event:` and `data:` lines, ended by a blank line
+const parseEvent = (block) => {
+  let type = 'message'
+  let data = ''
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim()
+    } else if (line.startsWith('data:')) {
+      data += line.slice(5).trim()
+    }
+  })
+  return { type, payload: data ? JSON.parse(data) : {} }
+}
+
+// Stream story ('story') or Dungeon Master ('dungeon_master') narration for a
+// session or room. `body` is { sessionId | roomId, prompt, context }; the
+// handlers are onStart, onDelta, onDone, onError and onCancelled. Returns
+// { cancel }, which stops the narration on the server too.
+export const streamNarration = (kind, { prompt, context, ...target }, handlers = {}) => {
+  const controller = new AbortController()
+  const body = kind === 'dungeon_master'
+    ? { ...target, action: prompt, gameContext: context }
+    : { ...target, prompt, context }
+
+  const run = async () => {
+    const response = await fetch(`${API_URL}${STREAM_PATHS[kind]}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('token')}`
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    })
+
+    // Refused before it started: a plain JSON error
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      handlers.onError?.({ message: error.error || 'Narration failed', code: error.code, status: response.status })
+      return
+    }
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+      const blocks = buffer.split('\n\n')
+      buffer = blocks.pop()
+      blocks.forEach(block => {
+        const { type, payload } = parseEvent(block)
+        handlers[HANDLERS[type]]?.(payload)
+      })
+    }
+  }
+
+  run().catch(error => {
+    if (error.name !== 'AbortError') {
+      handlers.onError?.({ message: error.message })
+    }
+  })
+
+  return { cancel: () => controller.abort() }
+}
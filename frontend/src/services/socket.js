@@ -3,6 +3,11 @@ import { toast } from 'react-toastify'
 
 let socket = null
 
+// The multiplayer room this tab is in and the last room event seq it has seen,
+// so a dropped connection can pick up where it left off
+let currentRoomId = null
+let lastSeq = null
+
 export const setupSocketConnection = () => {
   const token = localStorage.getItem('token')
   
@@ -21,6 +26,23 @@ export const setupSocketConnection = () => {
   socket.on('connect', () => {
     console.log('Socket connected')
     socket.emit('subscribe_notifications')
+    if (currentRoomId) {
+      socket.emit('resume_room', { roomId: currentRoomId, lastSeq })
+    }
+  })
+
+  // Room events carry a seq. Only ever move forward: a replay after a
+  // reconnect can overlap with events arriving live
+  socket.onAny((event, payload) => {
+    if (typeof payload?.seq === 'number' && (lastSeq === null || payload.seq > lastSeq)) {
+      lastSeq = payload.seq
+    }
+  })
+
+  socket.on('resume_failed', (payload) => {
+    currentRoomId = null
+    lastSeq = null
+    toast.warning(payload.message)
   })
 
   socket.on('disconnect', () => {
@@ -36,6 +58,10 @@ export const setupSocketConnection = () => {
     toast.info(notification.message)
   })
 
+  socket.on('achievement_unlocked', (achievement) => {
+    toast.success(`🏆 Achievement unlocked: ${achievement.name}${achievement.points ? ` (+${achievement.points})` : ''}`)
+  })
+
   return () => {
     if (socket) {
       socket.disconnect()
@@ -48,17 +74,31 @@ export const getSocket = () => socket
 
 export const joinRoom = (roomId) => {
   if (!socket) return
+  currentRoomId = roomId
+  lastSeq = null
   socket.emit('join_room', roomId)
 }
 
 export const leaveRoom = (roomId) => {
   if (!socket) return
+  currentRoomId = null
+  lastSeq = null
   socket.emit('leave_room', roomId)
 }
 
-export const sendGameAction = (action, target, sessionId) => {
+export const sendGameAction = (action, target, sessionId, on) => {
   if (!socket) return
-  socket.emit('game_action', { action, target, sessionId })
+  socket.emit('game_action', { action, target, on, sessionId })
+}
+
+export const requestRoomState = () => {
+  if (!socket) return
+  socket.emit('request_room_state')
+}
+
+export const castVote = (voteId, option) => {
+  if (!socket) return
+  socket.emit('cast_vote', { voteId, option })
 }
 
 export const sendChatMessage = (roomId, message) => {
@@ -66,7 +106,29 @@ export const sendChatMessage = (roomId, message) => {
   socket.emit('chat_message', { roomId, message })
 }
 
+// Split parties: offer another player items for theirs, and answer an offer
+export const offerTrade = (toUserId, offer, request) => {
+  if (!socket) return
+  socket.emit('offer_trade', { toUserId, offer, request })
+}
+
+export const respondToTrade = (tradeId, accept) => {
+  if (!socket) return
+  socket.emit('respond_trade', { tradeId, accept })
+}
+
 export const updatePlayerState = (state) => {
   if (!socket) return
   socket.emit('update_player_state', { state })
-}
\ No newline at end of file
+}
+// Narration streamed over the socket. In a room everyone follows it through
+// the narration_* events; `narration_accepted` tells the asker its id.
+export const narrate = (kind, prompt, context) => {
+  if (!socket) return
+  socket.emit('narrate', { kind, prompt, context })
+}
+
+export const cancelNarration = (narrationId) => {
+  if (!socket) return
+  socket.emit('cancel_narration', { narrationId })
+}
@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
 import axios from 'axios'
+import { roomStateReceived, roomActionReceived, locationEventReceived } from './multiplayerSlice'
 
 const API_URL = import.meta.env.VITE_API_URL || '/api'
 
@@ -24,23 +25,65 @@ export const continueGame = createAsyncThunk(
 
 export const performAction = createAsyncThunk(
   'game/action',
-  async ({ sessionId, action, target }) => {
+  async ({ sessionId, action, target, on }) => {
     const response = await axios.post(`${API_URL}/games/action`, {
       sessionId,
       action,
-      target
+      target,
+      on
     })
     return response.data
   }
 )
 
+export const fetchHistory = createAsyncThunk(
+  'game/history',
+  async (sessionId) => {
+    const response = await axios.get(`${API_URL}/games/history/${sessionId}`)
+    return response.data
+  }
+)
+
+export const rewindGame = createAsyncThunk(
+  'game/rewind',
+  async ({ sessionId, step, branch = false }) => {
+    const response = await axios.post(`${API_URL}/games/rewind/${sessionId}`, {
+      step,
+      branch
+    })
+    return response.data
+  }
+)
+
+export const upgradeGame = createAsyncThunk(
+  'game/upgrade',
+  async (sessionId) => {
+    const response = await axios.post(`${API_URL}/games/upgrade/${sessionId}`)
+    return response.data
+  }
+)
+
 export const saveGame = createAsyncThunk(
   'game/save',
-  async ({ sessionId, saveName }) => {
-    const response = await axios.post(`${API_URL}/games/save`, {
-      sessionId,
-      saveName
-    })
+  async ({ sessionId, saveName, overwrite = false }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/games/save`, {
+        sessionId,
+        saveName,
+        overwrite
+      })
+      return response.data
+    } catch (error) {
+      // Keep the status so the UI can offer to overwrite an existing save
+      return rejectWithValue({ status: error.response?.status, ...error.response?.data })
+    }
+  }
+)
+
+export const autosaveGame = createAsyncThunk(
+  'game/autosave',
+  async (sessionId) => {
+    const response = await axios.post(`${API_URL}/games/autosave`, { sessionId })
     return response.data
   }
 )
@@ -62,11 +105,15 @@ const initialState = {
   inventory: [],
   gameState: {},
   stats: {},
+  ending: null,
   loading: false,
   saving: false,
   error: null,
   actionHistory: [],
-  autoSaveEnabled: true
+  autoSaveEnabled: true,
+  worldRevision: null,
+  latestRevision: null,
+  nextAutosaveAt: null
 }
 
 const gameSlice = createSlice({
@@ -114,7 +161,8 @@ const gameSlice = createSlice({
         state.locationData = action.payload.locationData
         state.worldInfo = action.payload.worldInfo
         state.inventory = []
-        state.gameState = {}
+        state.gameState = action.payload.gameState || {}
+        state.ending = null
         state.actionHistory = []
       })
       .addCase(startGame.rejected, (state, action) => {
@@ -137,6 +185,9 @@ const gameSlice = createSlice({
         state.inventory = action.payload.inventory || []
         state.gameState = action.payload.gameState || {}
         state.stats = action.payload.stats || {}
+        state.ending = action.payload.ending || null
+        state.worldRevision = action.payload.worldRevision || null
+        state.latestRevision = action.payload.latestRevision || null
       })
       .addCase(continueGame.rejected, (state, action) => {
         state.loading = false
@@ -158,16 +209,23 @@ const gameSlice = createSlice({
             state.locationData = action.payload.locationData
           }
           
-          if (action.payload.inventoryUpdate) {
+          if (action.payload.inventory) {
+            state.inventory = action.payload.inventory
+          } else if (action.payload.inventoryUpdate) {
             state.inventory.push(action.payload.inventoryUpdate)
           }
           
           if (action.payload.stateUpdate) {
             state.gameState = { ...state.gameState, ...action.payload.stateUpdate }
           }
+
+          if (action.payload.ending) {
+            state.ending = action.payload.ending
+          }
           
           // Add to history
           state.actionHistory.push({
+            step: action.payload.step,
             action: action.meta.arg.action,
             target: action.meta.arg.target,
             result: action.payload.message || 'Success',
@@ -180,6 +238,61 @@ const gameSlice = createSlice({
         state.error = action.error.message
       })
 
+    // Server-side action log
+    builder
+      .addCase(fetchHistory.fulfilled, (state, action) => {
+        state.actionHistory = action.payload.steps.map(step => ({
+          step: step.step,
+          action: step.action,
+          target: step.target,
+          result: step.message || 'Success',
+          timestamp: step.created_at
+        }))
+      })
+
+    // Rewind / branch
+    builder
+      .addCase(rewindGame.pending, (state) => {
+        state.loading = true
+        state.error = null
+      })
+      .addCase(rewindGame.fulfilled, (state, action) => {
+        state.loading = false
+        state.sessionId = action.payload.sessionId
+        state.sessionName = action.payload.sessionName
+        state.currentLocation = action.payload.currentLocation
+        state.locationData = action.payload.locationData
+        state.inventory = action.payload.inventory || []
+        state.gameState = action.payload.gameState || {}
+        state.stats = action.payload.stats || {}
+        state.ending = action.payload.ending || null
+      })
+      .addCase(rewindGame.rejected, (state, action) => {
+        state.loading = false
+        state.error = action.error.message
+      })
+
+    // Upgrade to the latest world revision
+    builder
+      .addCase(upgradeGame.pending, (state) => {
+        state.loading = true
+        state.error = null
+      })
+      .addCase(upgradeGame.fulfilled, (state, action) => {
+        state.loading = false
+        state.currentLocation = action.payload.currentLocation
+        state.locationData = action.payload.locationData
+        state.inventory = action.payload.inventory || []
+        state.gameState = action.payload.gameState || {}
+        state.stats = action.payload.stats || {}
+        state.worldRevision = action.payload.worldRevision
+        state.latestRevision = action.payload.worldRevision
+      })
+      .addCase(upgradeGame.rejected, (state, action) => {
+        state.loading = false
+        state.error = action.error.message
+      })
+
     // Save game
     builder
       .addCase(saveGame.pending, (state) => {
@@ -190,7 +303,13 @@ const gameSlice = createSlice({
       })
       .addCase(saveGame.rejected, (state, action) => {
         state.saving = false
-        state.error = action.error.message
+        state.error = action.payload?.error || action.error.message
+      })
+
+    // Autosave
+    builder
+      .addCase(autosaveGame.fulfilled, (state, action) => {
+        state.nextAutosaveAt = action.payload.nextAutosaveAt
       })
 
     // Load game
@@ -208,12 +327,55 @@ const gameSlice = createSlice({
         state.inventory = action.payload.inventory || []
         state.gameState = action.payload.gameState || {}
         state.stats = action.payload.stats || {}
+        state.ending = action.payload.ending || null
         state.actionHistory = []
       })
       .addCase(loadGame.rejected, (state, action) => {
         state.loading = false
         state.error = action.error.message
       })
+
+    // Multiplayer: the game view follows the room's authoritative state. In a
+    // split party it follows the viewing player's own place in it.
+    builder
+      .addCase(roomStateReceived, (state, action) => {
+        const { gameState, locationData, party, ending } = action.payload
+        const { viewerId } = action.meta
+        const player = party ? gameState.players?.[viewerId] : null
+        state.currentLocation = party ? player?.location || null : gameState.currentLocation
+        state.locationData = party ? party[viewerId]?.locationData || null : locationData
+        state.inventory = (party ? player?.inventory : gameState.inventory) || []
+        state.gameState = gameState.worldState || {}
+        state.stats = gameState.stats || {}
+        state.ending = ending || null
+      })
+      .addCase(roomActionReceived, (state, action) => {
+        const { result, diff } = action.payload
+        const { changes } = diff
+        const { viewerId } = action.meta
+        if (result.party) {
+          // What a player holds only comes with the location_event they see
+          state.currentLocation = result.party[viewerId]?.location || state.currentLocation
+          state.locationData = result.party[viewerId]?.locationData || null
+        } else {
+          if (changes.currentLocation) state.currentLocation = changes.currentLocation
+          if (changes.inventory) state.inventory = changes.inventory
+          state.locationData = result.locationData
+        }
+        if (changes.stats) state.stats = changes.stats
+        if (changes.worldState) state.gameState = { ...state.gameState, ...changes.worldState }
+        state.ending = result.ending || null
+      })
+      .addCase(locationEventReceived, (state, action) => {
+        const { diff } = action.payload
+        const { viewerId } = action.meta
+        const player = diff?.changes.players?.[viewerId]
+        if (player) {
+          state.currentLocation = player.location
+          state.inventory = player.inventory || []
+        }
+        if (diff?.changes.worldState) state.gameState = { ...state.gameState, ...diff.changes.worldState }
+      })
   }
 })
 
@@ -4,24 +4,41 @@ import { getSocket, joinRoom, leaveRoom } from '../services/socket'
 
 const API_URL = import.meta.env.VITE_API_URL || '/api'
 
+// Apply a diff's worldState changes; keys that were removed come through as null
+const mergeWorldState = (roomState, worldState) => {
+  if (!worldState) return
+  roomState.worldState = roomState.worldState || {}
+  Object.entries(worldState).forEach(([key, value]) => {
+    if (value === null) {
+      delete roomState.worldState[key]
+    } else {
+      roomState.worldState[key] = value
+    }
+  })
+}
+
 export const createRoom = createAsyncThunk(
   'multiplayer/createRoom',
-  async ({ worldId, roomName, maxPlayers, isPrivate }) => {
+  async ({ worldId, roomName, maxPlayers, isPrivate, partyMode }) => {
     const response = await axios.post(`${API_URL}/multiplayer/rooms`, {
       worldId,
       roomName,
       maxPlayers,
-      isPrivate
+      isPrivate,
+      partyMode
     })
     return response.data
   }
 )
 
+// Join by room code, or by room ID from a shared link; `spectate` joins as a spectator
 export const joinMultiplayerRoom = createAsyncThunk(
   'multiplayer/joinRoom',
-  async (roomCode) => {
+  async ({ roomCode, roomId, spectate = false }) => {
     const response = await axios.post(`${API_URL}/multiplayer/rooms/join`, {
-      roomCode
+      roomCode,
+      roomId,
+      spectate
     })
     
     // Join socket room
@@ -45,6 +62,17 @@ export const leaveMultiplayerRoom = createAsyncThunk(
   }
 )
 
+// A page of the room's stored chat; `before` pages back from the oldest message shown
+export const fetchChatHistory = createAsyncThunk(
+  'multiplayer/fetchChatHistory',
+  async ({ roomId, before }) => {
+    const response = await axios.get(`${API_URL}/chat/rooms/${roomId}/messages`, {
+      params: { before }
+    })
+    return response.data
+  }
+)
+
 export const updatePlayerState = createAsyncThunk(
   'multiplayer/updatePlayerState',
   async ({ roomId, playerState }) => {
@@ -59,12 +87,20 @@ const initialState = {
   currentRoom: null,
   roomParticipants: [],
   chatMessages: [],
+  chatHasMore: false,
   playerActions: [],
   activeRooms: [],
   loading: false,
   error: null,
   connected: false,
-  playerStates: {}
+  playerStates: {},
+  roomState: null,
+  roomStateStale: false,
+  voteTally: null,
+  // Split parties: where each member is, by user ID
+  party: null,
+  // 'player' or 'spectator'
+  role: null
 }
 
 const multiplayerSlice = createSlice({
@@ -74,12 +110,13 @@ const multiplayerSlice = createSlice({
     setConnected: (state, action) => {
       state.connected = action.payload
     },
+    // Messages come from the server with their stored id and timestamp; a
+    // replay after a reconnect can repeat one already shown
     addChatMessage: (state, action) => {
-      state.chatMessages.push({
-        ...action.payload,
-        id: Date.now(),
-        timestamp: new Date().toISOString()
-      })
+      if (state.chatMessages.some(message => message.id === action.payload.id)) {
+        return
+      }
+      state.chatMessages.push(action.payload)
       // Keep only last 100 messages
       if (state.chatMessages.length > 100) {
         state.chatMessages = state.chatMessages.slice(-100)
@@ -96,6 +133,71 @@ const multiplayerSlice = createSlice({
         state.playerActions = state.playerActions.slice(-50)
       }
     },
+    // Full authoritative state of the room's shared playthrough. `viewerId`
+    // is the current user, whose place in a split party the game view shows.
+    roomStateReceived: {
+      reducer: (state, action) => {
+        state.roomState = action.payload.gameState
+        state.party = action.payload.party || null
+        state.roomStateStale = false
+        if (action.payload.role) {
+          state.role = action.payload.role
+        }
+      },
+      prepare: (payload, viewerId = null) => ({ payload, meta: { viewerId } })
+    },
+    roleChanged: (state, action) => {
+      state.role = action.payload
+    },
+    voteTallyReceived: (state, action) => {
+      state.voteTally = action.payload
+    },
+    // An action applied by the server, with a diff against the previous state
+    roomActionReceived: {
+      reducer: (state, action) => {
+        const { diff, ...playerAction } = action.payload
+        state.playerActions.push({
+          ...playerAction,
+          id: Date.now(),
+          timestamp: new Date().toISOString()
+        })
+        if (state.playerActions.length > 50) {
+          state.playerActions = state.playerActions.slice(-50)
+        }
+        if (playerAction.result?.party) {
+          state.party = playerAction.result.party
+        }
+
+        if (!state.roomState || state.roomState.version !== diff.baseVersion) {
+          // We missed an update; the full state has to be requested again
+          state.roomStateStale = true
+          return
+        }
+
+        const { worldState, ...changes } = diff.changes
+        Object.assign(state.roomState, changes)
+        mergeWorldState(state.roomState, worldState)
+        state.roomState.version = diff.version
+      },
+      prepare: (payload, viewerId = null) => ({ payload, meta: { viewerId } })
+    },
+    // Split parties: what happened where this player is, with the action's
+    // full diff (its player_action only carries the party-wide part)
+    locationEventReceived: {
+      reducer: (state, action) => {
+        const { diff } = action.payload
+        if (!diff || !state.roomState || state.roomState.version !== diff.version) {
+          return
+        }
+
+        const { worldState, players } = diff.changes
+        if (players) {
+          state.roomState.players = players
+        }
+        mergeWorldState(state.roomState, worldState)
+      },
+      prepare: (payload, viewerId = null) => ({ payload, meta: { viewerId } })
+    },
     updatePlayerState: (state, action) => {
       const { userId, state: playerState } = action.payload
       state.playerStates[userId] = playerState
@@ -117,8 +219,14 @@ const multiplayerSlice = createSlice({
       state.currentRoom = null
       state.roomParticipants = []
       state.chatMessages = []
+      state.chatHasMore = false
       state.playerActions = []
       state.playerStates = {}
+      state.roomState = null
+      state.roomStateStale = false
+      state.voteTally = null
+      state.party = null
+      state.role = null
     },
     setActiveRooms: (state, action) => {
       state.activeRooms = action.payload
@@ -137,6 +245,7 @@ const multiplayerSlice = createSlice({
         state.roomParticipants = action.payload.room.participants || []
         state.chatMessages = []
         state.playerActions = []
+        state.role = 'player'
         
         // Join socket room
         joinRoom(action.payload.room.id)
@@ -158,6 +267,7 @@ const multiplayerSlice = createSlice({
         state.roomParticipants = action.payload.room.participants || []
         state.chatMessages = []
         state.playerActions = []
+        state.role = action.payload.role
       })
       .addCase(joinMultiplayerRoom.rejected, (state, action) => {
         state.loading = false
@@ -172,6 +282,20 @@ const multiplayerSlice = createSlice({
         state.chatMessages = []
         state.playerActions = []
         state.playerStates = {}
+        state.roomState = null
+        state.roomStateStale = false
+        state.voteTally = null
+        state.party = null
+        state.role = null
+      })
+
+    // Chat history
+    builder
+      .addCase(fetchChatHistory.fulfilled, (state, action) => {
+        // Merge with what arrived live while the page was loading
+        const byId = new Map([...action.payload.messages, ...state.chatMessages].map(message => [message.id, message]))
+        state.chatMessages = [...byId.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        state.chatHasMore = action.payload.hasMore
       })
 
     // Update player state
@@ -186,6 +310,11 @@ export const {
   setConnected,
   addChatMessage,
   addPlayerAction,
+  roomStateReceived,
+  roomActionReceived,
+  locationEventReceived,
+  voteTallyReceived,
+  roleChanged,
   playerJoined,
   playerLeft,
   clearRoom,
@@ -1,14 +1,10 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { generateText } from './providers.js';
 import { logger } from '../../utils/logger.js';
 import { AppError } from '../../utils/errors.js';
 
 export class ClaudeService {
+  // Which provider and model answer each feature is config: see providers.js
   constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY,
-    });
-    
-    this.defaultModel = 'claude-3-opus-20240229';
     this.maxTokens = 4096;
   }
 
@@ -16,20 +12,12 @@ export class ClaudeService {
     try {
       const prompt = this.buildNarrativePrompt(context);
       
-      const response = await this.anthropic.messages.create({
-        model: this.defaultModel,
-        max_tokens: this.maxTokens,
-        temperature: 0.8,
+      const { text: narrative } = await generateText('narrative', {
         system: this.getSystemPrompt('narrative'),
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+        prompt,
+        maxTokens: this.maxTokens,
+        temperature: 0.8,
       });
-
-      const narrative = response.content[0].text;
       
       logger.info('Generated narrative', { 
         contextType: context.type,
@@ -47,20 +35,12 @@ export class ClaudeService {
     try {
       const prompt = this.buildDialoguePrompt(npc, context, playerChoice);
       
-      const response = await this.anthropic.messages.create({
-        model: this.defaultModel,
-        max_tokens: 1024,
-        temperature: 0.7,
+      const { text: dialogue } = await generateText('dialogue', {
         system: this.getSystemPrompt('dialogue', npc),
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+        prompt,
+        maxTokens: 1024,
+        temperature: 0.7,
       });
-
-      const dialogue = response.content[0].text;
       
       return this.parseDialogueResponse(dialogue);
     } catch (error) {
@@ -73,20 +53,12 @@ export class ClaudeService {
     try {
       const prompt = this.buildActionPrompt(action, gameState);
       
-      const response = await this.anthropic.messages.create({
-        model: this.defaultModel,
-        max_tokens: 2048,
-        temperature: 0.6,
+      const { text: result } = await generateText('gamemaster', {
         system: this.getSystemPrompt('gamemaster'),
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+        prompt,
+        maxTokens: 2048,
+        temperature: 0.6,
       });
-
-      const result = response.content[0].text;
       
       return this.parseActionResponse(result);
     } catch (error) {
@@ -99,20 +71,12 @@ export class ClaudeService {
     try {
       const prompt = this.buildWorldPrompt(worldConfig, specificRequest);
       
-      const response = await this.anthropic.messages.create({
-        model: this.defaultModel,
-        max_tokens: 3000,
-        temperature: 0.9,
+      const { text: worldDetails } = await generateText('worldbuilder', {
         system: this.getSystemPrompt('worldbuilder'),
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+        prompt,
+        maxTokens: 3000,
+        temperature: 0.9,
       });
-
-      const worldDetails = response.content[0].text;
       
       return this.parseWorldResponse(worldDetails);
     } catch (error) {
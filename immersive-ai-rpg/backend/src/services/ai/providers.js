@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import { logger } from '../../utils/logger.js';
+import { ExternalServiceError } from '../../utils/errors.js';
+
+// Each feature is routed to a list of `provider:model` targets, tried in order
+// so later ones are fallbacks for earlier ones. AI_PROVIDER=fake sends every
+// feature to the offline fake provider.
+const DEFAULT_ROUTE = 'anthropic:claude-3-opus-20240229';
+
+const ROUTE_VARIABLES = {
+  narrative: 'AI_ROUTE_NARRATIVE',
+  dialogue: 'AI_ROUTE_DIALOGUE',
+  gamemaster: 'AI_ROUTE_GAMEMASTER',
+  worldbuilder: 'AI_ROUTE_WORLDBUILDER',
+};
+
+const FAKE_ROUTE = [{ provider: 'fake', model: 'fake' }];
+
+// "anthropic:claude-3-opus-20240229, openai:gpt-4o" -> [{ provider, model }]
+export function parseRoute(value) {
+  return `${value || ''}`
+    .split(',')
+    .map((target) => target.trim())
+    .filter(Boolean)
+    .map((target) => {
+      const [provider, ...model] = target.split(':');
+      return { provider: provider.trim(), model: model.join(':').trim() };
+    });
+}
+
+export function routeFor(feature) {
+  if (process.env.AI_PROVIDER === 'fake') {
+    return FAKE_ROUTE;
+  }
+
+  const route = parseRoute(process.env[ROUTE_VARIABLES[feature]]);
+  if (route.length > 0) {
+    return route;
+  }
+  const fallback = parseRoute(process.env.AI_ROUTE_DEFAULT);
+  return fallback.length > 0 ? fallback : parseRoute(DEFAULT_ROUTE);
+}
+
+/* Anthropic */
+
+let anthropicClient = null;
+
+const anthropic = {
+  name: 'anthropic',
+
+  async text({ model, system, prompt, maxTokens, temperature }) {
+    if (!process.env.CLAUDE_API_KEY) {
+      throw new Error('Anthropic is not configured');
+    }
+    anthropicClient = anthropicClient || new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
+
+    const response = await anthropicClient.messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+    });
+
+    return {
+      text: response.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join(''),
+      usage: {
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0,
+      },
+    };
+  },
+};
+
+/* OpenAI */
+
+let openaiClient = null;
+
+const openai = {
+  name: 'openai',
+
+  async text({ model, system, prompt, maxTokens, temperature }) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OpenAI is not configured');
+    }
+    openaiClient = openaiClient || new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+    const completion = await openaiClient.chat.completions.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt },
+      ],
+    });
+
+    return {
+      text: completion.choices[0].message.content,
+      usage: {
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0,
+      },
+    };
+  },
+};
+
+/* Fake */
+
+// Canned answers in the JSON shapes ClaudeService asks each feature for
+const FAKE_RESPONSES = {
+  narrative: [
+    {
+      narrative: 'The path ahead twists into shadow. Somewhere nearby, water drips onto stone.',
+      sceneDetails: 'Moss-covered walls close in on either side.',
+      atmosphere: 'Quiet and watchful',
+      choices: ['Press on', 'Look around', 'Turn back'],
+    },
+    {
+      narrative: 'A cold wind carries the smell of smoke. Whatever happened here, it happened recently.',
+      sceneDetails: 'A campfire still smoulders beside an overturned cart.',
+      atmosphere: 'Uneasy',
+      choices: ['Search the cart', 'Follow the tracks', 'Call out'],
+    },
+  ],
+  dialogue: [
+    {
+      speech: 'Travellers don\'t come this way often. What brings you here?',
+      action: 'Looks you up and down',
+      emotion: 'neutral',
+      choices: ['I\'m looking for work', 'Just passing through', 'Have you seen anything strange?'],
+    },
+    {
+      speech: 'Keep your voice down. The walls here have ears.',
+      action: 'Glances over their shoulder',
+      emotion: 'fearful',
+      choices: ['Who is listening?', 'I\'m not afraid', 'Then let\'s talk somewhere else'],
+    },
+  ],
+  gamemaster: [
+    {
+      outcome: 'success',
+      stateChanges: {},
+      narrative: 'Your action echoes through the hall, and something stirs in the dark.',
+      newChoices: ['Listen closely', 'Light a torch', 'Back away'],
+    },
+    {
+      outcome: 'partial',
+      stateChanges: {},
+      narrative: 'Nothing happens at first. Then a hidden door grinds open beside you.',
+      newChoices: ['Step through the door', 'Wait and watch'],
+    },
+  ],
+  worldbuilder: [
+    {
+      locations: [{ name: 'The Drowned Lighthouse', description: 'A lighthouse on a storm-lashed rock, dark for the first time in a hundred years.' }],
+      npcs: [{ name: 'Old Maren', role: 'keeper', personality: 'Gruff, superstitious, kind underneath' }],
+      lore: 'The light went out the night the keeper\'s son sailed for the reef.',
+      pointsOfInterest: ['Rotting jetty', 'Flooded cellar'],
+    },
+  ],
+};
+
+// A stable number for a request, from the seed and everything it asked
+const seededIndex = (parts, count) => {
+  const hash = crypto.createHash('sha256')
+    .update([process.env.AI_FAKE_SEED || 'adventure', ...parts].map(String).join('\u0000'))
+    .digest();
+  return hash.readUInt32BE(0) % count;
+};
+
+const estimateTokens = (text) => Math.ceil(`${text || ''}`.length / 4);
+
+const fake = {
+  name: 'fake',
+
+  async text({ feature, system, prompt }) {
+    const pool = FAKE_RESPONSES[feature] || FAKE_RESPONSES.narrative;
+    const text = JSON.stringify(pool[seededIndex([feature, system, prompt], pool.length)]);
+    return {
+      text,
+      usage: { inputTokens: estimateTokens(`${system || ''}${prompt}`), outputTokens: estimateTokens(text) },
+    };
+  },
+};
+
+export const providers = { anthropic, openai, fake };
+
+/**
+ * Generate text for a feature (narrative, dialogue, gamemaster,
+ * worldbuilder). The feature's route is tried target by target and the first
+ * to answer wins; when none does, an ExternalServiceError is thrown.
+ */
+export async function generateText(feature, request) {
+  const attempts = [];
+
+  for (const { provider: name, model } of routeFor(feature)) {
+    const provider = providers[name];
+    if (!provider) {
+      attempts.push(`${name}:${model}: unknown provider`);
+      continue;
+    }
+
+    try {
+      const result = await provider.text({ ...request, feature, model });
+      if (attempts.length > 0) {
+        logger.info(`AI ${feature} answered by fallback ${name}:${model}`);
+      }
+      return { ...result, provider: name, model };
+    } catch (error) {
+      logger.warn(`AI ${feature} failed on ${name}:${model}: ${error.message}`);
+      attempts.push(`${name}:${model}: ${error.message}`);
+    }
+  }
+
+  throw new ExternalServiceError(`AI ${feature} (${attempts.join('; ')})`);
+}